@@ -2,6 +2,10 @@ const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const Buyer = require("../models/Buyer");
 const Admin = require("../models/Admin");
+const Rider = require("../models/Rider");
+const SessionService = require("../services/sessionService");
+
+const SESSION_ENDED = "Session expired or signed out";
 
 // Protect routes - require authentication (Seller/Business)
 const protect = async (req, res, next) => {
@@ -20,6 +24,11 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    if (decoded.type !== "seller" || !(await SessionService.isActive(decoded))) {
+      return res.status(401).json({ message: SESSION_ENDED });
+    }
+    req.sessionId = decoded.sid;
+
     // Get user from token
     req.user = await User.findById(decoded.id).select("-password");
 
@@ -53,6 +62,11 @@ const protectBuyer = async (req, res, next) => {
       return res.status(401).json({ message: "Not authorized as buyer" });
     }
 
+    if (!(await SessionService.isActive(decoded))) {
+      return res.status(401).json({ message: SESSION_ENDED });
+    }
+    req.sessionId = decoded.sid;
+
     req.buyer = await Buyer.findById(decoded.id).select("-password");
 
     if (!req.buyer) {
@@ -89,6 +103,11 @@ const protectAdmin = async (req, res, next) => {
       return res.status(401).json({ message: "Not authorized as admin" });
     }
 
+    if (!(await SessionService.isActive(decoded))) {
+      return res.status(401).json({ message: SESSION_ENDED });
+    }
+    req.sessionId = decoded.sid;
+
     req.admin = await Admin.findById(decoded.id).select("-password");
 
     if (!req.admin) {
@@ -105,6 +124,161 @@ const protectAdmin = async (req, res, next) => {
   }
 };
 
+// Protect routes for platform Riders
+const protectRider = async (req, res, next) => {
+  try {
+    let token;
+
+    if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
+      token = req.headers.authorization.split(" ")[1];
+    }
+
+    if (!token) {
+      return res.status(401).json({ message: "Not authorized, no token" });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Check if this is a rider token
+    if (decoded.type !== "rider") {
+      return res.status(401).json({ message: "Not authorized as rider" });
+    }
+
+    if (!(await SessionService.isActive(decoded))) {
+      return res.status(401).json({ message: SESSION_ENDED });
+    }
+    req.sessionId = decoded.sid;
+
+    req.rider = await Rider.findById(decoded.id).select("-password");
+
+    if (!req.rider) {
+      return res.status(401).json({ message: "Rider not found" });
+    }
+
+    if (!req.rider.isActive) {
+      return res.status(403).json({ message: "Rider account has been deactivated" });
+    }
+
+    next();
+  } catch (error) {
+    res.status(401).json({ message: "Not authorized, token failed" });
+  }
+};
+
+// Any signed-in session (seller, buyer, admin or rider) - for managing sessions
+const protectSession = async (req, res, next) => {
+  try {
+    let token;
+
+    if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
+      token = req.headers.authorization.split(" ")[1];
+    }
+
+    if (!token) {
+      return res.status(401).json({ message: "Not authorized, no token" });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!(await SessionService.isActive(decoded))) {
+      return res.status(401).json({ message: SESSION_ENDED });
+    }
+
+    req.authSession = { id: decoded.sid, userType: decoded.type, userId: decoded.id };
+    next();
+  } catch (error) {
+    res.status(401).json({ message: "Not authorized, token failed" });
+  }
+};
+
+// Accounts a socket can sign in as
+const SOCKET_ACCOUNTS = {
+  seller: () => require("../models/User"),
+  buyer: () => Buyer,
+  admin: () => Admin,
+  rider: () => Rider,
+};
+
+// Chat identity { type, id, name, businessId? } for a verified token,
+// or { code, message } when the session or account is no longer valid
+const loadChatUser = async (decoded) => {
+  const loadModel = SOCKET_ACCOUNTS[decoded.type];
+
+  if (!loadModel || !(await SessionService.isActive(decoded))) {
+    return { code: "SESSION_ENDED", message: SESSION_ENDED };
+  }
+
+  const account = await loadModel().findById(decoded.id).select("-password");
+  if (!account || account.isActive === false) {
+    return { code: "ACCOUNT_INACTIVE", message: "Account not found or deactivated" };
+  }
+
+  const user = { type: decoded.type, id: account._id.toString(), name: account.name };
+
+  // Sellers talk to buyers as their business
+  if (decoded.type === "seller") {
+    const Business = require("../models/Business");
+    const business = await Business.findById(account.businessId).select("name isActive");
+    if (!business || !business.isActive) {
+      return { code: "ACCOUNT_INACTIVE", message: "This business has been deactivated" };
+    }
+    user.businessId = business._id.toString();
+    user.name = business.name;
+  }
+
+  return { user };
+};
+
+// Socket.IO handshake - same tokens as the HTTP API, sent as
+// io(url, { auth: { token } }) or an Authorization header.
+// Sets socket.data.user = { type, id, name, businessId? }
+const protectSocket = async (socket, next) => {
+  const reject = (code, message) => {
+    const error = new Error(message);
+    error.data = { code, message };
+    next(error);
+  };
+
+  try {
+    const header = socket.handshake.headers?.authorization || "";
+    const token =
+      socket.handshake.auth?.token || (header.startsWith("Bearer") ? header.split(" ")[1] : null);
+
+    if (!token) {
+      return reject("UNAUTHORIZED", "Not authorized, no token");
+    }
+
+    const { user, code, message } = await loadChatUser(jwt.verify(token, process.env.JWT_SECRET));
+    if (!user) return reject(code, message);
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    reject("UNAUTHORIZED", "Not authorized, token failed");
+  }
+};
+
+// Chat over HTTP - the same identity as protectSocket, as req.chatUser.
+// Requests without a token go through as guests (req.chatUser unset);
+// the route checks the guest's phone against the conversation.
+const optionalChatAuth = async (req, res, next) => {
+  const header = req.headers.authorization || "";
+  if (!header.startsWith("Bearer")) return next();
+
+  try {
+    const decoded = jwt.verify(header.split(" ")[1], process.env.JWT_SECRET);
+    const { user, message } = await loadChatUser(decoded);
+    if (!user) {
+      return res.status(401).json({ message });
+    }
+
+    req.chatUser = user;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: "Not authorized, token failed" });
+  }
+};
+
 // Check if user is owner
 const ownerOnly = (req, res, next) => {
   if (req.user && req.user.role === "owner") {
@@ -125,7 +299,8 @@ const optionalBuyerAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      if (decoded.type === "buyer") {
+      if (decoded.type === "buyer" && (await SessionService.isActive(decoded))) {
+        req.sessionId = decoded.sid;
         req.buyer = await Buyer.findById(decoded.id).select("-password");
       }
     }
@@ -137,4 +312,14 @@ const optionalBuyerAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { protect, protectBuyer, protectAdmin, ownerOnly, optionalBuyerAuth };
+module.exports = {
+  protect,
+  protectBuyer,
+  protectAdmin,
+  protectRider,
+  protectSession,
+  protectSocket,
+  optionalChatAuth,
+  ownerOnly,
+  optionalBuyerAuth,
+};
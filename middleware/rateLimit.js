@@ -0,0 +1,58 @@
+/**
+ * Simple in-memory rate limiter (fixed window, per process).
+ * Good enough for a single server; use a shared store if you run several.
+ *
+ *   router.post("/forgot-password", rateLimit({ windowMs: 15 * 60 * 1000, max: 10 }), handler)
+ */
+
+/**
+ * Fixed-window hit counter by key - for limits that are not per request,
+ * e.g. messages per sender. hit(key) → { count, resetAt }
+ */
+const fixedWindow = (windowMs) => {
+  const hits = new Map();
+
+  // Forget finished windows so the map does not grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs).unref();
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count += 1;
+      return entry;
+    },
+  };
+};
+
+const rateLimit = ({
+  windowMs = 60 * 1000,
+  max = 10,
+  keyGenerator = (req) => req.ip,
+  message = "Too many requests. Please try again later.",
+} = {}) => {
+  const counter = fixedWindow(windowMs);
+
+  return (req, res, next) => {
+    const entry = counter.hit(keyGenerator(req));
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - Date.now()) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ message, retryAfter });
+    }
+
+    next();
+  };
+};
+
+module.exports = { rateLimit, fixedWindow };
@@ -34,7 +34,12 @@ const ProductCard = ({ product, onPress, showAddToCart }) => {
   };
 
   const handleAddToCart = () => {
-    addToCart(product, 1, product.business);
+    // Products with sizes/colours need an option picked on the details screen
+    if (product.variants?.length > 0) {
+      onPress?.();
+      return;
+    }
+    addToCart(product, 1, product.businessId);
   };
 
   const handleIncrease = () => {
@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { authService } from '../services/api';
+import { authService, setSessionExpiredHandler } from '../services/api';
 
 // Initial state
 const initialState = {
@@ -62,6 +62,13 @@ export const AuthProvider = ({ children }) => {
     checkAuthStatus();
   }, []);
 
+  // Expired access tokens are refreshed inside the API client; if the session
+  // itself has ended (revoked or expired) we land back on the login screen
+  useEffect(() => {
+    setSessionExpiredHandler(() => dispatch({ type: AUTH_ACTIONS.LOGOUT }));
+    return () => setSessionExpiredHandler(null);
+  }, []);
+
   const checkAuthStatus = async () => {
     try {
       dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
@@ -88,7 +95,7 @@ export const AuthProvider = ({ children }) => {
       const response = await authService.buyerLogin(email, password);
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: { user: response.buyer, userType: 'buyer' },
+        payload: { user: response.user, userType: 'buyer' },
       });
       return { success: true };
     } catch (error) {
@@ -105,7 +112,7 @@ export const AuthProvider = ({ children }) => {
       const response = await authService.buyerRegister(userData);
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: { user: response.buyer, userType: 'buyer' },
+        payload: { user: response.user, userType: 'buyer' },
       });
       return { success: true };
     } catch (error) {
@@ -149,10 +156,10 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Logout
-  const logout = async () => {
+  // Logout (pass true to sign out every device)
+  const logout = async (allDevices = false) => {
     try {
-      await authService.logout();
+      await authService.logout(allDevices);
       dispatch({ type: AUTH_ACTIONS.LOGOUT });
     } catch (error) {
       console.log('Logout error:', error);
@@ -3,7 +3,7 @@ import * as SecureStore from 'expo-secure-store';
 
 // Initial state
 const initialState = {
-  items: [], // { product, quantity, seller }
+  items: [], // { product, quantity, seller, variant }
   totalItems: 0,
   subtotal: 0,
   isLoading: false,
@@ -19,11 +19,20 @@ const CART_ACTIONS = {
   SET_LOADING: 'SET_LOADING',
 };
 
+// Each product variant is its own cart line
+export const getCartKey = (productId, variantId = null) =>
+  variantId ? `${productId}:${variantId}` : productId;
+
+export const getItemKey = (item) => getCartKey(item.product._id, item.variant?._id);
+
+// Variant price overrides the product price
+export const getItemPrice = (item) => item.variant?.price ?? item.product.price;
+
 // Helper to calculate totals
 const calculateTotals = (items) => {
   const totalItems = items.reduce((sum, item) => sum + item.quantity, 0);
   const subtotal = items.reduce(
-    (sum, item) => sum + item.product.price * item.quantity,
+    (sum, item) => sum + getItemPrice(item) * item.quantity,
     0
   );
   return { totalItems, subtotal };
@@ -44,7 +53,7 @@ const cartReducer = (state, action) => {
       
     case CART_ACTIONS.ADD_ITEM:
       const existingIndex = state.items.findIndex(
-        (item) => item.product._id === action.payload.product._id
+        (item) => getItemKey(item) === getItemKey(action.payload)
       );
       
       if (existingIndex > -1) {
@@ -66,7 +75,7 @@ const cartReducer = (state, action) => {
       
     case CART_ACTIONS.REMOVE_ITEM:
       newItems = state.items.filter(
-        (item) => item.product._id !== action.payload
+        (item) => getItemKey(item) !== action.payload
       );
       return {
         ...state,
@@ -76,7 +85,7 @@ const cartReducer = (state, action) => {
       
     case CART_ACTIONS.UPDATE_QUANTITY:
       newItems = state.items.map((item) =>
-        item.product._id === action.payload.productId
+        getItemKey(item) === action.payload.key
           ? { ...item, quantity: action.payload.quantity }
           : item
       );
@@ -139,27 +148,27 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  // Add item to cart
-  const addToCart = (product, quantity = 1, seller = null) => {
+  // Add item to cart (variant is required for products with options)
+  const addToCart = (product, quantity = 1, seller = null, variant = null) => {
     dispatch({
       type: CART_ACTIONS.ADD_ITEM,
-      payload: { product, quantity, seller },
+      payload: { product, quantity, seller, variant },
     });
   };
 
-  // Remove item from cart
-  const removeFromCart = (productId) => {
-    dispatch({ type: CART_ACTIONS.REMOVE_ITEM, payload: productId });
+  // Remove item from cart - key is the product id, or getCartKey(productId, variantId)
+  const removeFromCart = (key) => {
+    dispatch({ type: CART_ACTIONS.REMOVE_ITEM, payload: key });
   };
 
   // Update item quantity
-  const updateQuantity = (productId, quantity) => {
+  const updateQuantity = (key, quantity) => {
     if (quantity <= 0) {
-      removeFromCart(productId);
+      removeFromCart(key);
     } else {
       dispatch({
         type: CART_ACTIONS.UPDATE_QUANTITY,
-        payload: { productId, quantity },
+        payload: { key, quantity },
       });
     }
   };
@@ -175,30 +184,34 @@ export const CartProvider = ({ children }) => {
   };
 
   // Get item quantity
-  const getItemQuantity = (productId) => {
-    const item = state.items.find((item) => item.product._id === productId);
+  const getItemQuantity = (productId, variantId = null) => {
+    const key = getCartKey(productId, variantId);
+    const item = state.items.find((item) => getItemKey(item) === key);
     return item ? item.quantity : 0;
   };
 
   // Check if item is in cart
-  const isInCart = (productId) => {
-    return state.items.some((item) => item.product._id === productId);
+  const isInCart = (productId, variantId = null) => {
+    const key = getCartKey(productId, variantId);
+    return state.items.some((item) => getItemKey(item) === key);
   };
 
   // Group items by seller
   const getItemsBySeller = () => {
     const grouped = {};
     state.items.forEach((item) => {
-      const sellerId = item.seller?._id || item.product.business?._id || 'unknown';
+      // Products come with businessId populated ({ _id, businessName, ... })
+      const seller = item.seller || item.product.businessId;
+      const sellerId = seller?._id || 'unknown';
       if (!grouped[sellerId]) {
         grouped[sellerId] = {
-          seller: item.seller || item.product.business,
+          seller,
           items: [],
           subtotal: 0,
         };
       }
       grouped[sellerId].items.push(item);
-      grouped[sellerId].subtotal += item.product.price * item.quantity;
+      grouped[sellerId].subtotal += getItemPrice(item) * item.quantity;
     });
     return Object.values(grouped);
   };
@@ -10,7 +10,7 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
-import { useCart } from '../../context/CartContext';
+import { useCart, getItemKey, getItemPrice } from '../../context/CartContext';
 import { formatPrice } from '../../utils/helpers';
 import config from '../../config/api';
 
@@ -33,7 +33,7 @@ const CartScreen = ({ navigation }) => {
     return 'https://via.placeholder.com/100x100?text=No+Image';
   };
 
-  const handleRemoveItem = (productId, productName) => {
+  const handleRemoveItem = (key, productName) => {
     Alert.alert(
       'Remove Item',
       `Remove ${productName} from cart?`,
@@ -42,7 +42,7 @@ const CartScreen = ({ navigation }) => {
         {
           text: 'Remove',
           style: 'destructive',
-          onPress: () => removeFromCart(productId),
+          onPress: () => removeFromCart(key),
         },
       ]
     );
@@ -103,7 +103,7 @@ const CartScreen = ({ navigation }) => {
       {/* Cart Items */}
       <ScrollView style={styles.cartList} showsVerticalScrollIndicator={false}>
         {items.map((item) => (
-          <View key={item.product._id} style={styles.cartItem}>
+          <View key={getItemKey(item)} style={styles.cartItem}>
             <Image
               source={{ uri: getImageUri(item.product) }}
               style={styles.itemImage}
@@ -112,13 +112,16 @@ const CartScreen = ({ navigation }) => {
               <Text style={styles.itemName} numberOfLines={2}>
                 {item.product.name}
               </Text>
+              {item.variant && (
+                <Text style={styles.itemVariant}>{item.variant.label}</Text>
+              )}
               {item.seller && (
                 <Text style={styles.itemSeller}>
-                  by {item.seller.businessName || 'Seller'}
+                  by {item.seller.name || 'Seller'}
                 </Text>
               )}
               <Text style={styles.itemPrice}>
-                {formatPrice(item.product.price)}
+                {formatPrice(getItemPrice(item))}
               </Text>
 
               {/* Quantity Controls */}
@@ -127,7 +130,7 @@ const CartScreen = ({ navigation }) => {
                   <TouchableOpacity
                     style={styles.quantityBtn}
                     onPress={() =>
-                      updateQuantity(item.product._id, item.quantity - 1)
+                      updateQuantity(getItemKey(item), item.quantity - 1)
                     }
                   >
                     <Ionicons name="remove" size={18} color="#4A90A4" />
@@ -136,14 +139,14 @@ const CartScreen = ({ navigation }) => {
                   <TouchableOpacity
                     style={styles.quantityBtn}
                     onPress={() =>
-                      updateQuantity(item.product._id, item.quantity + 1)
+                      updateQuantity(getItemKey(item), item.quantity + 1)
                     }
                   >
                     <Ionicons name="add" size={18} color="#4A90A4" />
                   </TouchableOpacity>
                 </View>
                 <Text style={styles.itemTotal}>
-                  {formatPrice(item.product.price * item.quantity)}
+                  {formatPrice(getItemPrice(item) * item.quantity)}
                 </Text>
               </View>
             </View>
@@ -151,7 +154,7 @@ const CartScreen = ({ navigation }) => {
             {/* Remove Button */}
             <TouchableOpacity
               style={styles.removeBtn}
-              onPress={() => handleRemoveItem(item.product._id, item.product.name)}
+              onPress={() => handleRemoveItem(getItemKey(item), item.product.name)}
             >
               <Ionicons name="trash-outline" size={20} color="#FF6B6B" />
             </TouchableOpacity>
@@ -273,6 +276,11 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 4,
   },
+  itemVariant: {
+    fontSize: 12,
+    color: '#4A90A4',
+    marginBottom: 2,
+  },
   itemSeller: {
     fontSize: 12,
     color: '#888',
@@ -11,7 +11,7 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
-import { useCart } from '../../context/CartContext';
+import { useCart, getItemPrice } from '../../context/CartContext';
 import { useAuth } from '../../context/AuthContext';
 import { orderService, deliveryService, paymentService } from '../../services/api';
 import { formatPrice, getPhoneNetwork, isValidUgandaPhone } from '../../utils/helpers';
@@ -76,7 +76,7 @@ const PAYMENT_METHODS = [
 ];
 
 const CheckoutScreen = ({ navigation }) => {
-  const { items, subtotal, clearCart } = useCart();
+  const { items, subtotal, clearCart, getItemsBySeller } = useCart();
   const { user, isAuthenticated } = useAuth();
   
   const [currentStep, setCurrentStep] = useState(1);
@@ -178,14 +178,19 @@ const CheckoutScreen = ({ navigation }) => {
 
     setIsLoading(true);
     try {
-      // Prepare order data
+      // Prepare order data - the server creates one order per seller
       const orderData = {
         items: items.map((item) => ({
-          product: item.product._id,
+          productId: item.product._id,
+          variantId: item.variant?._id,
           quantity: item.quantity,
-          price: item.product.price,
+          price: getItemPrice(item),
         })),
         shippingAddress: address,
+        deliveries: getItemsBySeller().map((group) => ({
+          businessId: group.seller?._id,
+          method: selectedDelivery,
+        })),
         deliveryMethod: selectedDelivery,
         deliveryFee,
         paymentMethod: selectedPayment,
@@ -203,7 +208,11 @@ const CheckoutScreen = ({ navigation }) => {
       await clearCart();
 
       // Navigate to success
-      navigation.replace('OrderSuccess', { order: response.order });
+      navigation.replace('OrderSuccess', {
+        order: response.orders?.[0],
+        orders: response.orders,
+        checkoutGroup: response.checkoutGroup,
+      });
     } catch (error) {
       console.log('Checkout error:', error);
       Alert.alert(
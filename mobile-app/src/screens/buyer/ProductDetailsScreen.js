@@ -31,6 +31,7 @@ const ProductDetailsScreen = ({ route, navigation }) => {
   const [selectedImageIndex, setSelectedImageIndex] = useState(0);
   const [isWishlisted, setIsWishlisted] = useState(false);
   const [quantity, setQuantity] = useState(1);
+  const [selectedOptions, setSelectedOptions] = useState({});
 
   useEffect(() => {
     if (!initialProduct || !initialProduct.description) {
@@ -51,25 +52,85 @@ const ProductDetailsScreen = ({ route, navigation }) => {
     }
   };
 
-  const inCart = product ? isInCart(product._id) : false;
-  const cartQuantity = product ? getItemQuantity(product._id) : 0;
+  // Variant matching every chosen option value
+  const hasVariants = product?.variants?.length > 0;
+  const selectedVariant = hasVariants
+    ? product.variants.find((variant) =>
+        product.options.every((option) =>
+          variant.optionValues.some(
+            (o) => o.name === option.name && o.value === selectedOptions[option.name]
+          )
+        )
+      )
+    : null;
+  const displayPrice = selectedVariant?.price ?? product?.price;
+  const availableStock = hasVariants
+    ? selectedVariant?.isAvailable
+      ? selectedVariant.stock
+      : 0
+    : product?.stock;
+
+  const inCart = product ? isInCart(product._id, selectedVariant?._id) : false;
+  const cartQuantity = product ? getItemQuantity(product._id, selectedVariant?._id) : 0;
+
+  // Grey out values that no in-stock variant offers
+  const isOptionValueAvailable = (optionName, value) =>
+    product.variants.some(
+      (variant) =>
+        variant.isAvailable &&
+        variant.stock > 0 &&
+        variant.optionValues.some((o) => o.name === optionName && o.value === value)
+    );
+
+  const handleSelectOption = (optionName, value) => {
+    setSelectedOptions({ ...selectedOptions, [optionName]: value });
+    setQuantity(1);
+  };
 
   const getImageUri = (image) => {
     if (image?.startsWith('http')) return image;
     return `${config.API_URL}/${image}`;
   };
 
-  const images = product?.images?.length > 0
+  const productImages = product?.images?.length > 0
     ? product.images
     : ['https://via.placeholder.com/400x400?text=No+Image'];
+  const images = selectedVariant?.image
+    ? [selectedVariant.image, ...productImages]
+    : productImages;
+
+  // Cart lines carry the chosen variant so checkout can price and reserve it
+  const getCartVariant = () =>
+    selectedVariant
+      ? {
+          _id: selectedVariant._id,
+          label: selectedVariant.label,
+          sku: selectedVariant.sku,
+          price: displayPrice,
+          image: selectedVariant.image,
+        }
+      : null;
+
+  const ensureVariantSelected = () => {
+    if (hasVariants && !selectedVariant) {
+      Alert.alert(
+        'Select Options',
+        `Please choose ${product.options.map((o) => o.name).join(' and ')}`
+      );
+      return false;
+    }
+    return true;
+  };
 
   const handleAddToCart = () => {
-    addToCart(product, quantity, product.business);
+    if (!ensureVariantSelected()) return;
+    addToCart(product, quantity, product.businessId, getCartVariant());
   };
 
   const handleBuyNow = () => {
+    if (!ensureVariantSelected()) return;
     if (!inCart) {
-      addToCart(product, quantity, product.business);
+      addToCart(product, quantity, product.businessId, getCartVariant());
     }
     navigation.navigate('Cart');
   };
@@ -122,7 +183,8 @@ const ProductDetailsScreen = ({ route, navigation }) => {
       navigation.navigate('Login');
       return;
     }
-    navigation.navigate('MakeOffer', { product });
+    if (!ensureVariantSelected()) return;
+    navigation.navigate('MakeOffer', { product, variant: getCartVariant() });
   };
 
   if (isLoading || !product) {
@@ -254,21 +316,63 @@ const ProductDetailsScreen = ({ route, navigation }) => {
 
           {/* Price */}
           <View style={styles.priceContainer}>
-            <Text style={styles.price}>{formatPrice(product.price)}</Text>
-            {product.compareAtPrice > product.price && (
+            <Text style={styles.price}>{formatPrice(displayPrice)}</Text>
+            {product.compareAtPrice > displayPrice && (
               <Text style={styles.oldPrice}>
                 {formatPrice(product.compareAtPrice)}
               </Text>
             )}
           </View>
 
+          {/* Options (size, colour, storage...) */}
+          {hasVariants &&
+            product.options.map((option) => (
+              <View key={option.name} style={styles.optionGroup}>
+                <Text style={styles.optionName}>
+                  {option.name}
+                  {selectedOptions[option.name] ? `: ${selectedOptions[option.name]}` : ''}
+                </Text>
+                <View style={styles.optionValues}>
+                  {option.values.map((value) => {
+                    const isSelected = selectedOptions[option.name] === value;
+                    const isAvailable = isOptionValueAvailable(option.name, value);
+                    return (
+                      <TouchableOpacity
+                        key={value}
+                        style={[
+                          styles.optionChip,
+                          isSelected && styles.optionChipSelected,
+                          !isAvailable && styles.optionChipDisabled,
+                        ]}
+                        onPress={() => handleSelectOption(option.name, value)}
+                        disabled={!isAvailable}
+                      >
+                        <Text
+                          style={[
+                            styles.optionChipText,
+                            isSelected && styles.optionChipTextSelected,
+                          ]}
+                        >
+                          {value}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            ))}
+
           {/* Stock Status */}
           <View style={styles.stockContainer}>
-            {product.stock > 0 ? (
+            {hasVariants && !selectedVariant && product.stock > 0 ? (
+              <Text style={styles.selectOptionsText}>
+                Select {product.options.map((o) => o.name.toLowerCase()).join(' and ')} to see availability
+              </Text>
+            ) : availableStock > 0 ? (
               <>
                 <Ionicons name="checkmark-circle" size={18} color="#4CAF50" />
                 <Text style={styles.inStock}>
-                  In Stock ({product.stock} available)
+                  In Stock ({availableStock} available)
                 </Text>
               </>
             ) : (
@@ -358,7 +462,7 @@ const ProductDetailsScreen = ({ route, navigation }) => {
             <Text style={styles.quantityText}>{quantity}</Text>
             <TouchableOpacity
               style={styles.quantityBtn}
-              onPress={() => setQuantity(Math.min(product.stock, quantity + 1))}
+              onPress={() => setQuantity(Math.min(availableStock || 1, quantity + 1))}
             >
               <Ionicons name="add" size={20} color="#4A90A4" />
             </TouchableOpacity>
@@ -524,6 +628,47 @@ const styles = StyleSheet.create({
     color: '#FF6B6B',
     marginLeft: 6,
   },
+  optionGroup: {
+    marginBottom: 12,
+  },
+  optionName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  optionValues: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  optionChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#DDD',
+    backgroundColor: '#fff',
+  },
+  optionChipSelected: {
+    borderColor: '#4A90A4',
+    backgroundColor: '#E8F4F8',
+  },
+  optionChipDisabled: {
+    opacity: 0.4,
+  },
+  optionChipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  optionChipTextSelected: {
+    color: '#4A90A4',
+    fontWeight: '600',
+  },
+  selectOptionsText: {
+    fontSize: 14,
+    color: '#888',
+  },
   sellerCard: {
     flexDirection: 'row',
     alignItems: 'center',
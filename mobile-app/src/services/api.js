@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { Platform } from 'react-native';
 import * as SecureStore from 'expo-secure-store';
 import config from '../config/api';
 
@@ -29,19 +30,79 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor - handle errors
+// Save tokens and user after login/register
+const saveSession = async (data, user, userType) => {
+  await SecureStore.setItemAsync('userToken', data.token);
+  await SecureStore.setItemAsync('refreshToken', data.refreshToken);
+  await SecureStore.setItemAsync('userData', JSON.stringify(user));
+  await SecureStore.setItemAsync('userType', userType);
+};
+
+const clearSession = async () => {
+  await SecureStore.deleteItemAsync('userToken');
+  await SecureStore.deleteItemAsync('refreshToken');
+  await SecureStore.deleteItemAsync('userData');
+  await SecureStore.deleteItemAsync('userType');
+};
+
+// Called when the session can't be refreshed (AuthContext logs the user out)
+let onSessionExpired = null;
+export const setSessionExpiredHandler = (handler) => {
+  onSessionExpired = handler;
+};
+
+// Only one refresh at a time - each refresh token works once
+let refreshPromise = null;
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await SecureStore.getItemAsync('refreshToken');
+      if (!refreshToken) throw new Error('No refresh token');
+
+      const response = await axios.post(`${config.API_URL}/api/sessions/refresh`, {
+        refreshToken,
+      });
+      await SecureStore.setItemAsync('userToken', response.data.token);
+      await SecureStore.setItemAsync('refreshToken', response.data.refreshToken);
+      return response.data.token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// Response interceptor - refresh expired access tokens and retry once
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      SecureStore.deleteItemAsync('userToken');
-      SecureStore.deleteItemAsync('userData');
+  async (error) => {
+    const request = error.config;
+    if (error.response?.status !== 401 || !request || request._retry) {
+      return Promise.reject(error);
+    }
+
+    const hadSession = !!(await SecureStore.getItemAsync('refreshToken'));
+    if (!hadSession) {
+      return Promise.reject(error);
+    }
+
+    request._retry = true;
+    try {
+      const token = await refreshAccessToken();
+      request.headers.Authorization = `Bearer ${token}`;
+      return api(request);
+    } catch (refreshError) {
+      // Refresh token expired or revoked - sign out
+      await clearSession();
+      if (onSessionExpired) onSessionExpired();
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
+// Identifies this device in the "my sessions" list
+const deviceInfo = () => ({ platform: Platform.OS });
+
 // ============================================
 // AUTH SERVICES
 // ============================================
@@ -49,53 +110,48 @@ api.interceptors.response.use(
 export const authService = {
   // Buyer login
   buyerLogin: async (email, password) => {
-    const response = await api.post('/api/buyer/login', { email, password });
+    const response = await api.post('/api/buyer/login', { email, password, ...deviceInfo() });
     if (response.data.token) {
-      await SecureStore.setItemAsync('userToken', response.data.token);
-      await SecureStore.setItemAsync('userData', JSON.stringify(response.data.buyer));
-      await SecureStore.setItemAsync('userType', 'buyer');
+      await saveSession(response.data, response.data.user, 'buyer');
     }
     return response.data;
   },
 
   // Buyer register
   buyerRegister: async (userData) => {
-    const response = await api.post('/api/buyer/register', userData);
+    const response = await api.post('/api/buyer/register', { ...userData, ...deviceInfo() });
     if (response.data.token) {
-      await SecureStore.setItemAsync('userToken', response.data.token);
-      await SecureStore.setItemAsync('userData', JSON.stringify(response.data.buyer));
-      await SecureStore.setItemAsync('userType', 'buyer');
+      await saveSession(response.data, response.data.user, 'buyer');
     }
     return response.data;
   },
 
   // Seller login
   sellerLogin: async (email, password) => {
-    const response = await api.post('/api/auth/login', { email, password });
+    const response = await api.post('/api/auth/login', { email, password, ...deviceInfo() });
     if (response.data.token) {
-      await SecureStore.setItemAsync('userToken', response.data.token);
-      await SecureStore.setItemAsync('userData', JSON.stringify(response.data.user));
-      await SecureStore.setItemAsync('userType', 'seller');
+      await saveSession(response.data, response.data.user, 'seller');
     }
     return response.data;
   },
 
   // Seller register
   sellerRegister: async (userData) => {
-    const response = await api.post('/api/auth/register', userData);
+    const response = await api.post('/api/auth/register', { ...userData, ...deviceInfo() });
     if (response.data.token) {
-      await SecureStore.setItemAsync('userToken', response.data.token);
-      await SecureStore.setItemAsync('userData', JSON.stringify(response.data.user));
-      await SecureStore.setItemAsync('userType', 'seller');
+      await saveSession(response.data, response.data.user, 'seller');
     }
     return response.data;
   },
 
-  // Logout
-  logout: async () => {
-    await SecureStore.deleteItemAsync('userToken');
-    await SecureStore.deleteItemAsync('userData');
-    await SecureStore.deleteItemAsync('userType');
+  // Logout - end the session on the server, then forget it locally
+  logout: async (allDevices = false) => {
+    try {
+      await api.post('/api/sessions/logout', { allDevices: allDevices === true });
+    } catch (error) {
+      console.log('Error ending session:', error);
+    }
+    await clearSession();
   },
 
   // Get current user
@@ -115,6 +171,30 @@ export const authService = {
   },
 };
 
+// ============================================
+// SESSION SERVICES
+// ============================================
+
+export const sessionService = {
+  // Devices signed in to this account
+  getSessions: async () => {
+    const response = await api.get('/api/sessions');
+    return response.data;
+  },
+
+  // Sign out one device
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/api/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  // Sign out every other device
+  revokeOtherSessions: async () => {
+    const response = await api.delete('/api/sessions');
+    return response.data;
+  },
+};
+
 // ============================================
 // MARKETPLACE SERVICES
 // ============================================
@@ -241,6 +321,12 @@ export const orderService = {
     const response = await api.get(`/api/checkout/track/${orderId}`);
     return response.data;
   },
+
+  // Get a multi-seller checkout with its per-seller orders
+  getCheckoutGroup: async (groupId) => {
+    const response = await api.get(`/api/checkout/groups/${groupId}`);
+    return response.data;
+  },
 };
 
 // ============================================
@@ -2,6 +2,11 @@ const mongoose = require("mongoose");
 
 const businessSchema = new mongoose.Schema(
   {
+    // Owner account (set on registration)
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     name: {
       type: String,
       required: [true, "Business name is required"],
@@ -30,6 +35,14 @@ const businessSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Where riders collect orders - delivery distance and fees are measured from here
+    pickupLocation: {
+      address: { type: String, default: "" },
+      coordinates: {
+        lat: { type: Number, min: -90, max: 90 },
+        lng: { type: Number, min: -180, max: 180 },
+      },
+    },
     description: {
       type: String,
       default: "",
@@ -42,6 +55,31 @@ const businessSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Chat auto-responder
+    chatSettings: {
+      // IANA zone the business hours are in
+      timezone: { type: String, default: "Africa/Kampala" },
+      // Opening hours per weekday (0 = Sunday), "HH:mm" 24h. Empty = always open.
+      businessHours: [
+        {
+          _id: false,
+          day: { type: Number, min: 0, max: 6, required: true },
+          open: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true },
+          close: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true },
+        },
+      ],
+      // Sent once to customers who write while the business is closed
+      awayMessage: {
+        enabled: { type: Boolean, default: false },
+        text: {
+          type: String,
+          maxlength: 1000,
+          default: "Thanks for your message! We're closed right now and will reply when we open.",
+        },
+      },
+      // Answer "is it available?" with the product's live stock
+      autoAnswerAvailability: { type: Boolean, default: false },
+    },
   },
   { timestamps: true }
 );
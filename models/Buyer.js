@@ -8,21 +8,36 @@ const buyerSchema = new mongoose.Schema(
       required: [true, "Name is required"],
       trim: true,
     },
+    // Phone-only buyers (OTP login) have no email or password
     email: {
       type: String,
-      required: [true, "Email is required"],
+      required: [
+        function () {
+          return !this.phone;
+        },
+        "Email is required",
+      ],
       unique: true,
+      sparse: true,
       lowercase: true,
     },
     password: {
       type: String,
-      required: [true, "Password is required"],
+      required: [
+        function () {
+          return !this.phone;
+        },
+        "Password is required",
+      ],
       minlength: 6,
     },
     phone: {
       type: String,
       default: "",
     },
+    phoneVerifiedAt: {
+      type: Date,
+    },
     avatar: {
       type: String,
       default: "",
@@ -95,6 +110,18 @@ const buyerSchema = new mongoose.Schema(
       messages: { type: Boolean, default: true },
       orderUpdates: { type: Boolean, default: true },
       promotions: { type: Boolean, default: false },
+      backInStock: { type: Boolean, default: true },
+      // Marketing notifications wait until the quiet period ends (buyer's local time)
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: "22:00" },
+        end: { type: String, default: "07:00" },
+      },
+    },
+    // IANA timezone used for quiet hours
+    timezone: {
+      type: String,
+      default: "Africa/Kampala",
     },
     isVerified: {
       type: Boolean,
@@ -112,15 +139,17 @@ const buyerSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+buyerSchema.index({ phone: 1 });
+
 // Hash password before saving
-buyerSchema.pre("save", async function (next) {
-  if (!this.isModified("password")) return next();
+buyerSchema.pre("save", async function () {
+  if (!this.isModified("password") || !this.password) return;
   this.password = await bcrypt.hash(this.password, 12);
-  next();
 });
 
 // Compare password method
 buyerSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -237,4 +266,18 @@ buyerSchema.methods.isInterestedIn = function (category) {
   return interest && interest.score >= 2;
 };
 
+// Link guest orders and chats placed with any of these phone numbers
+buyerSchema.methods.claimGuestRecords = async function (phoneNumbers) {
+  const Order = require("./Order");
+  const Conversation = require("./Conversation");
+  const filter = { buyerId: null, customerPhone: { $in: phoneNumbers } };
+
+  const [orders, conversations] = await Promise.all([
+    Order.updateMany(filter, { buyerId: this._id }),
+    Conversation.updateMany(filter, { buyerId: this._id }),
+  ]);
+
+  return { orders: orders.modifiedCount, conversations: conversations.modifiedCount };
+};
+
 module.exports = mongoose.model("Buyer", buyerSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+/**
+ * Chat Block Model
+ * One side of a business/customer pair refusing messages from the other.
+ * Sellers block a customer (by buyer account and phone number, so guests
+ * stay blocked); buyers block a business. Either way neither side can send
+ * until the blocker lifts it.
+ */
+const chatBlockSchema = new mongoose.Schema(
+  {
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+    buyerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Buyer",
+    },
+    customerPhone: {
+      type: String,
+    },
+    blockedBy: {
+      type: String,
+      enum: ["business", "buyer"],
+      required: true,
+    },
+    // User (seller staff) or Buyer who blocked
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: "",
+      maxlength: 500,
+    },
+  },
+  { timestamps: true }
+);
+
+chatBlockSchema.index({ businessId: 1, buyerId: 1 });
+chatBlockSchema.index({ businessId: 1, customerPhone: 1 });
+
+module.exports = mongoose.model("ChatBlock", chatBlockSchema);
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+/**
+ * Chat Report Model
+ * A conversation waiting for admin moderation - reported by the seller or
+ * buyer, or raised automatically when messages trip the spam heuristics
+ * (reporterType "system", one open report per conversation).
+ */
+const chatReportSchema = new mongoose.Schema(
+  {
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+    reporterType: {
+      type: String,
+      enum: ["business", "buyer", "system"],
+      required: true,
+    },
+    // User (seller staff) or Buyer; empty for system reports
+    reporterId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    reason: {
+      type: String,
+      enum: ["spam", "harassment", "scam", "inappropriate", "other"],
+      required: true,
+    },
+    details: {
+      type: String,
+      default: "",
+      maxlength: 1000,
+    },
+    // Spam heuristics that fired (system reports)
+    flags: [
+      {
+        type: String,
+        enum: ["links", "phone_harvesting", "duplicate"],
+      },
+    ],
+    // Messages the report is about
+    messageIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Message",
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["open", "resolved", "dismissed"],
+      default: "open",
+    },
+    resolution: {
+      note: { type: String, default: "" },
+      conversationClosed: { type: Boolean, default: false },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+      reviewedAt: { type: Date },
+    },
+  },
+  { timestamps: true }
+);
+
+chatReportSchema.index({ status: 1, createdAt: -1 });
+chatReportSchema.index({ conversationId: 1, reporterType: 1, status: 1 });
+
+module.exports = mongoose.model("ChatReport", chatReportSchema);
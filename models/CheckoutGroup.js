@@ -0,0 +1,130 @@
+const mongoose = require("mongoose");
+
+/**
+ * Checkout Group Model
+ * Parent record for a single buyer checkout that spans several sellers.
+ * Each seller gets its own Order (and Payment split), while the buyer pays once.
+ */
+const checkoutGroupSchema = new mongoose.Schema(
+  {
+    buyerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Buyer",
+      required: true,
+    },
+    groupNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // One sub-order per business
+    orders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+
+    // Combined totals across all sub-orders
+    pricing: {
+      subtotal: { type: Number, default: 0 },
+      deliveryFee: { type: Number, default: 0 },
+      serviceFee: { type: Number, default: 0 },
+      discount: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+    },
+    currency: {
+      type: String,
+      default: "UGX",
+    },
+    promoCodes: [
+      {
+        type: String,
+      },
+    ],
+
+    // Single buyer-facing payment covering every sub-order
+    payment: {
+      method: { type: String, default: "" },
+      status: {
+        type: String,
+        enum: ["pending", "processing", "partially_paid", "paid", "failed", "refunded"],
+        default: "pending",
+      },
+      transactionRef: { type: String, default: "" },
+    },
+
+    // Derived from the sub-orders' own lifecycles
+    status: {
+      type: String,
+      enum: ["pending", "confirmed", "partially_fulfilled", "completed", "cancelled"],
+      default: "pending",
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes
+checkoutGroupSchema.index({ buyerId: 1, createdAt: -1 });
+
+// Generate a human readable group number
+checkoutGroupSchema.statics.generateGroupNumber = function () {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+  return `GRP-${timestamp}-${random}`;
+};
+
+/**
+ * Recompute group payment and fulfilment status from its sub-orders.
+ * Called whenever a sub-order's payment or status changes.
+ */
+checkoutGroupSchema.statics.refreshStatus = async function (groupId) {
+  const Order = require("./Order");
+  const Payment = require("./Payment");
+
+  const group = await this.findById(groupId);
+  if (!group) return null;
+
+  const [orders, payments] = await Promise.all([
+    Order.find({ _id: { $in: group.orders } }).select("status"),
+    Payment.find({ checkoutGroupId: group._id }).select("status"),
+  ]);
+
+  // Payment status
+  const paidStatuses = ["successful", "held_in_escrow", "released"];
+  const paidCount = payments.filter((p) => paidStatuses.includes(p.status)).length;
+  const failedCount = payments.filter((p) => p.status === "failed").length;
+  const refundedCount = payments.filter((p) => p.status === "refunded").length;
+
+  if (payments.length > 0 && refundedCount === payments.length) {
+    group.payment.status = "refunded";
+  } else if (payments.length > 0 && paidCount === payments.length) {
+    group.payment.status = "paid";
+  } else if (paidCount > 0) {
+    group.payment.status = "partially_paid";
+  } else if (payments.length > 0 && failedCount === payments.length) {
+    group.payment.status = "failed";
+  }
+
+  // Fulfilment status
+  const active = orders.filter((o) => !["cancelled", "refunded"].includes(o.status));
+  const fulfilled = active.filter((o) => ["delivered", "completed"].includes(o.status));
+
+  if (orders.length > 0 && active.length === 0) {
+    group.status = "cancelled";
+  } else if (active.length > 0 && fulfilled.length === active.length) {
+    group.status = "completed";
+  } else if (fulfilled.length > 0) {
+    group.status = "partially_fulfilled";
+  } else if (active.some((o) => o.status !== "pending")) {
+    group.status = "confirmed";
+  } else {
+    group.status = "pending";
+  }
+
+  await group.save();
+  return group;
+};
+
+module.exports = mongoose.model("CheckoutGroup", checkoutGroupSchema);
@@ -50,6 +50,11 @@ const conversationSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Last away message sent to the customer (one per away period)
+    awayReplySentAt: {
+      type: Date,
+      default: null,
+    },
     // Archive status
     archivedByBusiness: {
       type: Boolean,
@@ -68,4 +73,15 @@ conversationSchema.index({ businessId: 1, lastMessageAt: -1 });
 conversationSchema.index({ buyerId: 1, lastMessageAt: -1 });
 conversationSchema.index({ customerPhone: 1, businessId: 1 });
 
+// Whether a signed-in user ({ type, id, businessId }) takes part in this chat
+conversationSchema.methods.hasParticipant = function (user) {
+  if (user.type === "seller") {
+    return !!user.businessId && this.businessId.toString() === user.businessId;
+  }
+  if (user.type === "buyer") {
+    return !!this.buyerId && this.buyerId.toString() === user.id;
+  }
+  return false;
+};
+
 module.exports = mongoose.model("Conversation", conversationSchema);
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+// How long a rider has to accept a job before the offer lapses
+const OFFER_MINUTES = parseInt(process.env.RIDER_JOB_OFFER_MINUTES) || 10;
+
+/**
+ * Delivery Job Model
+ * One order offered to one platform rider. The rider accepts or declines;
+ * an accepted job follows the parcel through pickup and drop-off and
+ * records what the rider earned. An order can have several declined or
+ * expired jobs but only one open job at a time.
+ */
+const deliveryJobSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    riderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Rider",
+      required: true,
+    },
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: [
+        "offered",    // Waiting for the rider
+        "accepted",   // Rider is heading to the seller
+        "picked_up",  // Parcel is with the rider
+        "delivered",  // Dropped off - earnings paid
+        "declined",   // Rider said no
+        "expired",    // Rider did not answer in time
+        "cancelled",  // Seller or admin called it off
+      ],
+      default: "offered",
+    },
+    offeredBy: {
+      type: String,
+      enum: ["seller", "system"],
+      default: "seller",
+    },
+
+    // What the rider earns for the drop-off (the order's delivery fee)
+    earnings: {
+      type: Number,
+      default: 0,
+    },
+
+    offeredAt: { type: Date, default: Date.now },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + OFFER_MINUTES * 60 * 1000),
+    },
+    respondedAt: { type: Date },
+    declineReason: { type: String, default: "", maxlength: 300 },
+    pickedUpAt: { type: Date },
+    deliveredAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+deliveryJobSchema.index({ riderId: 1, status: 1, createdAt: -1 });
+deliveryJobSchema.index({ orderId: 1, status: 1 });
+deliveryJobSchema.index({ riderId: 1, deliveredAt: -1 }); // Earnings
+
+module.exports = mongoose.model("DeliveryJob", deliveryJobSchema);
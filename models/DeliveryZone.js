@@ -2,7 +2,13 @@ const mongoose = require("mongoose");
 
 /**
  * Delivery Zone Model
- * Defines delivery areas, fees, and availability for sellers
+ * Defines delivery areas, fees, and availability for sellers.
+ * Coverage by type:
+ *   polygon - the buyer's coordinates fall inside `area` (GeoJSON Polygon)
+ *   radius  - the buyer is within `radius.distance` km of `radius.center`
+ *   city / region - the address city / state is listed in `areas`
+ *   custom  - everywhere (fees only)
+ * Matching and distance-based fees live in services/deliveryZones.
  */
 const deliveryZoneSchema = new mongoose.Schema(
   {
@@ -20,7 +26,7 @@ const deliveryZoneSchema = new mongoose.Schema(
     // Zone type
     type: {
       type: String,
-      enum: ["radius", "city", "region", "custom"],
+      enum: ["polygon", "radius", "city", "region", "custom"],
       default: "city",
     },
     // For radius-based zones
@@ -29,7 +35,17 @@ const deliveryZoneSchema = new mongoose.Schema(
         lat: { type: Number },
         lng: { type: Number },
       },
-      distance: { type: Number }, // in km
+      distance: { type: Number, min: 0 }, // in km
+    },
+    // radius.center as GeoJSON ([lng, lat]) - set on validate, used for matching
+    centerPoint: {
+      type: { type: String, enum: ["Point"] },
+      coordinates: { type: [Number], default: undefined },
+    },
+    // For polygon zones - a GeoJSON Polygon ([[[lng, lat], ...]], first point repeated last)
+    area: {
+      type: { type: String, enum: ["Polygon"] },
+      coordinates: { type: [[[Number]]], default: undefined },
     },
     // Cities/areas covered
     areas: [
@@ -45,11 +61,13 @@ const deliveryZoneSchema = new mongoose.Schema(
         enabled: { type: Boolean, default: false },
         baseFee: { type: Number, default: 0 },
         perKmFee: { type: Number, default: 0 },
+        freeAbove: { type: Number, default: 0 },
       },
       faras: {
         enabled: { type: Boolean, default: false },
         baseFee: { type: Number, default: 0 },
         perKmFee: { type: Number, default: 0 },
+        freeAbove: { type: Number, default: 0 },
       },
       personal: {
         enabled: { type: Boolean, default: true },
@@ -88,6 +106,48 @@ const deliveryZoneSchema = new mongoose.Schema(
 
 // Index for quick lookup
 deliveryZoneSchema.index({ businessId: 1, isActive: 1 });
+deliveryZoneSchema.index({ area: "2dsphere" });
+deliveryZoneSchema.index({ centerPoint: "2dsphere" });
+
+const validPoint = (point) =>
+  Number.isFinite(point?.lat) &&
+  Number.isFinite(point?.lng) &&
+  Math.abs(point.lat) <= 90 &&
+  Math.abs(point.lng) <= 180;
+
+// Geometry the zone type needs; keeps centerPoint in step with radius.center
+deliveryZoneSchema.pre("validate", function () {
+  if (this.type === "radius") {
+    if (!validPoint(this.radius?.center) || !(this.radius.distance > 0)) {
+      this.invalidate("radius", "Radius zones need radius.center { lat, lng } and radius.distance (km)");
+    } else {
+      const { lat, lng } = this.radius.center;
+      this.centerPoint = { type: "Point", coordinates: [lng, lat] };
+    }
+  } else {
+    this.centerPoint = undefined;
+  }
+
+  if (this.type === "polygon") {
+    const ring = this.area?.coordinates?.[0];
+    const points = (ring || []).map(([lng, lat]) => ({ lat, lng }));
+    if (this.area?.type !== "Polygon" || points.length < 3 || !points.every(validPoint)) {
+      this.invalidate(
+        "area",
+        "Polygon zones need area { type: \"Polygon\", coordinates: [[[lng, lat], ...]] } with at least 3 points"
+      );
+    } else {
+      // GeoJSON rings end where they start
+      const [first, last] = [ring[0], ring[ring.length - 1]];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        this.area.coordinates[0].push([...first]);
+        this.markModified("area.coordinates");
+      }
+    }
+  } else if (this.area?.coordinates) {
+    this.area = undefined;
+  }
+});
 
 // Calculate delivery fee for an order
 deliveryZoneSchema.methods.calculateDeliveryFee = function (method, distance, orderTotal) {
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+/**
+ * Dispute Model
+ * A buyer's claim against an escrow payment. Opening one freezes the escrow
+ * (escrow.status "disputed") so it is not auto-released; the seller answers
+ * with their side and an admin settles it by releasing the money, refunding
+ * it, or splitting it between the two.
+ */
+const disputeSchema = new mongoose.Schema(
+  {
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    buyerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Buyer",
+      required: true,
+    },
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      enum: ["not_received", "not_as_described", "damaged", "wrong_item", "counterfeit", "other"],
+      required: [true, "Reason is required"],
+    },
+    description: {
+      type: String,
+      required: [true, "Describe the problem"],
+      trim: true,
+      maxlength: 2000,
+    },
+    // Uploaded image URLs
+    evidence: [{ type: String }],
+
+    sellerResponse: {
+      message: { type: String, trim: true, maxlength: 2000 },
+      evidence: [{ type: String }],
+      respondedAt: { type: Date },
+    },
+
+    status: {
+      type: String,
+      enum: [
+        "open",       // Waiting for the seller
+        "responded",  // Seller has answered - waiting for an admin
+        "resolved",   // Settled by an admin
+      ],
+      default: "open",
+    },
+
+    resolution: {
+      outcome: {
+        type: String,
+        enum: ["release", "refund", "split"],
+      },
+      refundAmount: { type: Number, default: 0 },
+      sellerAmount: { type: Number, default: 0 },
+      note: { type: String, default: "" },
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Admin",
+      },
+      resolvedAt: { type: Date },
+    },
+  },
+  { timestamps: true }
+);
+
+disputeSchema.index({ paymentId: 1 });
+disputeSchema.index({ buyerId: 1, createdAt: -1 });
+disputeSchema.index({ businessId: 1, status: 1 });
+disputeSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Dispute", disputeSchema);
@@ -20,16 +20,82 @@ const messageSchema = new mongoose.Schema(
       enum: ["business", "customer"],
       required: true,
     },
+    type: {
+      type: String,
+      enum: ["text", "image", "product", "offer", "location"],
+      default: "text",
+    },
+    // Text, or the caption of a rich message
     message: {
       type: String,
-      required: true,
+      required: [
+        function () {
+          return this.type === "text";
+        },
+        "Message is required",
+      ],
+      default: "",
+    },
+    // type "image" - files saved by the upload middleware
+    attachments: [
+      {
+        url: { type: String, required: true },
+        mimeType: { type: String, default: "" },
+        size: { type: Number, default: 0 },
+      },
+    ],
+    // type "product" - shared listing, rendered from the current Product
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    // type "offer" - live card for a negotiation between the two participants
+    offerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Offer",
+    },
+    // type "location" - dropped pin, e.g. for delivery
+    location: {
+      lat: { type: Number },
+      lng: { type: Number },
+      label: { type: String, default: "" },
     },
+    // sent → delivered (reached a device of the other side) → read
+    status: {
+      type: String,
+      enum: ["sent", "delivered", "read"],
+      default: "sent",
+    },
+    deliveredAt: {
+      type: Date,
+    },
+    readAt: {
+      type: Date,
+    },
+    // Kept in step with status === "read"
     isRead: {
       type: Boolean,
       default: false,
     },
+    // Spam heuristics this message tripped (still delivered, queued for moderation)
+    spamFlags: [
+      {
+        type: String,
+        enum: ["links", "phone_harvesting", "duplicate"],
+      },
+    ],
+    // Sent by the seller's auto-responder rather than a person
+    automated: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true }
 );
 
+messageSchema.index({ conversationId: 1, createdAt: 1 });
+messageSchema.index({ conversationId: 1, senderType: 1, status: 1 });
+messageSchema.index({ offerId: 1 }, { sparse: true });
+messageSchema.index({ message: "text" });
+
 module.exports = mongoose.model("Message", messageSchema);
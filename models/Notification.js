@@ -30,6 +30,22 @@ const notificationSchema = new mongoose.Schema(
         "new_product",      // When seller posts new product
         "new_inquiry",      // When buyer shows interest
         "followed_seller",  // When followed seller posts
+        "new_offer",        // Offer / negotiation updates
+        "offer_accepted",
+        "offer_rejected",
+        "counter_offer",
+        "offer_expiring",
+        "offer_expired",
+        "escrow_released",  // Escrow / disputes
+        "refund_processed",
+        "dispute_opened",
+        "dispute_response",
+        "dispute_resolved",
+        "payment_success",  // Payments
+        "payment_received",
+        "payment_failed",
+        "delivery_update",  // Delivery progress
+        "rider_info",
       ],
       required: true,
     },
@@ -48,7 +64,7 @@ const notificationSchema = new mongoose.Schema(
     },
     actionType: {
       type: String,
-      enum: ["product", "order", "chat", "profile", "external", "none"],
+      enum: ["product", "order", "chat", "offer", "dispute", "profile", "external", "none"],
       default: "none",
     },
     referenceId: {
@@ -70,12 +86,45 @@ const notificationSchema = new mongoose.Schema(
     pushSentAt: {
       type: Date,
     },
+    // Email / SMS copies (see services/notificationChannels)
+    emailSent: {
+      type: Boolean,
+      default: false,
+    },
+    emailSentAt: {
+      type: Date,
+    },
+    smsSent: {
+      type: Boolean,
+      default: false,
+    },
+    smsSentAt: {
+      type: Date,
+    },
+    // Outcome per device - receipts move "sent" to "delivered" or "failed"
+    pushDeliveries: [
+      {
+        _id: false,
+        token: { type: String, required: true },
+        platform: { type: String, default: "" },
+        status: {
+          type: String,
+          enum: ["sent", "delivered", "failed", "invalid"],
+          required: true,
+        },
+        receiptId: { type: String, default: null },
+        error: { type: String, default: "" },
+        attempts: { type: Number, default: 1 },
+        at: { type: Date, default: Date.now },
+      },
+    ],
   },
   { timestamps: true }
 );
 
 // Index for efficient queries
 notificationSchema.index({ recipientId: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ "pushDeliveries.status": 1, "pushDeliveries.at": 1 });
 
 // Static method to create notification
 notificationSchema.statics.notify = async function (data) {
@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+
+/**
+ * Notification Outbox Model
+ * Marketing-style buyer notifications (new products, price drops, back in
+ * stock, promotions) are queued here instead of being sent straight away.
+ * The outbox worker applies the buyer's preferences, quiet hours and daily
+ * cap, and collapses bursts of the same topic into one digest.
+ *
+ * pending → processing → sent       (delivered on its own)
+ *                      → digested   (delivered as part of a digest)
+ *                      → suppressed (preferences, inactive buyer, too old)
+ *                      → pending    (deferred by quiet hours or the daily cap)
+ */
+
+const outboxSchema = new mongoose.Schema(
+  {
+    buyerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Buyer",
+      required: true,
+    },
+    // Decides the preference flag and which entries can share a digest
+    topic: {
+      type: String,
+      enum: ["new_product", "price_drop", "back_in_stock", "promotion"],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // Short line used when the entry is folded into a digest
+    digestLine: {
+      type: String,
+      default: "",
+    },
+    actionType: {
+      type: String,
+      default: "none",
+    },
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Extra push payload data
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "sent", "digested", "suppressed"],
+      default: "pending",
+    },
+    sendAfter: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set when a worker claims the entry
+    claimId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    claimedAt: Date,
+    deferredReason: {
+      type: String,
+      default: "",
+    },
+    suppressedReason: {
+      type: String,
+      default: "",
+    },
+    // The in-app notification the entry ended up in
+    notificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+      default: null,
+    },
+    processedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Indexes
+outboxSchema.index({ status: 1, sendAfter: 1 });
+outboxSchema.index({ buyerId: 1, status: 1, topic: 1 });
+outboxSchema.index({ buyerId: 1, processedAt: -1 });
+outboxSchema.index({ claimId: 1 });
+
+module.exports = mongoose.model("NotificationOutbox", outboxSchema);
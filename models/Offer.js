@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 
+// How long the buyer has to check out at an accepted price
+const CHECKOUT_HOURS = parseInt(process.env.OFFER_CHECKOUT_HOURS) || 24;
+
 /**
  * Offer/Negotiation Model
  * Allows buyers to propose prices and negotiate with sellers
@@ -27,6 +30,16 @@ const offerSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Chosen variant for products with options
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    variantLabel: {
+      type: String,
+      default: "",
+    },
+
     // Original product price
     originalPrice: {
       type: Number,
@@ -84,17 +97,34 @@ const offerSchema = new mongoose.Schema(
         message: String,
         by: {
           type: String,
-          enum: ["buyer", "seller"],
+          enum: ["buyer", "seller", "system"],
+        },
+        // Offer rule that made this decision for the seller
+        ruleId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "OfferRule",
+          default: undefined,
         },
         timestamp: { type: Date, default: Date.now },
       },
     ],
 
-    // Expiration
+    // Expiration - the offer sweeper moves open offers to "expired" after this
     expiresAt: {
       type: Date,
       default: () => new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
     },
+    // Status the offer was in when the sweeper expired it
+    expiredFrom: {
+      type: String,
+      enum: [null, "pending", "countered", "accepted"],
+      default: null,
+    },
+    // "Expiring soon" reminder for the current expiresAt
+    reminderSentAt: {
+      type: Date,
+      default: null,
+    },
 
     // If accepted, reference to the order
     orderId: {
@@ -113,7 +143,8 @@ const offerSchema = new mongoose.Schema(
 offerSchema.index({ productId: 1, status: 1 });
 offerSchema.index({ buyerId: 1, status: 1 });
 offerSchema.index({ sellerId: 1, status: 1 });
-offerSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+offerSchema.index({ businessId: 1, createdAt: -1 });
+offerSchema.index({ status: 1, expiresAt: 1 }); // Expiry sweeper
 
 // Calculate discount percentage
 offerSchema.virtual("discountPercent").get(function () {
@@ -123,30 +154,36 @@ offerSchema.virtual("discountPercent").get(function () {
 });
 
 // Add to negotiation history
-offerSchema.methods.addHistory = function (action, price, message, by) {
-  this.history.push({ action, price, message, by, timestamp: new Date() });
+offerSchema.methods.addHistory = function (action, price, message, by, ruleId) {
+  this.history.push({ action, price, message, by, ruleId, timestamp: new Date() });
 };
 
-// Accept offer
-offerSchema.methods.accept = async function () {
+// Seller decisions made by an offer rule are recorded as system actions
+const seller = (ruleId) => (ruleId ? "system" : "seller");
+
+// Accept offer - the price is locked for CHECKOUT_HOURS
+offerSchema.methods.accept = async function ({ ruleId } = {}) {
   this.status = "accepted";
   this.respondedAt = new Date();
-  this.addHistory("accept", this.offerPrice, "Offer accepted", "seller");
+  this.expiresAt = new Date(Date.now() + CHECKOUT_HOURS * 60 * 60 * 1000);
+  this.reminderSentAt = null;
+  const note = ruleId ? "Offer accepted automatically" : "Offer accepted";
+  this.addHistory("accept", this.offerPrice, note, seller(ruleId), ruleId);
   await this.save();
   return this;
 };
 
 // Reject offer
-offerSchema.methods.reject = async function (message = "") {
+offerSchema.methods.reject = async function (message = "", { ruleId } = {}) {
   this.status = "rejected";
   this.respondedAt = new Date();
-  this.addHistory("reject", this.offerPrice, message || "Offer rejected", "seller");
+  this.addHistory("reject", this.offerPrice, message || "Offer rejected", seller(ruleId), ruleId);
   await this.save();
   return this;
 };
 
 // Counter offer
-offerSchema.methods.counter = async function (newPrice, message = "") {
+offerSchema.methods.counter = async function (newPrice, message = "", { ruleId } = {}) {
   this.status = "countered";
   this.counterOffer = {
     price: newPrice,
@@ -156,7 +193,8 @@ offerSchema.methods.counter = async function (newPrice, message = "") {
   this.respondedAt = new Date();
   // Extend expiration by 24 hours
   this.expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
-  this.addHistory("counter", newPrice, message, "seller");
+  this.reminderSentAt = null;
+  this.addHistory("counter", newPrice, message, seller(ruleId), ruleId);
   await this.save();
   return this;
 };
@@ -168,6 +206,8 @@ offerSchema.methods.acceptCounter = async function () {
   }
   this.offerPrice = this.counterOffer.price;
   this.status = "accepted";
+  this.expiresAt = new Date(Date.now() + CHECKOUT_HOURS * 60 * 60 * 1000);
+  this.reminderSentAt = null;
   this.addHistory("accept", this.counterOffer.price, "Counter offer accepted", "buyer");
   await this.save();
   return this;
@@ -190,4 +230,22 @@ offerSchema.methods.complete = async function (orderId) {
   return this;
 };
 
+// Take an accepted, unexpired offer for checkout - only one checkout can win it.
+// The order id is filled in by complete() once the order exists.
+offerSchema.statics.claimForCheckout = function (offerId, buyerId) {
+  return this.findOneAndUpdate(
+    { _id: offerId, buyerId, status: "accepted", expiresAt: { $gt: new Date() } },
+    { status: "completed", completedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Hand claimed offers back when checkout fails before their order is created
+offerSchema.statics.releaseClaims = function (offerIds) {
+  return this.updateMany(
+    { _id: { $in: offerIds }, status: "completed", orderId: null },
+    { status: "accepted", completedAt: null }
+  );
+};
+
 module.exports = mongoose.model("Offer", offerSchema);
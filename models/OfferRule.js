@@ -0,0 +1,138 @@
+const mongoose = require("mongoose");
+const Product = require("./Product");
+
+/**
+ * Offer Rule Model
+ * A seller's standing answer to offers, so lowball offers don't need a
+ * manual reply. A rule covers one product, one category or (scope
+ * "default") everything the business sells; the most specific active rule
+ * wins. Each price level is either a fixed UGX price or a percentage of the
+ * offered item's list price:
+ *   - offers at or above acceptAt are accepted
+ *   - offers below rejectBelow are declined with rejectMessage
+ *   - anything in between is countered at counterAt (acceptAt if unset)
+ * Messages can use {{productName}}, {{listPrice}}, {{offerPrice}},
+ * {{minimumPrice}} and {{counterPrice}}.
+ */
+const priceLevelSchema = new mongoose.Schema(
+  {
+    price: { type: Number, min: 1, default: null },
+    percent: { type: Number, min: 1, max: 100, default: null },
+  },
+  { _id: false }
+);
+
+const offerRuleSchema = new mongoose.Schema(
+  {
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+    scope: {
+      type: String,
+      enum: ["product", "category", "default"],
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    category: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+
+    acceptAt: { type: priceLevelSchema, default: () => ({}) },
+    rejectBelow: { type: priceLevelSchema, default: () => ({}) },
+    counterAt: { type: priceLevelSchema, default: () => ({}) },
+
+    rejectMessage: {
+      type: String,
+      maxlength: 500,
+      default: "Sorry, the lowest we can go on {{productName}} is {{minimumPrice}} UGX.",
+    },
+    counterMessage: {
+      type: String,
+      maxlength: 500,
+      default: "We can do {{counterPrice}} UGX for {{productName}}.",
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// One rule per product, per category and one default per business
+offerRuleSchema.index(
+  { businessId: 1, scope: 1, productId: 1, category: 1 },
+  { unique: true }
+);
+
+// Resolve a price level against a list price, or null when it is not set
+offerRuleSchema.statics.levelFor = function (level, listPrice) {
+  if (level?.price) return level.price;
+  if (level?.percent) return Math.round((listPrice * level.percent) / 100);
+  return null;
+};
+
+// Scope fields must match the scope, and the price levels must be in order
+offerRuleSchema.pre("validate", function () {
+  if (this.scope === "product") {
+    if (!this.productId) this.invalidate("productId", "A product rule needs a productId");
+    this.category = null;
+  } else if (this.scope === "category") {
+    const categories = Product.schema.path("category").enumValues;
+    if (!categories.includes(this.category)) {
+      this.invalidate("category", "Invalid category. Must be one of: " + categories.join(", "));
+    }
+    this.productId = null;
+  } else {
+    this.productId = null;
+    this.category = null;
+  }
+
+  const levels = ["acceptAt", "rejectBelow", "counterAt"];
+  for (const name of levels) {
+    const level = this[name];
+    if (level?.price && level?.percent) {
+      this.invalidate(name, `${name} takes either a price or a percent, not both`);
+      return;
+    }
+    // Fixed prices only make sense for a single product
+    if (level?.price && this.scope !== "product") {
+      this.invalidate(name, `${name} must be a percent for ${this.scope} rules`);
+      return;
+    }
+  }
+
+  if (levels.every((name) => this.constructor.levelFor(this[name], 100) === null)) {
+    this.invalidate("acceptAt", "Set at least one of acceptAt, rejectBelow or counterAt");
+    return;
+  }
+
+  // Comparable when they share a unit - mixed units are checked per offer
+  const sameUnit = (a, b) => (a.price ? "price" : "percent") === (b.price ? "price" : "percent");
+  const value = (level) => level.price || level.percent;
+  const set = (level) => Boolean(level?.price || level?.percent);
+  const { acceptAt, rejectBelow, counterAt } = this;
+
+  if (set(acceptAt) && set(rejectBelow) && sameUnit(acceptAt, rejectBelow)) {
+    if (value(rejectBelow) > value(acceptAt)) {
+      this.invalidate("rejectBelow", "rejectBelow cannot be above acceptAt");
+    }
+  }
+  if (set(counterAt) && set(rejectBelow) && sameUnit(counterAt, rejectBelow)) {
+    if (value(counterAt) < value(rejectBelow)) {
+      this.invalidate("counterAt", "counterAt cannot be below rejectBelow");
+    }
+  }
+});
+
+module.exports = mongoose.model("OfferRule", offerRuleSchema);
@@ -12,6 +12,12 @@ const orderSchema = new mongoose.Schema(
         },
         productName: String,
         productImage: String,
+        // Chosen variant for products with options
+        variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        variantLabel: { type: String, default: "" },
+        sku: { type: String, default: "" },
+        // Bought at an accepted offer's price
+        offerId: { type: mongoose.Schema.Types.ObjectId, ref: "Offer", default: null },
         quantity: { type: Number, min: 1, default: 1 },
         price: { type: Number, required: true },
         total: { type: Number, required: true },
@@ -27,6 +33,15 @@ const orderSchema = new mongoose.Schema(
       ref: "Business",
       required: true,
     },
+    // Parent checkout when the buyer's cart spanned several sellers
+    checkoutGroupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CheckoutGroup",
+    },
+    orderNumber: {
+      type: String,
+      default: "",
+    },
     // Can be a registered buyer or guest
     buyerId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -68,6 +83,59 @@ const orderSchema = new mongoose.Schema(
         ],
         default: "pending",
       },
+      // Platform rider who accepted the job (see models/DeliveryJob)
+      riderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Rider",
+      },
+      assignedAt: { type: Date },
+      pickedUpAt: { type: Date },
+      deliveredAt: { type: Date },
+      // Code the buyer hands over at drop-off (services/deliveryProof) - kept hashed
+      code: {
+        hash: { type: String, select: false },
+        issuedAt: { type: Date },
+        attempts: { type: Number, default: 0 },
+      },
+      // Evidence recorded when the parcel was handed over
+      proof: {
+        codeVerified: { type: Boolean, default: false },
+        photo: { type: String, default: "" },
+        signature: { type: String, default: "" },
+        note: { type: String, default: "" },
+        location: {
+          lat: { type: Number },
+          lng: { type: Number },
+        },
+        submittedBy: { type: String, enum: ["rider", "seller"] },
+        riderId: { type: mongoose.Schema.Types.ObjectId, ref: "Rider" },
+        submittedAt: { type: Date },
+      },
+      // Automatic dispatch: riders offered the job nearest first (services/riderDispatch)
+      dispatch: {
+        status: {
+          type: String,
+          enum: ["idle", "searching", "offered", "assigned", "failed", "cancelled"],
+          default: "idle",
+        },
+        startedAt: { type: Date },
+        finishedAt: { type: Date },
+        attempts: [
+          {
+            _id: false,
+            riderId: { type: mongoose.Schema.Types.ObjectId, ref: "Rider" },
+            jobId: { type: mongoose.Schema.Types.ObjectId, ref: "DeliveryJob" },
+            distanceKm: { type: Number },
+            offeredAt: { type: Date },
+            outcome: {
+              type: String,
+              enum: ["offered", "accepted", "declined", "expired", "cancelled"],
+              default: "offered",
+            },
+            respondedAt: { type: Date },
+          },
+        ],
+      },
       // Rider/Courier info
       rider: {
         name: { type: String, default: "" },
@@ -149,6 +217,12 @@ const orderSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Promo codes that contributed to `discount`
+    promoCodes: [
+      {
+        type: String,
+      },
+    ],
     totalPrice: {
       type: Number,
       required: true,
@@ -223,6 +297,28 @@ orderSchema.index({ businessId: 1, status: 1, createdAt: -1 });
 orderSchema.index({ buyerId: 1, createdAt: -1 });
 orderSchema.index({ "payment.status": 1 });
 orderSchema.index({ "delivery.status": 1 });
+orderSchema.index({ "delivery.riderId": 1 });
+orderSchema.index({ checkoutGroupId: 1 });
+
+// Push delivery status changes to live trackers (services/deliveryTracking),
+// whether they came from updateDeliveryStatus, a rider job or a seller
+orderSchema.pre("save", function () {
+  this.$locals.deliveryStatusChanged = !this.isNew && this.isModified("delivery.status");
+});
+
+orderSchema.post("save", function (order) {
+  if (!order.$locals.deliveryStatusChanged) return;
+  require("../services/deliveryTracking")
+    .statusChanged(order)
+    .catch((error) => console.error("Delivery tracking error:", error));
+});
+
+// Keep the parent checkout group in sync with this sub-order
+orderSchema.methods.refreshCheckoutGroup = async function () {
+  if (!this.checkoutGroupId) return null;
+  const CheckoutGroup = require("./CheckoutGroup");
+  return CheckoutGroup.refreshStatus(this.checkoutGroupId);
+};
 
 // Add status to history
 orderSchema.methods.updateStatus = async function (newStatus, note, updatedBy) {
@@ -234,6 +330,13 @@ orderSchema.methods.updateStatus = async function (newStatus, note, updatedBy) {
   });
   this.status = newStatus;
   await this.save();
+
+  if (newStatus === "cancelled") {
+    const StockReservation = require("./StockReservation");
+    await StockReservation.releaseForOrder(this._id, "order_cancelled");
+  }
+
+  await this.refreshCheckoutGroup();
 };
 
 // Update delivery status with tracking
@@ -257,6 +360,7 @@ orderSchema.methods.updateDeliveryStatus = async function (newStatus, location,
   }
 
   await this.save();
+  await this.refreshCheckoutGroup();
 };
 
 // Assign rider to order
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+/**
+ * One-Time Passcode Model
+ * Codes sent by SMS for phone login and phone verification.
+ * Only a bcrypt hash of the code is stored. Used, replaced and expired
+ * codes are kept for a day (rate limiting) and then removed by a TTL index.
+ */
+const otpCodeSchema = new mongoose.Schema(
+  {
+    // International format, e.g. +256772123456
+    phone: {
+      type: String,
+      required: true,
+    },
+    // Who the code is for - buyer and rider accounts are separate
+    role: {
+      type: String,
+      enum: ["buyer", "rider"],
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["login", "verify_phone"],
+      required: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Set when the code is used or replaced by a newer one
+    consumedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+otpCodeSchema.index({ phone: 1, role: 1, purpose: 1, createdAt: -1 });
+otpCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("OtpCode", otpCodeSchema);
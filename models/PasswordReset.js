@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+/**
+ * Password Reset Model
+ * A reset code emailed or texted to an account holder. Only a bcrypt hash of
+ * the code is stored; each code works once. Records are kept for a day
+ * (rate limiting) and then removed by a TTL index.
+ */
+const passwordResetSchema = new mongoose.Schema(
+  {
+    userType: {
+      type: String,
+      enum: ["seller", "buyer", "admin", "rider"],
+      required: true,
+    },
+    // User, Buyer, Admin or Rider id depending on userType
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: ["email", "sms"],
+      required: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Set when the code is used or replaced by a newer one
+    consumedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+passwordResetSchema.index({ userType: 1, userId: 1, createdAt: -1 });
+passwordResetSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("PasswordReset", passwordResetSchema);
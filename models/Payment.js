@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 
+// Held escrow is released to the seller this long after payment unless disputed
+const ESCROW_RELEASE_DAYS = parseInt(process.env.ESCROW_RELEASE_DAYS) || 7;
+
 /**
  * Payment Model
  * Handles all payment transactions for the marketplace
@@ -30,6 +33,11 @@ const paymentSchema = new mongoose.Schema(
       ref: "Business",
       required: true,
     },
+    // Multi-seller checkout this payment split belongs to
+    checkoutGroupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CheckoutGroup",
+    },
 
     // Payment method details
     method: {
@@ -114,6 +122,15 @@ const paymentSchema = new mongoose.Schema(
         default: "delivery_confirmed",
       },
       autoReleaseDate: { type: Date },
+      // Proof of delivery was recorded - auto-release waits for it
+      deliveryProvenAt: { type: Date },
+      // Set on escrow held since proof of delivery was introduced; older holds release on time alone
+      proofRequired: { type: Boolean, default: false },
+      // Dispute that froze this escrow (see models/Dispute)
+      disputeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Dispute",
+      },
     },
 
     // Split payment (seller + delivery service)
@@ -199,15 +216,16 @@ paymentSchema.index({ sellerId: 1, createdAt: -1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ "gateway.transactionId": 1 });
 paymentSchema.index({ "receipt.number": 1 });
+paymentSchema.index({ checkoutGroupId: 1 });
+paymentSchema.index({ "escrow.status": 1, "escrow.autoReleaseDate": 1 }); // Escrow auto-release
 
 // Generate receipt number
-paymentSchema.pre("save", function (next) {
+paymentSchema.pre("save", function () {
   if (!this.receipt.number) {
     const timestamp = Date.now().toString(36).toUpperCase();
     const random = Math.random().toString(36).substring(2, 6).toUpperCase();
     this.receipt.number = `RCP-${timestamp}-${random}`;
   }
-  next();
 });
 
 // Add status to history
@@ -230,6 +248,15 @@ paymentSchema.methods.updateStatus = async function (newStatus, note = "") {
   return this;
 };
 
+// Hold a paid escrow payment - released automatically after ESCROW_RELEASE_DAYS
+paymentSchema.methods.holdInEscrow = function () {
+  this.escrow.status = "held";
+  this.escrow.heldAt = new Date();
+  this.escrow.autoReleaseDate = new Date(Date.now() + ESCROW_RELEASE_DAYS * 24 * 60 * 60 * 1000);
+  this.escrow.proofRequired = true;
+  this.status = "held_in_escrow";
+};
+
 // Process escrow release
 paymentSchema.methods.releaseEscrow = async function (reason = "manual") {
   if (this.escrow.status !== "held") {
@@ -276,16 +303,17 @@ paymentSchema.methods.processRefund = async function (amount, reason, transactio
 };
 
 // Calculate platform fee
-paymentSchema.statics.calculateFees = function (subtotal, deliveryFee = 0) {
+paymentSchema.statics.calculateFees = function (subtotal, deliveryFee = 0, discount = 0) {
   const serviceFee = Math.round(subtotal * 0.025); // 2.5% platform fee
   const tax = 0; // VAT if applicable
-  const total = subtotal + deliveryFee + serviceFee + tax;
+  const total = Math.max(0, subtotal + deliveryFee + serviceFee + tax - discount);
 
   return {
     subtotal,
     deliveryFee,
     serviceFee,
     tax,
+    discount,
     total,
   };
 };
@@ -13,6 +13,54 @@ const VALID_CATEGORIES = [
   "others",
 ];
 
+// One purchasable combination of option values, e.g. Size M / Black
+const variantSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // e.g. [{ name: "Size", value: "M" }, { name: "Colour", value: "Black" }]
+    optionValues: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        value: { type: String, required: true, trim: true },
+      },
+    ],
+    // Overrides the product price when set
+    price: {
+      type: Number,
+      min: 0,
+    },
+    stock: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    reservedStock: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    image: {
+      type: String,
+      default: "",
+    },
+    isAvailable: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+// "M / Black"
+variantSchema.virtual("label").get(function () {
+  return this.optionValues.map((o) => o.value).join(" / ");
+});
+
 const productSchema = new mongoose.Schema(
   {
     businessId: {
@@ -58,6 +106,12 @@ const productSchema = new mongoose.Schema(
       min: 0,
       default: 0,
     },
+    // Units held by unpaid checkouts (already taken out of `stock`)
+    reservedStock: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
     description: {
       type: String,
       default: "",
@@ -73,6 +127,16 @@ const productSchema = new mongoose.Schema(
         alt: String,
       },
     ],
+    // Option dimensions, e.g. Size: [S, M, L] or Storage: [64GB, 128GB]
+    options: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        values: [{ type: String, trim: true }],
+      },
+    ],
+    // Variant matrix - when present, `stock` is the total across variants
+    variants: [variantSchema],
     // Product specifications
     specifications: [
       {
@@ -148,10 +212,148 @@ productSchema.virtual("discountPercentage").get(function () {
   return 0;
 });
 
+// Variants must use the product's option dimensions, once per combination
+productSchema.pre("validate", function () {
+  if (this.variants.length === 0) return;
+
+  const combinations = new Set();
+  const skus = new Set();
+
+  for (const variant of this.variants) {
+    for (const option of this.options) {
+      const chosen = variant.optionValues.find((o) => o.name === option.name);
+      if (!chosen || !option.values.includes(chosen.value)) {
+        this.invalidate("variants", `Variant ${variant.label || variant._id} needs a valid ${option.name}`);
+        return;
+      }
+    }
+    if (variant.optionValues.length !== this.options.length) {
+      this.invalidate("variants", `Variant ${variant.label} uses an unknown option`);
+      return;
+    }
+
+    const key = this.options
+      .map((option) => variant.optionValues.find((o) => o.name === option.name).value)
+      .join("|");
+    if (combinations.has(key)) {
+      this.invalidate("variants", `Duplicate variant ${variant.label}`);
+      return;
+    }
+    combinations.add(key);
+
+    if (variant.sku) {
+      if (skus.has(variant.sku)) {
+        this.invalidate("variants", `Duplicate SKU ${variant.sku}`);
+        return;
+      }
+      skus.add(variant.sku);
+    }
+  }
+
+  if (this.isModified("variants")) {
+    this.stock = this.variants.reduce((sum, v) => sum + v.stock, 0);
+  }
+});
+
+// Price, stock and label for buying the product or one of its variants
+productSchema.methods.resolveVariant = function (variantId) {
+  const image = this.images?.[0]?.url || this.image || "";
+
+  if (this.variants.length === 0) {
+    return { variant: null, price: this.price, stock: this.stock, label: "", sku: "", image };
+  }
+
+  if (!variantId) {
+    return { error: `Choose ${this.options.map((o) => o.name).join(" and ")} for ${this.name}` };
+  }
+
+  const variant = this.variants.id(variantId);
+  if (!variant || !variant.isAvailable) {
+    return { error: `The selected option for ${this.name} is not available` };
+  }
+
+  return {
+    variant,
+    price: variant.price ?? this.price,
+    stock: variant.stock,
+    label: variant.label,
+    sku: variant.sku,
+    image: variant.image || image,
+  };
+};
+
 // Increment view count
 productSchema.methods.incrementViews = async function () {
   this.stats.views += 1;
   await this.save();
 };
 
+// Build a stock update that keeps a variant and the product total in step.
+// `minimums` turns into $gte conditions so the update fails instead of going negative.
+const stockUpdate = (productId, variantId, changes, minimums = {}) => {
+  const filter = { _id: productId };
+  const inc = { ...changes };
+  const conditions = {};
+
+  for (const [field, min] of Object.entries(minimums)) {
+    conditions[field] = { $gte: min };
+  }
+
+  if (variantId) {
+    filter.variants = { $elemMatch: { _id: variantId, ...conditions } };
+    for (const [field, amount] of Object.entries(changes)) {
+      inc[`variants.$.${field}`] = amount;
+    }
+  } else {
+    Object.assign(filter, conditions);
+  }
+
+  return [filter, { $inc: inc }];
+};
+
+// Atomically take stock - never lets stock go negative
+productSchema.statics.takeStock = async function (productId, quantity, variantId = null) {
+  const result = await this.updateOne(
+    ...stockUpdate(productId, variantId, { stock: -quantity }, { stock: quantity })
+  );
+  return result.modifiedCount === 1;
+};
+
+// Put stock back (cancelled or rejected orders)
+productSchema.statics.restoreStock = function (productId, quantity, variantId = null) {
+  return this.updateOne(...stockUpdate(productId, variantId, { stock: quantity }));
+};
+
+// Move stock into a checkout hold if enough is available
+productSchema.statics.reserveStock = async function (productId, quantity, variantId = null) {
+  const result = await this.updateOne(
+    ...stockUpdate(
+      productId,
+      variantId,
+      { stock: -quantity, reservedStock: quantity },
+      { stock: quantity }
+    )
+  );
+  return result.modifiedCount === 1;
+};
+
+// Return held stock to the shelf
+productSchema.statics.releaseStock = function (productId, quantity, variantId = null) {
+  return this.updateOne(
+    ...stockUpdate(productId, variantId, { stock: quantity, reservedStock: -quantity })
+  );
+};
+
+// A paid hold becomes a sale - the units have already left `stock`
+productSchema.statics.commitStock = function (productId, quantity, variantId = null) {
+  return this.updateOne(
+    ...stockUpdate(
+      productId,
+      variantId,
+      { reservedStock: -quantity },
+      { reservedStock: quantity }
+    )
+  );
+};
+
 module.exports = mongoose.model("Product", productSchema);
@@ -0,0 +1,151 @@
+const mongoose = require("mongoose");
+
+/**
+ * Promo Code Model
+ * Platform-wide (admin) or seller-funded discount codes
+ * Supports: percentage, fixed amount and free delivery
+ */
+const promoSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Promo code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+
+    // Discount type
+    type: {
+      type: String,
+      enum: ["percentage", "fixed", "free_delivery"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Cap for percentage codes (0 = no cap)
+    maxDiscount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Who funds the discount
+    fundedBy: {
+      type: String,
+      enum: ["platform", "seller"],
+      required: true,
+    },
+    createdByAdmin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    createdByUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Seller codes only ever apply to the seller's own business
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+    },
+
+    // Validity window
+    validFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    validUntil: {
+      type: Date,
+    },
+
+    // Usage limits (0 = unlimited)
+    usageLimit: {
+      type: Number,
+      default: 0,
+    },
+    perBuyerLimit: {
+      type: Number,
+      default: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Eligibility
+    minSubtotal: {
+      type: Number,
+      default: 0,
+    },
+    firstOrderOnly: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Scope - empty means every item qualifies
+    scope: {
+      categories: [{ type: String, lowercase: true }],
+      businessIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Business" }],
+      productIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    },
+
+    // Can be combined with other stackable codes
+    stackable: {
+      type: Boolean,
+      default: false,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes
+promoSchema.index({ businessId: 1, isActive: 1 });
+promoSchema.index({ isActive: 1, validUntil: 1 });
+
+// Is the code inside its validity window?
+promoSchema.methods.isCurrentlyValid = function (now = new Date()) {
+  if (!this.isActive) return false;
+  if (this.validFrom && now < this.validFrom) return false;
+  if (this.validUntil && now > this.validUntil) return false;
+  if (this.usageLimit > 0 && this.usedCount >= this.usageLimit) return false;
+  return true;
+};
+
+// Does an order item fall inside the code's scope?
+promoSchema.methods.appliesToItem = function (item) {
+  const { categories, businessIds, productIds } = this.scope;
+
+  if (this.businessId && this.businessId.toString() !== item.businessId.toString()) {
+    return false;
+  }
+  if (categories.length > 0 && !categories.includes(item.category)) {
+    return false;
+  }
+  if (
+    businessIds.length > 0 &&
+    !businessIds.some((id) => id.toString() === item.businessId.toString())
+  ) {
+    return false;
+  }
+  if (
+    productIds.length > 0 &&
+    !productIds.some((id) => id.toString() === item.productId.toString())
+  ) {
+    return false;
+  }
+  return true;
+};
+
+module.exports = mongoose.model("Promo", promoSchema);
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+/**
+ * Promo Redemption Model
+ * One record per use of a promo code by a buyer
+ */
+const promoRedemptionSchema = new mongoose.Schema(
+  {
+    promoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promo",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    buyerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Buyer",
+      required: true,
+    },
+    // Nth use of this code by this buyer - unique so concurrent
+    // checkouts cannot both take the buyer's last allowed use
+    useNumber: {
+      type: Number,
+      required: true,
+    },
+    checkoutGroupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CheckoutGroup",
+    },
+    orderIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+    // Total discount given by this code on the checkout
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    deliveryDiscount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes
+promoRedemptionSchema.index({ promoId: 1, buyerId: 1, useNumber: 1 }, { unique: true });
+promoRedemptionSchema.index({ buyerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PromoRedemption", promoRedemptionSchema);
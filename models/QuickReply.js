@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+/**
+ * Quick Reply Model
+ * A seller's saved answer to a common chat question. The body can use
+ * placeholders that are filled in from the conversation when it is sent:
+ * {{customerName}}, {{businessName}}, {{productName}}, {{price}}, {{stock}}
+ * and {{deliveryZones}}.
+ */
+const quickReplySchema = new mongoose.Schema(
+  {
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: 60,
+    },
+    // Typed in the chat box to pick this reply, e.g. "/price"
+    shortcut: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\/[a-z0-9_-]{1,30}$/, "Shortcut must look like /price"],
+    },
+    body: {
+      type: String,
+      required: [true, "Reply text is required"],
+      maxlength: 2000,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+quickReplySchema.index(
+  { businessId: 1, shortcut: 1 },
+  { unique: true, partialFilterExpression: { shortcut: { $type: "string" } } }
+);
+
+module.exports = mongoose.model("QuickReply", quickReplySchema);
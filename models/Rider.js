@@ -59,6 +59,11 @@ const riderSchema = new mongoose.Schema(
       lng: { type: Number },
       updatedAt: { type: Date },
     },
+    // Same point as GeoJSON ([lng, lat]) for nearest-rider dispatch queries
+    geoLocation: {
+      type: { type: String, enum: ["Point"] },
+      coordinates: { type: [Number], default: undefined },
+    },
     // Availability
     status: {
       type: String,
@@ -97,15 +102,22 @@ const riderSchema = new mongoose.Schema(
       },
     ],
     // For push notifications
-    deviceToken: {
-      type: String,
-      default: "",
-    },
-    // Verification status
+    deviceTokens: [
+      {
+        token: { type: String, required: true },
+        platform: { type: String, enum: ["ios", "android", "web"], default: "android" },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Verification status (set by an admin after checking documents)
     isVerified: {
       type: Boolean,
       default: false,
     },
+    // Phone confirmed with an SMS code
+    phoneVerifiedAt: {
+      type: Date,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -114,16 +126,19 @@ const riderSchema = new mongoose.Schema(
     workingHours: {
       start: { type: String, default: "08:00" },
       end: { type: String, default: "22:00" },
+      // IANA zone the hours are in
+      timezone: { type: String, default: "Africa/Kampala" },
     },
   },
   { timestamps: true }
 );
 
+riderSchema.index({ geoLocation: "2dsphere" });
+
 // Hash password
-riderSchema.pre("save", async function (next) {
-  if (!this.isModified("password") || !this.password) return next();
+riderSchema.pre("save", async function () {
+  if (!this.isModified("password") || !this.password) return;
   this.password = await bcrypt.hash(this.password, 12);
-  next();
 });
 
 // Compare password
@@ -139,9 +154,36 @@ riderSchema.methods.updateLocation = async function (lat, lng) {
     lng,
     updatedAt: new Date(),
   };
+  this.geoLocation = { type: "Point", coordinates: [lng, lat] };
   await this.save();
 };
 
+// Inside working hours at `date`? An end before the start runs past midnight.
+riderSchema.methods.isWorkingAt = function (date = new Date()) {
+  const { start, end, timezone } = this.workingHours || {};
+  if (!start || !end) return true;
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone || "UTC",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+  };
+  const now = Number(parts.hour) * 60 + Number(parts.minute);
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  return from <= to ? now >= from && now < to : now >= from || now < to;
+};
+
 // Complete delivery
 riderSchema.methods.completeDelivery = async function (orderId, earnings = 0) {
   this.stats.totalDeliveries += 1;
@@ -164,4 +206,20 @@ riderSchema.methods.addRating = async function (orderId, buyerId, rating, commen
   await this.save();
 };
 
+// Add device token for push notifications (a rider may use several phones)
+riderSchema.methods.addDeviceToken = async function (token, platform = "android") {
+  this.deviceTokens = this.deviceTokens.filter((t) => t.token !== token);
+  this.deviceTokens.push({ token, platform, addedAt: new Date() });
+  if (this.deviceTokens.length > 5) {
+    this.deviceTokens = this.deviceTokens.slice(-5);
+  }
+  await this.save();
+};
+
+// Stop pushing to a device (signed out, or the app was uninstalled)
+riderSchema.methods.removeDeviceToken = async function (token) {
+  this.deviceTokens = this.deviceTokens.filter((t) => t.token !== token);
+  await this.save();
+};
+
 module.exports = mongoose.model("Rider", riderSchema);
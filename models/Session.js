@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+/**
+ * Session Model
+ * One signed-in device. Access tokens are short-lived JWTs carrying the
+ * session id; the device keeps them fresh with a refresh token that is
+ * rotated on every use. Only SHA-256 hashes of refresh tokens are stored.
+ * Expired sessions are removed by a TTL index.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    userType: {
+      type: String,
+      enum: ["seller", "buyer", "admin", "rider"],
+      required: true,
+    },
+    // User, Buyer, Admin or Rider id depending on userType
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // The token this one replaced - presenting it again means it was copied
+    previousTokenHash: {
+      type: String,
+      default: null,
+    },
+    device: {
+      name: { type: String, default: "" },
+      platform: { type: String, default: "" },
+      userAgent: { type: String, default: "" },
+    },
+    ipAddress: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [null, "logout", "user", "password_change", "password_reset", "deactivated", "token_reuse"],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ userType: 1, userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,365 @@
+const mongoose = require("mongoose");
+
+/**
+ * Stock Reservation Model
+ * Holds stock for a buyer while they check out and pay.
+ * Held units are taken out of Product.stock with a conditional update,
+ * so two buyers can never both get the last unit.
+ *
+ * held → committed (payment success / COD)
+ *      → released  (payment failed, order cancelled)
+ *      → expired   (hold ran out before payment)
+ */
+
+// How long a hold lasts before the sweeper returns it to stock
+const CART_HOLD_MINUTES = parseInt(process.env.STOCK_HOLD_MINUTES) || 15;
+const PAYMENT_HOLD_MINUTES = parseInt(process.env.PAYMENT_HOLD_MINUTES) || 30;
+
+const stockReservationSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    buyerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Buyer",
+      required: true,
+    },
+    // Set once the hold belongs to a placed order
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    checkoutGroupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CheckoutGroup",
+    },
+    status: {
+      type: String,
+      enum: ["held", "committed", "released", "expired"],
+      default: "held",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    committedAt: Date,
+    releasedAt: Date,
+    releaseReason: {
+      type: String,
+      default: "",
+    },
+    // Payment landed after the hold expired and the stock was gone
+    shortfall: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ buyerId: 1, orderId: 1, status: 1 });
+stockReservationSchema.index({ orderId: 1, status: 1 });
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+// One stock line per product variant
+const lineKey = (productId, variantId) => `${productId}:${variantId || ""}`;
+
+// Add up quantities per stock line (a cart can list the same product twice)
+const sumByLine = (items) => {
+  const lines = {};
+  for (const item of items) {
+    const key = lineKey(item.productId, item.variantId);
+    if (!lines[key]) {
+      lines[key] = {
+        productId: item.productId,
+        variantId: item.variantId || null,
+        productName: item.productName,
+        quantity: 0,
+      };
+    }
+    lines[key].quantity += item.quantity;
+  }
+  return lines;
+};
+
+/**
+ * Hold stock for a buyer's cart.
+ * The buyer has one cart hold per product variant; calling again with a changed
+ * cart only reserves or returns the difference. Increases are applied
+ * first so a shortage leaves the previous holds untouched.
+ */
+stockReservationSchema.statics.holdCart = async function (
+  buyerId,
+  items,
+  minutes = CART_HOLD_MINUTES
+) {
+  const Product = require("./Product");
+  const expiresAt = minutesFromNow(minutes);
+
+  // Extend live holds first so the sweeper cannot expire them mid-update
+  await this.updateMany(
+    { buyerId, orderId: null, status: "held", expiresAt: { $gt: new Date() } },
+    { expiresAt }
+  );
+  const existing = await this.find({
+    buyerId,
+    orderId: null,
+    status: "held",
+    expiresAt: { $gt: new Date() },
+  });
+
+  const wanted = sumByLine(items);
+  const findCurrent = (key) => existing.find((r) => lineKey(r.productId, r.variantId) === key);
+  const taken = [];
+
+  for (const [key, line] of Object.entries(wanted)) {
+    const current = findCurrent(key);
+    const delta = line.quantity - (current ? current.quantity : 0);
+    if (delta <= 0) continue;
+
+    if (!(await Product.reserveStock(line.productId, delta, line.variantId))) {
+      for (const t of taken) {
+        await Product.releaseStock(t.productId, t.delta, t.variantId);
+      }
+      return {
+        success: false,
+        productId: line.productId,
+        variantId: line.variantId,
+        message: `${line.productName || "An item in your cart"} just sold out or has less stock than requested`,
+      };
+    }
+    taken.push({ productId: line.productId, variantId: line.variantId, delta });
+  }
+
+  for (const [key, line] of Object.entries(wanted)) {
+    const current = findCurrent(key);
+
+    if (!current) {
+      await this.create({
+        productId: line.productId,
+        variantId: line.variantId,
+        quantity: line.quantity,
+        buyerId,
+        expiresAt,
+      });
+    } else if (current.quantity !== line.quantity) {
+      if (line.quantity < current.quantity) {
+        await Product.releaseStock(
+          line.productId,
+          current.quantity - line.quantity,
+          line.variantId
+        );
+      }
+      current.quantity = line.quantity;
+      await current.save();
+    }
+  }
+
+  // Lines no longer in the cart go back on the shelf
+  const dropped = existing
+    .filter((r) => !wanted[lineKey(r.productId, r.variantId)])
+    .map((r) => r._id);
+  if (dropped.length > 0) {
+    await this.releaseWhere({ _id: { $in: dropped } }, "removed_from_cart");
+  }
+
+  return { success: true, expiresAt };
+};
+
+/**
+ * Quantity of each stock line the buyer's live cart holds have already
+ * taken out of Product.stock, keyed like the cart lines
+ */
+stockReservationSchema.statics.heldForBuyer = async function (buyerId) {
+  const holds = await this.find({
+    buyerId,
+    orderId: null,
+    status: "held",
+    expiresAt: { $gt: new Date() },
+  }).select("productId variantId quantity");
+
+  const held = {};
+  for (const hold of holds) {
+    const key = lineKey(hold.productId, hold.variantId);
+    held[key] = (held[key] || 0) + hold.quantity;
+  }
+  return held;
+};
+
+stockReservationSchema.statics.lineKey = lineKey;
+
+/**
+ * Move a buyer's cart holds onto a placed order and give them the
+ * longer payment window
+ */
+stockReservationSchema.statics.attachToOrder = function ({
+  buyerId,
+  productIds,
+  orderId,
+  checkoutGroupId,
+  minutes = PAYMENT_HOLD_MINUTES,
+}) {
+  return this.updateMany(
+    { buyerId, orderId: null, status: "held", productId: { $in: productIds } },
+    { orderId, checkoutGroupId, expiresAt: minutesFromNow(minutes) }
+  );
+};
+
+/**
+ * Make sure an existing order has stock held before a payment attempt.
+ * Live holds are extended; an order whose holds lapsed or were released
+ * after a failed payment is re-reserved from current stock.
+ */
+stockReservationSchema.statics.holdForOrder = async function (
+  order,
+  minutes = PAYMENT_HOLD_MINUTES
+) {
+  const Product = require("./Product");
+  const expiresAt = minutesFromNow(minutes);
+
+  const reservations = await this.find({ orderId: order._id });
+  if (reservations.length === 0) {
+    // Orders placed outside checkout are not tracked
+    return { success: true };
+  }
+  if (reservations.some((r) => r.status === "committed")) {
+    return { success: true };
+  }
+
+  const extended = await this.updateMany(
+    { orderId: order._id, status: "held", expiresAt: { $gt: new Date() } },
+    { expiresAt }
+  );
+  if (extended.modifiedCount > 0) {
+    return { success: true, expiresAt };
+  }
+
+  const wanted = Object.values(sumByLine(order.items));
+  const taken = [];
+
+  for (const line of wanted) {
+    if (!(await Product.reserveStock(line.productId, line.quantity, line.variantId))) {
+      for (const t of taken) {
+        await Product.releaseStock(t.productId, t.quantity, t.variantId);
+      }
+      return {
+        success: false,
+        productId: line.productId,
+        message: "Some items in this order are no longer in stock",
+      };
+    }
+    taken.push(line);
+  }
+
+  await this.insertMany(
+    taken.map((t) => ({
+      productId: t.productId,
+      variantId: t.variantId,
+      quantity: t.quantity,
+      buyerId: order.buyerId,
+      orderId: order._id,
+      checkoutGroupId: order.checkoutGroupId,
+      expiresAt,
+    }))
+  );
+
+  return { success: true, expiresAt };
+};
+
+/**
+ * Release held stock matching a filter. Each hold is claimed with a
+ * conditional update first, so concurrent releases never double count.
+ */
+stockReservationSchema.statics.releaseWhere = async function (
+  filter,
+  reason,
+  status = "released"
+) {
+  const Product = require("./Product");
+  const holds = await this.find({ ...filter, status: "held" });
+  let released = 0;
+
+  for (const hold of holds) {
+    const claimed = await this.findOneAndUpdate(
+      { _id: hold._id, status: "held" },
+      { status, releasedAt: new Date(), releaseReason: reason }
+    );
+    if (!claimed) continue;
+
+    await Product.releaseStock(hold.productId, hold.quantity, hold.variantId);
+    released += 1;
+  }
+
+  return released;
+};
+
+/**
+ * Turn an order's holds into a sale (payment success or cash on delivery)
+ */
+stockReservationSchema.statics.commitForOrder = async function (orderId) {
+  const Product = require("./Product");
+  const holds = await this.find({ orderId, status: { $in: ["held", "expired"] } });
+
+  for (const hold of holds) {
+    const claimed = await this.findOneAndUpdate(
+      { _id: hold._id, status: hold.status },
+      { status: "committed", committedAt: new Date() }
+    );
+    if (!claimed) continue;
+
+    if (hold.status === "held") {
+      await Product.commitStock(hold.productId, hold.quantity, hold.variantId);
+    } else if (!(await Product.takeStock(hold.productId, hold.quantity, hold.variantId))) {
+      // Paid after the hold expired and someone else bought the stock
+      await this.updateOne({ _id: hold._id }, { shortfall: true });
+      console.warn(
+        `⚠️ Stock shortfall: order ${orderId} paid for ${hold.quantity} x ${hold.productId} after its hold expired`
+      );
+    }
+  }
+};
+
+/**
+ * Return an order's stock when it is cancelled. Committed units go back
+ * to stock as well as anything still held.
+ */
+stockReservationSchema.statics.releaseForOrder = async function (orderId, reason) {
+  const Product = require("./Product");
+  await this.releaseWhere({ orderId }, reason);
+
+  const committed = await this.find({ orderId, status: "committed" });
+  for (const hold of committed) {
+    const claimed = await this.findOneAndUpdate(
+      { _id: hold._id, status: "committed" },
+      { status: "released", releasedAt: new Date(), releaseReason: reason }
+    );
+    if (claimed && !hold.shortfall) {
+      await Product.restoreStock(hold.productId, hold.quantity, hold.variantId);
+    }
+  }
+};
+
+/**
+ * Return stock from holds past their expiry - run periodically
+ */
+stockReservationSchema.statics.expireStale = function () {
+  return this.releaseWhere({ expiresAt: { $lte: new Date() } }, "hold_expired", "expired");
+};
+
+module.exports = mongoose.model("StockReservation", stockReservationSchema);
@@ -1,5 +1,4 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const Admin = require("../models/Admin");
 const User = require("../models/User");
 const Buyer = require("../models/Buyer");
@@ -7,16 +6,18 @@ const Business = require("../models/Business");
 const Product = require("../models/Product");
 const Order = require("../models/Order");
 const Notification = require("../models/Notification");
+const Conversation = require("../models/Conversation");
+const ChatReport = require("../models/ChatReport");
 const { protectAdmin } = require("../middleware/auth");
+const SessionService = require("../services/sessionService");
+const PasswordResetService = require("../services/passwordResetService");
+const ChatService = require("../services/chatService");
+const { rateLimit } = require("../middleware/rateLimit");
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id, type = "admin") => {
-  return jwt.sign({ id, type }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-  });
-};
+// Forgot/reset password attempts per IP
+const passwordResetLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 10 });
 
 // ========================
 // AUTH ROUTES
@@ -46,11 +47,11 @@ router.post("/login", async (req, res) => {
     admin.lastLogin = new Date();
     await admin.save();
 
-    const token = generateToken(admin._id, "admin");
+    const tokens = await SessionService.start("admin", admin._id, req);
 
     res.json({
       message: "Welcome, Admin! 👑",
-      token,
+      ...tokens,
       admin: {
         id: admin._id,
         name: admin.name,
@@ -64,6 +65,41 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// @route   POST /api/admin/forgot-password
+// @desc    Email a password reset code
+// @access  Public
+router.post("/forgot-password", passwordResetLimiter, async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ message: "Email is required" });
+  }
+
+  // Sent in the background so the response is the same whether or not the account exists
+  PasswordResetService.request("admin", { email }).catch((error) =>
+    console.error("Password reset request failed:", error)
+  );
+
+  res.json({ message: "If that account exists, a reset code is on its way 📩" });
+});
+
+// @route   POST /api/admin/reset-password
+// @desc    Set a new password with the reset code (signs out every device)
+// @access  Public
+router.post("/reset-password", passwordResetLimiter, async (req, res) => {
+  try {
+    const { email, code, newPassword } = req.body;
+
+    const result = await PasswordResetService.confirm("admin", { email, code, newPassword });
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    res.json({ message: "Password reset! Log in with your new password 🔐" });
+  } catch (error) {
+    res.status(500).json({ message: "Error resetting password", error: error.message });
+  }
+});
+
 // @route   POST /api/admin/create
 // @desc    Create new admin (super admin only)
 // @access  Private
@@ -120,11 +156,11 @@ router.post("/setup", async (req, res) => {
     admin.setSuperAdmin();
     await admin.save();
 
-    const token = generateToken(admin._id, "admin");
+    const tokens = await SessionService.start("admin", admin._id, req);
 
     res.status(201).json({
       message: "Super Admin created! 👑 You have full access.",
-      token,
+      ...tokens,
       admin: {
         id: admin._id,
         name: admin.name,
@@ -297,6 +333,10 @@ router.put("/buyers/:id/status", protectAdmin, async (req, res) => {
       { new: true }
     ).select("-password");
 
+    if (!isActive) {
+      await SessionService.revokeAll("buyer", buyer._id, { reason: "deactivated" });
+    }
+
     await req.admin.logActivity(isActive ? "activate_buyer" : "deactivate_buyer", "Buyer", buyer._id);
 
     res.json({ message: `Buyer ${isActive ? "activated" : "deactivated"}`, buyer });
@@ -346,9 +386,15 @@ router.put("/sellers/:id/status", protectAdmin, async (req, res) => {
     const { isActive } = req.body;
     const seller = await Business.findByIdAndUpdate(req.params.id, { isActive }, { new: true });
 
-    // Also suspend their products
+    // Also suspend their products and sign out their staff
     if (!isActive) {
       await Product.updateMany({ businessId: req.params.id }, { status: "suspended" });
+      const staff = await User.find({ businessId: req.params.id }).select("_id");
+      await SessionService.revokeAll(
+        "seller",
+        staff.map((user) => user._id),
+        { reason: "deactivated" }
+      );
     }
 
     await req.admin.logActivity(
@@ -476,6 +522,103 @@ router.delete("/products/:id", protectAdmin, async (req, res) => {
   }
 });
 
+// ========================
+// CHAT MODERATION
+// ========================
+
+// @route   GET /api/admin/chat-reports
+// @desc    Moderation queue: reported and spam-flagged conversations
+// @access  Private
+router.get("/chat-reports", protectAdmin, async (req, res) => {
+  try {
+    const { status = "open", reason, reporterType, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status !== "all") query.status = status;
+    if (reason) query.reason = reason;
+    if (reporterType) query.reporterType = reporterType;
+
+    const reports = await ChatReport.find(query)
+      .populate("conversationId", "customerName customerPhone buyerId isActive lastMessageAt")
+      .populate("businessId", "name")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await ChatReport.countDocuments(query);
+
+    res.json({ reports, total, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching reports", error: error.message });
+  }
+});
+
+// @route   GET /api/admin/chat-reports/:id
+// @desc    A report with the reported messages and the latest conversation history
+// @access  Private
+router.get("/chat-reports/:id", protectAdmin, async (req, res) => {
+  try {
+    const report = await ChatReport.findById(req.params.id)
+      .populate("conversationId")
+      .populate("businessId", "name email phone")
+      .populate("messageIds");
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    const history = report.conversationId
+      ? await ChatService.pageMessages(report.conversationId._id, {
+          before: req.query.before,
+          limit: req.query.limit,
+        })
+      : null;
+
+    res.json({ report, history });
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching report", error: error.message });
+  }
+});
+
+// @route   PUT /api/admin/chat-reports/:id
+// @desc    Resolve or dismiss a report ({ status, note?, closeConversation? }).
+//          Closing the conversation stops both sides from sending.
+// @access  Private
+router.put("/chat-reports/:id", protectAdmin, async (req, res) => {
+  try {
+    if (!req.admin.permissions.manageUsers) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    const { status, note, closeConversation } = req.body;
+    if (!["resolved", "dismissed"].includes(status)) {
+      return res.status(400).json({ message: "Status must be resolved or dismissed" });
+    }
+
+    const report = await ChatReport.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    if (closeConversation === true) {
+      await Conversation.updateOne({ _id: report.conversationId }, { isActive: false });
+    }
+
+    report.status = status;
+    report.resolution = {
+      note: typeof note === "string" ? note : "",
+      conversationClosed: closeConversation === true,
+      reviewedBy: req.admin._id,
+      reviewedAt: new Date(),
+    };
+    await report.save();
+
+    await req.admin.logActivity(`${status}_chat_report`, "ChatReport", report._id);
+
+    res.json({ message: `Report ${status}`, report });
+  } catch (error) {
+    res.status(500).json({ message: "Error updating report", error: error.message });
+  }
+});
+
 // ========================
 // NOTIFICATIONS
 // ========================
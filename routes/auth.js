@@ -1,17 +1,15 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const Business = require("../models/Business");
 const { protect } = require("../middleware/auth");
+const SessionService = require("../services/sessionService");
+const PasswordResetService = require("../services/passwordResetService");
+const { rateLimit } = require("../middleware/rateLimit");
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-  });
-};
+// Forgot/reset password attempts per IP
+const passwordResetLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 10 });
 
 // @route   POST /api/auth/register
 // @desc    Register new business & owner
@@ -45,12 +43,14 @@ router.post("/register", async (req, res) => {
       role: "owner",
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    business.owner = user._id;
+    await business.save();
+
+    const tokens = await SessionService.start("seller", user._id, req);
 
     res.status(201).json({
       message: "Registration successful! 🎉",
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
@@ -86,13 +86,15 @@ router.post("/login", async (req, res) => {
 
     // Get business info
     const business = await Business.findById(user.businessId);
+    if (business && !business.isActive) {
+      return res.status(403).json({ message: "This business has been deactivated" });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    const tokens = await SessionService.start("seller", user._id, req);
 
     res.json({
       message: "Login successful! 🎉",
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
@@ -107,6 +109,41 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset code
+// @access  Public
+router.post("/forgot-password", passwordResetLimiter, async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ message: "Email is required" });
+  }
+
+  // Sent in the background so the response is the same whether or not the account exists
+  PasswordResetService.request("seller", { email }).catch((error) =>
+    console.error("Password reset request failed:", error)
+  );
+
+  res.json({ message: "If that account exists, a reset code is on its way 📩" });
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the reset code (signs out every device)
+// @access  Public
+router.post("/reset-password", passwordResetLimiter, async (req, res) => {
+  try {
+    const { email, code, newPassword } = req.body;
+
+    const result = await PasswordResetService.confirm("seller", { email, code, newPassword });
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    res.json({ message: "Password reset! Log in with your new password 🔐" });
+  } catch (error) {
+    res.status(500).json({ message: "Error resetting password", error: error.message });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -4,6 +4,8 @@ const Product = require("../models/Product");
 const Order = require("../models/Order");
 const Conversation = require("../models/Conversation");
 const Notification = require("../models/Notification");
+const ChatService = require("../services/chatService");
+const ChatAutomationService = require("../services/chatAutomation");
 const { protect, ownerOnly } = require("../middleware/auth");
 const upload = require("../middleware/upload");
 
@@ -211,23 +213,25 @@ router.get("/products", protect, async (req, res) => {
 // ====================================
 
 // @route   GET /api/business/messages
-// @desc    Get all customer messages/inquiries
+// @desc    Get a page of customer messages/inquiries (?unreadOnly=&cursor=&limit=)
 // @access  Private
 router.get("/messages", protect, async (req, res) => {
   try {
-    const { unreadOnly, page = 1, limit = 20 } = req.query;
+    const { unreadOnly, cursor, limit } = req.query;
     let query = { businessId: req.user.businessId, archivedByBusiness: false };
 
     if (unreadOnly === "true") {
       query.unreadBusiness = { $gt: 0 };
     }
 
-    const conversations = await Conversation.find(query)
-      .populate("productId", "name image price")
-      .populate("buyerId", "name avatar")
-      .sort({ lastMessageAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit));
+    const page = await ChatService.pageConversations(query, {
+      cursor,
+      limit,
+      populate: [
+        { path: "productId", select: "name image price" },
+        { path: "buyerId", select: "name avatar" },
+      ],
+    });
 
     const total = await Conversation.countDocuments(query);
     const unreadTotal = await Conversation.aggregate([
@@ -236,12 +240,12 @@ router.get("/messages", protect, async (req, res) => {
     ]);
 
     res.json({
-      conversations,
+      conversations: page.conversations,
       unreadTotal: unreadTotal[0]?.total || 0,
       pagination: {
-        current: parseInt(page),
-        pages: Math.ceil(total / limit),
         total,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
       },
     });
   } catch (error) {
@@ -405,6 +409,79 @@ router.get("/notifications", protect, async (req, res) => {
   }
 });
 
+// ====================================
+// 🤖 CHAT AUTO-RESPONDER
+// ====================================
+
+// @route   GET /api/business/chat-settings
+// @desc    Get business hours, away message and auto-answer settings
+// @access  Private
+router.get("/chat-settings", protect, async (req, res) => {
+  try {
+    const business = await Business.findById(req.user.businessId).select("chatSettings");
+    if (!business) {
+      return res.status(404).json({ message: "Business not found" });
+    }
+
+    res.json({
+      chatSettings: business.chatSettings,
+      openNow: ChatAutomationService.isOpen(business.chatSettings),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching chat settings", error: error.message });
+  }
+});
+
+// @route   PUT /api/business/chat-settings
+// @desc    Update chat settings
+//          ({ timezone, businessHours: [{ day, open, close }], awayMessage: { enabled, text },
+//          autoAnswerAvailability })
+// @access  Private (Owner only)
+router.put("/chat-settings", protect, ownerOnly, async (req, res) => {
+  try {
+    const business = await Business.findById(req.user.businessId);
+    if (!business) {
+      return res.status(404).json({ message: "Business not found" });
+    }
+
+    const { timezone, businessHours, awayMessage, autoAnswerAvailability } = req.body;
+    const settings = business.chatSettings;
+
+    if (timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+      } catch {
+        return res.status(400).json({ message: `Unknown timezone: ${timezone}` });
+      }
+      settings.timezone = timezone;
+    }
+    if (businessHours !== undefined) {
+      if (!Array.isArray(businessHours)) {
+        return res.status(400).json({ message: "businessHours must be a list" });
+      }
+      settings.businessHours = businessHours;
+    }
+    if (awayMessage?.enabled !== undefined) settings.awayMessage.enabled = !!awayMessage.enabled;
+    if (awayMessage?.text !== undefined) settings.awayMessage.text = awayMessage.text;
+    if (autoAnswerAvailability !== undefined) {
+      settings.autoAnswerAvailability = !!autoAnswerAvailability;
+    }
+
+    await business.save();
+
+    res.json({
+      message: "Chat settings updated! ✅",
+      chatSettings: business.chatSettings,
+      openNow: ChatAutomationService.isOpen(business.chatSettings),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Error updating chat settings", error: error.message });
+  }
+});
+
 // ====================================
 // 🏪 PUBLIC BUSINESS ROUTES
 // ====================================
@@ -461,6 +538,7 @@ router.put("/update", protect, ownerOnly, upload.single("logo"), async (req, res
     }
 
     const { name, type, phone, whatsapp, location, description } = req.body;
+    let { pickupLocation } = req.body;
 
     business.name = name || business.name;
     business.type = type || business.type;
@@ -469,6 +547,27 @@ router.put("/update", protect, ownerOnly, upload.single("logo"), async (req, res
     business.location = location || business.location;
     business.description = description || business.description;
 
+    // Pickup point delivery distances are measured from: { lat, lng, address? }
+    // Multipart forms (with a logo) send it as a JSON string
+    if (typeof pickupLocation === "string") {
+      try {
+        pickupLocation = JSON.parse(pickupLocation);
+      } catch {
+        pickupLocation = {};
+      }
+    }
+    if (pickupLocation) {
+      const lat = parseFloat(pickupLocation.lat);
+      const lng = parseFloat(pickupLocation.lng);
+      if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+        return res.status(400).json({ message: "pickupLocation needs a valid lat and lng" });
+      }
+      business.pickupLocation = {
+        address: pickupLocation.address || business.pickupLocation?.address || "",
+        coordinates: { lat, lng },
+      };
+    }
+
     if (req.file) {
       business.logo = `/uploads/${req.file.filename}`;
     }
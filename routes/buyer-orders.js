@@ -2,6 +2,7 @@ const express = require("express");
 const Order = require("../models/Order");
 const Product = require("../models/Product");
 const Notification = require("../models/Notification");
+const PromoService = require("../services/promoService");
 const { protectBuyer, optionalBuyerAuth } = require("../middleware/auth");
 
 const router = express.Router();
@@ -35,7 +36,11 @@ router.post("/", optionalBuyerAuth, async (req, res) => {
         if (!product) {
           return res.status(404).json({ message: `Product not found: ${item.productId}` });
         }
-        if (product.stock < item.quantity) {
+        const choice = product.resolveVariant(item.variantId);
+        if (choice.error) {
+          return res.status(400).json({ message: choice.error });
+        }
+        if (choice.stock < item.quantity) {
           return res.status(400).json({ message: `Not enough stock for ${product.name}` });
         }
 
@@ -46,15 +51,18 @@ router.post("/", optionalBuyerAuth, async (req, res) => {
           return res.status(400).json({ message: "All items must be from the same seller" });
         }
 
-        const itemTotal = product.price * item.quantity;
+        const itemTotal = choice.price * item.quantity;
         subtotal += itemTotal;
 
         orderItems.push({
           productId: product._id,
           productName: product.name,
-          productImage: product.image,
+          productImage: choice.image,
+          variantId: choice.variant?._id || null,
+          variantLabel: choice.label,
+          sku: choice.sku,
           quantity: item.quantity,
-          price: product.price,
+          price: choice.price,
           total: itemTotal,
         });
       }
@@ -64,20 +72,27 @@ router.post("/", optionalBuyerAuth, async (req, res) => {
       if (!product) {
         return res.status(404).json({ message: "Product not found" });
       }
-      if (product.stock < (quantity || 1)) {
+      const choice = product.resolveVariant(req.body.variantId);
+      if (choice.error) {
+        return res.status(400).json({ message: choice.error });
+      }
+      if (choice.stock < (quantity || 1)) {
         return res.status(400).json({ message: "Not enough stock available" });
       }
 
       businessId = product.businessId;
-      const itemTotal = product.price * (quantity || 1);
+      const itemTotal = choice.price * (quantity || 1);
       subtotal = itemTotal;
 
       orderItems.push({
         productId: product._id,
         productName: product.name,
-        productImage: product.image,
+        productImage: choice.image,
+        variantId: choice.variant?._id || null,
+        variantLabel: choice.label,
+        sku: choice.sku,
         quantity: quantity || 1,
-        price: product.price,
+        price: choice.price,
         total: itemTotal,
       });
     } else {
@@ -131,6 +146,31 @@ router.post("/", optionalBuyerAuth, async (req, res) => {
       referenceId: order._id,
     });
 
+    // Confirm to a signed-in buyer by email/SMS if they opted in
+    if (req.buyer) {
+      const NotificationChannelService = require("../services/notificationChannels");
+      const confirmation = await Notification.notify({
+        recipientId: req.buyer._id,
+        recipientType: "Buyer",
+        type: "order_update",
+        title: "Order Placed! 🛒",
+        message: `Your order #${order._id.toString().slice(-6)} has been placed`,
+        actionType: "order",
+        referenceId: order._id,
+      });
+      await NotificationChannelService.notifyBuyer(
+        req.buyer,
+        "orderConfirmation",
+        {
+          reference: `#${order._id.toString().slice(-6)}`,
+          orders: [{ orderNumber: order._id.toString().slice(-6), total: totalPrice }],
+          total: totalPrice,
+          currency: "USD",
+        },
+        confirmation
+      );
+    }
+
     // Update product inquiry stats
     for (const item of orderItems) {
       await Product.findByIdAndUpdate(item.productId, {
@@ -223,6 +263,7 @@ router.put("/:id/cancel", protectBuyer, async (req, res) => {
     }
 
     await order.updateStatus("cancelled", reason || "Cancelled by buyer", req.buyer._id);
+    await PromoService.releaseIfCancelled(order);
 
     // Notify seller
     await Notification.notify({
@@ -1,17 +1,17 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const Buyer = require("../models/Buyer");
 const Product = require("../models/Product");
 const { protectBuyer } = require("../middleware/auth");
+const OtpService = require("../services/otpService");
+const { phoneVariants } = require("../services/smsProviders");
+const SessionService = require("../services/sessionService");
+const PasswordResetService = require("../services/passwordResetService");
+const { rateLimit } = require("../middleware/rateLimit");
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id, type = "buyer") => {
-  return jwt.sign({ id, type }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "30d",
-  });
-};
+// Forgot/reset password attempts per IP
+const passwordResetLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 10 });
 
 // @route   POST /api/buyer/register
 // @desc    Register new buyer
@@ -35,11 +35,11 @@ router.post("/register", async (req, res) => {
       location: location || {},
     });
 
-    const token = generateToken(buyer._id, "buyer");
+    const tokens = await SessionService.start("buyer", buyer._id, req);
 
     res.status(201).json({
       message: "Welcome to the marketplace! 🎉",
-      token,
+      ...tokens,
       user: {
         id: buyer._id,
         name: buyer.name,
@@ -74,11 +74,11 @@ router.post("/login", async (req, res) => {
     buyer.lastLogin = new Date();
     await buyer.save();
 
-    const token = generateToken(buyer._id, "buyer");
+    const tokens = await SessionService.start("buyer", buyer._id, req);
 
     res.json({
       message: "Welcome back! 🎉",
-      token,
+      ...tokens,
       user: {
         id: buyer._id,
         name: buyer.name,
@@ -93,6 +93,187 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// ========================================
+// PHONE LOGIN & VERIFICATION
+// ========================================
+
+// @route   POST /api/buyer/otp/request
+// @desc    Text a login code to a phone number
+// @access  Public
+router.post("/otp/request", async (req, res) => {
+  try {
+    const phone = OtpService.normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ message: "Enter a valid phone number" });
+    }
+
+    const result = await OtpService.send({ phone, role: "buyer", purpose: "login" });
+    if (!result.success) {
+      return res
+        .status(result.retryAfter ? 429 : 502)
+        .json({ message: result.message, retryAfter: result.retryAfter });
+    }
+
+    res.json({
+      message: "Code sent! 📱",
+      expiresAt: result.expiresAt,
+      resendAfter: result.resendAfter,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error sending code", error: error.message });
+  }
+});
+
+// @route   POST /api/buyer/otp/login
+// @desc    Log in with a phone number and SMS code (creates the account on first use)
+// @access  Public
+router.post("/otp/login", async (req, res) => {
+  try {
+    const { code, name } = req.body;
+    const phone = OtpService.normalizePhone(req.body.phone);
+    if (!phone || !code) {
+      return res.status(400).json({ message: "Phone number and code are required" });
+    }
+
+    const check = await OtpService.verify({ phone, role: "buyer", purpose: "login", code });
+    if (!check.success) {
+      return res.status(401).json({ message: check.message });
+    }
+
+    // Only an account that has already proved it owns this number is logged in,
+    // never one that just typed it into a profile
+    let buyer = await Buyer.findOne({
+      phone: { $in: phoneVariants(phone) },
+      phoneVerifiedAt: { $exists: true },
+    }).sort({ phoneVerifiedAt: -1 });
+
+    const isNewAccount = !buyer;
+    if (isNewAccount) {
+      buyer = new Buyer({ name: name || `Buyer ${phone.slice(-4)}`, phone });
+    }
+
+    if (!buyer.isActive) {
+      return res.status(403).json({ message: "Account has been deactivated" });
+    }
+
+    const firstVerification = !buyer.phoneVerifiedAt;
+    buyer.phone = phone;
+    buyer.isVerified = true;
+    if (firstVerification) buyer.phoneVerifiedAt = new Date();
+    buyer.lastLogin = new Date();
+    await buyer.save();
+
+    // Guest orders and chats made with this number now belong to the account
+    const claimed = firstVerification
+      ? await buyer.claimGuestRecords(phoneVariants(phone))
+      : { orders: 0, conversations: 0 };
+
+    const tokens = await SessionService.start("buyer", buyer._id, req);
+
+    res.status(isNewAccount ? 201 : 200).json({
+      message: isNewAccount ? "Welcome to the marketplace! 🎉" : "Welcome back! 🎉",
+      ...tokens,
+      user: {
+        id: buyer._id,
+        name: buyer.name,
+        email: buyer.email,
+        phone: buyer.phone,
+        avatar: buyer.avatar,
+        type: "buyer",
+      },
+      isNewAccount,
+      claimed,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Login failed", error: error.message });
+  }
+});
+
+// Another account already verified this number
+const phoneTakenBy = (phone, buyerId) =>
+  Buyer.exists({
+    _id: { $ne: buyerId },
+    phone: { $in: phoneVariants(phone) },
+    phoneVerifiedAt: { $exists: true },
+  });
+
+// @route   POST /api/buyer/phone/request
+// @desc    Text a code to verify the buyer's phone number
+// @access  Private
+router.post("/phone/request", protectBuyer, async (req, res) => {
+  try {
+    const phone = OtpService.normalizePhone(req.body.phone || req.buyer.phone);
+    if (!phone) {
+      return res.status(400).json({ message: "Enter a valid phone number" });
+    }
+
+    if (await phoneTakenBy(phone, req.buyer._id)) {
+      return res.status(400).json({ message: "This phone number is linked to another account" });
+    }
+
+    const result = await OtpService.send({ phone, role: "buyer", purpose: "verify_phone" });
+    if (!result.success) {
+      return res
+        .status(result.retryAfter ? 429 : 502)
+        .json({ message: result.message, retryAfter: result.retryAfter });
+    }
+
+    res.json({
+      message: "Code sent! 📱",
+      expiresAt: result.expiresAt,
+      resendAfter: result.resendAfter,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error sending code", error: error.message });
+  }
+});
+
+// @route   POST /api/buyer/phone/verify
+// @desc    Confirm the buyer's phone number with the SMS code
+// @access  Private
+router.post("/phone/verify", protectBuyer, async (req, res) => {
+  try {
+    const phone = OtpService.normalizePhone(req.body.phone || req.buyer.phone);
+    if (!phone || !req.body.code) {
+      return res.status(400).json({ message: "Phone number and code are required" });
+    }
+
+    const check = await OtpService.verify({
+      phone,
+      role: "buyer",
+      purpose: "verify_phone",
+      code: req.body.code,
+    });
+    if (!check.success) {
+      return res.status(400).json({ message: check.message });
+    }
+
+    if (await phoneTakenBy(phone, req.buyer._id)) {
+      return res.status(400).json({ message: "This phone number is linked to another account" });
+    }
+
+    const buyer = await Buyer.findById(req.buyer._id);
+    const firstVerification = !buyer.phoneVerifiedAt || buyer.phone !== phone;
+
+    buyer.phone = phone;
+    buyer.isVerified = true;
+    buyer.phoneVerifiedAt = new Date();
+    await buyer.save();
+
+    const claimed = firstVerification
+      ? await buyer.claimGuestRecords(phoneVariants(phone))
+      : { orders: 0, conversations: 0 };
+
+    res.json({
+      message: "Phone number verified! ✅",
+      phone: buyer.phone,
+      claimed,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error verifying phone", error: error.message });
+  }
+});
+
 // @route   GET /api/buyer/profile
 // @desc    Get buyer profile
 // @access  Private
@@ -118,7 +299,12 @@ router.put("/profile", protectBuyer, async (req, res) => {
     const buyer = await Buyer.findById(req.buyer._id);
 
     if (name) buyer.name = name;
-    if (phone) buyer.phone = phone;
+    // A new number has to be verified again
+    if (phone && phone !== buyer.phone) {
+      buyer.phone = phone;
+      buyer.phoneVerifiedAt = undefined;
+      buyer.isVerified = false;
+    }
     if (avatar) buyer.avatar = avatar;
     if (location) buyer.location = { ...buyer.location, ...location };
     if (notifications) buyer.notifications = { ...buyer.notifications, ...notifications };
@@ -234,10 +420,51 @@ router.put("/change-password", protectBuyer, async (req, res) => {
     buyer.password = newPassword;
     await buyer.save();
 
-    res.json({ message: "Password changed successfully! 🔐" });
+    // Sign out every other device; this one stays logged in
+    await SessionService.revokeAll("buyer", buyer._id, {
+      except: req.sessionId,
+      reason: "password_change",
+    });
+
+    res.json({ message: "Password changed successfully! 🔐 Other devices have been signed out." });
   } catch (error) {
     res.status(500).json({ message: "Error changing password", error: error.message });
   }
 });
 
+// @route   POST /api/buyer/forgot-password
+// @desc    Send a reset code to the account's email or verified phone
+// @access  Public
+router.post("/forgot-password", passwordResetLimiter, async (req, res) => {
+  const { email, phone } = req.body;
+  if (!email && !phone) {
+    return res.status(400).json({ message: "Email or phone number is required" });
+  }
+
+  // Sent in the background so the response is the same whether or not the account exists
+  PasswordResetService.request("buyer", { email, phone }).catch((error) =>
+    console.error("Password reset request failed:", error)
+  );
+
+  res.json({ message: "If that account exists, a reset code is on its way 📩" });
+});
+
+// @route   POST /api/buyer/reset-password
+// @desc    Set a new password with the reset code (signs out every device)
+// @access  Public
+router.post("/reset-password", passwordResetLimiter, async (req, res) => {
+  try {
+    const { email, phone, code, newPassword } = req.body;
+
+    const result = await PasswordResetService.confirm("buyer", { email, phone, code, newPassword });
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    res.json({ message: "Password reset! Log in with your new password 🔐" });
+  } catch (error) {
+    res.status(500).json({ message: "Error resetting password", error: error.message });
+  }
+});
+
 module.exports = router;
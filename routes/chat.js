@@ -1,18 +1,101 @@
 const express = require("express");
 const Conversation = require("../models/Conversation");
-const Message = require("../models/Message");
 const Notification = require("../models/Notification");
-const { protect, protectBuyer, optionalBuyerAuth } = require("../middleware/auth");
+const QuickReply = require("../models/QuickReply");
+const ChatBlock = require("../models/ChatBlock");
+const ChatService = require("../services/chatService");
+const ChatAutomationService = require("../services/chatAutomation");
+const ChatModerationService = require("../services/chatModeration");
+const { phoneVariants } = require("../services/smsProviders");
+const { rateLimit } = require("../middleware/rateLimit");
+const upload = require("../middleware/upload");
+const {
+  protect,
+  protectBuyer,
+  protectSession,
+  optionalBuyerAuth,
+  optionalChatAuth,
+} = require("../middleware/auth");
 
 const router = express.Router();
 
+// New conversations per IP (guests only need a phone number)
+const startLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.CHAT_MAX_NEW_CONVERSATIONS_PER_HOUR) || 20,
+  message: "Too many new conversations. Please try again later.",
+});
+
+// Who is acting in a conversation over REST: the signed-in participant, or
+// a guest (no account) proving they own the conversation's phone number.
+// Null when the caller has no part in it.
+const chatParticipant = (req, conversation, guestPhone) => {
+  const user = req.chatUser;
+  if (user) {
+    if (!conversation.hasParticipant(user)) return null;
+    return {
+      id: user.id,
+      name: user.name,
+      senderType: user.type === "seller" ? "business" : "customer",
+    };
+  }
+
+  if (conversation.buyerId || typeof guestPhone !== "string" || !guestPhone.trim()) return null;
+  if (!phoneVariants(guestPhone.trim()).includes(conversation.customerPhone)) return null;
+  return { id: conversation._id, name: conversation.customerName, senderType: "customer" };
+};
+
+// Reply for a message ChatModerationService refused
+const sendRefused = (res, check) => {
+  if (check.retryAfter) res.set("Retry-After", String(check.retryAfter));
+  res.status(check.status).json({ message: check.message, code: check.code });
+};
+
+// Quick reply fields a seller can set
+const pickQuickReply = (body) => {
+  const fields = {};
+  for (const key of ["title", "shortcut", "body"]) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  // Empty shortcut removes it
+  if (fields.shortcut === "") fields.shortcut = undefined;
+  return fields;
+};
+
+const handleQuickReplyError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ message: "Another quick reply uses that shortcut" });
+  }
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: "Error saving quick reply", error: error.message });
+};
+
+// Files saved by the upload middleware, as message attachments
+const toAttachments = (files) =>
+  files.map((file) => ({
+    url: `/uploads/${file.filename}`,
+    mimeType: file.mimetype,
+    size: file.size,
+  }));
+
 // @route   POST /api/chat/start
 // @desc    Start a new conversation (customer/buyer with business)
 // @access  Public (optional buyer auth)
-router.post("/start", optionalBuyerAuth, async (req, res) => {
+router.post("/start", startLimiter, optionalBuyerAuth, async (req, res) => {
   try {
     const { businessId, productId, customerName, customerPhone, customerEmail, initialMessage } = req.body;
 
+    const block = await ChatModerationService.checkBlock(
+      businessId,
+      { buyerId: req.buyer?._id, customerPhone: req.buyer?.phone || customerPhone },
+      "customer"
+    );
+    if (!block.allowed) {
+      return res.status(403).json({ message: block.message, code: block.code });
+    }
+
     // Check if conversation already exists
     let conversation;
     
@@ -42,7 +125,6 @@ router.post("/start", optionalBuyerAuth, async (req, res) => {
         customerPhone: req.buyer?.phone || customerPhone,
         customerEmail: req.buyer?.email || customerEmail,
         lastMessage: initialMessage || "Started a conversation",
-        unreadBusiness: 1,
       });
     } else {
       // Update conversation if linking to buyer account
@@ -54,13 +136,18 @@ router.post("/start", optionalBuyerAuth, async (req, res) => {
 
     // If there's an initial message, save it
     if (initialMessage) {
-      await Message.create({
-        conversationId: conversation._id,
-        senderId: req.buyer?._id || conversation._id,
-        senderName: req.buyer?.name || customerName,
-        senderType: "customer",
-        message: initialMessage,
-      });
+      const check = await ChatModerationService.canSend(conversation, "customer");
+      if (!check.allowed) return sendRefused(res, check);
+
+      await ChatService.sendMessage(
+        conversation,
+        {
+          id: req.buyer?._id || conversation._id,
+          name: req.buyer?.name || customerName,
+          senderType: "customer",
+        },
+        { type: "text", message: initialMessage }
+      );
 
       // Notify business
       await Notification.notify({
@@ -84,63 +171,162 @@ router.post("/start", optionalBuyerAuth, async (req, res) => {
 });
 
 // @route   GET /api/chat/conversations
-// @desc    Get all conversations for a business
+// @desc    Get a page of conversations for a business (?cursor=&limit=)
 // @access  Private
 router.get("/conversations", protect, async (req, res) => {
   try {
-    const conversations = await Conversation.find({ businessId: req.user.businessId })
-      .populate("productId", "name image price")
-      .sort({ lastMessageAt: -1 });
+    const page = await ChatService.pageConversations(
+      { businessId: req.user.businessId },
+      {
+        cursor: req.query.cursor,
+        limit: req.query.limit,
+        populate: { path: "productId", select: "name image price" },
+      }
+    );
 
-    res.json(conversations);
+    res.json(page);
   } catch (error) {
     res.status(500).json({ message: "Error fetching conversations", error: error.message });
   }
 });
 
+// @route   GET /api/chat/search
+// @desc    Search the business's messages (?q=&buyerId=&productId=&from=&to=&cursor=&limit=)
+// @access  Private
+router.get("/search", protect, async (req, res) => {
+  try {
+    const { q, buyerId, productId, from, to, cursor, limit } = req.query;
+
+    const results = await ChatService.searchMessages(req.user.businessId, {
+      q,
+      buyerId,
+      productId,
+      from,
+      to,
+      cursor,
+      limit,
+    });
+
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ message: "Error searching messages", error: error.message });
+  }
+});
+
+// @route   GET /api/chat/conversations/:conversationId/export
+// @desc    Download a conversation transcript (?format=json|text)
+// @access  Private
+router.get("/conversations/:conversationId/export", protect, async (req, res) => {
+  try {
+    const format = req.query.format === "text" ? "text" : "json";
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.conversationId,
+      businessId: req.user.businessId,
+    });
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    const transcript = await ChatService.exportTranscript(conversation, format);
+    const filename = `conversation-${conversation._id}.${format === "text" ? "txt" : "json"}`;
+    res.attachment(filename);
+
+    if (format === "text") {
+      return res.type("text/plain").send(transcript);
+    }
+    res.json(transcript);
+  } catch (error) {
+    res.status(500).json({ message: "Error exporting conversation", error: error.message });
+  }
+});
+
 // @route   GET /api/chat/messages/:conversationId
-// @desc    Get all messages in a conversation
-// @access  Public (can be accessed by customer too)
-router.get("/messages/:conversationId", async (req, res) => {
+// @desc    Get a page of messages in a conversation, oldest to newest (?before=&limit=)
+// @access  Private (the conversation's buyer or seller; guests pass ?phone=)
+router.get("/messages/:conversationId", optionalChatAuth, async (req, res) => {
   try {
-    const messages = await Message.find({ conversationId: req.params.conversationId })
-      .sort({ createdAt: 1 });
+    const conversation = await Conversation.findById(req.params.conversationId);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+    if (!chatParticipant(req, conversation, req.query.phone)) {
+      return res.status(403).json({ message: "You are not part of this conversation" });
+    }
 
-    res.json(messages);
+    const page = await ChatService.pageMessages(req.params.conversationId, {
+      before: req.query.before,
+      limit: req.query.limit,
+    });
+
+    res.json(page);
   } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
     res.status(500).json({ message: "Error fetching messages", error: error.message });
   }
 });
 
+// @route   POST /api/chat/attachments
+// @desc    Upload chat images (up to 5) to send over Socket.IO as an image message
+// @access  Private (any signed-in user)
+router.post("/attachments", protectSession, upload.array("images", 5), async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ message: "No images uploaded" });
+  }
+
+  res.status(201).json({
+    attachments: toAttachments(req.files),
+  });
+});
+
 // @route   POST /api/chat/message
-// @desc    Send a message
-// @access  Public
-router.post("/message", async (req, res) => {
-  try {
-    const { conversationId, senderId, senderName, senderType, message } = req.body;
-
-    const newMessage = await Message.create({
-      conversationId,
-      senderId,
-      senderName,
-      senderType,
-      message,
-    });
+// @desc    Send a message - text, or type image (multipart "images"), product,
+//          offer ({ offerId }) or location ({ location: { lat, lng } })
+// @access  Private (the conversation's buyer or seller; guests send { customerPhone })
+router.post("/message", optionalChatAuth, upload.array("images", 5), async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.body.conversationId);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+    // Same rule as send_message over Socket.IO - the sender never comes from the body
+    const sender = chatParticipant(req, conversation, req.body.customerPhone);
+    if (!sender) {
+      return res.status(403).json({ message: "You are not part of this conversation" });
+    }
+    const { senderType } = sender;
 
-    // Update conversation with unread counts
-    const conversation = await Conversation.findById(conversationId);
-    const updateData = {
-      lastMessage: message,
-      lastMessageAt: new Date(),
-    };
-    
-    if (senderType === "customer") {
-      updateData.unreadBusiness = (conversation.unreadBusiness || 0) + 1;
-    } else {
-      updateData.unreadCustomer = (conversation.unreadCustomer || 0) + 1;
+    // Photos sent with the request become an image message
+    const input = { ...req.body };
+    if (req.files?.length) {
+      input.type = "image";
+      input.attachments = toAttachments(req.files);
     }
-    
-    await Conversation.findByIdAndUpdate(conversationId, updateData);
+    // Multipart forms send nested fields as JSON strings
+    if (typeof input.location === "string") {
+      try {
+        input.location = JSON.parse(input.location);
+      } catch {
+        input.location = null;
+      }
+    }
+
+    const allowed = await ChatModerationService.canSend(conversation, senderType);
+    if (!allowed.allowed) return sendRefused(res, allowed);
+
+    const check = await ChatService.validateContent(conversation, input);
+    if (!check.success) {
+      return res.status(400).json({ message: check.message });
+    }
+
+    // Also updates unread counts and notifies connected devices
+    const newMessage = await ChatService.sendMessage(
+      conversation,
+      sender,
+      check.content
+    );
 
     res.status(201).json({
       message: "Message sent! ✅",
@@ -156,33 +342,267 @@ router.post("/message", async (req, res) => {
 // @access  Private
 router.put("/read/:conversationId", protect, async (req, res) => {
   try {
-    await Message.updateMany(
-      { conversationId: req.params.conversationId, isRead: false, senderType: "customer" },
-      { isRead: true }
-    );
+    const conversation = await Conversation.findOne({
+      _id: req.params.conversationId,
+      businessId: req.user.businessId,
+    });
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
 
-    await Conversation.findByIdAndUpdate(req.params.conversationId, { unreadBusiness: 0 });
+    const marked = await ChatService.markRead(conversation, "business");
 
-    res.json({ message: "Messages marked as read" });
+    res.json({ message: "Messages marked as read", marked });
   } catch (error) {
     res.status(500).json({ message: "Error updating messages", error: error.message });
   }
 });
 
+// ====================================
+// 🚫 BLOCKING & REPORTS
+// ====================================
+
+// Conversation of the signed-in seller or buyer, by :conversationId
+const findOwnConversation = (req) =>
+  Conversation.findOne({
+    _id: req.params.conversationId,
+    ...(req.buyer ? { buyerId: req.buyer._id } : { businessId: req.user.businessId }),
+  });
+
+// Block the other side: { reason? }
+const blockHandler = (side) => async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    const userId = side === "business" ? req.user._id : req.buyer._id;
+    const block = await ChatModerationService.block(conversation, side, userId, req.body?.reason);
+
+    res.json({ message: side === "business" ? "Customer blocked" : "Seller blocked", block });
+  } catch (error) {
+    res.status(500).json({ message: "Error blocking", error: error.message });
+  }
+};
+
+const unblockHandler = (side) => async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    const removed = await ChatModerationService.unblock(conversation, side);
+    if (!removed) {
+      return res.status(404).json({ message: "Not blocked" });
+    }
+
+    res.json({ message: "Unblocked" });
+  } catch (error) {
+    res.status(500).json({ message: "Error unblocking", error: error.message });
+  }
+};
+
+// Report to the admins: { reason, details?, messageIds? }
+const reportHandler = (side) => async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    const reporter =
+      side === "business"
+        ? { type: "business", id: req.user._id }
+        : { type: "buyer", id: req.buyer._id };
+    const result = await ChatModerationService.report(conversation, reporter, req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    res.status(201).json({
+      message: "Thanks - our team will review this conversation",
+      report: result.report,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error reporting conversation", error: error.message });
+  }
+};
+
+// @route   POST /api/chat/conversations/:conversationId/block
+// @desc    Block the customer (account and phone number) from messaging the business
+// @access  Private
+router.post("/conversations/:conversationId/block", protect, blockHandler("business"));
+
+// @route   DELETE /api/chat/conversations/:conversationId/block
+// @desc    Unblock the customer
+// @access  Private
+router.delete("/conversations/:conversationId/block", protect, unblockHandler("business"));
+
+// @route   POST /api/chat/conversations/:conversationId/report
+// @desc    Report a conversation for moderation
+// @access  Private
+router.post("/conversations/:conversationId/report", protect, reportHandler("business"));
+
+// @route   POST /api/chat/buyer/conversations/:conversationId/block
+// @desc    Block the seller
+// @access  Private (Buyer)
+router.post("/buyer/conversations/:conversationId/block", protectBuyer, blockHandler("buyer"));
+
+// @route   DELETE /api/chat/buyer/conversations/:conversationId/block
+// @desc    Unblock the seller
+// @access  Private (Buyer)
+router.delete("/buyer/conversations/:conversationId/block", protectBuyer, unblockHandler("buyer"));
+
+// @route   POST /api/chat/buyer/conversations/:conversationId/report
+// @desc    Report a conversation for moderation
+// @access  Private (Buyer)
+router.post("/buyer/conversations/:conversationId/report", protectBuyer, reportHandler("buyer"));
+
+// @route   GET /api/chat/blocks
+// @desc    Customers the business has blocked
+// @access  Private
+router.get("/blocks", protect, async (req, res) => {
+  try {
+    const blocks = await ChatBlock.find({ businessId: req.user.businessId, blockedBy: "business" })
+      .populate("buyerId", "name avatar")
+      .sort({ createdAt: -1 });
+
+    res.json(blocks);
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching blocks", error: error.message });
+  }
+});
+
+// ====================================
+// ⚡ QUICK REPLIES (seller)
+// ====================================
+
+// @route   GET /api/chat/quick-replies
+// @desc    Get the business's quick replies and the placeholders they can use
+// @access  Private
+router.get("/quick-replies", protect, async (req, res) => {
+  try {
+    const quickReplies = await QuickReply.find({ businessId: req.user.businessId }).sort({
+      usageCount: -1,
+      title: 1,
+    });
+
+    res.json({
+      quickReplies,
+      placeholders: ChatAutomationService.PLACEHOLDERS.map((name) => `{{${name}}}`),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching quick replies", error: error.message });
+  }
+});
+
+// @route   POST /api/chat/quick-replies
+// @desc    Save a quick reply ({ title, shortcut?, body })
+// @access  Private
+router.post("/quick-replies", protect, async (req, res) => {
+  try {
+    const quickReply = await QuickReply.create({
+      ...pickQuickReply(req.body),
+      businessId: req.user.businessId,
+    });
+
+    res.status(201).json({ message: "Quick reply saved", quickReply });
+  } catch (error) {
+    handleQuickReplyError(res, error);
+  }
+});
+
+// @route   PUT /api/chat/quick-replies/:id
+// @desc    Update a quick reply
+// @access  Private
+router.put("/quick-replies/:id", protect, async (req, res) => {
+  try {
+    const quickReply = await QuickReply.findOne({
+      _id: req.params.id,
+      businessId: req.user.businessId,
+    });
+    if (!quickReply) {
+      return res.status(404).json({ message: "Quick reply not found" });
+    }
+
+    quickReply.set(pickQuickReply(req.body));
+    await quickReply.save();
+
+    res.json({ message: "Quick reply updated", quickReply });
+  } catch (error) {
+    handleQuickReplyError(res, error);
+  }
+});
+
+// @route   DELETE /api/chat/quick-replies/:id
+// @desc    Delete a quick reply
+// @access  Private
+router.delete("/quick-replies/:id", protect, async (req, res) => {
+  try {
+    const result = await QuickReply.deleteOne({
+      _id: req.params.id,
+      businessId: req.user.businessId,
+    });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "Quick reply not found" });
+    }
+
+    res.json({ message: "Quick reply deleted" });
+  } catch (error) {
+    handleQuickReplyError(res, error);
+  }
+});
+
+// @route   POST /api/chat/quick-replies/:id/preview
+// @desc    Fill in a quick reply for a conversation ({ conversationId, productId? }) to
+//          edit before sending. Send it as-is with send_message { quickReplyId }.
+// @access  Private
+router.post("/quick-replies/:id/preview", protect, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({
+      _id: req.body.conversationId,
+      businessId: req.user.businessId,
+    });
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    const rendered = await ChatAutomationService.renderQuickReply(
+      req.user.businessId,
+      req.params.id,
+      conversation,
+      req.body.productId
+    );
+    if (!rendered) {
+      return res.status(404).json({ message: "Quick reply not found" });
+    }
+
+    res.json({ text: rendered.text });
+  } catch (error) {
+    res.status(500).json({ message: "Error preparing quick reply", error: error.message });
+  }
+});
+
 // @route   GET /api/chat/buyer/conversations
-// @desc    Get all conversations for a buyer
+// @desc    Get a page of conversations for a buyer (?cursor=&limit=)
 // @access  Private (Buyer)
 router.get("/buyer/conversations", protectBuyer, async (req, res) => {
   try {
-    const conversations = await Conversation.find({ 
-      buyerId: req.buyer._id,
-      archivedByCustomer: false,
-    })
-      .populate("businessId", "name logo")
-      .populate("productId", "name image price")
-      .sort({ lastMessageAt: -1 });
+    const page = await ChatService.pageConversations(
+      { buyerId: req.buyer._id, archivedByCustomer: false },
+      {
+        cursor: req.query.cursor,
+        limit: req.query.limit,
+        populate: [
+          { path: "businessId", select: "name logo" },
+          { path: "productId", select: "name image price" },
+        ],
+      }
+    );
 
-    res.json(conversations);
+    res.json(page);
   } catch (error) {
     res.status(500).json({ message: "Error fetching conversations", error: error.message });
   }
@@ -193,14 +613,17 @@ router.get("/buyer/conversations", protectBuyer, async (req, res) => {
 // @access  Private (Buyer)
 router.put("/buyer/read/:conversationId", protectBuyer, async (req, res) => {
   try {
-    await Message.updateMany(
-      { conversationId: req.params.conversationId, isRead: false, senderType: "business" },
-      { isRead: true }
-    );
+    const conversation = await Conversation.findOne({
+      _id: req.params.conversationId,
+      buyerId: req.buyer._id,
+    });
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
 
-    await Conversation.findByIdAndUpdate(req.params.conversationId, { unreadCustomer: 0 });
+    const marked = await ChatService.markRead(conversation, "customer");
 
-    res.json({ message: "Messages marked as read" });
+    res.json({ message: "Messages marked as read", marked });
   } catch (error) {
     res.status(500).json({ message: "Error updating messages", error: error.message });
   }
@@ -1,25 +1,265 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Order = require("../models/Order");
 const Product = require("../models/Product");
+const User = require("../models/User");
 const Payment = require("../models/Payment");
-const DeliveryZone = require("../models/DeliveryZone");
+const CheckoutGroup = require("../models/CheckoutGroup");
+const Offer = require("../models/Offer");
+const StockReservation = require("../models/StockReservation");
 const PaymentService = require("../services/paymentService");
+const PromoService = require("../services/promoService");
 const PushNotificationService = require("../services/pushNotifications");
+const ChatService = require("../services/chatService");
+const DeliveryZoneService = require("../services/deliveryZones");
 const { protectBuyer } = require("../middleware/auth");
 
 /**
  * Modern Checkout Flow for Uganda 2026
  * Combines: Product Selection → Delivery → Payment → Confirmation
+ *
+ * A cart spanning several shops is split into one Order per business
+ * under a parent CheckoutGroup, and the buyer pays once for all of them.
  */
 
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Swap cart lines that name an accepted offer ({ offerId }) for the offer's
+ * product, variant and quantity, keeping the offer for pricing
+ */
+const resolveOfferItems = async (items, buyerId) => {
+  const offerIds = items.filter((item) => item.offerId).map((item) => String(item.offerId));
+  if (offerIds.length === 0) return { lines: items };
+
+  if (new Set(offerIds).size !== offerIds.length) {
+    return { error: "Each offer can only be bought once" };
+  }
+
+  const offers = await Offer.find({
+    _id: { $in: offerIds.filter((id) => mongoose.isValidObjectId(id)) },
+    buyerId,
+  });
+
+  const lines = [];
+  for (const item of items) {
+    if (!item.offerId) {
+      lines.push(item);
+      continue;
+    }
+
+    const offer = offers.find((o) => o._id.toString() === String(item.offerId));
+    if (!offer || offer.status !== "accepted" || offer.expiresAt <= new Date()) {
+      return { error: "This offer has expired or has already been used" };
+    }
+    lines.push({
+      productId: offer.productId,
+      variantId: offer.variantId,
+      quantity: offer.quantity,
+      offer,
+    });
+  }
+
+  return { lines };
+};
+
+/**
+ * Load cart items from the database and group them by business.
+ * Prices always come from the Product (or the chosen variant), never from the
+ * client - or from the buyer's accepted offer for { offerId } lines.
+ */
+const buildSellerGroups = async (cartItems, buyerId) => {
+  const { lines: items, error } = await resolveOfferItems(cartItems, buyerId);
+  if (error) return { error };
+
+  const productIds = items.map((item) => item.productId);
+  const products = await Product.find({ _id: { $in: productIds } })
+    .populate("businessId", "name owner")
+    .select("name price image images stock options variants businessId category");
+
+  // Units the buyer's own cart hold already took out of stock still count as theirs
+  const held = await StockReservation.heldForBuyer(buyerId);
+
+  const groups = {};
+
+  for (const item of items) {
+    const product = products.find(
+      (p) => p._id.toString() === String(item.productId)
+    );
+
+    if (!product) {
+      return { error: `Product not found: ${item.productId}` };
+    }
+
+    const choice = product.resolveVariant(item.variantId);
+    if (choice.error) {
+      return { error: choice.error };
+    }
+
+    const displayName = choice.label ? `${product.name} (${choice.label})` : product.name;
+    const available =
+      choice.stock + (held[StockReservation.lineKey(product._id, choice.variant?._id)] || 0);
+    if (available < item.quantity) {
+      return {
+        error: `Not enough stock for ${displayName}. Available: ${available}`,
+      };
+    }
+
+    const businessId = product.businessId._id.toString();
+    if (!groups[businessId]) {
+      // Businesses created before `owner` was stored fall back to their owner account
+      const sellerId =
+        product.businessId.owner ||
+        (await User.findOne({ businessId, role: "owner" }).select("_id"))?._id;
+
+      groups[businessId] = {
+        businessId,
+        businessName: product.businessId.name,
+        sellerId,
+        items: [],
+        subtotal: 0,
+      };
+    }
+
+    // Negotiated price, locked while the offer is valid
+    const price = item.offer ? item.offer.offerPrice : choice.price;
+    const itemTotal = price * item.quantity;
+    groups[businessId].subtotal += itemTotal;
+    groups[businessId].items.push({
+      productId: product._id,
+      productName: product.name,
+      productImage: choice.image,
+      variantId: choice.variant?._id || null,
+      variantLabel: choice.label,
+      sku: choice.sku,
+      offerId: item.offer?._id || null,
+      category: product.category,
+      quantity: item.quantity,
+      price,
+      total: itemTotal,
+      businessId: product.businessId._id,
+      businessName: product.businessId.name,
+      sellerId: groups[businessId].sellerId,
+    });
+  }
+
+  return { groups: Object.values(groups) };
+};
+
+/**
+ * Compile the delivery methods a business offers for a given subtotal
+ */
+const buildDeliveryOptions = (zone, subtotal) => {
+  const deliveryOptions = [];
+
+  if (!zone) {
+    // Default options if no zone configured
+    deliveryOptions.push(
+      {
+        id: "personal",
+        name: "Seller Delivery",
+        description: "Delivery by seller",
+        fee: DeliveryZoneService.DEFAULT_FEES.personal,
+        estimatedTime: "1-2 hours",
+        icon: "package",
+      },
+      {
+        id: "pickup",
+        name: "Pickup",
+        description: "Pick up from seller",
+        fee: DeliveryZoneService.DEFAULT_FEES.pickup,
+        estimatedTime: "Available now",
+        icon: "store",
+      }
+    );
+    return deliveryOptions;
+  }
+
+  const opts = zone.deliveryOptions;
+
+  if (opts.safeboda?.enabled) {
+    deliveryOptions.push({
+      id: "safeboda",
+      name: "SafeBoda Delivery",
+      description: "Fast delivery by SafeBoda",
+      fee: opts.safeboda.baseFee,
+      estimatedTime: "30-60 mins",
+      icon: "bike",
+    });
+  }
+  if (opts.faras?.enabled) {
+    deliveryOptions.push({
+      id: "faras",
+      name: "Faras Delivery",
+      description: "Delivery by Faras",
+      fee: opts.faras.baseFee,
+      estimatedTime: "45-90 mins",
+      icon: "car",
+    });
+  }
+  if (opts.personal?.enabled) {
+    const isFree = opts.personal.freeAbove && subtotal >= opts.personal.freeAbove;
+    deliveryOptions.push({
+      id: "personal",
+      name: "Seller Delivery",
+      description: isFree ? "Free delivery!" : "Personal delivery by seller",
+      fee: isFree ? 0 : opts.personal.baseFee,
+      estimatedTime: zone.estimatedTime || "1-2 hours",
+      icon: "package",
+      freeAbove: opts.personal.freeAbove,
+    });
+  }
+  if (opts.pickup?.enabled) {
+    deliveryOptions.push({
+      id: "pickup",
+      name: "Pickup",
+      description: `Pick up at: ${opts.pickup.address || "Seller location"}`,
+      fee: 0,
+      estimatedTime: "Available now",
+      icon: "store",
+      pickupAddress: opts.pickup.address,
+      pickupHours: opts.pickup.hours,
+    });
+  }
+  if (opts.shipping?.enabled) {
+    deliveryOptions.push({
+      id: "shipping",
+      name: "Standard Shipping",
+      description: `Delivered in ${opts.shipping.estimatedDays}`,
+      fee: opts.shipping.baseFee,
+      estimatedTime: opts.shipping.estimatedDays,
+      icon: "truck",
+    });
+  }
+
+  return deliveryOptions;
+};
+
+// Why a seller's delivery quote was refused, naming the seller
+const unavailableMessage = (quote, method, businessName) =>
+  quote.outsideZones
+    ? `${businessName} does not deliver to this address`
+    : `${businessName}: ${quote.message || `${method} delivery is not available`}`;
+
+/**
+ * Find the delivery choice for one business.
+ * Accepts per-seller `deliveries` or a single legacy `delivery` for every seller.
+ */
+const findDeliveryChoice = (deliveries, fallback, businessId) => {
+  const choice = (deliveries || []).find((d) => String(d.businessId) === businessId);
+  return choice || fallback || null;
+};
+
 // ============================================
 // STEP 1: INITIATE CHECKOUT
 // ============================================
 
 /**
  * @route   POST /api/checkout/initiate
- * @desc    Start checkout process with cart items
+ * @desc    Start checkout process with cart items, grouped per seller
  * @access  Private (Buyer)
  */
 router.post("/initiate", protectBuyer, async (req, res) => {
@@ -33,150 +273,46 @@ router.post("/initiate", protectBuyer, async (req, res) => {
       });
     }
 
-    // Validate and get product details
-    const productIds = items.map((item) => item.productId);
-    const products = await Product.find({ _id: { $in: productIds } })
-      .populate("businessId", "name owner")
-      .select("name price images stock businessId category");
+    // Validate, price and group items by seller
+    const { groups, error } = await buildSellerGroups(items, req.buyer._id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
 
-    if (products.length !== items.length) {
+    // Hold the stock while the buyer completes checkout
+    const hold = await StockReservation.holdCart(
+      req.buyer._id,
+      groups.flatMap((group) => group.items)
+    );
+    if (!hold.success) {
       return res.status(400).json({
         success: false,
-        message: "Some products are not available",
+        message: hold.message,
+        productId: hold.productId,
       });
     }
 
-    // Check stock and calculate totals
-    const orderItems = [];
+    // Each seller offers its own delivery options
+    const sellers = [];
     let subtotal = 0;
-    const businessIds = new Set();
-
-    for (const item of items) {
-      const product = products.find(
-        (p) => p._id.toString() === item.productId
-      );
 
-      if (!product) {
-        return res.status(400).json({
-          success: false,
-          message: `Product not found: ${item.productId}`,
-        });
-      }
-
-      if (product.stock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Not enough stock for ${product.name}. Available: ${product.stock}`,
-        });
-      }
+    for (const group of groups) {
+      // The zone covering the address when one is given, for the right fees
+      const zone = await DeliveryZoneService.zoneFor(group.businessId, shippingAddress);
 
-      const itemTotal = product.price * item.quantity;
-      subtotal += itemTotal;
-      businessIds.add(product.businessId._id.toString());
-
-      orderItems.push({
-        productId: product._id,
-        productName: product.name,
-        productImage: product.images?.[0] || "",
-        quantity: item.quantity,
-        price: product.price,
-        total: itemTotal,
-        businessId: product.businessId._id,
-        businessName: product.businessId.name,
-        sellerId: product.businessId.owner,
+      subtotal += group.subtotal;
+      sellers.push({
+        businessId: group.businessId,
+        businessName: group.businessName,
+        items: group.items,
+        subtotal: group.subtotal,
+        deliveryOptions: buildDeliveryOptions(zone, group.subtotal),
       });
     }
 
-    // Get delivery options for the first business (simplified)
-    // In production, handle multi-seller orders differently
-    const businessId = Array.from(businessIds)[0];
-    const deliveryZones = await DeliveryZone.find({
-      businessId,
-      isActive: true,
-    });
-
-    // Compile available delivery methods
-    const deliveryOptions = [];
-    if (deliveryZones.length > 0) {
-      const zone = deliveryZones[0];
-      const opts = zone.deliveryOptions;
-
-      if (opts.safeboda?.enabled) {
-        deliveryOptions.push({
-          id: "safeboda",
-          name: "SafeBoda Delivery",
-          description: "Fast delivery by SafeBoda",
-          fee: opts.safeboda.baseFee,
-          estimatedTime: "30-60 mins",
-          icon: "bike",
-        });
-      }
-      if (opts.faras?.enabled) {
-        deliveryOptions.push({
-          id: "faras",
-          name: "Faras Delivery",
-          description: "Delivery by Faras",
-          fee: opts.faras.baseFee,
-          estimatedTime: "45-90 mins",
-          icon: "car",
-        });
-      }
-      if (opts.personal?.enabled) {
-        const isFree = opts.personal.freeAbove && subtotal >= opts.personal.freeAbove;
-        deliveryOptions.push({
-          id: "personal",
-          name: "Seller Delivery",
-          description: isFree ? "Free delivery!" : "Personal delivery by seller",
-          fee: isFree ? 0 : opts.personal.baseFee,
-          estimatedTime: zone.estimatedTime || "1-2 hours",
-          icon: "package",
-          freeAbove: opts.personal.freeAbove,
-        });
-      }
-      if (opts.pickup?.enabled) {
-        deliveryOptions.push({
-          id: "pickup",
-          name: "Pickup",
-          description: `Pick up at: ${opts.pickup.address || "Seller location"}`,
-          fee: 0,
-          estimatedTime: "Available now",
-          icon: "store",
-          pickupAddress: opts.pickup.address,
-          pickupHours: opts.pickup.hours,
-        });
-      }
-      if (opts.shipping?.enabled) {
-        deliveryOptions.push({
-          id: "shipping",
-          name: "Standard Shipping",
-          description: `Delivered in ${opts.shipping.estimatedDays}`,
-          fee: opts.shipping.baseFee,
-          estimatedTime: opts.shipping.estimatedDays,
-          icon: "truck",
-        });
-      }
-    } else {
-      // Default options if no zone configured
-      deliveryOptions.push(
-        {
-          id: "personal",
-          name: "Seller Delivery",
-          description: "Delivery by seller",
-          fee: 5000,
-          estimatedTime: "1-2 hours",
-          icon: "package",
-        },
-        {
-          id: "pickup",
-          name: "Pickup",
-          description: "Pick up from seller",
-          fee: 0,
-          estimatedTime: "Available now",
-          icon: "store",
-        }
-      );
-    }
-
     // Payment methods
     const paymentMethods = [
       {
@@ -216,14 +352,18 @@ router.post("/initiate", protectBuyer, async (req, res) => {
       },
     ];
 
-    // Calculate initial total
-    const serviceFee = Math.round(subtotal * 0.025);
+    // Calculate initial total (service fee is charged per sub-order)
+    const serviceFee = sellers.reduce(
+      (sum, seller) => sum + Math.round(seller.subtotal * 0.025),
+      0
+    );
     const initialTotal = subtotal + serviceFee;
 
     res.json({
       success: true,
       checkout: {
-        items: orderItems,
+        items: sellers.flatMap((seller) => seller.items),
+        sellers,
         pricing: {
           subtotal,
           serviceFee,
@@ -231,10 +371,12 @@ router.post("/initiate", protectBuyer, async (req, res) => {
           total: initialTotal,
           currency: "UGX",
         },
-        deliveryOptions,
+        // Kept for single-seller clients
+        deliveryOptions: sellers[0].deliveryOptions,
         paymentMethods,
         savedAddresses: req.buyer.addresses || [],
-        isMultiSeller: businessIds.size > 1,
+        isMultiSeller: sellers.length > 1,
+        reservedUntil: hold.expiresAt,
       },
     });
   } catch (error) {
@@ -249,58 +391,89 @@ router.post("/initiate", protectBuyer, async (req, res) => {
 
 /**
  * @route   POST /api/checkout/delivery
- * @desc    Select delivery method and address
+ * @desc    Select delivery method per seller and address
  * @access  Private (Buyer)
  */
 router.post("/delivery", protectBuyer, async (req, res) => {
   try {
     const {
-      deliveryMethod,
+      deliveries, // [{ businessId, method }] - one per seller
+      deliveryMethod, // Single method applied to every seller
       deliveryAddress,
       deliveryInstructions,
       items, // Pass items to recalculate
     } = req.body;
 
-    // Calculate delivery fee
+    if (!items || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No items to deliver",
+      });
+    }
+
+    const { groups, error } = await buildSellerGroups(items, req.buyer._id);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const sellers = [];
+    let subtotal = 0;
+    let serviceFee = 0;
     let deliveryFee = 0;
-    let estimatedTime = "";
 
-    if (deliveryMethod !== "pickup") {
-      // Get delivery zone for first item's business
-      const productIds = items.map((item) => item.productId);
-      const product = await Product.findById(productIds[0]);
+    for (const group of groups) {
+      const choice = findDeliveryChoice(
+        deliveries,
+        deliveryMethod && { method: deliveryMethod },
+        group.businessId
+      );
 
-      if (product) {
-        const zone = await DeliveryZone.findOne({
-          businessId: product.businessId,
-          isActive: true,
+      if (!choice?.method) {
+        return res.status(400).json({
+          success: false,
+          message: `Select a delivery method for ${group.businessName}`,
         });
+      }
 
-        if (zone) {
-          const feeResult = zone.calculateDeliveryFee(
-            deliveryMethod,
-            null,
-            items.reduce((sum, item) => sum + item.total, 0)
-          );
-          deliveryFee = feeResult.fee;
-          estimatedTime = zone.estimatedTime;
-        }
+      const quote = await DeliveryZoneService.quote(
+        group.businessId,
+        choice.method,
+        group.subtotal,
+        deliveryAddress
+      );
+      if (!quote.available) {
+        return res.status(400).json({
+          success: false,
+          message: unavailableMessage(quote, choice.method, group.businessName),
+        });
       }
+
+      subtotal += group.subtotal;
+      serviceFee += Math.round(group.subtotal * 0.025);
+      deliveryFee += quote.fee;
+
+      sellers.push({
+        businessId: group.businessId,
+        businessName: group.businessName,
+        method: choice.method,
+        fee: quote.fee,
+        distanceKm: quote.distanceKm ?? null,
+        zone: quote.zone || null,
+        estimatedTime: quote.estimatedTime || "",
+      });
     }
 
-    // Calculate new total
-    const subtotal = items.reduce((sum, item) => sum + item.total, 0);
-    const serviceFee = Math.round(subtotal * 0.025);
     const total = subtotal + serviceFee + deliveryFee;
 
     res.json({
       success: true,
       delivery: {
-        method: deliveryMethod,
+        method: deliveryMethod || sellers[0].method,
         address: deliveryAddress,
         instructions: deliveryInstructions,
         fee: deliveryFee,
-        estimatedTime,
+        estimatedTime: sellers[0].estimatedTime,
+        sellers,
       },
       pricing: {
         subtotal,
@@ -321,17 +494,28 @@ router.post("/delivery", protectBuyer, async (req, res) => {
 
 /**
  * @route   POST /api/checkout/complete
- * @desc    Complete checkout - create order and initiate payment
+ * @desc    Complete checkout - create one order per seller and a single payment
  * @access  Private (Buyer)
  */
 router.post("/complete", protectBuyer, async (req, res) => {
+  // Set while promo uses are claimed but no payment has been started for them
+  let redeemedGroupId = null;
+  // Offers and cart holds taken by this request, given back if it fails
+  const claimedOffers = [];
+  let holdTaken = false;
+
   try {
     const {
       items,
-      delivery,
+      deliveries, // [{ businessId, method, instructions }] - one per seller
+      delivery, // Single delivery applied to every seller
+      deliveryMethod, // Or just the method, as in /delivery
+      shippingAddress,
       paymentMethod,
       phoneNumber,
       useEscrow = false,
+      promoCode,
+      promoCodes,
     } = req.body;
 
     // Validate items again
@@ -342,32 +526,132 @@ router.post("/complete", protectBuyer, async (req, res) => {
       });
     }
 
-    // Group items by business for multi-seller support
-    const ordersByBusiness = {};
-    for (const item of items) {
-      const businessId = item.businessId.toString();
-      if (!ordersByBusiness[businessId]) {
-        ordersByBusiness[businessId] = {
-          businessId,
-          sellerId: item.sellerId,
-          items: [],
-          subtotal: 0,
-        };
+    if (!paymentMethod) {
+      return res.status(400).json({
+        success: false,
+        message: "Select a payment method",
+      });
+    }
+
+    // Re-price and group items by business for multi-seller support
+    const { groups, error } = await buildSellerGroups(items, req.buyer._id);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // Resolve each seller's delivery before creating anything
+    for (const group of groups) {
+      const choice = findDeliveryChoice(
+        deliveries,
+        delivery?.method ? delivery : deliveryMethod && { ...delivery, method: deliveryMethod },
+        group.businessId
+      );
+      if (!choice?.method) {
+        return res.status(400).json({
+          success: false,
+          message: `Select a delivery method for ${group.businessName}`,
+        });
+      }
+
+      // Addresses outside every delivery zone are refused here
+      const quote = await DeliveryZoneService.quote(
+        group.businessId,
+        choice.method,
+        group.subtotal,
+        shippingAddress || delivery?.address
+      );
+      if (!quote.available) {
+        return res.status(400).json({
+          success: false,
+          message: unavailableMessage(quote, choice.method, group.businessName),
+        });
+      }
+
+      group.delivery = {
+        method: choice.method,
+        fee: quote.fee,
+        distanceKm: quote.distanceKm ?? null,
+        pickupLocation: quote.pickupLocation || null,
+        instructions: choice.instructions || "",
+        estimatedTime: quote.estimatedTime || choice.estimatedTime || "",
+      };
+    }
+
+    // Price promo codes against the final cart and delivery fees
+    const codes = PromoService.parseCodes({ code: promoCode, codes: promoCodes });
+    const promo = await PromoService.validateCodes({
+      codes,
+      buyerId: req.buyer._id,
+      groups,
+    });
+    if (!promo.valid) {
+      return res.status(400).json({ success: false, message: promo.message });
+    }
+
+    // Take (or keep) the stock hold from /initiate - fails if another buyer got there first
+    const hold = await StockReservation.holdCart(
+      req.buyer._id,
+      groups.flatMap((group) => group.items)
+    );
+    if (!hold.success) {
+      return res.status(400).json({
+        success: false,
+        message: hold.message,
+        productId: hold.productId,
+      });
+    }
+    holdTaken = true;
+
+    // Use up accepted offers now so the same offer can never pay for two orders
+    for (const item of groups.flatMap((group) => group.items)) {
+      if (!item.offerId) continue;
+
+      const offer = await Offer.claimForCheckout(item.offerId, req.buyer._id);
+      if (!offer) {
+        await Offer.releaseClaims(claimedOffers.map((o) => o._id));
+        return res.status(400).json({
+          success: false,
+          message: "This offer has expired or has already been used",
+        });
       }
-      ordersByBusiness[businessId].items.push(item);
-      ordersByBusiness[businessId].subtotal += item.total;
+      claimedOffers.push(offer);
+    }
+
+    // Parent group - the buyer pays once for every sub-order
+    const checkoutGroup = await CheckoutGroup.create({
+      buyerId: req.buyer._id,
+      groupNumber: CheckoutGroup.generateGroupNumber(),
+      currency: "UGX",
+      promoCodes: promo.applied.map((a) => a.code),
+      payment: { method: paymentMethod, status: "pending" },
+    });
+
+    // Claim the codes before any order exists so a lost race costs nothing
+    if (promo.applied.length > 0) {
+      const redemption = await PromoService.redeem({
+        applied: promo.applied,
+        buyerId: req.buyer._id,
+        checkoutGroupId: checkoutGroup._id,
+      });
+
+      if (!redemption.success) {
+        await checkoutGroup.deleteOne();
+        await Offer.releaseClaims(claimedOffers.map((o) => o._id));
+        return res.status(400).json({ success: false, message: redemption.message });
+      }
+      redeemedGroupId = checkoutGroup._id;
     }
 
     const createdOrders = [];
-    const paymentResults = [];
+    const splits = [];
+    const buyerName = req.buyer.name || req.buyer.fullName;
+    const buyerPhone = phoneNumber || req.buyer.phone;
 
     // Create order for each business
-    for (const [businessId, orderData] of Object.entries(ordersByBusiness)) {
-      // Calculate fees for this order
-      const subtotal = orderData.subtotal;
-      const deliveryFee = delivery.fee / Object.keys(ordersByBusiness).length; // Split delivery fee
-      const serviceFee = Math.round(subtotal * 0.025);
-      const total = subtotal + deliveryFee + serviceFee;
+    for (const group of groups) {
+      const share = promo.byBusiness[group.businessId];
+      const discount = share ? share.discount + share.deliveryDiscount : 0;
+      const fees = Payment.calculateFees(group.subtotal, group.delivery.fee, discount);
 
       // Generate order number
       const orderNumber = `ORD-${Date.now().toString(36).toUpperCase()}-${Math.random()
@@ -377,27 +661,40 @@ router.post("/complete", protectBuyer, async (req, res) => {
 
       // Create order
       const order = await Order.create({
-        items: orderData.items,
-        businessId,
+        checkoutGroupId: checkoutGroup._id,
+        items: group.items,
+        productId: group.items.length === 1 ? group.items[0].productId : undefined,
+        businessId: group.businessId,
         buyerId: req.buyer._id,
-        customerName: req.buyer.fullName || `${req.buyer.firstName} ${req.buyer.lastName}`,
-        customerPhone: phoneNumber || req.buyer.phone,
+        customerName: buyerName,
+        customerPhone: buyerPhone,
         customerEmail: req.buyer.email,
         orderNumber,
-        subtotal,
-        shippingCost: deliveryFee,
-        tax: 0,
-        discount: 0,
-        totalPrice: total,
+        subtotal: fees.subtotal,
+        shippingCost: fees.deliveryFee,
+        tax: fees.tax,
+        discount: fees.discount,
+        promoCodes: share ? share.codes : [],
+        totalPrice: fees.total,
+        quantity: group.items.reduce((sum, item) => sum + item.quantity, 0),
         status: "pending",
         delivery: {
-          method: delivery.method,
+          method: group.delivery.method,
           status: "pending",
-          fee: deliveryFee,
-          instructions: delivery.instructions || "",
-          estimatedTime: delivery.estimatedTime || "",
+          fee: group.delivery.fee,
+          instructions: group.delivery.instructions,
+          estimatedTime: group.delivery.estimatedTime,
+          ...(group.delivery.distanceKm != null && {
+            distance: {
+              value: group.delivery.distanceKm,
+              text: `${group.delivery.distanceKm} km`,
+            },
+          }),
+          ...(group.delivery.pickupLocation && {
+            pickupLocation: group.delivery.pickupLocation,
+          }),
         },
-        shippingAddress: delivery.address || {},
+        shippingAddress: shippingAddress || delivery?.address || {},
         payment: {
           method: paymentMethod.includes("money")
             ? "mobile_money"
@@ -406,57 +703,145 @@ router.post("/complete", protectBuyer, async (req, res) => {
             : "card",
           status: "pending",
         },
+        statusHistory: [
+          {
+            status: "pending",
+            note: `Order placed (checkout ${checkoutGroup.groupNumber})`,
+            updatedAt: new Date(),
+          },
+        ],
       });
 
       createdOrders.push(order);
 
-      // Reduce product stock
-      for (const item of orderData.items) {
+      // Stock is already held - the hold now waits on this order's payment
+      await StockReservation.attachToOrder({
+        buyerId: req.buyer._id,
+        productIds: group.items.map((item) => item.productId),
+        orderId: order._id,
+        checkoutGroupId: checkoutGroup._id,
+      });
+
+      for (const item of group.items) {
         await Product.findByIdAndUpdate(item.productId, {
-          $inc: { stock: -item.quantity, "stats.totalOrders": 1 },
+          $inc: { "stats.totalOrders": 1 },
         });
       }
 
-      // Initialize payment
-      const paymentResult = await PaymentService.initializePayment({
+      // Link the offers bought in this order and refresh their chat cards
+      for (const offer of claimedOffers) {
+        if (!group.items.some((item) => item.offerId?.equals(offer._id))) continue;
+        await offer.complete(order._id);
+        ChatService.offerUpdated(offer).catch((error) =>
+          console.error("Offer card update failed:", error)
+        );
+      }
+
+      splits.push({
         orderId: order._id,
-        buyerId: req.buyer._id,
-        sellerId: orderData.sellerId,
-        businessId,
-        method: paymentMethod,
+        sellerId: group.sellerId,
+        businessId: group.businessId,
         amount: {
-          subtotal,
-          deliveryFee,
+          subtotal: fees.subtotal,
+          deliveryFee: fees.deliveryFee,
+          discount: fees.discount,
+          sellerFundedDiscount: share ? share.sellerFunded : 0,
         },
-        currency: "UGX",
-        customerEmail: req.buyer.email,
-        customerPhone: phoneNumber || req.buyer.phone,
-        customerName: req.buyer.fullName || req.buyer.firstName,
-        useEscrow,
       });
 
-      paymentResults.push({
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        ...paymentResult,
-      });
+      checkoutGroup.orders.push(order._id);
+      checkoutGroup.pricing.subtotal += fees.subtotal;
+      checkoutGroup.pricing.deliveryFee += fees.deliveryFee;
+      checkoutGroup.pricing.serviceFee += fees.serviceFee;
+      checkoutGroup.pricing.discount += fees.discount;
+      checkoutGroup.pricing.total += fees.total;
 
       // Notify seller of new order
       const Notification = require("../models/Notification");
       await Notification.notify({
-        recipientId: orderData.sellerId,
+        recipientId: group.sellerId,
         recipientType: "User",
         type: "new_order",
         title: "New Order! 🎉",
-        message: `You have a new order #${orderNumber} worth ${total.toLocaleString()} UGX`,
+        message: `You have a new order #${orderNumber} worth ${fees.total.toLocaleString()} UGX`,
         actionType: "order",
         referenceId: order._id,
       });
     }
 
+    await checkoutGroup.save();
+
+    if (promo.applied.length > 0) {
+      const PromoRedemption = require("../models/PromoRedemption");
+      await PromoRedemption.updateMany(
+        { checkoutGroupId: checkoutGroup._id },
+        { orderIds: checkoutGroup.orders }
+      );
+    }
+
+    // Single payment covering every sub-order, split per seller
+    const paymentResult = await PaymentService.initializeGroupPayment({
+      checkoutGroupId: checkoutGroup._id,
+      buyerId: req.buyer._id,
+      method: paymentMethod,
+      splits,
+      currency: "UGX",
+      customerEmail: req.buyer.email,
+      customerPhone: buyerPhone,
+      customerName: buyerName,
+      useEscrow,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      },
+    });
+
+    // From here a failed payment gives the codes back (PaymentService.markPaymentFailed)
+    redeemedGroupId = null;
+
+    checkoutGroup.payment.transactionRef = paymentResult.transactionRef || "";
+    await checkoutGroup.save();
+    await CheckoutGroup.refreshStatus(checkoutGroup._id);
+
+    // Confirm to the buyer in-app, and by email/SMS if they opted in
+    try {
+      const Notification = require("../models/Notification");
+      const NotificationChannelService = require("../services/notificationChannels");
+
+      const confirmation = await Notification.notify({
+        recipientId: req.buyer._id,
+        recipientType: "Buyer",
+        type: "order_update",
+        title: "Order Placed! 🛒",
+        message: `Your order ${checkoutGroup.groupNumber} for ${checkoutGroup.pricing.total.toLocaleString()} UGX has been placed`,
+        actionType: "order",
+        referenceId: createdOrders[0]._id,
+      });
+
+      await NotificationChannelService.notifyBuyer(
+        req.buyer,
+        "orderConfirmation",
+        {
+          reference: checkoutGroup.groupNumber,
+          orders: createdOrders.map((order) => ({
+            orderNumber: order.orderNumber,
+            businessName: groups.find(
+              (g) => g.businessId.toString() === order.businessId.toString()
+            )?.businessName,
+            total: order.totalPrice,
+          })),
+          total: checkoutGroup.pricing.total,
+          currency: checkoutGroup.currency,
+        },
+        confirmation
+      );
+    } catch (error) {
+      console.error("Order confirmation error:", error);
+    }
+
     // Track buyer activity
     const RecommendationService = require("../services/recommendations");
-    for (const item of items) {
+    for (const item of groups.flatMap((group) => group.items)) {
       await RecommendationService.trackActivity(
         req.buyer._id,
         item.productId,
@@ -464,20 +849,110 @@ router.post("/complete", protectBuyer, async (req, res) => {
       );
     }
 
+    const { payments, ...payment } = paymentResult;
+
     res.json({
       success: true,
       message: "Order placed successfully!",
+      checkoutGroup: {
+        id: checkoutGroup._id,
+        groupNumber: checkoutGroup.groupNumber,
+        pricing: checkoutGroup.pricing,
+        currency: checkoutGroup.currency,
+      },
       orders: createdOrders.map((order) => ({
         id: order._id,
         orderNumber: order.orderNumber,
+        businessId: order.businessId,
+        discount: order.discount,
         total: order.totalPrice,
+        delivery: {
+          method: order.delivery.method,
+          fee: order.delivery.fee,
+        },
         status: order.status,
       })),
-      payment: paymentResults[0], // Return first payment result for single-order flow
-      allPayments: paymentResults, // For multi-seller orders
+      promo: promo.applied.map((a) => ({
+        code: a.code,
+        discount: a.discount,
+        deliveryDiscount: a.deliveryDiscount,
+      })),
+      payment, // One payment action for the whole checkout
+      allPayments: payments.map((split) => ({
+        paymentId: split._id,
+        orderId: split.orderId,
+        businessId: split.businessId,
+        amount: split.amount,
+        status: split.status,
+      })),
     });
   } catch (error) {
     console.error("Checkout complete error:", error);
+    if (redeemedGroupId) {
+      await PromoService.release(redeemedGroupId).catch((releaseError) =>
+        console.error("Promo release failed:", releaseError)
+      );
+    }
+    // Only offers and holds not yet moved onto an order
+    await Offer.releaseClaims(claimedOffers.map((o) => o._id)).catch((releaseError) =>
+      console.error("Offer release failed:", releaseError)
+    );
+    if (holdTaken) {
+      await StockReservation.releaseWhere(
+        { buyerId: req.buyer._id, orderId: null },
+        "checkout_failed"
+      ).catch((releaseError) => console.error("Stock hold release failed:", releaseError));
+    }
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// CHECKOUT GROUP
+// ============================================
+
+/**
+ * @route   GET /api/checkout/groups/:groupId
+ * @desc    Get a multi-seller checkout with each seller's sub-order
+ * @access  Private (Buyer)
+ */
+router.get("/groups/:groupId", protectBuyer, async (req, res) => {
+  try {
+    const checkoutGroup = await CheckoutGroup.findOne({
+      _id: req.params.groupId,
+      buyerId: req.buyer._id,
+    }).populate({
+      path: "orders",
+      select: "orderNumber businessId items subtotal shippingCost discount totalPrice status delivery.method delivery.status delivery.fee payment.status",
+      populate: { path: "businessId", select: "name phone" },
+    });
+
+    if (!checkoutGroup) {
+      return res.status(404).json({
+        success: false,
+        message: "Checkout not found",
+      });
+    }
+
+    const payments = await Payment.find({ checkoutGroupId: checkoutGroup._id }).select(
+      "orderId businessId amount status method escrow.status receipt.number"
+    );
+
+    res.json({
+      success: true,
+      checkoutGroup: {
+        id: checkoutGroup._id,
+        groupNumber: checkoutGroup.groupNumber,
+        status: checkoutGroup.status,
+        pricing: checkoutGroup.pricing,
+        currency: checkoutGroup.currency,
+        payment: checkoutGroup.payment,
+        orders: checkoutGroup.orders,
+        payments,
+        createdAt: checkoutGroup.createdAt,
+      },
+    });
+  } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
@@ -579,6 +1054,7 @@ router.get("/track/:orderId", protectBuyer, async (req, res) => {
       order: {
         id: order._id,
         orderNumber: order.orderNumber,
+        checkoutGroupId: order.checkoutGroupId,
         status: order.status,
         items: order.items,
         total: order.totalPrice,
@@ -609,56 +1085,93 @@ router.get("/track/:orderId", protectBuyer, async (req, res) => {
 });
 
 // ============================================
-// HELPER: VALIDATE PROMO CODE
+// PROMO CODES
 // ============================================
 
 /**
  * @route   POST /api/checkout/apply-promo
- * @desc    Apply promo code to checkout
+ * @desc    Preview promo codes against the cart (redeemed at /complete)
  * @access  Private (Buyer)
  */
 router.post("/apply-promo", protectBuyer, async (req, res) => {
   try {
-    const { code, subtotal } = req.body;
+    const { items, deliveries, deliveryMethod, deliveryAddress } = req.body;
+    const codes = PromoService.parseCodes(req.body);
 
-    // TODO: Implement promo code logic
-    // For now, return sample response
-    const promoCodes = {
-      WELCOME10: { type: "percentage", value: 10, maxDiscount: 50000 },
-      FIRST50: { type: "fixed", value: 50000 },
-      FREESHIP: { type: "free_delivery", value: 0 },
-    };
-
-    const promo = promoCodes[code.toUpperCase()];
+    if (codes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Enter a promo code",
+      });
+    }
 
-    if (!promo) {
+    if (!items || items.length === 0) {
       return res.status(400).json({
         success: false,
-        message: "Invalid promo code",
+        message: "Cart is empty",
       });
     }
 
-    let discount = 0;
-    let freeDelivery = false;
+    const { groups, error } = await buildSellerGroups(items, req.buyer._id);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // Free delivery can only be priced once the delivery method is known
+    for (const group of groups) {
+      const choice = findDeliveryChoice(
+        deliveries,
+        deliveryMethod && { method: deliveryMethod },
+        group.businessId
+      );
+      if (!choice?.method) continue;
 
-    if (promo.type === "percentage") {
-      discount = Math.min(
-        Math.round(subtotal * (promo.value / 100)),
-        promo.maxDiscount || Infinity
+      const quote = await DeliveryZoneService.quote(
+        group.businessId,
+        choice.method,
+        group.subtotal,
+        deliveryAddress
       );
-    } else if (promo.type === "fixed") {
-      discount = promo.value;
-    } else if (promo.type === "free_delivery") {
-      freeDelivery = true;
+      if (quote.available) {
+        group.delivery = { method: choice.method, fee: quote.fee };
+      }
+    }
+
+    const result = await PromoService.validateCodes({
+      codes,
+      buyerId: req.buyer._id,
+      groups,
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+      });
     }
 
+    const discount = result.applied.reduce((sum, a) => sum + a.discount, 0);
+    const deliveryDiscount = result.applied.reduce((sum, a) => sum + a.deliveryDiscount, 0);
+    const freeDelivery = result.applied.some((a) => a.freeDelivery);
+
     res.json({
       success: true,
       promo: {
-        code,
+        code: codes[0],
+        codes: result.applied.map((a) => ({
+          code: a.code,
+          type: a.type,
+          discount: a.discount,
+          deliveryDiscount: a.deliveryDiscount,
+        })),
         discount,
+        deliveryDiscount,
         freeDelivery,
-        message: `Promo applied! You save ${discount.toLocaleString()} UGX`,
+        totalDiscount: result.totalDiscount,
+        sellers: result.byBusiness,
+        message: freeDelivery && result.totalDiscount === 0
+          ? "Promo applied! Free delivery on eligible items"
+          : `Promo applied! You save ${result.totalDiscount.toLocaleString()} UGX`,
       },
     });
   } catch (error) {
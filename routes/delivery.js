@@ -1,9 +1,71 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Order = require("../models/Order");
 const DeliveryZone = require("../models/DeliveryZone");
 const Rider = require("../models/Rider");
-const { protect, protectBuyer, protectAdmin } = require("../middleware/auth");
+const PushNotificationService = require("../services/pushNotifications");
+const OtpService = require("../services/otpService");
+const { phoneVariants } = require("../services/smsProviders");
+const PasswordResetService = require("../services/passwordResetService");
+const SessionService = require("../services/sessionService");
+const RiderJobService = require("../services/riderJobs");
+const RiderDispatchService = require("../services/riderDispatch");
+const DeliveryTrackingService = require("../services/deliveryTracking");
+const DeliveryProofService = require("../services/deliveryProof");
+const DeliveryZoneService = require("../services/deliveryZones");
+const upload = require("../middleware/upload");
+const { protect, protectBuyer, protectAdmin, protectRider } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+
+// Forgot/reset password attempts per IP
+const passwordResetLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 10 });
+
+// Proof of delivery images (fields "photo" and "signature")
+const proofUploads = upload.fields([
+  { name: "photo", maxCount: 1 },
+  { name: "signature", maxCount: 1 },
+]);
+// Seller (or their own delivery person) has set out - the buyer needs a code by now
+const SETTING_OUT_STATUSES = ["picked_up", "in_transit", "arrived"];
+
+const uploadedUrl = (files, field) =>
+  files?.[field]?.[0] ? `/uploads/${files[field][0].filename}` : "";
+
+// Zone settings a seller may set
+const ZONE_FIELDS = [
+  "name",
+  "type",
+  "radius",
+  "area",
+  "areas",
+  "deliveryOptions",
+  "estimatedTime",
+  "minimumOrder",
+  "isActive",
+];
+
+const pickZone = (body) => {
+  const data = {};
+  for (const field of ZONE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+};
+
+const handleZoneError = (res, error) => {
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  // MongoDB refuses self-intersecting or otherwise malformed polygons
+  if (error.code === 16755) {
+    return res.status(400).json({
+      success: false,
+      message: "The zone area is not a valid polygon (edges must not cross)",
+    });
+  }
+  res.status(500).json({ success: false, message: error.message });
+};
 
 // ============================================
 // DELIVERY OPTIONS (Buyer facing)
@@ -59,31 +121,33 @@ router.get("/options/:businessId", async (req, res) => {
 
 /**
  * @route   POST /api/delivery/calculate-fee
- * @desc    Calculate delivery fee based on method, distance, and order total
+ * @desc    Quote delivery to an address ({ businessId, method, orderTotal, buyerLocation })
+ *          buyerLocation: { lat, lng, city?, state? } - distance is measured server-side
  * @access  Public
  */
 router.post("/calculate-fee", async (req, res) => {
   try {
-    const { businessId, method, distance, orderTotal, buyerLocation } = req.body;
-
-    const zone = await DeliveryZone.findOne({
-      businessId,
-      isActive: true,
-    });
+    const { businessId, method, orderTotal, buyerLocation } = req.body;
 
-    if (!zone) {
+    if (!mongoose.isValidObjectId(businessId)) {
       return res.status(404).json({
         success: false,
         message: "Delivery not available for this business",
       });
     }
 
-    const result = zone.calculateDeliveryFee(method, distance, orderTotal);
+    const result = await DeliveryZoneService.quote(
+      businessId,
+      method,
+      Number(orderTotal) || 0,
+      buyerLocation
+    );
 
     if (!result.available) {
       return res.status(400).json({
         success: false,
-        message: `${method} delivery not available`,
+        message: result.message || `${method} delivery not available`,
+        outsideZones: result.outsideZones || false,
       });
     }
 
@@ -92,7 +156,9 @@ router.post("/calculate-fee", async (req, res) => {
       method,
       fee: result.fee,
       freeDelivery: result.freeDelivery || false,
-      estimatedTime: zone.estimatedTime,
+      distanceKm: result.distanceKm ?? null,
+      zone: result.zone || null,
+      estimatedTime: result.estimatedTime,
     });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -110,7 +176,7 @@ router.post("/select", protectBuyer, async (req, res) => {
 
     const order = await Order.findOne({
       _id: orderId,
-      buyer: req.buyer._id,
+      buyerId: req.buyer._id,
     });
 
     if (!order) {
@@ -120,27 +186,38 @@ router.post("/select", protectBuyer, async (req, res) => {
       });
     }
 
-    // Update delivery details
-    order.delivery.method = method;
-    order.delivery.instructions = instructions || "";
-    order.delivery.scheduledDate = scheduledDate;
-
     if (deliveryAddress && method !== "pickup") {
       order.shippingAddress = {
-        ...order.shippingAddress,
+        ...order.shippingAddress.toObject(),
         ...deliveryAddress,
       };
     }
 
-    // Get delivery zone to calculate fee
-    const zone = await DeliveryZone.findOne({
-      businessId: order.businessId,
-      isActive: true,
-    });
+    // Zone covering the (new) address and the fee for its distance
+    const quote = await DeliveryZoneService.quote(
+      order.businessId,
+      method,
+      order.subtotal || 0,
+      order.shippingAddress
+    );
+    if (!quote.available) {
+      return res.status(400).json({
+        success: false,
+        message: quote.message || `${method} delivery not available`,
+        outsideZones: quote.outsideZones || false,
+      });
+    }
 
-    if (zone) {
-      const feeResult = zone.calculateDeliveryFee(method, null, order.totalAmount);
-      order.delivery.fee = feeResult.fee;
+    // Update delivery details
+    order.delivery.method = method;
+    order.delivery.instructions = instructions || "";
+    order.delivery.scheduledDate = scheduledDate;
+    order.delivery.fee = quote.fee;
+    if (quote.distanceKm != null) {
+      order.delivery.distance = { value: quote.distanceKm, text: `${quote.distanceKm} km` };
+    }
+    if (quote.pickupLocation) {
+      order.delivery.pickupLocation = quote.pickupLocation;
     }
 
     await order.save();
@@ -168,7 +245,7 @@ router.get("/track/:orderId", protectBuyer, async (req, res) => {
   try {
     const order = await Order.findOne({
       _id: req.params.orderId,
-      buyer: req.buyer._id,
+      buyerId: req.buyer._id,
     })
       .select("delivery orderNumber status shippingAddress")
       .populate("delivery.riderId", "name phone avatar vehicle currentLocation stats.averageRating");
@@ -194,19 +271,50 @@ router.get("/track/:orderId", protectBuyer, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/delivery/code/:orderId/resend
+ * @desc    Send the buyer a new delivery code (the old one stops working)
+ * @access  Private (Buyer)
+ */
+router.post("/code/:orderId/resend", protectBuyer, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      buyerId: req.buyer._id,
+    }).select("orderNumber buyerId customerPhone delivery.status delivery.code.issuedAt");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const result = await DeliveryProofService.resendCode(order);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      message: "A new delivery code has been sent to you",
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ============================================
 // SELLER DELIVERY MANAGEMENT
 // ============================================
 
 /**
  * @route   POST /api/delivery/zones
- * @desc    Create a delivery zone for seller
+ * @desc    Create a delivery zone for seller (polygon: area, radius: radius.center + distance)
  * @access  Private (Seller)
  */
 router.post("/zones", protect, async (req, res) => {
   try {
-    const { name, type, radius, areas, deliveryOptions, estimatedTime, minimumOrder } = req.body;
-
     // Get seller's business
     const Business = require("../models/Business");
     const business = await Business.findOne({ owner: req.user._id });
@@ -219,14 +327,8 @@ router.post("/zones", protect, async (req, res) => {
     }
 
     const zone = await DeliveryZone.create({
+      ...pickZone(req.body),
       businessId: business._id,
-      name,
-      type,
-      radius,
-      areas,
-      deliveryOptions,
-      estimatedTime,
-      minimumOrder,
     });
 
     res.status(201).json({
@@ -235,7 +337,7 @@ router.post("/zones", protect, async (req, res) => {
       zone,
     });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    handleZoneError(res, error);
   }
 });
 
@@ -274,14 +376,10 @@ router.put("/zones/:zoneId", protect, async (req, res) => {
     const Business = require("../models/Business");
     const business = await Business.findOne({ owner: req.user._id });
 
-    const zone = await DeliveryZone.findOneAndUpdate(
-      {
-        _id: req.params.zoneId,
-        businessId: business._id,
-      },
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const zone = await DeliveryZone.findOne({
+      _id: req.params.zoneId,
+      businessId: business._id,
+    });
 
     if (!zone) {
       return res.status(404).json({
@@ -290,13 +388,17 @@ router.put("/zones/:zoneId", protect, async (req, res) => {
       });
     }
 
+    // Saved (not updated in place) so the geometry checks run
+    zone.set(pickZone(req.body));
+    await zone.save();
+
     res.json({
       success: true,
       message: "Delivery zone updated",
       zone,
     });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    handleZoneError(res, error);
   }
 });
 
@@ -333,7 +435,7 @@ router.delete("/zones/:zoneId", protect, async (req, res) => {
 
 /**
  * @route   POST /api/delivery/assign-rider
- * @desc    Assign a rider to an order
+ * @desc    Offer an order to a platform rider (riderId) or record an outside rider (riderInfo)
  * @access  Private (Seller)
  */
 router.post("/assign-rider", protect, async (req, res) => {
@@ -342,7 +444,7 @@ router.post("/assign-rider", protect, async (req, res) => {
 
     const order = await Order.findOne({
       _id: orderId,
-      seller: req.user._id,
+      businessId: req.user.businessId,
     });
 
     if (!order) {
@@ -352,7 +454,7 @@ router.post("/assign-rider", protect, async (req, res) => {
       });
     }
 
-    // If using platform rider
+    // Platform riders get a job offer - the order is assigned once they accept
     if (riderId) {
       const rider = await Rider.findById(riderId);
       if (!rider) {
@@ -362,33 +464,42 @@ router.post("/assign-rider", protect, async (req, res) => {
         });
       }
 
-      order.delivery.riderId = riderId;
-      order.delivery.rider = {
-        name: rider.name,
-        phone: rider.phone,
-        vehicleType: rider.vehicle.type,
-        vehiclePlate: rider.vehicle.plateNumber,
-        photo: rider.avatar,
-        rating: rider.stats.averageRating,
-      };
+      const result = await RiderJobService.offer(order, rider);
+      if (!result.success) {
+        return res.status(result.status).json({ success: false, message: result.message });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: "Delivery offered to rider. The order is assigned once they accept.",
+        job: result.job,
+      });
+    }
+
+    if (!riderInfo) {
+      return res.status(400).json({
+        success: false,
+        message: "riderId or riderInfo is required",
+      });
+    }
 
-      // Update rider status
-      rider.status = "busy";
-      rider.currentOrder = orderId;
-      await rider.save();
-    } else if (riderInfo) {
-      // Manual rider assignment (SafeBoda, Faras, etc.)
-      order.delivery.rider = riderInfo;
+    // An outside rider replaces any automatic search still running
+    if (["searching", "offered"].includes(order.delivery.dispatch?.status)) {
+      await RiderDispatchService.cancel(order);
     }
 
+    // Manual rider assignment (SafeBoda, Faras, etc.)
+    order.delivery.rider = riderInfo;
     order.delivery.status = "assigned";
     order.delivery.assignedAt = new Date();
     order.addDeliveryUpdate("assigned", "Rider assigned to your order");
 
     await order.save();
 
-    // TODO: Send notification to buyer
-    // TODO: Send notification to rider
+    await PushNotificationService.notifyDeliveryUpdate(order, "assigned", {
+      riderName: order.delivery.rider?.name,
+    });
+    await DeliveryProofService.issueCode(order);
 
     res.json({
       success: true,
@@ -400,18 +511,137 @@ router.post("/assign-rider", protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/delivery/dispatch/:orderId
+ * @desc    Find the nearest available rider automatically ({ pickup?: { lat, lng, address } })
+ * @access  Private (Seller)
+ */
+router.post("/dispatch/:orderId", protect, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      businessId: req.user.businessId,
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const { pickup } = req.body;
+    if (pickup) {
+      const lat = parseFloat(pickup.lat);
+      const lng = parseFloat(pickup.lng);
+      if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+        return res.status(400).json({
+          success: false,
+          message: "pickup.lat and pickup.lng must be valid coordinates",
+        });
+      }
+      order.delivery.pickupLocation.coordinates = { lat, lng };
+      if (typeof pickup.address === "string") {
+        order.delivery.pickupLocation.address = pickup.address.slice(0, 300);
+      }
+    }
+
+    const result = await RiderDispatchService.start(order);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Delivery offered to the nearest rider (${result.rider.distanceKm} km away). ` +
+        `They have ${RiderDispatchService.ACCEPT_SECONDS}s to accept before the next rider is tried.`,
+      rider: result.rider,
+      job: result.job,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/delivery/dispatch/:orderId
+ * @desc    Automatic dispatch progress and the riders offered so far
+ * @access  Private (Seller)
+ */
+router.get("/dispatch/:orderId", protect, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      businessId: req.user.businessId,
+    })
+      .select("orderNumber delivery.dispatch delivery.status delivery.rider")
+      .populate("delivery.dispatch.attempts.riderId", "name phone vehicle.type stats.averageRating");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      dispatch: order.delivery.dispatch,
+      deliveryStatus: order.delivery.status,
+      rider: order.delivery.rider,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/delivery/dispatch/:orderId
+ * @desc    Stop automatic dispatch and withdraw the open offer
+ * @access  Private (Seller)
+ */
+router.delete("/dispatch/:orderId", protect, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      businessId: req.user.businessId,
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const result = await RiderDispatchService.cancel(order);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      message: "Automatic dispatch stopped",
+      dispatch: result.dispatch,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 /**
  * @route   PUT /api/delivery/status/:orderId
- * @desc    Update delivery status
- * @access  Private (Seller/Rider)
+ * @desc    Update delivery status. "delivered" needs the buyer's delivery code
+ *          (multipart: status, code, note?, photo?, signature?)
+ * @access  Private (Seller)
  */
-router.put("/status/:orderId", protect, async (req, res) => {
+router.put("/status/:orderId", protect, proofUploads, async (req, res) => {
   try {
-    const { status, note, location, proofImage } = req.body;
+    const { status, note, location } = req.body;
 
     const order = await Order.findOne({
       _id: req.params.orderId,
-      seller: req.user._id,
+      businessId: req.user.businessId,
     });
 
     if (!order) {
@@ -421,6 +651,36 @@ router.put("/status/:orderId", protect, async (req, res) => {
       });
     }
 
+    if (status === "delivered") {
+      // Platform riders prove drop-off themselves - it also pays them
+      if (order.delivery.riderId) {
+        return res.status(400).json({
+          success: false,
+          message: "The rider confirms this delivery with the buyer's code",
+        });
+      }
+
+      // Pickups and orders from before delivery codes may not have one yet
+      const issued = await DeliveryProofService.ensureCode(order);
+      if (issued.issued) {
+        return res.status(400).json({
+          success: false,
+          message: "A delivery code has been sent to the buyer. Enter it to confirm the handover.",
+        });
+      }
+
+      const proof = await DeliveryProofService.submit(order, {
+        code: req.body.code,
+        photo: uploadedUrl(req.files, "photo"),
+        signature: uploadedUrl(req.files, "signature"),
+        note,
+        submittedBy: "seller",
+      });
+      if (!proof.success) {
+        return res.status(proof.status).json({ success: false, message: proof.message });
+      }
+    }
+
     // Update delivery status
     order.delivery.status = status;
 
@@ -428,7 +688,6 @@ router.put("/status/:orderId", protect, async (req, res) => {
       order.delivery.pickedUpAt = new Date();
     } else if (status === "delivered") {
       order.delivery.deliveredAt = new Date();
-      order.delivery.proofOfDelivery = proofImage;
       order.status = "delivered";
     }
 
@@ -439,8 +698,14 @@ router.put("/status/:orderId", protect, async (req, res) => {
     order.addDeliveryUpdate(status, note || `Delivery ${status}`);
 
     await order.save();
+    if (status === "delivered") {
+      await DeliveryProofService.proveEscrow(order);
+    } else if (SETTING_OUT_STATUSES.includes(status) && !order.delivery.riderId) {
+      await DeliveryProofService.ensureCode(order);
+    }
 
-    // TODO: Send push notification to buyer
+    // In-app, push and email/SMS per the buyer's preferences
+    await PushNotificationService.notifyDeliveryUpdate(order, status);
 
     res.json({
       success: true,
@@ -463,10 +728,18 @@ router.put("/status/:orderId", protect, async (req, res) => {
  */
 router.post("/riders/register", async (req, res) => {
   try {
-    const { name, email, phone, password, vehicle, serviceAreas } = req.body;
+    const { name, email, password, vehicle, serviceAreas } = req.body;
+
+    const phone = OtpService.normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: "Enter a valid phone number",
+      });
+    }
 
     // Check if rider exists
-    const existingRider = await Rider.findOne({ phone });
+    const existingRider = await Rider.findOne({ phone: { $in: phoneVariants(phone) } });
     if (existingRider) {
       return res.status(400).json({
         success: false,
@@ -483,6 +756,9 @@ router.post("/riders/register", async (req, res) => {
       serviceAreas,
     });
 
+    // Rider confirms the number with POST /riders/verify-phone
+    const otp = await OtpService.send({ phone, role: "rider", purpose: "verify_phone" });
+
     res.status(201).json({
       success: true,
       message: "Rider registered successfully. Awaiting verification.",
@@ -491,6 +767,158 @@ router.post("/riders/register", async (req, res) => {
         name: rider.name,
         phone: rider.phone,
         isVerified: rider.isVerified,
+        phoneVerified: false,
+      },
+      verificationCodeSent: otp.success,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/delivery/riders/login
+ * @desc    Rider login with phone number and password
+ * @access  Public
+ */
+router.post("/riders/login", async (req, res) => {
+  try {
+    const phone = OtpService.normalizePhone(req.body.phone);
+    const rider = phone && (await Rider.findOne({ phone: { $in: phoneVariants(phone) } }));
+
+    if (!rider || !(await rider.comparePassword(String(req.body.password || "")))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid phone number or password",
+      });
+    }
+
+    if (!rider.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: "Rider account has been deactivated",
+      });
+    }
+
+    if (!rider.phoneVerifiedAt) {
+      return res.status(403).json({
+        success: false,
+        message: "Verify your phone number first",
+        phoneVerified: false,
+      });
+    }
+
+    const tokens = await SessionService.start("rider", rider._id, req);
+
+    res.json({
+      success: true,
+      message: "Welcome back!",
+      ...tokens,
+      rider: {
+        id: rider._id,
+        name: rider.name,
+        phone: rider.phone,
+        avatar: rider.avatar,
+        status: rider.status,
+        isVerified: rider.isVerified,
+        type: "rider",
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/delivery/riders/verify-phone/request
+ * @desc    Resend the rider's phone verification code
+ * @access  Public
+ */
+router.post("/riders/verify-phone/request", async (req, res) => {
+  try {
+    const phone = OtpService.normalizePhone(req.body.phone);
+    const rider = phone && (await Rider.findOne({ phone: { $in: phoneVariants(phone) } }));
+
+    if (!rider) {
+      return res.status(404).json({
+        success: false,
+        message: "Rider not found",
+      });
+    }
+
+    if (rider.phoneVerifiedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Phone number already verified",
+      });
+    }
+
+    const result = await OtpService.send({ phone, role: "rider", purpose: "verify_phone" });
+    if (!result.success) {
+      return res.status(result.retryAfter ? 429 : 502).json({
+        success: false,
+        message: result.message,
+        retryAfter: result.retryAfter,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Verification code sent",
+      expiresAt: result.expiresAt,
+      resendAfter: result.resendAfter,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/delivery/riders/verify-phone
+ * @desc    Confirm a rider's phone number with the SMS code
+ * @access  Public
+ */
+router.post("/riders/verify-phone", async (req, res) => {
+  try {
+    const phone = OtpService.normalizePhone(req.body.phone);
+    if (!phone || !req.body.code) {
+      return res.status(400).json({
+        success: false,
+        message: "Phone number and code are required",
+      });
+    }
+
+    const check = await OtpService.verify({
+      phone,
+      role: "rider",
+      purpose: "verify_phone",
+      code: req.body.code,
+    });
+    if (!check.success) {
+      return res.status(400).json({ success: false, message: check.message });
+    }
+
+    const rider = await Rider.findOneAndUpdate(
+      { phone: { $in: phoneVariants(phone) } },
+      { phone, phoneVerifiedAt: new Date() },
+      { new: true }
+    );
+
+    if (!rider) {
+      return res.status(404).json({
+        success: false,
+        message: "Rider not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Phone number verified",
+      rider: {
+        id: rider._id,
+        phone: rider.phone,
+        phoneVerified: true,
+        isVerified: rider.isVerified,
       },
     });
   } catch (error) {
@@ -498,6 +926,53 @@ router.post("/riders/register", async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/delivery/riders/forgot-password
+ * @desc    Text a password reset code to the rider's verified phone
+ * @access  Public
+ */
+router.post("/riders/forgot-password", passwordResetLimiter, async (req, res) => {
+  if (!req.body.phone) {
+    return res.status(400).json({
+      success: false,
+      message: "Phone number is required",
+    });
+  }
+
+  // Sent in the background so the response is the same whether or not the rider exists
+  PasswordResetService.request("rider", { phone: req.body.phone }).catch((error) =>
+    console.error("Password reset request failed:", error)
+  );
+
+  res.json({
+    success: true,
+    message: "If that rider account exists, a reset code is on its way",
+  });
+});
+
+/**
+ * @route   POST /api/delivery/riders/reset-password
+ * @desc    Set a new password with the reset code (signs out every device)
+ * @access  Public
+ */
+router.post("/riders/reset-password", passwordResetLimiter, async (req, res) => {
+  try {
+    const { phone, code, newPassword } = req.body;
+
+    const result = await PasswordResetService.confirm("rider", { phone, code, newPassword });
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      message: "Password reset. Log in with your new password.",
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 /**
  * @route   GET /api/delivery/riders/available
  * @desc    Get available riders in an area
@@ -533,22 +1008,25 @@ router.get("/riders/available", protect, async (req, res) => {
 
 /**
  * @route   PUT /api/delivery/riders/location
- * @desc    Update rider's current location
- * @access  Private (Rider - would need rider auth)
+ * @desc    Update the signed-in rider's current location
+ * @access  Private (Rider)
  */
-router.put("/riders/location", async (req, res) => {
+router.put("/riders/location", protectRider, async (req, res) => {
   try {
-    const { riderId, lat, lng } = req.body;
+    const lat = Number(req.body.lat);
+    const lng = Number(req.body.lng);
 
-    const rider = await Rider.findById(riderId);
-    if (!rider) {
-      return res.status(404).json({
+    const valid = Number.isFinite(lat) && Number.isFinite(lng);
+    if (!valid || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return res.status(400).json({
         success: false,
-        message: "Rider not found",
+        message: "Valid lat and lng are required",
       });
     }
 
-    await rider.updateLocation(lat, lng);
+    await req.rider.updateLocation(lat, lng);
+    // Throttled broadcast to whoever is tracking the rider's current order
+    await DeliveryTrackingService.riderMoved(req.rider);
 
     res.json({
       success: true,
@@ -561,30 +1039,34 @@ router.put("/riders/location", async (req, res) => {
 
 /**
  * @route   PUT /api/delivery/riders/status
- * @desc    Update rider availability status
+ * @desc    Go online (available) or offline - "busy" is set by accepting a job
  * @access  Private (Rider)
  */
-router.put("/riders/status", async (req, res) => {
+router.put("/riders/status", protectRider, async (req, res) => {
   try {
-    const { riderId, status } = req.body;
+    const { status } = req.body;
 
-    const rider = await Rider.findByIdAndUpdate(
-      riderId,
-      { status },
-      { new: true }
-    );
+    if (!["available", "offline"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be available or offline",
+      });
+    }
 
-    if (!rider) {
-      return res.status(404).json({
+    if (req.rider.currentOrder) {
+      return res.status(400).json({
         success: false,
-        message: "Rider not found",
+        message: "Finish your current delivery first",
       });
     }
 
+    req.rider.status = status;
+    await req.rider.save();
+
     res.json({
       success: true,
       message: `Status updated to ${status}`,
-      status: rider.status,
+      status: req.rider.status,
     });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
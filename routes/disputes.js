@@ -0,0 +1,222 @@
+const express = require("express");
+const router = express.Router();
+const Dispute = require("../models/Dispute");
+const EscrowService = require("../services/escrowService");
+const upload = require("../middleware/upload");
+const { protect, protectBuyer, protectAdmin } = require("../middleware/auth");
+
+/**
+ * Escrow Disputes
+ * Buyers dispute payments still held in escrow, sellers respond, admins
+ * resolve. Evidence is uploaded as images (field "evidence", up to 5).
+ */
+
+// Files saved by the upload middleware, as evidence URLs
+const evidenceUrls = (files) => (files || []).map((file) => `/uploads/${file.filename}`);
+
+const handleError = (res, error) => {
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  res.status(500).json({ success: false, message: error.message });
+};
+
+// ============================================
+// BUYER DISPUTE ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/disputes
+ * @desc    Dispute a payment held in escrow (multipart: paymentId, reason, description, evidence)
+ * @access  Private (Buyer)
+ */
+router.post("/", protectBuyer, upload.array("evidence", 5), async (req, res) => {
+  try {
+    const result = await EscrowService.openDispute(
+      req.buyer._id,
+      req.body,
+      evidenceUrls(req.files)
+    );
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Dispute opened. The payment stays in escrow until it is resolved.",
+      dispute: result.dispute,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/disputes/my-disputes
+ * @desc    Get the buyer's disputes
+ * @access  Private (Buyer)
+ */
+router.get("/my-disputes", protectBuyer, async (req, res) => {
+  try {
+    const disputes = await Dispute.find({ buyerId: req.buyer._id })
+      .populate("orderId", "orderNumber")
+      .populate("businessId", "name")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: disputes.length,
+      disputes,
+      reasons: EscrowService.DISPUTE_REASONS,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// SELLER DISPUTE ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/disputes/seller
+ * @desc    Get disputes against the seller's payments
+ * @access  Private (Seller)
+ */
+router.get("/seller", protect, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = { sellerId: req.user._id };
+    if (status) query.status = status;
+
+    const disputes = await Dispute.find(query)
+      .populate("orderId", "orderNumber customerName")
+      .populate("buyerId", "firstName lastName")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: disputes.length,
+      disputes,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/disputes/:disputeId/respond
+ * @desc    Seller gives their side (multipart: message, evidence)
+ * @access  Private (Seller)
+ */
+router.post("/:disputeId/respond", protect, upload.array("evidence", 5), async (req, res) => {
+  try {
+    const result = await EscrowService.respond(
+      req.user._id,
+      req.params.disputeId,
+      req.body,
+      evidenceUrls(req.files)
+    );
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      message: "Response sent",
+      dispute: result.dispute,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// ============================================
+// ADMIN DISPUTE ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/disputes/admin
+ * @desc    List disputes, oldest unresolved first
+ * @access  Private (Admin)
+ */
+router.get("/admin", protectAdmin, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const disputes = await Dispute.find(query)
+      .populate("businessId", "name")
+      .populate("buyerId", "firstName lastName")
+      .populate("paymentId", "amount currency method status")
+      .sort({ createdAt: status === "resolved" ? -1 : 1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Dispute.countDocuments(query);
+
+    res.json({
+      success: true,
+      disputes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/disputes/admin/:disputeId
+ * @desc    Dispute with both sides, the payment and the order
+ * @access  Private (Admin)
+ */
+router.get("/admin/:disputeId", protectAdmin, async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.disputeId)
+      .populate("paymentId", "amount currency method status escrow statusHistory receipt")
+      .populate("orderId")
+      .populate("buyerId", "firstName lastName email phone")
+      .populate("businessId", "name phone email")
+      .populate("resolution.resolvedBy", "name email");
+
+    if (!dispute) {
+      return res.status(404).json({ success: false, message: "Dispute not found" });
+    }
+
+    res.json({ success: true, dispute });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/disputes/admin/:disputeId/resolve
+ * @desc    Resolve a dispute ({ outcome: release | refund | split, refundAmount?, note? })
+ * @access  Private (Admin)
+ */
+router.post("/admin/:disputeId/resolve", protectAdmin, async (req, res) => {
+  try {
+    const result = await EscrowService.resolve(req.admin, req.params.disputeId, req.body);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      message: "Dispute resolved",
+      dispute: result.dispute,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
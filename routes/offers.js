@@ -1,10 +1,54 @@
 const express = require("express");
 const router = express.Router();
 const Offer = require("../models/Offer");
+const OfferRule = require("../models/OfferRule");
 const Product = require("../models/Product");
 const Notification = require("../models/Notification");
+const ChatService = require("../services/chatService");
+const OfferRuleService = require("../services/offerRules");
 const { protect, protectBuyer } = require("../middleware/auth");
 
+// Rule fields a seller may set - businessId is never taken from the body
+const RULE_FIELDS = [
+  "scope",
+  "productId",
+  "category",
+  "acceptAt",
+  "rejectBelow",
+  "counterAt",
+  "rejectMessage",
+  "counterMessage",
+  "isActive",
+];
+
+const pickRule = (body) => {
+  const data = {};
+  for (const field of RULE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+};
+
+const handleRuleError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: "A rule for this product, category or default already exists",
+    });
+  }
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  res.status(500).json({ success: false, message: error.message });
+};
+
+// Shown to the seller when a rule answered the offer for them
+const AUTO_NOTES = {
+  accept: " - accepted by your offer rules",
+  reject: " - declined by your offer rules",
+  counter: " - countered by your offer rules",
+};
+
 // ============================================
 // BUYER OFFER ROUTES
 // ============================================
@@ -16,7 +60,7 @@ const { protect, protectBuyer } = require("../middleware/auth");
  */
 router.post("/", protectBuyer, async (req, res) => {
   try {
-    const { productId, offerPrice, quantity = 1, message } = req.body;
+    const { productId, variantId, offerPrice, quantity = 1, message } = req.body;
 
     // Get product
     const product = await Product.findById(productId).populate(
@@ -31,15 +75,31 @@ router.post("/", protectBuyer, async (req, res) => {
       });
     }
 
-    if (!product.isActive) {
+    if (!product.isAvailable) {
       return res.status(400).json({
         success: false,
         message: "Product is not available",
       });
     }
 
+    // Offers are made on a specific variant when the product has options
+    const choice = product.resolveVariant(variantId);
+    if (choice.error) {
+      return res.status(400).json({
+        success: false,
+        message: choice.error,
+      });
+    }
+
+    if (choice.stock < quantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${choice.stock} available`,
+      });
+    }
+
     // Validate offer price (must be at least 50% of original)
-    const minOffer = product.price * 0.5;
+    const minOffer = choice.price * 0.5;
     if (offerPrice < minOffer) {
       return res.status(400).json({
         success: false,
@@ -50,6 +110,7 @@ router.post("/", protectBuyer, async (req, res) => {
     // Check if buyer has pending offer on this product
     const existingOffer = await Offer.findOne({
       productId,
+      variantId: choice.variant?._id || null,
       buyerId: req.buyer._id,
       status: { $in: ["pending", "countered"] },
     });
@@ -68,7 +129,9 @@ router.post("/", protectBuyer, async (req, res) => {
       buyerId: req.buyer._id,
       sellerId: product.businessId.owner,
       businessId: product.businessId._id,
-      originalPrice: product.price,
+      variantId: choice.variant?._id || null,
+      variantLabel: choice.label,
+      originalPrice: choice.price,
       offerPrice,
       quantity,
       message,
@@ -83,13 +146,16 @@ router.post("/", protectBuyer, async (req, res) => {
       ],
     });
 
+    // The seller's offer rules may answer straight away
+    const decision = await OfferRuleService.apply(offer, product);
+
     // Notify seller
     await Notification.notify({
       recipientId: product.businessId.owner,
       recipientType: "User",
       type: "new_offer",
       title: "New Offer! 💰",
-      message: `${req.buyer.firstName || "A buyer"} offered ${offerPrice.toLocaleString()} UGX for ${product.name}`,
+      message: `${req.buyer.firstName || "A buyer"} offered ${offerPrice.toLocaleString()} UGX for ${product.name}${choice.label ? ` (${choice.label})` : ""}${AUTO_NOTES[decision.action] || ""}`,
       actionType: "offer",
       referenceId: offer._id,
     });
@@ -97,9 +163,15 @@ router.post("/", protectBuyer, async (req, res) => {
     res.status(201).json({
       success: true,
       message: "Offer sent successfully",
+      // Set when the seller's offer rules answered: { action, price, message }
+      autoDecision: decision.action
+        ? { action: decision.action, price: decision.price, message: decision.message || "" }
+        : null,
       offer: {
         id: offer._id,
         productId: offer.productId,
+        variantId: offer.variantId,
+        variantLabel: offer.variantLabel,
         originalPrice: offer.originalPrice,
         offerPrice: offer.offerPrice,
         discountPercent: Math.round(
@@ -167,7 +239,20 @@ router.post("/:offerId/accept-counter", protectBuyer, async (req, res) => {
       });
     }
 
+    // The offered variant must still be in stock
+    const product = await Product.findById(offer.productId);
+    const choice = product ? product.resolveVariant(offer.variantId) : { error: "Product not found" };
+    if (choice.error || choice.stock < offer.quantity) {
+      return res.status(400).json({
+        success: false,
+        message: choice.error || `Only ${choice.stock} left in stock`,
+      });
+    }
+
     await offer.acceptCounter();
+    ChatService.offerUpdated(offer).catch((error) =>
+      console.error("Offer card update failed:", error)
+    );
 
     // Notify seller
     await Notification.notify({
@@ -211,6 +296,9 @@ router.post("/:offerId/withdraw", protectBuyer, async (req, res) => {
     }
 
     await offer.withdraw();
+    ChatService.offerUpdated(offer).catch((error) =>
+      console.error("Offer card update failed:", error)
+    );
 
     res.json({
       success: true,
@@ -273,6 +361,112 @@ router.get("/seller", protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/offers/rules
+ * @desc    Get the business's offer rules
+ * @access  Private (Seller)
+ */
+router.get("/rules", protect, async (req, res) => {
+  try {
+    const rules = await OfferRule.find({ businessId: req.user.businessId })
+      .populate("productId", "name price")
+      .sort({ scope: 1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: rules.length,
+      rules,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/offers/rules
+ * @desc    Create an offer rule for a product, a category or the whole shop
+ * @access  Private (Seller)
+ */
+router.post("/rules", protect, async (req, res) => {
+  try {
+    const data = pickRule(req.body);
+
+    if (data.scope === "product") {
+      const product = await Product.exists({
+        _id: data.productId,
+        businessId: req.user.businessId,
+      });
+      if (!product) {
+        return res.status(404).json({ success: false, message: "Product not found" });
+      }
+    }
+
+    const rule = await OfferRule.create({ ...data, businessId: req.user.businessId });
+
+    res.status(201).json({
+      success: true,
+      message: "Offer rule created",
+      rule,
+    });
+  } catch (error) {
+    handleRuleError(res, error);
+  }
+});
+
+/**
+ * @route   PUT /api/offers/rules/:ruleId
+ * @desc    Update an offer rule's prices, messages or active flag
+ * @access  Private (Seller)
+ */
+router.put("/rules/:ruleId", protect, async (req, res) => {
+  try {
+    const rule = await OfferRule.findOne({
+      _id: req.params.ruleId,
+      businessId: req.user.businessId,
+    });
+    if (!rule) {
+      return res.status(404).json({ success: false, message: "Offer rule not found" });
+    }
+
+    // What a rule covers is fixed - create another rule instead
+    const changes = pickRule(req.body);
+    delete changes.scope;
+    delete changes.productId;
+    delete changes.category;
+    rule.set(changes);
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: "Offer rule updated",
+      rule,
+    });
+  } catch (error) {
+    handleRuleError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/offers/rules/:ruleId
+ * @desc    Delete an offer rule
+ * @access  Private (Seller)
+ */
+router.delete("/rules/:ruleId", protect, async (req, res) => {
+  try {
+    const result = await OfferRule.deleteOne({
+      _id: req.params.ruleId,
+      businessId: req.user.businessId,
+    });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, message: "Offer rule not found" });
+    }
+
+    res.json({ success: true, message: "Offer rule deleted" });
+  } catch (error) {
+    handleRuleError(res, error);
+  }
+});
+
 /**
  * @route   POST /api/offers/:offerId/accept
  * @desc    Seller accepts an offer
@@ -284,7 +478,7 @@ router.post("/:offerId/accept", protect, async (req, res) => {
       _id: req.params.offerId,
       sellerId: req.user._id,
       status: "pending",
-    }).populate("productId", "name");
+    }).populate("productId", "name price stock options variants");
 
     if (!offer) {
       return res.status(404).json({
@@ -293,7 +487,19 @@ router.post("/:offerId/accept", protect, async (req, res) => {
       });
     }
 
+    // The offered variant must still be in stock
+    const choice = offer.productId.resolveVariant(offer.variantId);
+    if (choice.error || choice.stock < offer.quantity) {
+      return res.status(400).json({
+        success: false,
+        message: choice.error || `Only ${choice.stock} left in stock`,
+      });
+    }
+
     await offer.accept();
+    ChatService.offerUpdated(offer).catch((error) =>
+      console.error("Offer card update failed:", error)
+    );
 
     // Notify buyer
     await Notification.notify({
@@ -339,6 +545,9 @@ router.post("/:offerId/reject", protect, async (req, res) => {
     }
 
     await offer.reject(message);
+    ChatService.offerUpdated(offer).catch((error) =>
+      console.error("Offer card update failed:", error)
+    );
 
     // Notify buyer
     await Notification.notify({
@@ -390,6 +599,9 @@ router.post("/:offerId/counter", protect, async (req, res) => {
     }
 
     await offer.counter(counterPrice, message);
+    ChatService.offerUpdated(offer).catch((error) =>
+      console.error("Offer card update failed:", error)
+    );
 
     // Notify buyer
     await Notification.notify({
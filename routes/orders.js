@@ -1,6 +1,8 @@
 const express = require("express");
 const Order = require("../models/Order");
 const Product = require("../models/Product");
+const StockReservation = require("../models/StockReservation");
+const PromoService = require("../services/promoService");
 const { protect } = require("../middleware/auth");
 
 const router = express.Router();
@@ -108,27 +110,33 @@ router.put("/:id/status", protect, async (req, res) => {
       return res.status(403).json({ message: "Not authorized to update this order" });
     }
 
-    // Update product stock if order is accepted
-    if (status === "accepted" && order.status === "pending") {
-      const product = await Product.findById(order.productId);
-      if (product) {
-        product.stock -= order.quantity;
-        await product.save();
+    // Checkout orders already hold their stock through a reservation
+    const reserved = await StockReservation.exists({ orderId: order._id });
+
+    // Take product stock if order is accepted (fails rather than going negative)
+    if (!reserved && status === "accepted" && order.status === "pending") {
+      const taken = await Product.takeStock(order.productId, order.quantity);
+      if (!taken) {
+        return res.status(400).json({ message: "Not enough stock available" });
       }
     }
 
     // Restore stock if order is cancelled/rejected
-    if ((status === "cancelled" || status === "rejected") && order.status === "accepted") {
-      const product = await Product.findById(order.productId);
-      if (product) {
-        product.stock += order.quantity;
-        await product.save();
+    if (status === "cancelled" || status === "rejected") {
+      if (reserved) {
+        await StockReservation.releaseForOrder(order._id, `order_${status}`);
+      } else if (order.status === "accepted") {
+        await Product.restoreStock(order.productId, order.quantity);
       }
     }
 
     order.status = status;
     await order.save();
 
+    if (status === "cancelled") {
+      await PromoService.releaseIfCancelled(order);
+    }
+
     res.json({
       message: `Order ${status}! ✅`,
       order,
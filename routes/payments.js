@@ -3,6 +3,7 @@ const router = express.Router();
 const Payment = require("../models/Payment");
 const Order = require("../models/Order");
 const PaymentService = require("../services/paymentService");
+const PromoService = require("../services/promoService");
 const { protect, protectBuyer, protectAdmin } = require("../middleware/auth");
 
 // ============================================
@@ -150,6 +151,25 @@ router.post("/initiate", protectBuyer, async (req, res) => {
       });
     }
 
+    // The order is priced with its promo discount - a failed payment gave the codes back
+    const promo = await PromoService.reclaim(order);
+    if (!promo.success) {
+      return res.status(400).json({
+        success: false,
+        message: `${promo.message}. Cancel this order and check out again.`,
+      });
+    }
+
+    // Hold the order's stock for the duration of the payment
+    const StockReservation = require("../models/StockReservation");
+    const hold = await StockReservation.holdForOrder(order);
+    if (!hold.success) {
+      return res.status(400).json({
+        success: false,
+        message: hold.message,
+      });
+    }
+
     // Initialize payment
     const result = await PaymentService.initializePayment({
       orderId: order._id,
@@ -160,6 +180,7 @@ router.post("/initiate", protectBuyer, async (req, res) => {
       amount: {
         subtotal: order.subtotal,
         deliveryFee: order.delivery?.fee || order.shippingCost || 0,
+        discount: order.discount || 0,
       },
       currency: "UGX",
       customerEmail: req.buyer.email,
@@ -268,7 +289,11 @@ router.post("/verify/:paymentId", protectBuyer, async (req, res) => {
       );
 
       if (verification.data?.status === "successful") {
-        await PaymentService.markPaymentSuccessful(payment, verification.data);
+        // Settles every split of a multi-seller checkout paid in the same charge
+        await PaymentService.markChargeSuccessful(
+          payment.gateway.transactionRef,
+          verification.data
+        );
         return res.json({
           success: true,
           status: "successful",
@@ -371,6 +396,7 @@ router.post("/confirm-delivery/:paymentId", protectBuyer, async (req, res) => {
       _id: req.params.paymentId,
       buyerId: req.buyer._id,
       status: "held_in_escrow",
+      "escrow.status": "held", // Disputed escrow is settled by an admin
     });
 
     if (!payment) {
@@ -429,15 +455,16 @@ router.get("/callback", async (req, res) => {
     const { status, tx_ref, transaction_id } = req.query;
 
     if (status === "successful" && transaction_id) {
-      // Verify and update payment
+      // Verify and update payment (all splits of a checkout group share tx_ref)
       const payment = await Payment.findOne({
         "gateway.transactionRef": tx_ref,
+        status: "processing",
       });
 
-      if (payment && payment.status === "processing") {
+      if (payment) {
         const verification = await PaymentService.verifyPayment(transaction_id);
         if (verification.data?.status === "successful") {
-          await PaymentService.markPaymentSuccessful(payment, verification.data);
+          await PaymentService.markChargeSuccessful(tx_ref, verification.data);
         }
       }
 
@@ -7,6 +7,16 @@ const PushNotificationService = require("../services/pushNotifications");
 
 const router = express.Router();
 
+// Fields sent through multipart forms arrive as JSON strings
+const parseJSONField = (value) => (typeof value === "string" ? JSON.parse(value) : value);
+
+// Apply the seller's variant list, keeping units held by checkouts on existing variants
+const mergeVariants = (existing, incoming) =>
+  incoming.map((variant) => {
+    const current = variant._id ? existing.id(variant._id) : null;
+    return { ...variant, reservedStock: current ? current.reservedStock : 0 };
+  });
+
 // @route   GET /api/products
 // @desc    Get all products (public - for customers)
 // @access  Public
@@ -79,6 +89,8 @@ router.post("/", protect, upload.array("images", 5), async (req, res) => {
       condition,
       tags,
       specifications,
+      options,
+      variants,
       location,
       shipping,
     } = req.body;
@@ -110,6 +122,10 @@ router.post("/", protect, upload.array("images", 5), async (req, res) => {
       parsedSpecs = typeof specifications === "string" ? JSON.parse(specifications) : specifications;
     }
 
+    // Variants with their own price and stock, e.g. sizes or storage tiers
+    const parsedOptions = options ? parseJSONField(options) : [];
+    const parsedVariants = variants ? mergeVariants([], parseJSONField(variants)) : [];
+
     const product = await Product.create({
       businessId: req.user.businessId,
       name,
@@ -124,6 +140,8 @@ router.post("/", protect, upload.array("images", 5), async (req, res) => {
       condition: condition || "new",
       tags: parsedTags,
       specifications: parsedSpecs,
+      options: parsedOptions,
+      variants: parsedVariants,
       location: location || {
         city: business?.location || "",
         country: "",
@@ -173,6 +191,8 @@ router.put("/:id", protect, upload.array("images", 5), async (req, res) => {
       condition,
       tags,
       specifications,
+      options,
+      variants,
       location,
       shipping,
     } = req.body;
@@ -187,7 +207,8 @@ router.put("/:id", protect, upload.array("images", 5), async (req, res) => {
     if (subcategory !== undefined) product.subcategory = subcategory;
     if (price !== undefined) product.price = price;
     if (originalPrice !== undefined) product.originalPrice = originalPrice;
-    if (stock !== undefined) product.stock = stock;
+    // Variant products keep their total stock in sync with the variants
+    if (stock !== undefined && product.variants.length === 0) product.stock = stock;
     if (description !== undefined) product.description = description;
     if (isAvailable !== undefined) product.isAvailable = isAvailable;
     if (condition) product.condition = condition;
@@ -204,6 +225,14 @@ router.put("/:id", protect, upload.array("images", 5), async (req, res) => {
         : specifications;
     }
     
+    // Handle variants
+    if (options) {
+      product.options = parseJSONField(options);
+    }
+    if (variants) {
+      product.variants = mergeVariants(product.variants, parseJSONField(variants));
+    }
+
     // Handle location
     if (location) {
       product.location = typeof location === "string" ? JSON.parse(location) : location;
@@ -239,7 +268,7 @@ router.put("/:id", protect, upload.array("images", 5), async (req, res) => {
     }
 
     // 🔔 Check if back in stock
-    if (oldStock === 0 && stock > 0) {
+    if (oldStock === 0 && product.stock > 0) {
       const backInStockResult = await PushNotificationService.notifyBackInStock(product);
       console.log(`📦 Back in stock! Notified ${backInStockResult.notifiedCount} buyers.`);
     }
@@ -0,0 +1,348 @@
+const express = require("express");
+const router = express.Router();
+const Promo = require("../models/Promo");
+const PromoRedemption = require("../models/PromoRedemption");
+const { protect, protectAdmin } = require("../middleware/auth");
+
+/**
+ * Promo Code Management
+ * Admins create platform-funded codes; sellers create codes for their own shop.
+ * Buyers apply codes through /api/checkout/apply-promo and /api/checkout/complete.
+ */
+
+// Search input is matched literally, never as a pattern
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Fields either side may set - ownership fields are never taken from the body
+const EDITABLE_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "maxDiscount",
+  "validFrom",
+  "validUntil",
+  "usageLimit",
+  "perBuyerLimit",
+  "minSubtotal",
+  "firstOrderOnly",
+  "scope",
+  "stackable",
+  "isActive",
+];
+
+const pickEditable = (body) => {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+};
+
+/**
+ * Check a promo's settings before saving
+ */
+const validatePromo = (promo) => {
+  if (promo.type === "percentage" && (promo.value <= 0 || promo.value > 100)) {
+    return "Percentage discount must be between 1 and 100";
+  }
+  if (promo.type === "fixed" && promo.value <= 0) {
+    return "Fixed discount must be greater than 0";
+  }
+  if (promo.validUntil && promo.validFrom && promo.validUntil <= promo.validFrom) {
+    return "validUntil must be after validFrom";
+  }
+  return null;
+};
+
+const handleSaveError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ success: false, message: "Promo code already exists" });
+  }
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  res.status(500).json({ success: false, message: error.message });
+};
+
+// ============================================
+// ADMIN PROMO ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/promos/admin
+ * @desc    List all promo codes
+ * @access  Private (Admin)
+ */
+router.get("/admin", protectAdmin, async (req, res) => {
+  try {
+    const { fundedBy, active, search, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (fundedBy) query.fundedBy = fundedBy;
+    if (active !== undefined) query.isActive = active === "true";
+    if (typeof search === "string" && search.trim()) {
+      // Codes are stored upper-case, so an anchored prefix match can use the index
+      query.code = { $regex: `^${escapeRegex(search.trim().toUpperCase())}` };
+    }
+
+    const promos = await Promo.find(query)
+      .populate("businessId", "name")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Promo.countDocuments(query);
+
+    res.json({
+      success: true,
+      promos,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/promos/admin
+ * @desc    Create a platform-funded promo code
+ * @access  Private (Admin)
+ */
+router.post("/admin", protectAdmin, async (req, res) => {
+  try {
+    const promo = new Promo({
+      ...pickEditable(req.body),
+      fundedBy: "platform",
+      createdByAdmin: req.admin._id,
+    });
+
+    const invalid = validatePromo(promo);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    await promo.save();
+    await req.admin.logActivity("create_promo", promo.code, promo._id);
+
+    res.status(201).json({
+      success: true,
+      message: "Promo code created",
+      promo,
+    });
+  } catch (error) {
+    handleSaveError(res, error);
+  }
+});
+
+/**
+ * @route   PUT /api/promos/admin/:id
+ * @desc    Update any promo code
+ * @access  Private (Admin)
+ */
+router.put("/admin/:id", protectAdmin, async (req, res) => {
+  try {
+    const promo = await Promo.findById(req.params.id);
+
+    if (!promo) {
+      return res.status(404).json({ success: false, message: "Promo code not found" });
+    }
+
+    promo.set(pickEditable(req.body));
+
+    const invalid = validatePromo(promo);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    await promo.save();
+
+    res.json({
+      success: true,
+      message: "Promo code updated",
+      promo,
+    });
+  } catch (error) {
+    handleSaveError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/promos/admin/:id
+ * @desc    Deactivate a promo code (redemption history is kept)
+ * @access  Private (Admin)
+ */
+router.delete("/admin/:id", protectAdmin, async (req, res) => {
+  try {
+    const promo = await Promo.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!promo) {
+      return res.status(404).json({ success: false, message: "Promo code not found" });
+    }
+
+    res.json({
+      success: true,
+      message: "Promo code deactivated",
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/promos/admin/:id/redemptions
+ * @desc    Redemption history for a promo code
+ * @access  Private (Admin)
+ */
+router.get("/admin/:id/redemptions", protectAdmin, async (req, res) => {
+  try {
+    const redemptions = await PromoRedemption.find({ promoId: req.params.id })
+      .populate("buyerId", "name email phone")
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      redemptions,
+      totalDiscount: redemptions.reduce(
+        (sum, r) => sum + r.discount + r.deliveryDiscount,
+        0
+      ),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// SELLER PROMO ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/promos/seller
+ * @desc    List the seller's own promo codes
+ * @access  Private (Seller)
+ */
+router.get("/seller", protect, async (req, res) => {
+  try {
+    const promos = await Promo.find({ businessId: req.user.businessId }).sort({
+      createdAt: -1,
+    });
+
+    res.json({
+      success: true,
+      promos,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/promos/seller
+ * @desc    Create a seller-funded promo code for the seller's business
+ * @access  Private (Seller)
+ */
+router.post("/seller", protect, async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+    // Seller codes always apply to the seller's business only
+    if (data.scope) delete data.scope.businessIds;
+
+    const promo = new Promo({
+      ...data,
+      fundedBy: "seller",
+      businessId: req.user.businessId,
+      createdByUser: req.user._id,
+    });
+
+    const invalid = validatePromo(promo);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    await promo.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Promo code created",
+      promo,
+    });
+  } catch (error) {
+    handleSaveError(res, error);
+  }
+});
+
+/**
+ * @route   PUT /api/promos/seller/:id
+ * @desc    Update one of the seller's promo codes
+ * @access  Private (Seller)
+ */
+router.put("/seller/:id", protect, async (req, res) => {
+  try {
+    const promo = await Promo.findOne({
+      _id: req.params.id,
+      businessId: req.user.businessId,
+    });
+
+    if (!promo) {
+      return res.status(404).json({ success: false, message: "Promo code not found" });
+    }
+
+    const data = pickEditable(req.body);
+    if (data.scope) delete data.scope.businessIds;
+    promo.set(data);
+
+    const invalid = validatePromo(promo);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    await promo.save();
+
+    res.json({
+      success: true,
+      message: "Promo code updated",
+      promo,
+    });
+  } catch (error) {
+    handleSaveError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/promos/seller/:id
+ * @desc    Deactivate one of the seller's promo codes
+ * @access  Private (Seller)
+ */
+router.delete("/seller/:id", protect, async (req, res) => {
+  try {
+    const promo = await Promo.findOneAndUpdate(
+      { _id: req.params.id, businessId: req.user.businessId },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!promo) {
+      return res.status(404).json({ success: false, message: "Promo code not found" });
+    }
+
+    res.json({
+      success: true,
+      message: "Promo code deactivated",
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const RecommendationService = require("../services/recommendations");
 const PushNotificationService = require("../services/pushNotifications");
+const NotificationOutboxService = require("../services/notificationOutbox");
 const Buyer = require("../models/Buyer");
 const Product = require("../models/Product");
 const { protectBuyer, optionalBuyerAuth } = require("../middleware/auth");
@@ -234,25 +235,57 @@ router.get("/my-interests", protectBuyer, async (req, res) => {
 });
 
 // @route   PUT /api/recommendations/notification-preferences
-// @desc    Update notification preferences
+// @desc    Update notification preferences, quiet hours and timezone
 // @access  Private (Buyer)
 router.put("/notification-preferences", protectBuyer, async (req, res) => {
   try {
-    const { newProducts, priceDrops, messages, orderUpdates, promotions } = req.body;
-    
+    const {
+      push,
+      newProducts,
+      priceDrops,
+      backInStock,
+      messages,
+      orderUpdates,
+      promotions,
+      quietHours,
+      timezone,
+    } = req.body;
+
+    if (timezone !== undefined && !NotificationOutboxService.isValidTimezone(timezone)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
+
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (
+      quietHours &&
+      ((quietHours.start !== undefined && !timePattern.test(quietHours.start)) ||
+        (quietHours.end !== undefined && !timePattern.test(quietHours.end)))
+    ) {
+      return res.status(400).json({ message: "Quiet hours must use HH:MM (24-hour) times" });
+    }
+
     const buyer = await Buyer.findById(req.buyer._id);
     
+    if (push !== undefined) buyer.notifications.push = push;
     if (newProducts !== undefined) buyer.notifications.newProducts = newProducts;
     if (priceDrops !== undefined) buyer.notifications.priceDrops = priceDrops;
+    if (backInStock !== undefined) buyer.notifications.backInStock = backInStock;
     if (messages !== undefined) buyer.notifications.messages = messages;
     if (orderUpdates !== undefined) buyer.notifications.orderUpdates = orderUpdates;
     if (promotions !== undefined) buyer.notifications.promotions = promotions;
+    if (quietHours) {
+      if (quietHours.enabled !== undefined) buyer.notifications.quietHours.enabled = quietHours.enabled;
+      if (quietHours.start !== undefined) buyer.notifications.quietHours.start = quietHours.start;
+      if (quietHours.end !== undefined) buyer.notifications.quietHours.end = quietHours.end;
+    }
+    if (timezone !== undefined) buyer.timezone = timezone;
     
     await buyer.save();
 
     res.json({
       message: "Notification preferences updated! ✅",
       notifications: buyer.notifications,
+      timezone: buyer.timezone,
     });
   } catch (error) {
     res.status(500).json({ message: "Error updating preferences", error: error.message });
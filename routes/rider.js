@@ -0,0 +1,239 @@
+const express = require("express");
+const router = express.Router();
+const Rider = require("../models/Rider");
+const RiderJobService = require("../services/riderJobs");
+const upload = require("../middleware/upload");
+const { protectRider } = require("../middleware/auth");
+
+/**
+ * Rider Job API
+ * Everything here acts as the signed-in rider (POST /api/delivery/riders/login).
+ * Location and availability are updated through /api/delivery/riders/location
+ * and /api/delivery/riders/status.
+ */
+
+const handleError = (res, error) => {
+  if (error.name === "CastError") {
+    return res.status(404).json({ success: false, message: "Job not found" });
+  }
+  res.status(500).json({ success: false, message: error.message });
+};
+
+// Proof of delivery images (fields "photo" and "signature")
+const proofUploads = upload.fields([
+  { name: "photo", maxCount: 1 },
+  { name: "signature", maxCount: 1 },
+]);
+const uploadedUrl = (files, field) =>
+  files?.[field]?.[0] ? `/uploads/${files[field][0].filename}` : "";
+
+const PLATFORMS = Rider.schema.path("deviceTokens").schema.path("platform").enumValues;
+
+// Reply for a job step that could not be taken
+const refuse = (res, result) =>
+  res.status(result.status).json({ success: false, message: result.message });
+
+/**
+ * @route   GET /api/rider/profile
+ * @desc    The signed-in rider's profile, status and stats
+ * @access  Private (Rider)
+ */
+router.get("/profile", protectRider, async (req, res) => {
+  res.json({ success: true, rider: req.rider });
+});
+
+/**
+ * @route   POST /api/rider/device-token
+ * @desc    Register the phone for job offer push notifications ({ token, platform? })
+ * @access  Private (Rider)
+ */
+router.post("/device-token", protectRider, async (req, res) => {
+  try {
+    const { token, platform = "android" } = req.body;
+
+    if (typeof token !== "string" || !token.trim()) {
+      return res.status(400).json({ success: false, message: "Device token is required" });
+    }
+    if (!PLATFORMS.includes(platform)) {
+      return res.status(400).json({
+        success: false,
+        message: `platform must be one of: ${PLATFORMS.join(", ")}`,
+      });
+    }
+
+    await req.rider.addDeviceToken(token.trim(), platform);
+
+    res.json({ success: true, message: "Device registered for job offers" });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/rider/device-token
+ * @desc    Stop push notifications to a device ({ token })
+ * @access  Private (Rider)
+ */
+router.delete("/device-token", protectRider, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== "string" || !token.trim()) {
+      return res.status(400).json({ success: false, message: "Device token is required" });
+    }
+
+    await req.rider.removeDeviceToken(token.trim());
+
+    res.json({ success: true, message: "Device unregistered from notifications" });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/rider/jobs
+ * @desc    Jobs offered to the rider and jobs in progress
+ * @access  Private (Rider)
+ */
+router.get("/jobs", protectRider, async (req, res) => {
+  try {
+    const jobs = await RiderJobService.activeJobs(req.rider._id);
+
+    res.json({
+      success: true,
+      offered: jobs.filter((job) => job.status === "offered"),
+      active: jobs.filter((job) => job.status !== "offered"),
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/rider/jobs/:jobId/accept
+ * @desc    Accept a job offer - one delivery at a time
+ * @access  Private (Rider)
+ */
+router.post("/jobs/:jobId/accept", protectRider, async (req, res) => {
+  try {
+    const result = await RiderJobService.accept(req.rider, req.params.jobId);
+    if (!result.success) return refuse(res, result);
+
+    res.json({
+      success: true,
+      message: "Job accepted. Head to the seller for pickup.",
+      job: result.job,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/rider/jobs/:jobId/decline
+ * @desc    Decline a job offer ({ reason? })
+ * @access  Private (Rider)
+ */
+router.post("/jobs/:jobId/decline", protectRider, async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === "string" ? req.body.reason.slice(0, 300) : "";
+    const result = await RiderJobService.decline(req.rider, req.params.jobId, reason);
+    if (!result.success) return refuse(res, result);
+
+    res.json({
+      success: true,
+      message: "Job declined",
+      job: result.job,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/rider/jobs/:jobId/pickup
+ * @desc    Mark the parcel as collected from the seller
+ * @access  Private (Rider)
+ */
+router.post("/jobs/:jobId/pickup", protectRider, async (req, res) => {
+  try {
+    const result = await RiderJobService.pickup(req.rider, req.params.jobId);
+    if (!result.success) return refuse(res, result);
+
+    res.json({
+      success: true,
+      message: "Pickup confirmed",
+      job: result.job,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/rider/jobs/:jobId/dropoff
+ * @desc    Hand the parcel to the buyer - multipart: code, note?, photo?, signature?
+ * @access  Private (Rider)
+ */
+router.post("/jobs/:jobId/dropoff", protectRider, proofUploads, async (req, res) => {
+  try {
+    const note = typeof req.body.note === "string" ? req.body.note.slice(0, 300) : "";
+    const result = await RiderJobService.dropoff(req.rider, req.params.jobId, {
+      note,
+      code: req.body.code,
+      photo: uploadedUrl(req.files, "photo"),
+      signature: uploadedUrl(req.files, "signature"),
+    });
+    if (!result.success) return refuse(res, result);
+
+    res.json({
+      success: true,
+      message: "Delivery completed",
+      job: result.job,
+      proof: result.order.delivery.proof,
+      earned: result.job.earnings,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/rider/history
+ * @desc    Finished jobs (?status=delivered|declined|expired|cancelled&page=&limit=)
+ * @access  Private (Rider)
+ */
+router.get("/history", protectRider, async (req, res) => {
+  try {
+    const { jobs, pagination } = await RiderJobService.history(req.rider._id, req.query);
+
+    res.json({
+      success: true,
+      jobs,
+      pagination,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/rider/earnings
+ * @desc    Earnings totals and a daily breakdown (?days=30)
+ * @access  Private (Rider)
+ */
+router.get("/earnings", protectRider, async (req, res) => {
+  try {
+    const earnings = await RiderJobService.earnings(req.rider._id, req.query);
+
+    res.json({
+      success: true,
+      earnings,
+      stats: req.rider.stats,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
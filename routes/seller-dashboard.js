@@ -377,6 +377,108 @@ router.get("/analytics/sales", protect, async (req, res) => {
   }
 });
 
+// ============================================
+// OFFER ANALYTICS
+// ============================================
+
+/**
+ * @route   GET /api/seller-dashboard/analytics/offers
+ * @desc    How negotiations end: accepted, rejected, expired, bought at the agreed price
+ * @access  Private (Seller)
+ */
+router.get("/analytics/offers", protect, async (req, res) => {
+  try {
+    const { period = "30d" } = req.query;
+
+    const business = await Business.findOne({ owner: req.user._id });
+    if (!business) {
+      return res.status(404).json({ success: false, message: "Business not found" });
+    }
+
+    let startDate = new Date();
+    if (period === "7d") startDate.setDate(startDate.getDate() - 7);
+    else if (period === "30d") startDate.setDate(startDate.getDate() - 30);
+    else if (period === "90d") startDate.setDate(startDate.getDate() - 90);
+    else if (period === "1y") startDate.setFullYear(startDate.getFullYear() - 1);
+
+    const match = { businessId: business._id, createdAt: { $gte: startDate } };
+
+    const [byStatus, expiredWhile, topProducts] = await Promise.all([
+      Offer.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: "$status",
+            count: { $sum: 1 },
+            offerValue: { $sum: { $multiply: ["$offerPrice", "$quantity"] } },
+            listValue: { $sum: { $multiply: ["$originalPrice", "$quantity"] } },
+          },
+        },
+      ]),
+      // Which stage offers were stuck in when they lapsed
+      Offer.aggregate([
+        { $match: { ...match, status: "expired" } },
+        { $group: { _id: "$expiredFrom", count: { $sum: 1 } } },
+      ]),
+      Offer.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: "$productId",
+            offers: { $sum: 1 },
+            completed: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
+            expired: { $sum: { $cond: [{ $eq: ["$status", "expired"] }, 1, 0] } },
+          },
+        },
+        { $sort: { offers: -1 } },
+        { $limit: 10 },
+        {
+          $lookup: {
+            from: "products",
+            localField: "_id",
+            foreignField: "_id",
+            as: "product",
+          },
+        },
+        { $unwind: "$product" },
+        {
+          $project: {
+            name: "$product.name",
+            offers: 1,
+            completed: 1,
+            expired: 1,
+          },
+        },
+      ]),
+    ]);
+
+    const counts = Object.fromEntries(byStatus.map((s) => [s._id, s.count]));
+    const total = byStatus.reduce((sum, s) => sum + s.count, 0);
+    const completed = byStatus.find((s) => s._id === "completed");
+    const rate = (count) => (total > 0 ? Math.round(((count || 0) / total) * 1000) / 10 : 0);
+
+    res.json({
+      success: true,
+      analytics: {
+        period,
+        total,
+        byStatus: counts,
+        acceptanceRate: rate((counts.accepted || 0) + (counts.completed || 0)),
+        conversionRate: rate(counts.completed),
+        expiryRate: rate(counts.expired),
+        expiredWhile: Object.fromEntries(expiredWhile.map((e) => [e._id || "unknown", e.count])),
+        // Revenue from negotiated sales and what was given up against list price
+        negotiatedRevenue: completed?.offerValue || 0,
+        discountGiven: completed ? completed.listValue - completed.offerValue : 0,
+        currency: "UGX",
+        topProducts,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ============================================
 // PRODUCT ANALYTICS
 // ============================================
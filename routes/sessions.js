@@ -0,0 +1,103 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const SessionService = require("../services/sessionService");
+const { protectSession } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Shared by sellers, buyers, admins and riders - the access token says who is asking
+
+// @route   POST /api/sessions/refresh
+// @desc    Swap a refresh token for a new access token and refresh token
+// @access  Public (refresh token)
+router.post("/refresh", async (req, res) => {
+  try {
+    const result = await SessionService.refresh(req.body.refreshToken, req);
+    if (!result.success) {
+      return res.status(401).json({ message: result.message });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error refreshing session", error: error.message });
+  }
+});
+
+// @route   POST /api/sessions/logout
+// @desc    Sign out this device, or every device with { allDevices: true }
+// @access  Private
+router.post("/logout", protectSession, async (req, res) => {
+  try {
+    const { id, userType, userId } = req.authSession;
+
+    if (req.body?.allDevices) {
+      const revoked = await SessionService.revokeAll(userType, userId, { reason: "logout" });
+      return res.json({ message: "Signed out on all devices 👋", revoked });
+    }
+
+    await SessionService.revoke(userType, userId, id, "logout");
+    res.json({ message: "Signed out 👋" });
+  } catch (error) {
+    res.status(500).json({ message: "Error signing out", error: error.message });
+  }
+});
+
+// @route   GET /api/sessions
+// @desc    List devices currently signed in to this account
+// @access  Private
+router.get("/", protectSession, async (req, res) => {
+  try {
+    const { id, userType, userId } = req.authSession;
+    const sessions = await SessionService.list(userType, userId);
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.toString() === id,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching sessions", error: error.message });
+  }
+});
+
+// @route   DELETE /api/sessions
+// @desc    Sign out every other device
+// @access  Private
+router.delete("/", protectSession, async (req, res) => {
+  try {
+    const { id, userType, userId } = req.authSession;
+    const revoked = await SessionService.revokeAll(userType, userId, { except: id });
+
+    res.json({ message: "Other devices signed out", revoked });
+  } catch (error) {
+    res.status(500).json({ message: "Error revoking sessions", error: error.message });
+  }
+});
+
+// @route   DELETE /api/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete("/:id", protectSession, async (req, res) => {
+  try {
+    const { userType, userId } = req.authSession;
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    const revoked = await SessionService.revoke(userType, userId, req.params.id, "user");
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    res.json({ message: "Device signed out" });
+  } catch (error) {
+    res.status(500).json({ message: "Error revoking session", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -20,16 +20,25 @@ const notificationRoutes = require("./routes/notifications");
 const categoryRoutes = require("./routes/categories");
 const recommendationRoutes = require("./routes/recommendations");
 const deliveryRoutes = require("./routes/delivery");
+const riderRoutes = require("./routes/rider");
 const paymentRoutes = require("./routes/payments");
 const checkoutRoutes = require("./routes/checkout");
+const disputeRoutes = require("./routes/disputes");
 const offerRoutes = require("./routes/offers");
 const rewardRoutes = require("./routes/rewards");
 const sellerDashboardRoutes = require("./routes/seller-dashboard");
+const promoRoutes = require("./routes/promos");
+const sessionRoutes = require("./routes/sessions");
 
 // Import models for Socket.IO
-const Message = require("./models/Message");
 const Conversation = require("./models/Conversation");
 const Notification = require("./models/Notification");
+const Rider = require("./models/Rider");
+const { protectSocket } = require("./middleware/auth");
+const ChatService = require("./services/chatService");
+const ChatAutomationService = require("./services/chatAutomation");
+const ChatModerationService = require("./services/chatModeration");
+const DeliveryTrackingService = require("./services/deliveryTracking");
 
 const app = express();
 const server = http.createServer(app);
@@ -47,12 +56,109 @@ app.use(cors());
 app.use(express.json());
 app.use("/uploads", express.static("uploads")); // Serve uploaded images
 
+// Periodic maintenance jobs - started once the database is connected
+const BACKGROUND_JOBS = [
+  {
+    // Return stock from checkout holds that expired without payment
+    name: "Stock reservation sweep",
+    everyMs: 60 * 1000,
+    run: async () => {
+      const StockReservation = require("./models/StockReservation");
+      const expired = await StockReservation.expireStale();
+      if (expired > 0) console.log(`📦 Released ${expired} expired stock holds`);
+    },
+  },
+  {
+    // Remind about offers about to lapse, then expire the stale ones
+    name: "Offer expiry sweep",
+    everyMs: 60 * 1000,
+    run: async () => {
+      const OfferExpiryService = require("./services/offerExpiry");
+      const reminded = await OfferExpiryService.sendReminders();
+      const expired = await OfferExpiryService.expireStale();
+      if (reminded > 0) console.log(`⏳ Sent ${reminded} offer expiry reminders`);
+      if (expired > 0) console.log(`⌛ Expired ${expired} offers`);
+    },
+  },
+  {
+    // Pay sellers for escrow that was neither confirmed nor disputed in time
+    name: "Escrow auto-release",
+    everyMs: 10 * 60 * 1000,
+    run: async () => {
+      const EscrowService = require("./services/escrowService");
+      const released = await EscrowService.releaseDue();
+      if (released > 0) console.log(`💰 Auto-released ${released} escrow payments`);
+    },
+  },
+  {
+    // Lapse rider job offers nobody answered
+    name: "Rider job offer expiry",
+    everyMs: 15 * 1000,
+    run: async () => {
+      const RiderJobService = require("./services/riderJobs");
+      const expired = await RiderJobService.expireOffers();
+      if (expired > 0) console.log(`🛵 Expired ${expired} rider job offers`);
+    },
+  },
+  {
+    // Deliver queued buyer notifications (preferences, quiet hours, digests)
+    name: "Notification outbox",
+    everyMs: 60 * 1000,
+    run: async () => {
+      const NotificationOutboxService = require("./services/notificationOutbox");
+      const delivered = await NotificationOutboxService.drain();
+      if (delivered > 0) console.log(`🔔 Delivered ${delivered} queued notifications`);
+    },
+  },
+  {
+    // Confirm delivery of accepted pushes and prune dead tokens
+    name: "Push receipt check",
+    everyMs: 5 * 60 * 1000,
+    run: async () => {
+      const PushNotificationService = require("./services/pushNotifications");
+      const checked = await PushNotificationService.checkReceipts();
+      if (checked > 0) console.log(`📱 Checked ${checked} push receipts`);
+    },
+  },
+];
+
+const startBackgroundJobs = () => {
+  for (const job of BACKGROUND_JOBS) {
+    const interval = setInterval(async () => {
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`${job.name} error:`, error);
+      }
+    }, job.everyMs);
+    interval.unref();
+  }
+};
+
 // Database connection
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log("✅ Database connected successfully"))
+  .then(() => {
+    console.log("✅ Database connected successfully");
+    startBackgroundJobs();
+
+    // Offers expire through the sweeper now, not a TTL index
+    require("./services/offerExpiry")
+      .removeTtlIndex()
+      .then((dropped) => dropped && console.log("⌛ Removed offer TTL index"))
+      .catch((error) => console.error("Offer index cleanup error:", error));
+
+    // Riders registered before multi-device push keep their phone
+    require("./services/pushNotifications")
+      .migrateRiderTokens()
+      .then((migrated) => migrated && console.log(`📱 Migrated ${migrated} rider device token(s)`))
+      .catch((error) => console.error("Rider token migration error:", error));
+  })
   .catch((err) => console.log("❌ Database connection error:", err));
 
+// Routes - Sessions (all account types)
+app.use("/api/sessions", sessionRoutes);
+
 // Routes - Seller/Business
 app.use("/api/auth", authRoutes);
 app.use("/api/products", productRoutes);
@@ -74,18 +180,27 @@ app.use("/api/recommendations", recommendationRoutes);
 // Routes - Delivery System
 app.use("/api/delivery", deliveryRoutes);
 
+// Routes - Rider Jobs
+app.use("/api/rider", riderRoutes);
+
 // Routes - Payments
 app.use("/api/payments", paymentRoutes);
 
 // Routes - Checkout Flow
 app.use("/api/checkout", checkoutRoutes);
 
+// Routes - Escrow Disputes
+app.use("/api/disputes", disputeRoutes);
+
 // Routes - Offers/Negotiation
 app.use("/api/offers", offerRoutes);
 
 // Routes - Rewards/Gamification
 app.use("/api/rewards", rewardRoutes);
 
+// Routes - Promo Codes
+app.use("/api/promos", promoRoutes);
+
 // Routes - Seller Dashboard
 app.use("/api/seller-dashboard", sellerDashboardRoutes);
 
@@ -99,49 +214,194 @@ app.use("/api/notifications", notificationRoutes);
 app.use("/api/admin", adminRoutes);
 
 // Socket.IO Chat Logic
+// Every socket signs in with an access token; identity comes from the token, never the client
+io.use(protectSocket);
+ChatService.attach(io);
+DeliveryTrackingService.attach(io);
+
+// Structured error for a rejected event - sent to the ack callback when given
+const socketError = (socket, event, ack, code, message) => {
+  const payload = { success: false, event, code, message };
+  if (typeof ack === "function") ack(payload);
+  else socket.emit("chat_error", payload);
+};
+
+// Load a conversation the socket's user takes part in, or null
+const findOwnConversation = async (user, conversationId) => {
+  if (!mongoose.isValidObjectId(conversationId)) return null;
+  const conversation = await Conversation.findById(conversationId);
+  return conversation && conversation.hasParticipant(user) ? conversation : null;
+};
+
 io.on("connection", (socket) => {
-  console.log("👤 User connected:", socket.id);
+  const user = socket.data.user;
+  const senderType = user.type === "seller" ? "business" : "customer";
+  console.log(`👤 ${user.type} connected:`, socket.id);
+
+  // Personal room for unread counts, receipts and messages from any conversation
+  const userRoom = ChatService.userRoom(user);
+  if (userRoom) {
+    socket.join(userRoom);
+    ChatService.deliverPending(user).catch((error) =>
+      console.error("Delivery receipt error:", error)
+    );
+  }
 
   // Join a conversation room
-  socket.on("join_conversation", (conversationId) => {
-    socket.join(conversationId);
-    console.log(`User joined conversation: ${conversationId}`);
+  socket.on("join_conversation", async (conversationId, ack) => {
+    try {
+      const conversation = await findOwnConversation(user, conversationId);
+      if (!conversation) {
+        return socketError(
+          socket,
+          "join_conversation",
+          ack,
+          "FORBIDDEN",
+          "You are not part of this conversation"
+        );
+      }
+
+      socket.join(conversation._id.toString());
+      if (typeof ack === "function") ack({ success: true, conversationId: conversation._id });
+    } catch (error) {
+      console.error("Join error:", error);
+      socketError(socket, "join_conversation", ack, "SERVER_ERROR", "Could not join conversation");
+    }
   });
 
   // Send message
-  socket.on("send_message", async (data) => {
+  socket.on("send_message", async (data, ack) => {
     try {
-      const { conversationId, senderId, senderName, senderType, message } = data;
-
-      // Save message to database
-      const newMessage = await Message.create({
-        conversationId,
-        senderId,
-        senderName,
-        senderType,
-        message,
-      });
-
-      // Update conversation's last message
-      await Conversation.findByIdAndUpdate(conversationId, {
-        lastMessage: message,
-        lastMessageAt: new Date(),
-      });
-
-      // Emit to all users in the conversation
-      io.to(conversationId).emit("receive_message", newMessage);
+      const conversation = await findOwnConversation(user, data?.conversationId);
+      if (!conversation) {
+        return socketError(
+          socket,
+          "send_message",
+          ack,
+          "FORBIDDEN",
+          "You are not part of this conversation"
+        );
+      }
+
+      // Closed conversations, blocks and the per-sender rate limit
+      const allowed = await ChatModerationService.canSend(conversation, senderType);
+      if (!allowed.allowed) {
+        return socketError(socket, "send_message", ack, allowed.code, allowed.message);
+      }
+
+      // Text, image, product, offer or location - or a seller's saved quick reply
+      const check =
+        senderType === "business" && data.quickReplyId
+          ? await ChatAutomationService.quickReplyContent(user.businessId, data, conversation)
+          : await ChatService.validateContent(conversation, data);
+      if (!check.success) {
+        return socketError(socket, "send_message", ack, "INVALID_MESSAGE", check.message);
+      }
+
+      // Saves, updates unread counts and emits receive_message
+      const newMessage = await ChatService.sendMessage(
+        conversation,
+        { id: user.id, name: user.name, senderType },
+        check.content
+      );
+      if (typeof ack === "function") ack({ success: true, message: newMessage });
     } catch (error) {
       console.error("Message error:", error);
+      socketError(socket, "send_message", ack, "SERVER_ERROR", "Could not send message");
     }
   });
 
-  // Typing indicator
+  // Read everything the other side sent (read receipts go to them)
+  socket.on("mark_read", async (conversationId, ack) => {
+    try {
+      const conversation = await findOwnConversation(user, conversationId);
+      if (!conversation) {
+        return socketError(
+          socket,
+          "mark_read",
+          ack,
+          "FORBIDDEN",
+          "You are not part of this conversation"
+        );
+      }
+
+      const marked = await ChatService.markRead(conversation, senderType);
+      if (typeof ack === "function") ack({ success: true, marked });
+    } catch (error) {
+      console.error("Read receipt error:", error);
+      socketError(socket, "mark_read", ack, "SERVER_ERROR", "Could not mark messages as read");
+    }
+  });
+
+  // Typing indicator (only in rooms this socket was allowed to join)
   socket.on("typing", (data) => {
-    socket.to(data.conversationId).emit("user_typing", data);
+    const conversationId = String(data?.conversationId || "");
+    if (!socket.rooms.has(conversationId)) {
+      return socketError(socket, "typing", null, "FORBIDDEN", "Join the conversation first");
+    }
+
+    socket.to(conversationId).emit("user_typing", {
+      conversationId,
+      userId: user.id,
+      name: user.name,
+      senderType,
+      isTyping: data.isTyping !== false,
+    });
+  });
+
+  // Live delivery tracking - the order's buyer, seller and assigned rider only
+  socket.on("track_order", async (orderId, ack) => {
+    try {
+      const order = await DeliveryTrackingService.findTrackable(user, orderId);
+      if (!order) {
+        return socketError(socket, "track_order", ack, "FORBIDDEN", "You cannot track this order");
+      }
+
+      socket.join(DeliveryTrackingService.room(order._id));
+      const tracking = await DeliveryTrackingService.snapshot(order);
+      if (typeof ack === "function") ack({ success: true, tracking });
+    } catch (error) {
+      console.error("Track order error:", error);
+      socketError(socket, "track_order", ack, "SERVER_ERROR", "Could not track order");
+    }
+  });
+
+  socket.on("untrack_order", (orderId, ack) => {
+    socket.leave(DeliveryTrackingService.room(String(orderId || "")));
+    if (typeof ack === "function") ack({ success: true });
+  });
+
+  // Riders can stream their position over the socket instead of PUT /riders/location
+  socket.on("rider_location", async (data, ack) => {
+    try {
+      if (user.type !== "rider") {
+        return socketError(socket, "rider_location", ack, "FORBIDDEN", "Riders only");
+      }
+
+      const lat = Number(data?.lat);
+      const lng = Number(data?.lng);
+      if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+        return socketError(
+          socket,
+          "rider_location",
+          ack,
+          "INVALID_LOCATION",
+          "Valid lat and lng are required"
+        );
+      }
+
+      const rider = await Rider.findById(user.id);
+      await rider.updateLocation(lat, lng);
+      const broadcast = await DeliveryTrackingService.riderMoved(rider);
+      if (typeof ack === "function") ack({ success: true, broadcast });
+    } catch (error) {
+      console.error("Rider location error:", error);
+      socketError(socket, "rider_location", ack, "SERVER_ERROR", "Could not update location");
+    }
   });
 
   socket.on("disconnect", () => {
-    console.log("👤 User disconnected:", socket.id);
+    console.log(`👤 ${user.type} disconnected:`, socket.id);
   });
 });
 
@@ -171,6 +431,12 @@ app.get("/", (req, res) => {
       auth: {
         register: "POST /api/buyer/register",
         login: "POST /api/buyer/login",
+        requestLoginCode: "POST /api/buyer/otp/request",
+        phoneLogin: "POST /api/buyer/otp/login (creates account on first use)",
+        requestPhoneCode: "POST /api/buyer/phone/request",
+        verifyPhone: "POST /api/buyer/phone/verify",
+        forgotPassword: "POST /api/buyer/forgot-password { email | phone }",
+        resetPassword: "POST /api/buyer/reset-password { email | phone, code, newPassword }",
         profile: "GET /api/buyer/profile",
         updateProfile: "PUT /api/buyer/profile",
       },
@@ -200,12 +466,19 @@ app.get("/", (req, res) => {
         orderDetails: "GET /api/buyer-orders/:id",
         cancelOrder: "PUT /api/buyer-orders/:id/cancel",
         trackOrder: "GET /api/buyer-orders/track/:id?phone=xxx",
+        resendDeliveryCode: "POST /api/delivery/code/:orderId/resend",
+      },
+      disputes: {
+        openDispute: "POST /api/disputes (multipart: paymentId, reason, description, evidence)",
+        myDisputes: "GET /api/disputes/my-disputes",
       },
       communication: {
         startChat: "POST /api/chat/start",
         myConversations: "GET /api/chat/buyer/conversations",
-        getMessages: "GET /api/chat/messages/:conversationId",
+        getMessages: "GET /api/chat/messages/:conversationId?before=&limit=",
         sendMessage: "POST /api/chat/message",
+        blockSeller: "POST/DELETE /api/chat/buyer/conversations/:conversationId/block",
+        reportChat: "POST /api/chat/buyer/conversations/:conversationId/report",
       },
       reviews: {
         writeReview: "POST /api/reviews/:productId",
@@ -222,11 +495,14 @@ app.get("/", (req, res) => {
       auth: {
         register: "POST /api/auth/register (creates business + owner)",
         login: "POST /api/auth/login",
+        forgotPassword: "POST /api/auth/forgot-password { email }",
+        resetPassword: "POST /api/auth/reset-password { email, code, newPassword }",
         addStaff: "POST /api/auth/add-staff",
       },
       dashboard: {
         main: "GET /api/business/dashboard (stats, recent orders, top products)",
         analytics: "GET /api/business/analytics?period=30",
+        offerAnalytics: "GET /api/seller-dashboard/analytics/offers?period=30d",
       },
       products: {
         myProducts: "GET /api/business/products",
@@ -239,14 +515,49 @@ app.get("/", (req, res) => {
         orderDetails: "GET /api/orders/:id",
         updateStatus: "PUT /api/business/orders/:orderId/status",
       },
+      delivery: {
+        zones: "GET/POST /api/delivery/zones, PUT/DELETE /api/delivery/zones/:zoneId",
+        zoneTypes:
+          "polygon (area: GeoJSON Polygon) | radius (radius.center, radius.distance km) | " +
+          "city | region | custom",
+        assignRider: "POST /api/delivery/assign-rider { orderId, riderId | riderInfo }",
+        autoDispatch: "POST /api/delivery/dispatch/:orderId { pickup?: { lat, lng, address } }",
+        dispatchStatus: "GET /api/delivery/dispatch/:orderId",
+        stopDispatch: "DELETE /api/delivery/dispatch/:orderId",
+        markDelivered:
+          "PUT /api/delivery/status/:orderId (multipart: status=delivered, code, photo?, signature?)",
+      },
       messages: {
-        allMessages: "GET /api/business/messages",
-        conversations: "GET /api/chat/conversations",
+        allMessages: "GET /api/business/messages?unreadOnly=&cursor=&limit=",
+        conversations: "GET /api/chat/conversations?cursor=&limit=",
+        search: "GET /api/chat/search?q=&buyerId=&productId=&from=&to=&cursor=",
+        exportChat: "GET /api/chat/conversations/:conversationId/export?format=json|text",
+        quickReplies: "GET/POST /api/chat/quick-replies, PUT/DELETE /api/chat/quick-replies/:id",
+        previewQuickReply: "POST /api/chat/quick-replies/:id/preview { conversationId, productId? }",
+        chatSettings: "GET/PUT /api/business/chat-settings (hours, away message, auto-answers)",
+        blockCustomer: "POST/DELETE /api/chat/conversations/:conversationId/block",
+        reportChat: "POST /api/chat/conversations/:conversationId/report { reason, details? }",
+        blockedCustomers: "GET /api/chat/blocks",
         archiveChat: "PUT /api/business/messages/:conversationId/archive",
       },
       profile: {
         getProfile: "GET /api/auth/me",
-        updateBusiness: "PUT /api/business/update",
+        updateBusiness: "PUT /api/business/update (pickupLocation: { lat, lng, address? })",
+      },
+      promos: {
+        myPromos: "GET /api/promos/seller",
+        createPromo: "POST /api/promos/seller",
+        updatePromo: "PUT /api/promos/seller/:id",
+        deactivatePromo: "DELETE /api/promos/seller/:id",
+      },
+      offers: {
+        myOffers: "GET /api/offers/seller",
+        respond: "POST /api/offers/:offerId/accept | reject | counter",
+        offerRules: "GET/POST /api/offers/rules, PUT/DELETE /api/offers/rules/:ruleId",
+      },
+      disputes: {
+        myDisputes: "GET /api/disputes/seller?status=open",
+        respond: "POST /api/disputes/:disputeId/respond (multipart: message, evidence)",
       },
       notifications: "GET /api/business/notifications",
     },
@@ -258,6 +569,8 @@ app.get("/", (req, res) => {
       auth: {
         setup: "POST /api/admin/setup (first admin only)",
         login: "POST /api/admin/login",
+        forgotPassword: "POST /api/admin/forgot-password { email }",
+        resetPassword: "POST /api/admin/reset-password { email, code, newPassword }",
         createAdmin: "POST /api/admin/create",
       },
       dashboard: "GET /api/admin/dashboard",
@@ -274,9 +587,63 @@ app.get("/", (req, res) => {
         rejectProduct: "PUT /api/admin/products/:id/reject",
         deleteProduct: "DELETE /api/admin/products/:id",
       },
+      chatModeration: {
+        reports: "GET /api/admin/chat-reports?status=open&reason=&reporterType=",
+        reportDetails: "GET /api/admin/chat-reports/:id",
+        resolveReport: "PUT /api/admin/chat-reports/:id { status, note?, closeConversation? }",
+      },
       notifications: {
         broadcast: "POST /api/admin/notifications/broadcast",
       },
+      promos: {
+        allPromos: "GET /api/promos/admin",
+        createPromo: "POST /api/promos/admin",
+        updatePromo: "PUT /api/promos/admin/:id",
+        deactivatePromo: "DELETE /api/promos/admin/:id",
+        redemptions: "GET /api/promos/admin/:id/redemptions",
+      },
+      disputes: {
+        allDisputes: "GET /api/disputes/admin?status=responded",
+        disputeDetails: "GET /api/disputes/admin/:disputeId",
+        resolve: "POST /api/disputes/admin/:disputeId/resolve { outcome, refundAmount?, note? }",
+      },
+    },
+
+    // ====================================
+    // 🛵 RIDER ENDPOINTS
+    // ====================================
+    rider: {
+      auth: {
+        register: "POST /api/delivery/riders/register",
+        verifyPhone: "POST /api/delivery/riders/verify-phone { phone, code }",
+        login: "POST /api/delivery/riders/login { phone, password }",
+        forgotPassword: "POST /api/delivery/riders/forgot-password { phone }",
+      },
+      profile: "GET /api/rider/profile",
+      deviceToken: "POST | DELETE /api/rider/device-token { token, platform? }",
+      jobs: {
+        myJobs: "GET /api/rider/jobs (offered + active)",
+        accept: "POST /api/rider/jobs/:jobId/accept",
+        decline: "POST /api/rider/jobs/:jobId/decline { reason? }",
+        pickup: "POST /api/rider/jobs/:jobId/pickup",
+        dropoff: "POST /api/rider/jobs/:jobId/dropoff (multipart: code, note?, photo?, signature?)",
+      },
+      location: "PUT /api/delivery/riders/location { lat, lng }",
+      status: "PUT /api/delivery/riders/status { status: available | offline }",
+      history: "GET /api/rider/history?status=&page=",
+      earnings: "GET /api/rider/earnings?days=30",
+    },
+
+    // ====================================
+    // 🔑 SESSIONS (buyers, sellers, admins, riders)
+    // ====================================
+    sessions: {
+      note: "Logins return a short-lived token plus a refreshToken (rotated on every use)",
+      refresh: "POST /api/sessions/refresh { refreshToken }",
+      logout: "POST /api/sessions/logout { allDevices? }",
+      mySessions: "GET /api/sessions",
+      revokeOthers: "DELETE /api/sessions",
+      revokeOne: "DELETE /api/sessions/:id",
     },
 
     // ====================================
@@ -298,12 +665,33 @@ app.get("/", (req, res) => {
     // �💬 REAL-TIME FEATURES (Socket.IO)
     // ====================================
     realtime: {
-      connect: "io.connect('http://localhost:5000')",
+      connect: "io('http://localhost:5000', { auth: { token: accessToken } })",
       events: {
-        join_conversation: "Join a chat room",
-        send_message: "Send message in real-time",
+        join_conversation: "Join a chat room you take part in (conversationId, ack)",
+        send_message:
+          "Send message ({ conversationId, type, ...content }, ack) - sellers can send " +
+          "{ conversationId, quickReplyId, productId? }",
         receive_message: "Receive messages live",
-        typing: "Show typing indicator",
+        mark_read: "Mark the other side's messages read (conversationId, ack)",
+        messages_delivered: "{ conversationId, messageIds, deliveredAt } - messages reached them",
+        messages_read: "{ conversationId, readBy, readAt } - your messages up to readAt were read",
+        unread_count: "{ conversationId, unread, totalUnread } - live unread counters",
+        typing: "Show typing indicator ({ conversationId, isTyping })",
+        chat_error: "{ event, code, message } when an event is rejected without an ack",
+        offer_updated: "{ conversationId, offer } - refresh an offer card",
+        track_order:
+          "Follow a delivery live (orderId, ack) - the order's buyer, seller and assigned " +
+          "rider only; ack carries { status, rider, location, eta }",
+        untrack_order: "Stop following a delivery (orderId, ack)",
+        rider_location: "Riders send { lat, lng }; trackers receive { orderId, location, eta }",
+        delivery_status: "{ orderId, status, orderStatus, update, rider, eta } on every change",
+      },
+      messageTypes: {
+        text: "{ message }",
+        image: "{ attachments: [{ url }], message? } - upload via POST /api/chat/attachments",
+        product: "{ productId, message? }",
+        offer: "{ offerId, message? } - offer between the two participants",
+        location: "{ location: { lat, lng, label? }, message? }",
       },
     },
 
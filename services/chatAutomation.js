@@ -0,0 +1,211 @@
+/**
+ * Chat Automation Service
+ * Seller quick replies (saved answers with placeholders), the away-message
+ * auto-responder driven by business hours, and automatic answers to
+ * "is it available?" questions from live stock. Automated replies are sent
+ * through ChatService as the business, flagged `automated`.
+ */
+
+const mongoose = require("mongoose");
+const Business = require("../models/Business");
+const Conversation = require("../models/Conversation");
+const DeliveryZone = require("../models/DeliveryZone");
+const Product = require("../models/Product");
+const QuickReply = require("../models/QuickReply");
+
+// At most one away message per conversation in this many hours
+const AWAY_REPLY_HOURS = parseInt(process.env.CHAT_AWAY_REPLY_HOURS) || 12;
+
+// "is it available?", "do you have this?", "any left?", "still in stock?"...
+const AVAILABILITY_QUESTION =
+  /\b(available|availability|in stock|do you (still )?have|any left|sold out|still there)\b/i;
+
+const money = (amount, currency) => `${Number(amount || 0).toLocaleString()} ${currency}`;
+
+// "HH:mm" → minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Lazy - ChatService calls back into this service
+const chatService = () => require("./chatService");
+
+class ChatAutomationService {
+  // Placeholders quick replies and the away message can use
+  static PLACEHOLDERS = [
+    "customerName",
+    "businessName",
+    "productName",
+    "price",
+    "stock",
+    "deliveryZones",
+  ];
+
+  /**
+   * Fill {{placeholders}} in a reply; unknown ones are left as typed
+   */
+  static render(body, values) {
+    return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+      Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match
+    );
+  }
+
+  /**
+   * Placeholder values for a conversation. productId overrides the product
+   * the conversation was started about.
+   */
+  static async placeholderValues(conversation, productId = null) {
+    const id = mongoose.isValidObjectId(productId) ? productId : conversation.productId;
+
+    const [business, product, zones] = await Promise.all([
+      Business.findById(conversation.businessId).select("name"),
+      id ? Product.findOne({ _id: id, businessId: conversation.businessId }) : null,
+      DeliveryZone.find({ businessId: conversation.businessId, isActive: true }).select("name"),
+    ]);
+
+    return {
+      customerName: conversation.customerName || "",
+      businessName: business?.name || "",
+      productName: product?.name || "",
+      price: product ? money(product.price, product.currency) : "",
+      stock: product ? product.stock : "",
+      deliveryZones: zones.map((zone) => zone.name).join(", "),
+    };
+  }
+
+  /**
+   * Render one of the business's quick replies for a conversation
+   */
+  static async renderQuickReply(businessId, quickReplyId, conversation, productId = null) {
+    if (!mongoose.isValidObjectId(quickReplyId)) return null;
+    const reply = await QuickReply.findOne({ _id: quickReplyId, businessId });
+    if (!reply) return null;
+
+    const values = await this.placeholderValues(conversation, productId);
+    return { reply, text: this.render(reply.body, values) };
+  }
+
+  /**
+   * Message content for sending a quick reply - same shape as
+   * ChatService.validateContent. Counts the use.
+   */
+  static async quickReplyContent(businessId, input, conversation) {
+    const rendered = await this.renderQuickReply(
+      businessId,
+      input.quickReplyId,
+      conversation,
+      input.productId
+    );
+    if (!rendered) return { success: false, message: "Quick reply not found" };
+
+    await QuickReply.updateOne({ _id: rendered.reply._id }, { $inc: { usageCount: 1 } });
+    return { success: true, content: { type: "text", message: rendered.text } };
+  }
+
+  /**
+   * Whether the business is open at `date` in its own timezone.
+   * No hours set means always open; a window that closes before it opens
+   * runs past midnight.
+   */
+  static isOpen(settings, date = new Date()) {
+    const hours = settings?.businessHours || [];
+    if (hours.length === 0) return true;
+
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: settings.timezone || "UTC",
+        weekday: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      })
+        .formatToParts(date)
+        .map((part) => [part.type, part.value])
+    );
+    const today = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday);
+    const now = Number(parts.hour) * 60 + Number(parts.minute);
+
+    return hours.some(({ day, open, close }) => {
+      const from = toMinutes(open);
+      const to = toMinutes(close);
+      if (from <= to) return day === today && now >= from && now < to;
+      return (day === today && now >= from) || (day === (today + 6) % 7 && now < to);
+    });
+  }
+
+  /**
+   * Live availability answer for a product, or null if it isn't this business's
+   */
+  static async availabilityAnswer(conversation, productId) {
+    const product = await Product.findOne({ _id: productId, businessId: conversation.businessId });
+    if (!product) return null;
+
+    const sellable = product.status === "approved" && product.isAvailable !== false;
+    if (!sellable || product.stock <= 0) {
+      return `Sorry, ${product.name} is out of stock right now.`;
+    }
+
+    if (product.variants.length > 0) {
+      const inStock = product.variants
+        .filter((variant) => variant.isAvailable && variant.stock > 0)
+        .map((variant) => `${variant.label} (${variant.stock})`);
+      if (inStock.length === 0) return `Sorry, ${product.name} is out of stock right now.`;
+      return `Yes, ${product.name} is available in ${inStock.join(", ")}. Price: ${money(
+        product.price,
+        product.currency
+      )}.`;
+    }
+
+    return `Yes, ${product.name} is available - ${product.stock} in stock at ${money(
+      product.price,
+      product.currency
+    )}.`;
+  }
+
+  /**
+   * A customer message was sent - reply automatically if the seller turned it on
+   */
+  static async handleCustomerMessage(conversation, message) {
+    if (message.type !== "text" && message.type !== "product") return;
+
+    const business = await Business.findById(conversation.businessId).select(
+      "name isActive chatSettings"
+    );
+    if (!business || !business.isActive) return;
+
+    const settings = business.chatSettings || {};
+    const sender = { id: business._id, name: business.name, senderType: "business" };
+    const reply = (text) =>
+      chatService().sendMessage(conversation, sender, {
+        type: "text",
+        message: text,
+        automated: true,
+      });
+
+    // Product card or the product the chat is about
+    const productId = message.productId?._id || message.productId || conversation.productId;
+    if (settings.autoAnswerAvailability && productId && AVAILABILITY_QUESTION.test(message.message)) {
+      const answer = await this.availabilityAnswer(conversation, productId);
+      if (answer) await reply(answer);
+    }
+
+    if (settings.awayMessage?.enabled && !this.isOpen(settings)) {
+      // Claim the away reply so parallel messages only send one
+      const cutoff = new Date(Date.now() - AWAY_REPLY_HOURS * 60 * 60 * 1000);
+      const claimed = await Conversation.findOneAndUpdate(
+        {
+          _id: conversation._id,
+          $or: [{ awayReplySentAt: null }, { awayReplySentAt: { $lt: cutoff } }],
+        },
+        { awayReplySentAt: new Date() }
+      );
+      if (claimed) {
+        const values = await this.placeholderValues(conversation);
+        await reply(this.render(settings.awayMessage.text, values));
+      }
+    }
+  }
+}
+
+module.exports = ChatAutomationService;
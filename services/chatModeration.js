@@ -0,0 +1,260 @@
+/**
+ * Chat Moderation Service
+ * Blocks between a business and a customer, reports for the admin
+ * moderation queue, per-sender message rate limits and spam heuristics.
+ * Routes and socket handlers call canSend before ChatService.sendMessage.
+ */
+
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const ChatBlock = require("../models/ChatBlock");
+const ChatReport = require("../models/ChatReport");
+const { fixedWindow } = require("../middleware/rateLimit");
+
+const MAX_MESSAGES_PER_MINUTE = parseInt(process.env.CHAT_MAX_MESSAGES_PER_MINUTE) || 20;
+// Same behaviour towards this many sellers (or link messages) in a day looks like spam
+const SPAM_THRESHOLD = parseInt(process.env.CHAT_SPAM_THRESHOLD) || 3;
+const SPAM_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const REPORT_REASONS = ["spam", "harassment", "scam", "inappropriate", "other"];
+
+const LINK = /(https?:\/\/|www\.)\S+/i;
+const PHONE_NUMBER = /\+?\d[\d\s-]{7,}\d/;
+const CONTACT_REQUEST =
+  /\b(your|ur) (phone|number|contact|whatsapp)\b|\bwhatsapp me\b|\bcall me on\b|\btext me on\b/i;
+
+const messagesPerMinute = fixedWindow(60 * 1000);
+
+// Lowercase with collapsed whitespace, for spotting copy-pasted messages
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, " ").trim();
+const sharesContact = (text) => PHONE_NUMBER.test(text) || CONTACT_REQUEST.test(text);
+
+class ChatModerationService {
+  static REPORT_REASONS = REPORT_REASONS;
+
+  /**
+   * Every conversation belonging to the same customer (account or phone)
+   */
+  static customerFilter(conversation) {
+    const match = [{ customerPhone: conversation.customerPhone }];
+    if (conversation.buyerId) match.push({ buyerId: conversation.buyerId });
+    return { $or: match };
+  }
+
+  /**
+   * Block between a business and a customer, if any
+   */
+  static findBlock(businessId, { buyerId, customerPhone }) {
+    const match = [];
+    if (buyerId) match.push({ buyerId });
+    if (customerPhone) match.push({ customerPhone, blockedBy: "business" });
+    if (match.length === 0) return null;
+    return ChatBlock.findOne({ businessId, $or: match });
+  }
+
+  /**
+   * Whether `side` ("business" | "customer") may start or continue a chat
+   * with a business. Returns { allowed } or { allowed: false, code, message }.
+   */
+  static async checkBlock(businessId, customer, side) {
+    const block = await this.findBlock(businessId, customer);
+    if (!block) return { allowed: true };
+
+    const ownBlock = (block.blockedBy === "business") === (side === "business");
+    return {
+      allowed: false,
+      code: "BLOCKED",
+      message: ownBlock
+        ? "You blocked this conversation. Unblock it to send messages."
+        : "You can't send messages in this conversation",
+    };
+  }
+
+  /**
+   * Run before every message: closed conversations, blocks and the
+   * per-sender rate limit. Returns { allowed } or { allowed: false, code, message, status }.
+   */
+  static async canSend(conversation, side) {
+    if (conversation.isActive === false) {
+      return {
+        allowed: false,
+        status: 403,
+        code: "CONVERSATION_CLOSED",
+        message: "This conversation has been closed by moderators",
+      };
+    }
+
+    const block = await this.checkBlock(conversation.businessId, conversation, side);
+    if (!block.allowed) return { ...block, status: 403 };
+
+    const sender =
+      side === "business"
+        ? `business:${conversation.businessId}`
+        : conversation.buyerId
+          ? `buyer:${conversation.buyerId}`
+          : `phone:${conversation.customerPhone}`;
+    const { count, resetAt } = messagesPerMinute.hit(sender);
+    if (count > MAX_MESSAGES_PER_MINUTE) {
+      return {
+        allowed: false,
+        status: 429,
+        code: "RATE_LIMITED",
+        message: "You're sending messages too fast. Please slow down.",
+        retryAfter: Math.ceil((resetAt - Date.now()) / 1000),
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Spam heuristics for a customer's message, comparing it with what the same
+   * customer sent to any seller in the last day:
+   *   links            - keeps sending links
+   *   phone_harvesting - shares or asks for phone numbers with many sellers
+   *   duplicate        - the same text sent to many sellers
+   */
+  static async spamFlags(conversation, content) {
+    const text = content.message || "";
+    const hasLink = LINK.test(text);
+    const hasContact = sharesContact(text);
+    const normalized = normalize(text);
+    const checkDuplicate = normalized.length >= 10;
+    if (!hasLink && !hasContact && !checkDuplicate) return [];
+
+    const conversations = await Conversation.find(this.customerFilter(conversation)).select(
+      "businessId"
+    );
+    const businessOf = new Map(
+      conversations.map((c) => [c._id.toString(), c.businessId.toString()])
+    );
+
+    const recent = await Message.find({
+      conversationId: { $in: conversations.map((c) => c._id) },
+      senderType: "customer",
+      type: "text",
+      createdAt: { $gte: new Date(Date.now() - SPAM_WINDOW_MS) },
+    }).select("conversationId message");
+
+    // Sellers that got a matching message, counting this one
+    const sellersWhere = (matches) =>
+      new Set([
+        conversation.businessId.toString(),
+        ...recent
+          .filter((m) => matches(m.message))
+          .map((m) => businessOf.get(m.conversationId.toString())),
+      ]).size;
+
+    const flags = [];
+    if (hasLink && recent.filter((m) => LINK.test(m.message)).length + 1 >= SPAM_THRESHOLD) {
+      flags.push("links");
+    }
+    if (hasContact && sellersWhere(sharesContact) >= SPAM_THRESHOLD) {
+      flags.push("phone_harvesting");
+    }
+    if (checkDuplicate && sellersWhere((m) => normalize(m) === normalized) >= SPAM_THRESHOLD) {
+      flags.push("duplicate");
+    }
+    return flags;
+  }
+
+  /**
+   * Put a flagged message in the moderation queue (one open system report per conversation)
+   */
+  static flagSpam(conversation, message) {
+    return ChatReport.findOneAndUpdate(
+      { conversationId: conversation._id, reporterType: "system", status: "open" },
+      {
+        $setOnInsert: { businessId: conversation.businessId, reason: "spam" },
+        $addToSet: { flags: { $each: message.spamFlags }, messageIds: message._id },
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Report a conversation to the admins.
+   * reporter: { type: "business" | "buyer", id }
+   */
+  static async report(conversation, reporter, { reason, details, messageIds } = {}) {
+    if (!REPORT_REASONS.includes(reason)) {
+      return { success: false, message: `Reason must be one of: ${REPORT_REASONS.join(", ")}` };
+    }
+
+    // Only messages from this conversation
+    const ids = Array.isArray(messageIds) ? messageIds.filter(mongoose.isValidObjectId) : [];
+    const messages = ids.length
+      ? await Message.find({ _id: { $in: ids }, conversationId: conversation._id }).select("_id")
+      : [];
+
+    const report = await ChatReport.create({
+      conversationId: conversation._id,
+      businessId: conversation.businessId,
+      reporterType: reporter.type,
+      reporterId: reporter.id,
+      reason,
+      details: typeof details === "string" ? details.slice(0, 1000) : "",
+      messageIds: messages.map((m) => m._id),
+    });
+
+    return { success: true, report };
+  }
+
+  /**
+   * `side` blocks the other side of a conversation.
+   * Sellers block the customer's account and phone; buyers block the business.
+   */
+  static async block(conversation, side, userId, reason = "") {
+    const filter =
+      side === "business"
+        ? {
+            businessId: conversation.businessId,
+            blockedBy: "business",
+            customerPhone: conversation.customerPhone,
+          }
+        : {
+            businessId: conversation.businessId,
+            blockedBy: "buyer",
+            buyerId: conversation.buyerId,
+          };
+
+    return ChatBlock.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          buyerId: conversation.buyerId,
+          createdBy: userId,
+          reason: typeof reason === "string" ? reason.slice(0, 500) : "",
+        },
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Lift a block `side` placed. Returns whether there was one.
+   */
+  static async unblock(conversation, side) {
+    const filter =
+      side === "business"
+        ? {
+            businessId: conversation.businessId,
+            blockedBy: "business",
+            $or: [
+              { customerPhone: conversation.customerPhone },
+              ...(conversation.buyerId ? [{ buyerId: conversation.buyerId }] : []),
+            ],
+          }
+        : {
+            businessId: conversation.businessId,
+            blockedBy: "buyer",
+            buyerId: conversation.buyerId,
+          };
+
+    const result = await ChatBlock.deleteMany(filter);
+    return result.deletedCount > 0;
+  }
+}
+
+module.exports = ChatModerationService;
@@ -0,0 +1,588 @@
+/**
+ * Chat Service
+ * Sending messages, delivery/read receipts and unread counters for
+ * conversations. Used by both the REST routes and the Socket.IO handlers so
+ * the counters on Conversation stay consistent whichever path is used.
+ *
+ * Socket rooms:
+ *   <conversationId>          sockets that joined the conversation
+ *   business:<businessId>     every signed-in device of a seller's staff
+ *   buyer:<buyerId>           every signed-in device of a buyer
+ *
+ * Message types: text, image (uploaded attachments), product (listing card),
+ * offer (live negotiation card) and location (map pin).
+ *
+ * Customer messages may trigger automated replies (see chatAutomation) and
+ * are checked against the spam heuristics (see chatModeration).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const Product = require("../models/Product");
+const Offer = require("../models/Offer");
+const ChatModerationService = require("./chatModeration");
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_ATTACHMENTS = 5;
+const UPLOAD_URL = /^\/uploads\/[\w.-]+$/;
+
+// Current product/offer details for rich message cards
+const OFFER_CARD_FIELDS =
+  "productId variantLabel originalPrice offerPrice quantity status counterOffer expiresAt";
+const CARD_POPULATE = [
+  { path: "productId", select: "name price image images status isAvailable businessId" },
+  { path: "offerId", select: OFFER_CARD_FIELDS },
+];
+
+// Conversation list preview for each message type
+const PREVIEWS = {
+  image: "📷 Photo",
+  product: "🛍️ Product",
+  offer: "💰 Offer",
+  location: "📍 Location",
+};
+
+// Which unread counter belongs to each side
+const UNREAD_FIELD = {
+  business: "unreadBusiness",
+  customer: "unreadCustomer",
+};
+
+const otherSide = (side) => (side === "business" ? "customer" : "business");
+
+// Lazy - the automation service sends its replies through this one
+const chatAutomation = () => require("./chatAutomation");
+
+const MAX_PAGE_SIZE = 100;
+
+// Opaque paging cursors: base64url JSON of the last item's sort keys
+const encodeCursor = (keys) => Buffer.from(JSON.stringify(keys)).toString("base64url");
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== "string" || !cursor) return null;
+  try {
+    const keys = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return mongoose.isValidObjectId(keys?.id) ? keys : null;
+  } catch {
+    return null;
+  }
+};
+const pageSize = (limit, fallback) =>
+  Math.min(Math.max(parseInt(limit) || fallback, 1), MAX_PAGE_SIZE);
+
+// How each message type reads in a plain-text transcript
+const transcriptLine = (message) => {
+  switch (message.type) {
+    case "image":
+      return `[Photo] ${message.attachments.map((file) => file.url).join(" ")}`;
+    case "product":
+      return message.productId
+        ? `[Product] ${message.productId.name} - ${message.productId.price}`
+        : "[Product] (removed)";
+    case "offer":
+      return message.offerId
+        ? `[Offer] ${message.offerId.quantity} x ${message.offerId.offerPrice} (${message.offerId.status})`
+        : "[Offer] (removed)";
+    case "location": {
+      const { lat, lng, label } = message.location;
+      return `[Location] ${lat},${lng}${label ? ` ${label}` : ""}`;
+    }
+    default:
+      return message.message;
+  }
+};
+
+let io = null;
+
+class ChatService {
+  /**
+   * Give the service the Socket.IO server (called once from server.js)
+   */
+  static attach(socketServer) {
+    io = socketServer;
+  }
+
+  /**
+   * Personal room for one side of a conversation (null for guest customers)
+   */
+  static participantRoom(conversation, side) {
+    if (side === "business") return `business:${conversation.businessId}`;
+    return conversation.buyerId ? `buyer:${conversation.buyerId}` : null;
+  }
+
+  /**
+   * Room for a signed-in socket user ({ type, id, businessId })
+   */
+  static userRoom(user) {
+    if (user.type === "seller") return `business:${user.businessId}`;
+    if (user.type === "buyer") return `buyer:${user.id}`;
+    return null;
+  }
+
+  /**
+   * Populate product and offer cards on a message query or document
+   */
+  static withCards(target) {
+    return target.populate(CARD_POPULATE);
+  }
+
+  /**
+   * Check a message from a client and turn it into fields for Message.
+   * input: { type, message, attachments, productId, offerId, location }
+   * Returns { success, content } or { success: false, message }.
+   */
+  static async validateContent(conversation, input = {}) {
+    const type = input.type || "text";
+    const text = typeof input.message === "string" ? input.message.trim() : "";
+    const invalid = (message) => ({ success: false, message });
+
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      return invalid(`Message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    const content = { type, message: text };
+
+    switch (type) {
+      case "text":
+        if (!text) return invalid("Message is required");
+        break;
+
+      case "image": {
+        const attachments = Array.isArray(input.attachments) ? input.attachments : [];
+        if (attachments.length === 0 || attachments.length > MAX_ATTACHMENTS) {
+          return invalid(`Send between 1 and ${MAX_ATTACHMENTS} images`);
+        }
+        // Only files that went through the upload pipeline
+        const uploaded = attachments.every(
+          (file) =>
+            typeof file?.url === "string" &&
+            UPLOAD_URL.test(file.url) &&
+            fs.existsSync(path.join("uploads", path.basename(file.url)))
+        );
+        if (!uploaded) return invalid("Images must be uploaded first");
+        content.attachments = attachments.map((file) => ({
+          url: file.url,
+          mimeType: typeof file.mimeType === "string" ? file.mimeType : "",
+          size: Number(file.size) || 0,
+        }));
+        break;
+      }
+
+      case "product": {
+        if (!mongoose.isValidObjectId(input.productId)) return invalid("Product is required");
+        const product = await Product.findById(input.productId).select("name status");
+        if (!product || product.status !== "approved") return invalid("Product not found");
+        content.productId = product._id;
+        break;
+      }
+
+      case "offer": {
+        if (!mongoose.isValidObjectId(input.offerId)) return invalid("Offer is required");
+        const offer = await Offer.findById(input.offerId).select("buyerId businessId");
+        // Only a negotiation between these two participants
+        const sameParties =
+          offer &&
+          conversation.buyerId &&
+          offer.buyerId.equals(conversation.buyerId) &&
+          offer.businessId.equals(conversation.businessId);
+        if (!sameParties) return invalid("Offer not found in this conversation");
+        content.offerId = offer._id;
+        break;
+      }
+
+      case "location": {
+        const lat = parseFloat(input.location?.lat);
+        const lng = parseFloat(input.location?.lng);
+        const valid = Number.isFinite(lat) && Number.isFinite(lng);
+        if (!valid || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+          return invalid("Location needs a valid lat and lng");
+        }
+        const label = typeof input.location.label === "string" ? input.location.label.trim() : "";
+        content.location = { lat, lng, label: label.slice(0, 200) };
+        break;
+      }
+
+      default:
+        return invalid(`Unknown message type: ${type}`);
+    }
+
+    return { success: true, content };
+  }
+
+  /**
+   * One page of a conversation's messages, newest page first.
+   * Messages in the page are oldest to newest; pass nextCursor as `before`
+   * to load the page before it.
+   */
+  static async pageMessages(conversationId, { before, limit } = {}) {
+    const size = pageSize(limit, 50);
+    const filter = { conversationId };
+    const cursor = decodeCursor(before);
+    if (cursor) filter._id = { $lt: cursor.id };
+
+    const page = await this.withCards(
+      Message.find(filter)
+        .sort({ _id: -1 })
+        .limit(size + 1)
+    );
+    const hasMore = page.length > size;
+    const messages = page.slice(0, size).reverse();
+
+    return {
+      messages,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ id: messages[0]._id }) : null,
+    };
+  }
+
+  /**
+   * One page of conversations, most recently active first.
+   * populate: Mongoose populate options for the list
+   */
+  static async pageConversations(filter, { cursor, limit, populate = [] } = {}) {
+    const size = pageSize(limit, 20);
+    const after = decodeCursor(cursor);
+    const query = { ...filter };
+    if (after) {
+      const at = new Date(after.at);
+      query.$or = [
+        { lastMessageAt: { $lt: at } },
+        { lastMessageAt: at, _id: { $lt: after.id } },
+      ];
+    }
+
+    const page = await Conversation.find(query)
+      .populate(populate)
+      .sort({ lastMessageAt: -1, _id: -1 })
+      .limit(size + 1);
+    const hasMore = page.length > size;
+    const conversations = page.slice(0, size);
+    const last = conversations[conversations.length - 1];
+
+    return {
+      conversations,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ at: last.lastMessageAt, id: last._id }) : null,
+    };
+  }
+
+  /**
+   * Full-text search across a seller's conversations, newest match first.
+   * filters: { q, buyerId, productId, from, to, cursor, limit }
+   */
+  static async searchMessages(businessId, filters = {}) {
+    const size = pageSize(filters.limit, 20);
+
+    const conversationFilter = { businessId };
+    if (mongoose.isValidObjectId(filters.buyerId)) conversationFilter.buyerId = filters.buyerId;
+    if (mongoose.isValidObjectId(filters.productId)) {
+      conversationFilter.productId = filters.productId;
+    }
+    const conversationIds = await Conversation.distinct("_id", conversationFilter);
+
+    const query = { conversationId: { $in: conversationIds } };
+    const q = typeof filters.q === "string" ? filters.q.trim() : "";
+    if (q) query.$text = { $search: q };
+
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+    if (from && !isNaN(from)) query.createdAt = { $gte: from };
+    if (to && !isNaN(to)) query.createdAt = { ...query.createdAt, $lte: to };
+
+    const cursor = decodeCursor(filters.cursor);
+    if (cursor) query._id = { $lt: cursor.id };
+
+    const page = await this.withCards(
+      Message.find(query)
+        .populate("conversationId", "customerName customerPhone buyerId productId")
+        .sort({ _id: -1 })
+        .limit(size + 1)
+    );
+    const hasMore = page.length > size;
+    const messages = page.slice(0, size);
+
+    return {
+      messages,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ id: messages[messages.length - 1]._id }) : null,
+    };
+  }
+
+  /**
+   * The whole conversation for a dispute or the seller's records.
+   * format: "json" (structured) or "text" (one line per message)
+   */
+  static async exportTranscript(conversation, format = "json") {
+    await conversation.populate([
+      { path: "businessId", select: "name" },
+      { path: "productId", select: "name price" },
+    ]);
+    const messages = await this.withCards(
+      Message.find({ conversationId: conversation._id }).sort({ createdAt: 1, _id: 1 })
+    );
+    const exportedAt = new Date();
+
+    if (format === "text") {
+      const header = [
+        `Conversation ${conversation._id}`,
+        `Business: ${conversation.businessId?.name || conversation.businessId}`,
+        `Customer: ${conversation.customerName} (${conversation.customerPhone})`,
+        conversation.productId ? `Product: ${conversation.productId.name}` : null,
+        `Exported: ${exportedAt.toISOString()}`,
+        "",
+      ].filter((line) => line !== null);
+      const lines = messages.map(
+        (message) =>
+          `[${message.createdAt.toISOString()}] ${message.senderName} (${message.senderType}): ` +
+          transcriptLine(message)
+      );
+      return [...header, ...lines].join("\n") + "\n";
+    }
+
+    return {
+      conversation: {
+        _id: conversation._id,
+        business: conversation.businessId,
+        customerName: conversation.customerName,
+        customerPhone: conversation.customerPhone,
+        buyerId: conversation.buyerId,
+        product: conversation.productId,
+        startedAt: conversation.createdAt,
+      },
+      exportedAt,
+      messageCount: messages.length,
+      messages,
+    };
+  }
+
+  static async hasConnectedDevice(room) {
+    if (!io || !room) return false;
+    const sockets = await io.in(room).fetchSockets();
+    return sockets.length > 0;
+  }
+
+  /**
+   * Total unread for one side across all of its conversations
+   */
+  static async totalUnread(conversation, side) {
+    const match =
+      side === "business"
+        ? { businessId: conversation.businessId }
+        : { buyerId: conversation.buyerId };
+    const [result] = await Conversation.aggregate([
+      { $match: match },
+      { $group: { _id: null, total: { $sum: `$${UNREAD_FIELD[side]}` } } },
+    ]);
+    return result?.total || 0;
+  }
+
+  /**
+   * Push one side's unread counters to its devices
+   */
+  static async emitUnread(conversation, side) {
+    const room = this.participantRoom(conversation, side);
+    if (!io || !room) return;
+
+    io.to(room).emit("unread_count", {
+      conversationId: conversation._id,
+      unread: conversation[UNREAD_FIELD[side]] || 0,
+      totalUnread: await this.totalUnread(conversation, side),
+    });
+  }
+
+  /**
+   * Save a message, bump the other side's unread counter and broadcast it.
+   * sender: { id, name, senderType: "business" | "customer" }
+   * content: output of validateContent
+   */
+  static async sendMessage(conversation, sender, content) {
+    const spamFlags =
+      sender.senderType === "customer" && content.type === "text"
+        ? await ChatModerationService.spamFlags(conversation, content)
+        : [];
+
+    const message = await Message.create({
+      ...content,
+      spamFlags,
+      conversationId: conversation._id,
+      senderId: sender.id,
+      senderName: sender.name,
+      senderType: sender.senderType,
+    });
+    if (message.type === "product" || message.type === "offer") {
+      await this.withCards(message);
+    }
+
+    const recipientSide = otherSide(sender.senderType);
+    const updated = await Conversation.findByIdAndUpdate(
+      conversation._id,
+      {
+        lastMessage: message.type === "text" ? message.message : PREVIEWS[message.type],
+        lastMessageAt: new Date(),
+        $inc: { [UNREAD_FIELD[recipientSide]]: 1 },
+      },
+      { new: true }
+    );
+
+    if (spamFlags.length > 0) {
+      await ChatModerationService.flagSpam(conversation, message);
+    }
+
+    // Away message / availability answer - queued after this message goes out
+    if (sender.senderType === "customer" && spamFlags.length === 0) {
+      chatAutomation()
+        .handleCustomerMessage(updated, message)
+        .catch((error) => console.error("Chat auto-reply error:", error.message));
+    }
+
+    if (!io) return message;
+
+    const recipientRoom = this.participantRoom(updated, recipientSide);
+    const rooms = [
+      conversation._id.toString(),
+      this.participantRoom(updated, sender.senderType),
+      recipientRoom,
+    ].filter(Boolean);
+    io.to(rooms).emit("receive_message", message);
+
+    // Reached one of the recipient's devices
+    if (await this.hasConnectedDevice(recipientRoom)) {
+      const delivered = await this.markDelivered(updated, recipientSide, [message._id]);
+      if (delivered > 0) {
+        message.status = "delivered";
+        message.deliveredAt = new Date();
+      }
+    }
+
+    await this.emitUnread(updated, recipientSide);
+    return message;
+  }
+
+  /**
+   * Mark messages sent to `side` as delivered (all pending ones, or just messageIds).
+   * Returns how many changed.
+   */
+  static async markDelivered(conversation, side, messageIds = null) {
+    const filter = {
+      conversationId: conversation._id,
+      senderType: otherSide(side),
+      status: "sent",
+    };
+    if (messageIds) filter._id = { $in: messageIds };
+
+    const pending = await Message.find(filter).select("_id");
+    if (pending.length === 0) return 0;
+
+    const deliveredAt = new Date();
+    const ids = pending.map((m) => m._id);
+    await Message.updateMany(
+      { _id: { $in: ids }, status: "sent" },
+      { status: "delivered", deliveredAt }
+    );
+
+    if (io) {
+      const rooms = [
+        conversation._id.toString(),
+        this.participantRoom(conversation, otherSide(side)),
+      ].filter(Boolean);
+      io.to(rooms).emit("messages_delivered", {
+        conversationId: conversation._id,
+        messageIds: ids,
+        deliveredAt,
+      });
+    }
+
+    return ids.length;
+  }
+
+  /**
+   * A user's device came online - everything waiting for them is now delivered
+   */
+  static async deliverPending(user) {
+    let side;
+    let filter;
+    if (user.type === "seller") {
+      side = "business";
+      filter = { businessId: user.businessId, unreadBusiness: { $gt: 0 } };
+    } else if (user.type === "buyer") {
+      side = "customer";
+      filter = { buyerId: user.id, unreadCustomer: { $gt: 0 } };
+    } else {
+      return;
+    }
+
+    const conversations = await Conversation.find(filter).select("businessId buyerId");
+    for (const conversation of conversations) {
+      await this.markDelivered(conversation, side);
+    }
+  }
+
+  /**
+   * An offer changed (countered, accepted...) - refresh its cards in every chat showing it
+   */
+  static async offerUpdated(offer) {
+    if (!io) return;
+
+    const conversationIds = await Message.distinct("conversationId", { offerId: offer._id });
+    if (conversationIds.length === 0) return;
+
+    const conversations = await Conversation.find({ _id: { $in: conversationIds } }).select(
+      "businessId buyerId"
+    );
+    for (const conversation of conversations) {
+      const rooms = [
+        conversation._id.toString(),
+        this.participantRoom(conversation, "business"),
+        this.participantRoom(conversation, "customer"),
+      ].filter(Boolean);
+      io.to(rooms).emit("offer_updated", {
+        conversationId: conversation._id,
+        offer: Object.fromEntries(
+          ["_id", ...OFFER_CARD_FIELDS.split(" ")].map((field) => [field, offer[field]])
+        ),
+      });
+    }
+  }
+
+  /**
+   * `side` has read the conversation: mark the other side's messages read,
+   * reset the counter and send read receipts. Returns how many were marked.
+   */
+  static async markRead(conversation, side) {
+    const readAt = new Date();
+    const result = await Message.updateMany(
+      {
+        conversationId: conversation._id,
+        senderType: otherSide(side),
+        status: { $ne: "read" },
+        createdAt: { $lte: readAt },
+      },
+      { status: "read", isRead: true, readAt }
+    );
+
+    const updated = await Conversation.findByIdAndUpdate(
+      conversation._id,
+      { [UNREAD_FIELD[side]]: 0 },
+      { new: true }
+    );
+
+    if (io && result.modifiedCount > 0) {
+      const rooms = [
+        conversation._id.toString(),
+        this.participantRoom(updated, otherSide(side)),
+      ].filter(Boolean);
+      // Every message from the other side up to readAt has now been read
+      io.to(rooms).emit("messages_read", {
+        conversationId: conversation._id,
+        readBy: side,
+        readAt,
+      });
+    }
+
+    await this.emitUnread(updated, side);
+    return result.modifiedCount;
+  }
+}
+
+module.exports = ChatService;
@@ -0,0 +1,178 @@
+/**
+ * Delivery Proof Service
+ * An order only counts as delivered with proof. When a rider is assigned
+ * (or, without a rider, when a pickup order is paid for or the seller sets
+ * out) the buyer gets a short delivery code (in-app and by SMS); whoever hands
+ * the parcel over enters it, optionally with a photo and the recipient's
+ * signature. The code is stored hashed on the order and wrong guesses are
+ * capped. Escrow is not auto-released until the proof is in (see
+ * EscrowService.releaseDue).
+ */
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const Order = require("../models/Order");
+const Payment = require("../models/Payment");
+const Notification = require("../models/Notification");
+const NotificationChannelService = require("./notificationChannels");
+
+const CODE_LENGTH = 4;
+const MAX_ATTEMPTS = parseInt(process.env.DELIVERY_CODE_MAX_ATTEMPTS) || 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+
+// Once the parcel is handed over (or back) the code is no longer needed
+const CLOSED_STATUSES = ["delivered", "returned"];
+
+const fail = (status, message) => ({ success: false, status, message });
+
+const orderLabel = (order) => order.orderNumber || order._id.toString().slice(-6);
+
+class DeliveryProofService {
+  /**
+   * Issue a fresh delivery code for the order and send it to the buyer.
+   * Any earlier code stops working.
+   */
+  static async issueCode(order) {
+    const code = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, "0");
+    const issuedAt = new Date();
+
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        "delivery.code": {
+          hash: await bcrypt.hash(code, 10),
+          issuedAt,
+          attempts: 0,
+        },
+      }
+    );
+
+    const message = `Your delivery code for order #${orderLabel(order)} is ${code}. Give it to the rider only when you have your parcel.`;
+    if (order.buyerId) {
+      // The code is already saved - a failed in-app notice must not stop the SMS
+      try {
+        await Notification.notify({
+          recipientId: order.buyerId,
+          recipientType: "Buyer",
+          type: "delivery_update",
+          title: "Your Delivery Code 🔐",
+          message,
+          actionType: "order",
+          referenceId: order._id,
+        });
+      } catch (error) {
+        console.error("Delivery code notification error:", error.message);
+      }
+    }
+    // Always texted - guests have no app, and the code is needed at the door
+    await NotificationChannelService.sendSms(order.customerPhone, "deliveryCode", {
+      orderNumber: orderLabel(order),
+      code,
+    });
+
+    return { success: true, issuedAt };
+  }
+
+  /**
+   * Issue a code unless the order already has one - for orders without a
+   * rider (seller delivery, pickup), which never go through assignment
+   */
+  static async ensureCode(order) {
+    if (order.delivery.code?.issuedAt || CLOSED_STATUSES.includes(order.delivery.status)) {
+      return { success: true, issued: false };
+    }
+    const result = await this.issueCode(order);
+    return { ...result, issued: true };
+  }
+
+  /**
+   * Buyer asks for a new code (lost the message or too many wrong guesses)
+   */
+  static async resendCode(order) {
+    if (CLOSED_STATUSES.includes(order.delivery.status)) {
+      return fail(400, "This order has already been handed over");
+    }
+
+    const issuedAt = order.delivery.code?.issuedAt;
+    const waitSeconds = issuedAt
+      ? Math.ceil((issuedAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000)
+      : 0;
+    if (waitSeconds > 0) {
+      return fail(429, `Please wait ${waitSeconds} seconds before requesting another code`);
+    }
+
+    return this.issueCode(order);
+  }
+
+  /**
+   * Check the code the buyer handed over. Each wrong guess counts against
+   * the attempt limit.
+   */
+  static async verifyCode(orderId, code) {
+    if (typeof code !== "string" && typeof code !== "number") {
+      return fail(400, "Enter the buyer's delivery code");
+    }
+
+    // Count the attempt before checking so parallel guesses cannot exceed the limit
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, "delivery.code.issuedAt": { $ne: null } },
+      { $inc: { "delivery.code.attempts": 1 } },
+      { new: true }
+    ).select("+delivery.code.hash");
+    if (!order?.delivery.code?.hash) {
+      return fail(400, "No delivery code has been issued for this order");
+    }
+
+    const { attempts, hash } = order.delivery.code;
+    if (attempts > MAX_ATTEMPTS) {
+      return fail(429, "Too many wrong codes. Ask the buyer to request a new one.");
+    }
+
+    if (!(await bcrypt.compare(String(code).trim(), hash))) {
+      const remaining = MAX_ATTEMPTS - attempts;
+      return fail(
+        400,
+        remaining > 0
+          ? `Incorrect delivery code. ${remaining} attempt${remaining === 1 ? "" : "s"} left.`
+          : "Too many wrong codes. Ask the buyer to request a new one."
+      );
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Verify the code and put the proof on the order (the caller saves it
+   * along with the delivered status, then calls proveEscrow).
+   *   input: { code, photo?, signature?, note?, submittedBy, riderId?, location? }
+   */
+  static async submit(order, { code, photo, signature, note, submittedBy, riderId, location }) {
+    const check = await this.verifyCode(order._id, code);
+    if (!check.success) return check;
+
+    order.delivery.proof = {
+      codeVerified: true,
+      photo: photo || "",
+      signature: signature || "",
+      note: typeof note === "string" ? note.slice(0, 300) : "",
+      location: location?.lat != null ? { lat: location.lat, lng: location.lng } : undefined,
+      submittedBy,
+      riderId,
+      submittedAt: new Date(),
+    };
+
+    return { success: true, proof: order.delivery.proof };
+  }
+
+  /**
+   * Let the order's escrow payment auto-release now that delivery is proven
+   */
+  static async proveEscrow(order) {
+    await Payment.updateMany(
+      { orderId: order._id },
+      { "escrow.deliveryProvenAt": order.delivery.proof?.submittedAt || new Date() }
+    );
+  }
+}
+
+module.exports = DeliveryProofService;
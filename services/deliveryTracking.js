@@ -0,0 +1,195 @@
+/**
+ * Delivery Tracking Service
+ * Live tracking for orders out for delivery. The order's buyer, seller and
+ * assigned rider join the order's room:
+ *
+ *   order:<orderId>
+ *
+ * and receive:
+ *   rider_location   the rider's position (at most once per TRACKING_THROTTLE_SECONDS)
+ *   delivery_status  every delivery status change, from whichever path saved it
+ *
+ * Both carry an ETA worked out from straight-line distance, a road detour
+ * factor and the rider's vehicle speed. There is no routing service behind
+ * it, so treat it as a rough guide.
+ */
+
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Rider = require("../models/Rider");
+const { distanceKm } = require("./deliveryZones");
+
+const THROTTLE_SECONDS = parseInt(process.env.TRACKING_THROTTLE_SECONDS) || 5;
+
+// Statuses worth watching - the rider is on the way to the seller or the buyer
+const LIVE_STATUSES = ["assigned", "picked_up", "in_transit", "arrived"];
+
+// Roads are rarely straight
+const DETOUR_FACTOR = 1.3;
+// Average city speed (km/h) per vehicle type
+const SPEED_KMH = {
+  bike: 25,
+  car: 20,
+  truck: 18,
+  bicycle: 12,
+  walking: 5,
+};
+
+const TRACKING_FIELDS = "buyerId businessId delivery shippingAddress.coordinates status";
+
+let io = null;
+
+// Last broadcast per order, for throttling rider pings
+const lastPing = new Map();
+
+const hasPoint = (point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lng);
+
+const riderPoint = (rider) =>
+  rider?.currentLocation && hasPoint(rider.currentLocation)
+    ? {
+        lat: rider.currentLocation.lat,
+        lng: rider.currentLocation.lng,
+        updatedAt: rider.currentLocation.updatedAt,
+      }
+    : null;
+
+class DeliveryTrackingService {
+  static LIVE_STATUSES = LIVE_STATUSES;
+
+  /**
+   * Give the service the Socket.IO server (called once from server.js)
+   */
+  static attach(socketServer) {
+    io = socketServer;
+  }
+
+  static room(orderId) {
+    return `order:${orderId}`;
+  }
+
+  /**
+   * Only the order's buyer, its seller and its assigned rider may track it
+   */
+  static canTrack(user, order) {
+    if (user.type === "buyer") return String(order.buyerId) === user.id;
+    if (user.type === "seller") return String(order.businessId) === user.businessId;
+    if (user.type === "rider") return String(order.delivery?.riderId) === user.id;
+    return false;
+  }
+
+  /**
+   * Load an order the socket user may track, or null
+   */
+  static async findTrackable(user, orderId) {
+    if (!mongoose.isValidObjectId(orderId)) return null;
+    const order = await Order.findById(orderId).select(TRACKING_FIELDS);
+    return order && this.canTrack(user, order) ? order : null;
+  }
+
+  /**
+   * Rough arrival estimate. Before pickup the rider still has to reach the
+   * seller, so both legs are counted. Null when a point is missing.
+   */
+  static estimate(order, rider) {
+    const from = riderPoint(rider);
+    const pickup = order.delivery?.pickupLocation?.coordinates;
+    const destination = order.shippingAddress?.coordinates;
+    if (!from || !hasPoint(destination)) return null;
+    if (!LIVE_STATUSES.includes(order.delivery.status)) return null;
+
+    let km;
+    if (order.delivery.status === "assigned" && hasPoint(pickup)) {
+      km = distanceKm(from, pickup) + distanceKm(pickup, destination);
+    } else {
+      km = distanceKm(from, destination);
+    }
+    km *= DETOUR_FACTOR;
+
+    const speed = SPEED_KMH[rider.vehicle?.type] || SPEED_KMH.bike;
+    const minutes = Math.max(1, Math.round((km / speed) * 60));
+
+    return {
+      distanceKm: Math.round(km * 10) / 10,
+      minutes,
+      arrivesAt: new Date(Date.now() + minutes * 60 * 1000),
+    };
+  }
+
+  /**
+   * Current position, status and ETA - sent when a socket starts tracking
+   */
+  static async snapshot(order) {
+    const rider = order.delivery.riderId
+      ? await Rider.findById(order.delivery.riderId).select("name vehicle currentLocation")
+      : null;
+
+    return {
+      orderId: order._id,
+      status: order.delivery.status,
+      orderStatus: order.status,
+      rider: order.delivery.rider,
+      location: riderPoint(rider),
+      eta: rider ? this.estimate(order, rider) : null,
+    };
+  }
+
+  /**
+   * A rider sent a new position. Broadcast to their current order's room,
+   * throttled per order. Returns true when something was sent.
+   */
+  static async riderMoved(rider) {
+    if (!io || !rider.currentOrder) return false;
+
+    const orderId = String(rider.currentOrder);
+    const now = Date.now();
+    if (now - (lastPing.get(orderId) || 0) < THROTTLE_SECONDS * 1000) return false;
+    lastPing.set(orderId, now);
+
+    const order = await Order.findById(orderId).select(TRACKING_FIELDS);
+    if (!order || !LIVE_STATUSES.includes(order.delivery.status)) {
+      lastPing.delete(orderId);
+      return false;
+    }
+
+    io.to(this.room(orderId)).emit("rider_location", {
+      orderId,
+      location: riderPoint(rider),
+      eta: this.estimate(order, rider),
+    });
+    return true;
+  }
+
+  /**
+   * Push a delivery status change (Order post-save hook) and store the
+   * recomputed ETA on the order for the polling endpoints
+   */
+  static async statusChanged(order) {
+    const rider = order.delivery.riderId
+      ? await Rider.findById(order.delivery.riderId).select("vehicle currentLocation")
+      : null;
+    const eta = rider ? this.estimate(order, rider) : null;
+
+    if (eta) {
+      await Order.updateOne(
+        { _id: order._id },
+        { "delivery.estimatedArrival": eta.arrivesAt }
+      );
+    }
+    if (!LIVE_STATUSES.includes(order.delivery.status)) {
+      lastPing.delete(String(order._id));
+    }
+
+    if (!io) return;
+    const history = order.delivery.trackingHistory || [];
+    io.to(this.room(order._id)).emit("delivery_status", {
+      orderId: order._id,
+      status: order.delivery.status,
+      orderStatus: order.status,
+      update: history[history.length - 1] || null,
+      rider: order.delivery.rider,
+      eta,
+    });
+  }
+}
+
+module.exports = DeliveryTrackingService;
@@ -0,0 +1,205 @@
+/**
+ * Delivery Zone Service
+ * Works out which of a seller's zones covers a buyer's address and what
+ * delivery costs there. Distance is always measured server-side, from the
+ * business pickup point (or a radius zone's centre) to the address
+ * coordinates - clients never supply it.
+ *
+ * When several zones cover an address the most specific wins:
+ * polygon, then the smallest radius, then city / region, then custom.
+ * Businesses without any zones keep the flat DEFAULT_FEES.
+ */
+
+const mongoose = require("mongoose");
+const DeliveryZone = require("../models/DeliveryZone");
+const Business = require("../models/Business");
+
+// Fallback delivery when a business has not configured any zone
+const DEFAULT_FEES = { personal: 5000, pickup: 0 };
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+const hasPoint = (point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lng);
+
+const sameText = (a, b) =>
+  typeof a === "string" && typeof b === "string" && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const money = (amount) => `${Number(amount || 0).toLocaleString()} UGX`;
+
+class DeliveryZoneService {
+  static DEFAULT_FEES = DEFAULT_FEES;
+
+  /**
+   * Great-circle distance in km between two { lat, lng } points
+   */
+  static distanceKm(from, to) {
+    const dLat = toRad(to.lat - from.lat);
+    const dLng = toRad(to.lng - from.lng);
+    const a =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Address coordinates as numbers, or null
+   */
+  static addressPoint(address) {
+    const lat = parseFloat(address?.coordinates?.lat ?? address?.lat);
+    const lng = parseFloat(address?.coordinates?.lng ?? address?.lng);
+    return hasPoint({ lat, lng }) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180
+      ? { lat, lng }
+      : null;
+  }
+
+  /**
+   * The active zone covering the address, or null when it is outside all of them
+   */
+  static async matchZone(businessId, address) {
+    const businessObjectId = new mongoose.Types.ObjectId(String(businessId));
+    const point = this.addressPoint(address);
+
+    if (point) {
+      const geometry = { type: "Point", coordinates: [point.lng, point.lat] };
+
+      const polygon = await DeliveryZone.findOne({
+        businessId: businessObjectId,
+        isActive: true,
+        type: "polygon",
+        area: { $geoIntersects: { $geometry: geometry } },
+      }).sort({ createdAt: 1 });
+      if (polygon) return polygon;
+
+      // Each radius zone has its own reach, so compare after measuring
+      const [nearest] = await DeliveryZone.aggregate([
+        {
+          $geoNear: {
+            near: geometry,
+            key: "centerPoint",
+            distanceField: "distanceMeters",
+            spherical: true,
+            query: { businessId: businessObjectId, isActive: true, type: "radius" },
+          },
+        },
+        {
+          $match: {
+            $expr: { $lte: ["$distanceMeters", { $multiply: ["$radius.distance", 1000] }] },
+          },
+        },
+        { $sort: { "radius.distance": 1 } },
+        { $limit: 1 },
+      ]);
+      if (nearest) return DeliveryZone.hydrate(nearest);
+    }
+
+    const named = await DeliveryZone.find({
+      businessId: businessObjectId,
+      isActive: true,
+      type: { $in: ["city", "region", "custom"] },
+    }).sort({ createdAt: 1 });
+
+    const byArea = (type, field) =>
+      named.find(
+        (zone) =>
+          zone.type === type && zone.areas.some((area) => sameText(area[field], address?.[field]))
+      );
+
+    return (
+      byArea("city", "city") ||
+      byArea("region", "state") ||
+      named.find((zone) => zone.type === "custom") ||
+      null
+    );
+  }
+
+  /**
+   * The zone whose options to show: the one covering the address if there is
+   * one, otherwise the business's first active zone
+   */
+  static async zoneFor(businessId, address) {
+    const matched = address ? await this.matchZone(businessId, address) : null;
+    return matched || DeliveryZone.findOne({ businessId, isActive: true }).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Where distance is measured from: the business pickup point, else the
+   * zone's centre
+   */
+  static async origin(businessId, zone) {
+    const business = await Business.findById(businessId).select("pickupLocation");
+    const pickup = business?.pickupLocation;
+    if (hasPoint(pickup?.coordinates)) {
+      return { address: pickup.address, coordinates: pickup.coordinates };
+    }
+    if (zone?.type === "radius" && hasPoint(zone.radius?.center)) {
+      return { address: "", coordinates: zone.radius.center };
+    }
+    return null;
+  }
+
+  /**
+   * Price one delivery method for one business and address.
+   * Returns { available, fee, freeDelivery?, distanceKm, zone, estimatedTime, pickupLocation }
+   * or { available: false, message } when the method, address or order is not covered.
+   */
+  static async quote(businessId, method, subtotal, address) {
+    const zones = await DeliveryZone.countDocuments({ businessId, isActive: true });
+
+    if (zones === 0) {
+      if (!(method in DEFAULT_FEES)) {
+        return { available: false, fee: 0, message: `${method} delivery is not available` };
+      }
+      return { available: true, fee: DEFAULT_FEES[method], estimatedTime: "" };
+    }
+
+    // Collecting from the seller does not depend on the buyer's address
+    if (method === "pickup") {
+      const zone = await this.zoneFor(businessId, null);
+      const enabled = zone.deliveryOptions.pickup?.enabled !== false;
+      return {
+        available: enabled,
+        fee: 0,
+        estimatedTime: "",
+        ...(!enabled && { message: "Pickup is not available" }),
+      };
+    }
+
+    const zone = await this.matchZone(businessId, address);
+    if (!zone) {
+      return {
+        available: false,
+        fee: 0,
+        outsideZones: true,
+        message: "This seller does not deliver to your address",
+      };
+    }
+
+    if (zone.minimumOrder && subtotal < zone.minimumOrder) {
+      return {
+        available: false,
+        fee: 0,
+        message: `Minimum order for delivery to ${zone.name} is ${money(zone.minimumOrder)}`,
+      };
+    }
+
+    const origin = await this.origin(businessId, zone);
+    const point = this.addressPoint(address);
+    const distanceKm =
+      origin && point ? Math.round(this.distanceKm(origin.coordinates, point) * 10) / 10 : null;
+
+    const result = zone.calculateDeliveryFee(method, distanceKm, subtotal);
+    if (!result.available) {
+      return { ...result, message: `${method} delivery is not available to ${zone.name}` };
+    }
+
+    return {
+      ...result,
+      distanceKm,
+      zone: { id: zone._id, name: zone.name, type: zone.type },
+      estimatedTime: zone.estimatedTime,
+      pickupLocation: origin,
+    };
+  }
+}
+
+module.exports = DeliveryZoneService;
@@ -0,0 +1,104 @@
+/**
+ * Email Providers
+ * Transports used by NotificationChannelService to send email.
+ *
+ * Every provider implements:
+ *   send({ to, subject, text, html }) → { success, messageId, error }
+ *
+ * Select with EMAIL_PROVIDER=smtp | local (default: local)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Any SMTP server (Gmail, SendGrid, Mailgun, Amazon SES SMTP, ...)
+ */
+class SmtpEmailProvider {
+  constructor({ host, port, secure, user, pass, from }) {
+    const nodemailer = require("nodemailer");
+
+    this.name = "smtp";
+    this.from = from;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+
+  async send({ to, subject, text, html }) {
+    try {
+      const info = await this.transport.sendMail({ from: this.from, to, subject, text, html });
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+/**
+ * Writes every email to a JSON-lines file instead of sending it
+ */
+class LocalEmailProvider {
+  constructor({ file, from }) {
+    this.name = "local";
+    this.file = file;
+    this.from = from;
+  }
+
+  async send({ to, subject, text, html }) {
+    const messageId = `local-${Date.now()}`;
+
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(
+      this.file,
+      `${JSON.stringify({ sentAt: new Date().toISOString(), messageId, from: this.from, to, subject, text, html })}\n`
+    );
+
+    console.log(`📧 Email to ${to}: ${subject}`);
+    return { success: true, messageId };
+  }
+}
+
+let provider = null;
+
+/**
+ * The configured provider (created once)
+ */
+const getEmailProvider = () => {
+  if (provider) return provider;
+
+  const from = process.env.EMAIL_FROM || "Marketplace <no-reply@marketplace.local>";
+
+  if ((process.env.EMAIL_PROVIDER || "local").toLowerCase() === "smtp") {
+    provider = new SmtpEmailProvider({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from,
+    });
+  } else {
+    provider = new LocalEmailProvider({
+      file: process.env.EMAIL_LOCAL_FILE || "logs/emails.log",
+      from,
+    });
+  }
+
+  return provider;
+};
+
+// Swap the provider (tests or a custom transport)
+const setEmailProvider = (custom) => {
+  provider = custom;
+};
+
+module.exports = {
+  SmtpEmailProvider,
+  LocalEmailProvider,
+  getEmailProvider,
+  setEmailProvider,
+};
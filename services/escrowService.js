@@ -0,0 +1,314 @@
+/**
+ * Escrow Service
+ * Releases held escrow payments to sellers once ESCROW_RELEASE_DAYS have
+ * passed without a dispute and proof of delivery is in, and runs disputes:
+ *
+ *   buyer opens (escrow frozen) -> seller responds -> admin resolves by
+ *   releasing the money, refunding it, or splitting it
+ *
+ * Escrow only leaves "held" through conditional updates, so the release
+ * sweep and a buyer opening a dispute cannot both win.
+ */
+
+const Payment = require("../models/Payment");
+const Dispute = require("../models/Dispute");
+const Order = require("../models/Order");
+const Notification = require("../models/Notification");
+const PaymentService = require("./paymentService");
+
+const BATCH_SIZE = 200;
+const DISPUTE_REASONS = Dispute.schema.path("reason").enumValues;
+const OUTCOMES = ["release", "refund", "split"];
+
+const money = (amount, currency = "UGX") => `${Number(amount || 0).toLocaleString()} ${currency}`;
+
+class EscrowService {
+  static DISPUTE_REASONS = DISPUTE_REASONS;
+
+  /**
+   * Release held escrow whose auto-release date has passed and whose order
+   * has proof of delivery (escrow held before proof was required is
+   * exempt). Returns how many payments were released.
+   */
+  static async releaseDue() {
+    const payments = await Payment.find({
+      "escrow.status": "held",
+      "escrow.autoReleaseDate": { $lte: new Date() },
+      $or: [
+        { "escrow.deliveryProvenAt": { $ne: null } },
+        { "escrow.proofRequired": { $ne: true } },
+      ],
+    }).limit(BATCH_SIZE);
+
+    let released = 0;
+    for (const payment of payments) {
+      // Conditional so a dispute opened at the same moment wins cleanly
+      const updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, "escrow.status": "held" },
+        {
+          "escrow.status": "released",
+          "escrow.releasedAt": new Date(),
+          "escrow.releaseCondition": "time_elapsed",
+          status: "released",
+          $push: {
+            statusHistory: {
+              status: "escrow_released",
+              note: "Escrow released: release window elapsed",
+              timestamp: new Date(),
+            },
+          },
+        },
+        { new: true }
+      );
+      if (!updated) continue;
+      released += 1;
+
+      await Notification.notify({
+        recipientId: updated.sellerId,
+        recipientType: "User",
+        type: "escrow_released",
+        title: "Funds Released! 💰",
+        message: `${money(updated.amount.subtotal, updated.currency)} has been released to your account.`,
+        actionType: "order",
+        referenceId: updated.orderId,
+      });
+    }
+
+    return released;
+  }
+
+  /**
+   * Buyer disputes a payment that is still held in escrow.
+   * Returns { success, dispute } or { success: false, status, message }.
+   */
+  static async openDispute(buyerId, { paymentId, reason, description }, evidence = []) {
+    if (!DISPUTE_REASONS.includes(reason)) {
+      return {
+        success: false,
+        status: 400,
+        message: `Reason must be one of: ${DISPUTE_REASONS.join(", ")}`,
+      };
+    }
+    if (typeof description !== "string" || !description.trim()) {
+      return { success: false, status: 400, message: "Describe the problem" };
+    }
+
+    const payment = await Payment.findOneAndUpdate(
+      { _id: paymentId, buyerId, "escrow.status": "held" },
+      {
+        "escrow.status": "disputed",
+        $push: {
+          statusHistory: {
+            status: "disputed",
+            note: `Dispute opened: ${reason}`,
+            timestamp: new Date(),
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!payment) {
+      const exists = await Payment.exists({ _id: paymentId, buyerId });
+      return exists
+        ? { success: false, status: 400, message: "Only payments held in escrow can be disputed" }
+        : { success: false, status: 404, message: "Payment not found" };
+    }
+
+    let dispute;
+    try {
+      dispute = await Dispute.create({
+        paymentId: payment._id,
+        orderId: payment.orderId,
+        buyerId,
+        sellerId: payment.sellerId,
+        businessId: payment.businessId,
+        reason,
+        description,
+        evidence,
+      });
+    } catch (error) {
+      // Unfreeze the escrow so the buyer can try again
+      await Payment.updateOne(
+        { _id: payment._id, "escrow.status": "disputed" },
+        { "escrow.status": "held", $pop: { statusHistory: 1 } }
+      );
+      throw error;
+    }
+
+    await Payment.updateOne({ _id: payment._id }, { "escrow.disputeId": dispute._id });
+
+    await Notification.notify({
+      recipientId: payment.sellerId,
+      recipientType: "User",
+      type: "dispute_opened",
+      title: "Payment Disputed ⚠️",
+      message: `A buyer disputed a payment of ${money(payment.amount.total, payment.currency)}. The funds stay in escrow until it is resolved - respond with your side.`,
+      actionType: "dispute",
+      referenceId: dispute._id,
+    });
+
+    return { success: true, dispute };
+  }
+
+  /**
+   * Seller answers an unresolved dispute. Answering again replaces the
+   * message and adds any new evidence.
+   */
+  static async respond(sellerId, disputeId, { message }, evidence = []) {
+    if (typeof message !== "string" || !message.trim()) {
+      return { success: false, status: 400, message: "Response message is required" };
+    }
+
+    const dispute = await Dispute.findOne({
+      _id: disputeId,
+      sellerId,
+      status: { $in: ["open", "responded"] },
+    });
+    if (!dispute) {
+      return { success: false, status: 404, message: "Open dispute not found" };
+    }
+
+    dispute.sellerResponse = {
+      message,
+      evidence: [...(dispute.sellerResponse?.evidence || []), ...evidence],
+      respondedAt: new Date(),
+    };
+    dispute.status = "responded";
+    await dispute.save();
+
+    await Notification.notify({
+      recipientId: dispute.buyerId,
+      recipientType: "Buyer",
+      type: "dispute_response",
+      title: "Seller Responded to Your Dispute",
+      message: "The seller has responded. An admin will review both sides and resolve the dispute.",
+      actionType: "dispute",
+      referenceId: dispute._id,
+    });
+
+    return { success: true, dispute };
+  }
+
+  /**
+   * Admin settles a dispute:
+   *   release - everything goes to the seller
+   *   refund  - everything goes back to the buyer
+   *   split   - refundAmount goes back to the buyer, the rest to the seller
+   */
+  static async resolve(admin, disputeId, { outcome, refundAmount, note = "" }) {
+    if (!OUTCOMES.includes(outcome)) {
+      return { success: false, status: 400, message: "Outcome must be release, refund or split" };
+    }
+
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      return { success: false, status: 404, message: "Dispute not found" };
+    }
+    if (dispute.status === "resolved") {
+      return { success: false, status: 400, message: "Dispute is already resolved" };
+    }
+
+    const payment = await Payment.findById(dispute.paymentId);
+    if (!payment || payment.escrow.status !== "disputed") {
+      return { success: false, status: 400, message: "Payment is not held for this dispute" };
+    }
+
+    const total = payment.amount.total;
+    const refund = { release: 0, refund: total, split: Number(refundAmount) }[outcome];
+    if (outcome === "split" && !(refund > 0 && refund < total)) {
+      return {
+        success: false,
+        status: 400,
+        message: `refundAmount must be between 0 and ${money(total, payment.currency)}`,
+      };
+    }
+
+    // Claim the dispute first so two admins cannot refund it twice
+    const previousStatus = dispute.status;
+    const resolved = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: previousStatus },
+      {
+        status: "resolved",
+        resolution: {
+          outcome,
+          refundAmount: refund,
+          sellerAmount: total - refund,
+          note,
+          resolvedBy: admin._id,
+          resolvedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!resolved) {
+      return { success: false, status: 409, message: "Dispute changed - reload and try again" };
+    }
+
+    if (refund > 0) {
+      try {
+        const reason = `Dispute resolved: ${note || outcome}`;
+        await PaymentService.processRefund(payment._id, refund, reason);
+      } catch (error) {
+        await Dispute.updateOne(
+          { _id: dispute._id },
+          { status: previousStatus, $unset: { resolution: 1 } }
+        );
+        throw error;
+      }
+    }
+
+    // processRefund has set refunded / partially_refunded; a full release sets released
+    const refunded = money(refund, payment.currency);
+    const settled = `${refunded} refunded, ${money(total - refund, payment.currency)} released`;
+    await Payment.updateOne(
+      { _id: payment._id, "escrow.status": "disputed" },
+      {
+        "escrow.status": refund >= total ? "refunded" : "released",
+        ...(refund < total && {
+          "escrow.releasedAt": new Date(),
+          "escrow.releaseCondition": "manual",
+        }),
+        ...(refund === 0 && { status: "released" }),
+        $push: {
+          statusHistory: {
+            status: "dispute_resolved",
+            note: `Dispute resolved (${outcome}): ${settled}`,
+            timestamp: new Date(),
+          },
+        },
+      }
+    );
+    if (refund >= total) {
+      await Order.findByIdAndUpdate(payment.orderId, { "payment.status": "refunded" });
+    }
+
+    await admin.logActivity("resolve_dispute", outcome, dispute._id);
+
+    const notice = {
+      type: "dispute_resolved",
+      title: "Dispute Resolved",
+      actionType: "dispute",
+      referenceId: dispute._id,
+    };
+    await Notification.notify({
+      ...notice,
+      recipientId: dispute.buyerId,
+      recipientType: "Buyer",
+      message: refund > 0
+        ? `Your dispute was resolved. ${money(refund, payment.currency)} is being refunded to you.`
+        : "Your dispute was resolved in the seller's favour and the payment was released.",
+    });
+    await Notification.notify({
+      ...notice,
+      recipientId: dispute.sellerId,
+      recipientType: "User",
+      message: refund < total
+        ? `The dispute was resolved. ${money(total - refund, payment.currency)} has been released to your account.`
+        : "The dispute was resolved in the buyer's favour and the payment was refunded.",
+    });
+
+    return { success: true, dispute: resolved };
+  }
+}
+
+module.exports = EscrowService;
@@ -0,0 +1,137 @@
+/**
+ * Message Templates
+ * Email and SMS content for transactional messages.
+ * Each template returns { subject, text, html, sms }.
+ */
+
+const APP_NAME = process.env.APP_NAME || "Marketplace";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const money = (amount, currency = "UGX") => `${Number(amount || 0).toLocaleString()} ${currency}`;
+
+// Shared email wrapper
+const layout = (heading, body) => `
+<div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #222;">
+  <h2 style="color: #2e7d32;">${escapeHtml(heading)}</h2>
+  ${body}
+  <p style="color: #888; font-size: 12px; margin-top: 32px;">${escapeHtml(APP_NAME)}</p>
+</div>`;
+
+/**
+ * Buyer placed an order (one or more sellers)
+ * data: { buyerName, reference, orders: [{ orderNumber, businessName, total }], total, currency }
+ */
+const orderConfirmation = ({ buyerName, reference, orders = [], total, currency = "UGX" }) => {
+  const lines = orders.map(
+    (o) => `#${o.orderNumber}${o.businessName ? ` from ${o.businessName}` : ""} - ${money(o.total, currency)}`
+  );
+
+  return {
+    subject: `Order confirmed - ${reference}`,
+    text: [
+      `Hi ${buyerName || "there"},`,
+      "",
+      `Thanks for your order ${reference}.`,
+      ...lines,
+      "",
+      `Total: ${money(total, currency)}`,
+      "We'll let you know when it is on the way.",
+    ].join("\n"),
+    html: layout(
+      "Order confirmed 🎉",
+      `<p>Hi ${escapeHtml(buyerName || "there")},</p>
+  <p>Thanks for your order <strong>${escapeHtml(reference)}</strong>.</p>
+  <ul>${lines.map((l) => `<li>${escapeHtml(l)}</li>`).join("")}</ul>
+  <p><strong>Total: ${escapeHtml(money(total, currency))}</strong></p>
+  <p>We'll let you know when it is on the way.</p>`
+    ),
+    sms: `${APP_NAME}: Order ${reference} confirmed. Total ${money(total, currency)}.`,
+  };
+};
+
+/**
+ * Payment went through
+ * data: { buyerName, receiptNumber, amount, currency, method, orderNumber }
+ */
+const paymentReceipt = ({ buyerName, receiptNumber, amount, currency = "UGX", method, orderNumber }) => ({
+  subject: `Payment receipt ${receiptNumber}`,
+  text: [
+    `Hi ${buyerName || "there"},`,
+    "",
+    `We received your payment of ${money(amount, currency)}.`,
+    `Receipt: ${receiptNumber}`,
+    ...(orderNumber ? [`Order: #${orderNumber}`] : []),
+    ...(method ? [`Method: ${method.replace(/_/g, " ")}`] : []),
+  ].join("\n"),
+  html: layout(
+    "Payment received ✅",
+    `<p>Hi ${escapeHtml(buyerName || "there")},</p>
+  <p>We received your payment of <strong>${escapeHtml(money(amount, currency))}</strong>.</p>
+  <table style="border-collapse: collapse;">
+    <tr><td style="padding: 4px 12px 4px 0;">Receipt</td><td>${escapeHtml(receiptNumber)}</td></tr>
+    ${orderNumber ? `<tr><td style="padding: 4px 12px 4px 0;">Order</td><td>#${escapeHtml(orderNumber)}</td></tr>` : ""}
+    ${method ? `<tr><td style="padding: 4px 12px 4px 0;">Method</td><td>${escapeHtml(method.replace(/_/g, " "))}</td></tr>` : ""}
+  </table>`
+  ),
+  sms: `${APP_NAME}: Payment of ${money(amount, currency)} received. Receipt ${receiptNumber}.`,
+});
+
+/**
+ * Delivery moved to a new stage
+ * data: { buyerName, orderNumber, title, message }
+ */
+const deliveryStatus = ({ buyerName, orderNumber, title, message }) => ({
+  subject: `${title} - order #${orderNumber}`,
+  text: [`Hi ${buyerName || "there"},`, "", `Order #${orderNumber}: ${message}`].join("\n"),
+  html: layout(
+    title,
+    `<p>Hi ${escapeHtml(buyerName || "there")},</p>
+  <p>Order <strong>#${escapeHtml(orderNumber)}</strong>: ${escapeHtml(message)}</p>`
+  ),
+  sms: `${APP_NAME}: Order #${orderNumber} - ${message}`,
+});
+
+/**
+ * One-time passcode
+ * data: { code, minutes, purpose }
+ */
+const otp = ({ code, minutes = 10, purpose = "verification" }) => ({
+  subject: `Your ${APP_NAME} ${purpose} code`,
+  text: `Your ${APP_NAME} ${purpose} code is ${code}. It expires in ${minutes} minutes. Never share this code.`,
+  html: layout(
+    `Your ${purpose} code`,
+    `<p style="font-size: 28px; letter-spacing: 6px;"><strong>${escapeHtml(code)}</strong></p>
+  <p>It expires in ${minutes} minutes. Never share this code with anyone.</p>`
+  ),
+  sms: `${code} is your ${APP_NAME} ${purpose} code. Expires in ${minutes} min. Never share it.`,
+});
+
+/**
+ * Code the buyer gives the rider at drop-off
+ * data: { orderNumber, code }
+ */
+const deliveryCode = ({ orderNumber, code }) => ({
+  subject: `Delivery code for order #${orderNumber}`,
+  text: `Your delivery code for order #${orderNumber} is ${code}. Give it to the rider only once you have your parcel.`,
+  html: layout(
+    "Your delivery code",
+    `<p>Order <strong>#${escapeHtml(orderNumber)}</strong></p>
+  <p style="font-size: 28px; letter-spacing: 6px;"><strong>${escapeHtml(code)}</strong></p>
+  <p>Give it to the rider only once you have your parcel.</p>`
+  ),
+  sms: `${APP_NAME}: ${code} is the delivery code for order #${orderNumber}. Share it only once you have your parcel.`,
+});
+
+module.exports = {
+  orderConfirmation,
+  paymentReceipt,
+  deliveryStatus,
+  otp,
+  deliveryCode,
+};
@@ -0,0 +1,94 @@
+/**
+ * Notification Channel Service
+ * Email and SMS versions of buyer notifications, rendered from
+ * ./messageTemplates and sent through ./emailProviders and ./smsProviders.
+ * Buyers opt in per channel with notifications.email / notifications.sms.
+ */
+
+const Notification = require("../models/Notification");
+const templates = require("./messageTemplates");
+const { getEmailProvider } = require("./emailProviders");
+const { getSmsProvider } = require("./smsProviders");
+
+// Templates a buyer can also switch off with a topic flag
+const TEMPLATE_TOPICS = {
+  deliveryStatus: "orderUpdates",
+};
+
+class NotificationChannelService {
+  static render(templateName, data) {
+    const template = templates[templateName];
+    if (!template) {
+      throw new Error(`Unknown message template: ${templateName}`);
+    }
+    return template(data);
+  }
+
+  /**
+   * Send a templated email
+   */
+  static async sendEmail(to, templateName, data) {
+    try {
+      const { subject, text, html } = this.render(templateName, data);
+      const result = await getEmailProvider().send({ to, subject, text, html });
+      if (!result.success) console.error(`Email to ${to} failed:`, result.error);
+      return result;
+    } catch (error) {
+      console.error(`Email to ${to} failed:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send a templated SMS
+   */
+  static async sendSms(to, templateName, data) {
+    try {
+      const { sms } = this.render(templateName, data);
+      const result = await getSmsProvider().send({ to, message: sms });
+      if (!result.success) console.error(`SMS to ${to} failed:`, result.error);
+      return result;
+    } catch (error) {
+      console.error(`SMS to ${to} failed:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Email and/or text a buyer according to their channel preferences.
+   * When the in-app notification is passed, successful sends are recorded on it.
+   */
+  static async notifyBuyer(buyer, templateName, data, notification = null) {
+    const preferences = buyer.notifications || {};
+    const topic = TEMPLATE_TOPICS[templateName];
+    if (topic && preferences[topic] === false) {
+      return { email: null, sms: null };
+    }
+
+    const content = { buyerName: buyer.name, ...data };
+    const [email, sms] = await Promise.all([
+      preferences.email && buyer.email ? this.sendEmail(buyer.email, templateName, content) : null,
+      preferences.sms && buyer.phone ? this.sendSms(buyer.phone, templateName, content) : null,
+    ]);
+
+    if (notification) {
+      const update = {};
+      if (email?.success) Object.assign(update, { emailSent: true, emailSentAt: new Date() });
+      if (sms?.success) Object.assign(update, { smsSent: true, smsSentAt: new Date() });
+      if (Object.keys(update).length > 0) {
+        await Notification.updateOne({ _id: notification._id }, update);
+      }
+    }
+
+    return { email, sms };
+  }
+
+  /**
+   * Text a one-time passcode (always sent - not subject to preferences)
+   */
+  static sendOtp(phone, code, { minutes, purpose } = {}) {
+    return this.sendSms(phone, "otp", { code, minutes, purpose });
+  }
+}
+
+module.exports = NotificationChannelService;
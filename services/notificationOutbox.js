@@ -0,0 +1,284 @@
+/**
+ * Notification Outbox Service
+ * Queues marketing notifications for buyers and delivers them from a
+ * background worker, honouring each buyer's preferences, quiet hours and
+ * daily cap. Bursts on the same topic are collapsed into one digest.
+ */
+
+const mongoose = require("mongoose");
+const NotificationOutbox = require("../models/NotificationOutbox");
+const Notification = require("../models/Notification");
+const Buyer = require("../models/Buyer");
+
+// Entries wait this long so a burst lands in a single digest
+const DIGEST_WINDOW_MINUTES = parseInt(process.env.NOTIFICATION_DIGEST_WINDOW_MINUTES) || 5;
+// Outbox notifications per buyer in any 24 hours
+const DAILY_LIMIT = parseInt(process.env.NOTIFICATION_DAILY_LIMIT) || 10;
+// Undelivered entries older than this are dropped rather than sent late
+const MAX_AGE_HOURS = 72;
+// A claim older than this belongs to a worker that died mid-run
+const CLAIM_TIMEOUT_MINUTES = 10;
+const BUYERS_PER_RUN = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Topic → buyer.notifications flag that switches it off
+const TOPIC_PREFERENCES = {
+  new_product: "newProducts",
+  price_drop: "priceDrops",
+  back_in_stock: "backInStock",
+  promotion: "promotions",
+};
+
+const DIGEST_TITLES = {
+  new_product: (count) => `${count} new products you might like 🆕`,
+  price_drop: (count) => `${count} price drops on your wishlist 📉`,
+  back_in_stock: (count) => `${count} wishlist items are back in stock 🎉`,
+  promotion: (count) => `${count} new offers for you 🎁`,
+};
+
+// "22:30" → minutes past midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+// "Phone A now $20, Phone B now $35 and 4 more"
+const digestMessage = (entries) => {
+  const lines = entries.map((e) => e.digestLine || e.title);
+  const shown = lines.slice(0, 3).join(", ");
+  return lines.length > 3 ? `${shown} and ${lines.length - 3} more` : shown;
+};
+
+class NotificationOutboxService {
+  /**
+   * Queue the same notification for several buyers
+   */
+  static async enqueue(buyerIds, entry) {
+    if (!buyerIds || buyerIds.length === 0) return [];
+
+    const sendAfter = new Date(Date.now() + DIGEST_WINDOW_MINUTES * 60 * 1000);
+    return NotificationOutbox.insertMany(
+      buyerIds.map((buyerId) => ({ ...entry, buyerId, sendAfter }))
+    );
+  }
+
+  static isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat("en-GB", { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * When the buyer's quiet period ends, or null if it is not quiet now
+   */
+  static quietHoursEnd(buyer, now = new Date()) {
+    const quiet = buyer.notifications?.quietHours;
+    if (!quiet?.enabled) return null;
+
+    const start = toMinutes(quiet.start);
+    const end = toMinutes(quiet.end);
+    if (start === end) return null;
+
+    const timezone = this.isValidTimezone(buyer.timezone) ? buyer.timezone : "UTC";
+    const parts = new Intl.DateTimeFormat("en-GB", {
+      timeZone: timezone,
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(now);
+    const current =
+      Number(parts.find((p) => p.type === "hour").value) * 60 +
+      Number(parts.find((p) => p.type === "minute").value);
+
+    // Quiet periods usually wrap past midnight (22:00 → 07:00)
+    const isQuiet =
+      start < end ? current >= start && current < end : current >= start || current < end;
+    if (!isQuiet) return null;
+
+    const waitMinutes = (end - current + 24 * 60) % (24 * 60);
+    return new Date(now.getTime() + waitMinutes * 60 * 1000);
+  }
+
+  /**
+   * Deliver everything that is due - run periodically
+   */
+  static async drain() {
+    const now = new Date();
+
+    await NotificationOutbox.updateMany(
+      {
+        status: "processing",
+        claimedAt: { $lte: new Date(now.getTime() - CLAIM_TIMEOUT_MINUTES * 60 * 1000) },
+      },
+      { status: "pending", claimId: null }
+    );
+
+    const buyerIds = await NotificationOutbox.distinct("buyerId", {
+      status: "pending",
+      sendAfter: { $lte: now },
+    });
+
+    let delivered = 0;
+    for (const buyerId of buyerIds.slice(0, BUYERS_PER_RUN)) {
+      try {
+        delivered += await this.deliverForBuyer(buyerId, now);
+      } catch (error) {
+        console.error(`Outbox delivery error for buyer ${buyerId}:`, error);
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Deliver one buyer's due entries. Returns the number of notifications sent.
+   */
+  static async deliverForBuyer(buyerId, now = new Date()) {
+    // A topic with anything due goes out together with the rest of its burst
+    const dueTopics = await NotificationOutbox.distinct("topic", {
+      buyerId,
+      status: "pending",
+      sendAfter: { $lte: now },
+    });
+    if (dueTopics.length === 0) return 0;
+
+    // Claim before acting so two workers never send the same entry
+    const claimId = new mongoose.Types.ObjectId();
+    await NotificationOutbox.updateMany(
+      { buyerId, status: "pending", topic: { $in: dueTopics } },
+      { status: "processing", claimId, claimedAt: now }
+    );
+    const entries = await NotificationOutbox.find({ claimId }).sort({ createdAt: 1 });
+    if (entries.length === 0) return 0;
+
+    const finish = (list, update) =>
+      NotificationOutbox.updateMany(
+        { _id: { $in: list.map((e) => e._id) } },
+        { claimId: null, ...update }
+      );
+    const suppress = (list, reason) =>
+      finish(list, { status: "suppressed", suppressedReason: reason, processedAt: now });
+    const defer = (list, until, reason) =>
+      finish(list, { status: "pending", sendAfter: until, deferredReason: reason });
+
+    const buyer = await Buyer.findById(buyerId).select(
+      "isActive notifications timezone deviceTokens"
+    );
+    if (!buyer || !buyer.isActive) {
+      await suppress(entries, "inactive_buyer");
+      return 0;
+    }
+
+    const staleBefore = now.getTime() - MAX_AGE_HOURS * 60 * 60 * 1000;
+    const optedOut = entries.filter((e) => !buyer.notifications[TOPIC_PREFERENCES[e.topic]]);
+    const expired = entries.filter(
+      (e) => !optedOut.includes(e) && e.createdAt.getTime() < staleBefore
+    );
+    const wanted = entries.filter((e) => !optedOut.includes(e) && !expired.includes(e));
+
+    if (optedOut.length > 0) await suppress(optedOut, "topic_disabled");
+    if (expired.length > 0) await suppress(expired, "expired");
+    if (wanted.length === 0) return 0;
+
+    const quietUntil = this.quietHoursEnd(buyer, now);
+    if (quietUntil) {
+      await defer(wanted, quietUntil, "quiet_hours");
+      return 0;
+    }
+
+    // One notification per topic, in the order the topics first appeared
+    const groups = [];
+    for (const entry of wanted) {
+      const group = groups.find((g) => g[0].topic === entry.topic);
+      if (group) group.push(entry);
+      else groups.push([entry]);
+    }
+
+    const windowStart = new Date(now.getTime() - DAY_MS);
+    const recent = await NotificationOutbox.distinct("notificationId", {
+      buyerId,
+      processedAt: { $gte: windowStart },
+      notificationId: { $ne: null },
+    });
+    const capacity = Math.max(0, DAILY_LIMIT - recent.length);
+
+    if (groups.length > capacity) {
+      // Wait until the oldest notification in the window rolls out of it
+      const oldest = await NotificationOutbox.findOne({
+        buyerId,
+        processedAt: { $gte: windowStart },
+        notificationId: { $ne: null },
+      }).sort({ processedAt: 1 });
+      const until = oldest ? new Date(oldest.processedAt.getTime() + DAY_MS) : now;
+      await defer(groups.slice(capacity).flat(), until, "daily_limit");
+    }
+
+    let delivered = 0;
+    for (const group of groups.slice(0, capacity)) {
+      await this.deliverGroup(buyer, group);
+      delivered += 1;
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Send one topic's entries as a single notification (a digest when several)
+   */
+  static async deliverGroup(buyer, entries) {
+    const first = entries[0];
+    const isDigest = entries.length > 1;
+
+    const content = isDigest
+      ? {
+          title: DIGEST_TITLES[first.topic](entries.length),
+          message: digestMessage(entries),
+          actionType: "none",
+          data: { type: first.topic, digest: true, count: entries.length },
+        }
+      : {
+          title: first.title,
+          message: first.message,
+          actionType: first.actionType,
+          referenceId: first.referenceId,
+          data: { type: first.topic, ...first.data },
+        };
+
+    const notification = await Notification.notify({
+      recipientId: buyer._id,
+      recipientType: "Buyer",
+      type: first.topic,
+      title: content.title,
+      message: content.message,
+      actionType: content.actionType,
+      referenceId: content.referenceId,
+    });
+
+    await NotificationOutbox.updateMany(
+      { _id: { $in: entries.map((e) => e._id) } },
+      {
+        status: isDigest ? "digested" : "sent",
+        notificationId: notification._id,
+        processedAt: new Date(),
+        claimId: null,
+      }
+    );
+
+    if (buyer.notifications.push && buyer.deviceTokens.length > 0) {
+      const PushNotificationService = require("./pushNotifications");
+      await PushNotificationService.sendToDevices(
+        buyer.deviceTokens,
+        { title: content.title, body: content.message, data: content.data },
+        notification
+      );
+    }
+
+    return notification;
+  }
+}
+
+module.exports = NotificationOutboxService;
@@ -0,0 +1,168 @@
+/**
+ * Offer Expiry Service
+ * Offers used to be deleted by a TTL index the moment they expired. This
+ * sweeper keeps them instead: open offers past `expiresAt` become "expired"
+ * (with a history entry), both sides are notified, and the side that has to
+ * act gets an "expiring soon" reminder beforehand.
+ *
+ * Open offers and who has to act:
+ *   pending   - seller (accept, reject or counter)
+ *   countered - buyer (accept the counter offer)
+ *   accepted  - buyer (check out before the locked price lapses)
+ */
+
+const Offer = require("../models/Offer");
+const Notification = require("../models/Notification");
+const ChatService = require("./chatService");
+
+const REMINDER_HOURS = parseInt(process.env.OFFER_REMINDER_HOURS) || 2;
+const BATCH_SIZE = 200;
+const OPEN_STATUSES = ["pending", "countered", "accepted"];
+
+const price = (amount) => `${Number(amount || 0).toLocaleString()} UGX`;
+
+// "Expiring soon" reminder for the side that has to act
+const REMINDERS = {
+  pending: (offer, name) => ({
+    recipientId: offer.sellerId,
+    recipientType: "User",
+    title: "Offer expiring soon ⏳",
+    message: `An offer of ${price(offer.offerPrice)} for ${name} expires in ${REMINDER_HOURS} hours. Accept, counter or reject it before then.`,
+  }),
+  countered: (offer, name) => ({
+    recipientId: offer.buyerId,
+    recipientType: "Buyer",
+    title: "Counter offer expiring soon ⏳",
+    message: `The seller's counter offer of ${price(offer.counterOffer?.price)} for ${name} expires in ${REMINDER_HOURS} hours.`,
+  }),
+  accepted: (offer, name) => ({
+    recipientId: offer.buyerId,
+    recipientType: "Buyer",
+    title: "Your deal is expiring soon ⏳",
+    message: `Check out ${name} at ${price(offer.offerPrice)} within ${REMINDER_HOURS} hours to keep your agreed price.`,
+  }),
+};
+
+class OfferExpiryService {
+  /**
+   * Drop the TTL index older versions created on expiresAt, so MongoDB
+   * stops deleting offers behind the sweeper's back. Safe to run at every start.
+   */
+  static async removeTtlIndex() {
+    let indexes;
+    try {
+      indexes = await Offer.collection.indexes();
+    } catch (error) {
+      if (error.codeName === "NamespaceNotFound") return false;
+      throw error;
+    }
+
+    const ttl = indexes.find(
+      (index) => index.key.expiresAt === 1 && index.expireAfterSeconds !== undefined
+    );
+    if (!ttl) return false;
+
+    await Offer.collection.dropIndex(ttl.name);
+    return true;
+  }
+
+  /**
+   * Remind whoever has to act on offers expiring within REMINDER_HOURS.
+   * Returns how many reminders were sent.
+   */
+  static async sendReminders() {
+    const now = new Date();
+    const offers = await Offer.find({
+      status: { $in: OPEN_STATUSES },
+      reminderSentAt: null,
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_HOURS * 60 * 60 * 1000) },
+    })
+      .populate("productId", "name")
+      .limit(BATCH_SIZE);
+
+    let sent = 0;
+    for (const offer of offers) {
+      // Claim the reminder so overlapping runs only send one
+      const claimed = await Offer.findOneAndUpdate(
+        { _id: offer._id, status: offer.status, reminderSentAt: null },
+        { reminderSentAt: now }
+      );
+      if (!claimed) continue;
+
+      await Notification.notify({
+        ...REMINDERS[offer.status](offer, offer.productId?.name || "your item"),
+        type: "offer_expiring",
+        actionType: "offer",
+        referenceId: offer._id,
+      });
+      sent += 1;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Move open offers past their expiry to "expired" and tell both sides.
+   * Returns how many expired.
+   */
+  static async expireStale() {
+    const offers = await Offer.find({
+      status: { $in: OPEN_STATUSES },
+      expiresAt: { $lte: new Date() },
+    })
+      .populate("productId", "name")
+      .limit(BATCH_SIZE);
+
+    let expired = 0;
+    for (const offer of offers) {
+      // Conditional so a seller responding at the same moment wins cleanly
+      const updated = await Offer.findOneAndUpdate(
+        { _id: offer._id, status: offer.status },
+        {
+          status: "expired",
+          expiredFrom: offer.status,
+          $push: {
+            history: {
+              action: "expire",
+              price: offer.offerPrice,
+              message: `Expired while ${offer.status}`,
+              by: "system",
+              timestamp: new Date(),
+            },
+          },
+        },
+        { new: true }
+      );
+      if (!updated) continue;
+      expired += 1;
+
+      const name = offer.productId?.name || "an item";
+      const notice = {
+        type: "offer_expired",
+        title: "Offer expired ⌛",
+        actionType: "offer",
+        referenceId: offer._id,
+      };
+      await Notification.notify({
+        ...notice,
+        recipientId: offer.buyerId,
+        recipientType: "Buyer",
+        message: `Your offer of ${price(offer.offerPrice)} for ${name} has expired. You can make a new one.`,
+      });
+      await Notification.notify({
+        ...notice,
+        recipientId: offer.sellerId,
+        recipientType: "User",
+        message: `The offer of ${price(offer.offerPrice)} for ${name} has expired.`,
+      });
+
+      ChatService.offerUpdated(updated).catch((error) =>
+        console.error("Offer card update failed:", error)
+      );
+    }
+
+    return expired;
+  }
+}
+
+module.exports = OfferExpiryService;
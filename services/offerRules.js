@@ -0,0 +1,130 @@
+/**
+ * Offer Rule Service
+ * Answers new offers on the seller's behalf using their offer rules. The
+ * decision is made right after the offer is created and goes through the
+ * same Offer methods a seller's manual reply would, tagged with the rule.
+ */
+
+const OfferRule = require("../models/OfferRule");
+const Notification = require("../models/Notification");
+const ChatAutomationService = require("./chatAutomation");
+const ChatService = require("./chatService");
+
+class OfferRuleService {
+  /**
+   * The most specific active rule for a product: product, then category,
+   * then the business default
+   */
+  static async findRule(businessId, product) {
+    const rules = await OfferRule.find({
+      businessId,
+      isActive: true,
+      $or: [
+        { scope: "product", productId: product._id },
+        { scope: "category", category: product.category },
+        { scope: "default" },
+      ],
+    });
+
+    const order = ["product", "category", "default"];
+    return rules.sort((a, b) => order.indexOf(a.scope) - order.indexOf(b.scope))[0] || null;
+  }
+
+  /**
+   * What a rule does with an offer: { action, price, message } where action
+   * is accept, reject, counter or null (left for the seller)
+   */
+  static decide(rule, offer, productName) {
+    const listPrice = offer.originalPrice;
+    const acceptAt = OfferRule.levelFor(rule.acceptAt, listPrice);
+    const rejectBelow = OfferRule.levelFor(rule.rejectBelow, listPrice);
+    const counterAt = OfferRule.levelFor(rule.counterAt, listPrice) ?? acceptAt;
+
+    const values = {
+      productName,
+      listPrice: listPrice.toLocaleString(),
+      offerPrice: offer.offerPrice.toLocaleString(),
+      minimumPrice: (rejectBelow ?? acceptAt ?? counterAt).toLocaleString(),
+      counterPrice: counterAt?.toLocaleString() ?? "",
+    };
+
+    if (acceptAt !== null && offer.offerPrice >= acceptAt) {
+      return { action: "accept", price: offer.offerPrice };
+    }
+    if (rejectBelow !== null && offer.offerPrice < rejectBelow) {
+      return {
+        action: "reject",
+        price: offer.offerPrice,
+        message: ChatAutomationService.render(rule.rejectMessage, values),
+      };
+    }
+    // A counter has to improve on the offer and still be a discount
+    if (counterAt !== null && counterAt > offer.offerPrice && counterAt < listPrice) {
+      return {
+        action: "counter",
+        price: counterAt,
+        message: ChatAutomationService.render(rule.counterMessage, values),
+      };
+    }
+    return { action: null };
+  }
+
+  /**
+   * Apply the seller's rules to a pending offer. Returns the decision, with
+   * action null when no rule applied.
+   */
+  static async apply(offer, product) {
+    if (offer.status !== "pending") return { action: null };
+
+    const rule = await this.findRule(offer.businessId, product);
+    if (!rule) return { action: null };
+
+    const decision = this.decide(rule, offer, product.name);
+    const options = { ruleId: rule._id };
+
+    if (decision.action === "accept") {
+      await offer.accept(options);
+      await Notification.notify({
+        recipientId: offer.buyerId,
+        recipientType: "Buyer",
+        type: "offer_accepted",
+        title: "Offer Accepted! 🎉",
+        message: `Your offer of ${offer.offerPrice.toLocaleString()} UGX for ${product.name} was accepted!`,
+        actionType: "offer",
+        referenceId: offer._id,
+      });
+    } else if (decision.action === "reject") {
+      await offer.reject(decision.message, options);
+      await Notification.notify({
+        recipientId: offer.buyerId,
+        recipientType: "Buyer",
+        type: "offer_rejected",
+        title: "Offer Declined",
+        message: `Your offer for ${product.name} was declined. ${decision.message}`,
+        actionType: "product",
+        referenceId: product._id,
+      });
+    } else if (decision.action === "counter") {
+      await offer.counter(decision.price, decision.message, options);
+      await Notification.notify({
+        recipientId: offer.buyerId,
+        recipientType: "Buyer",
+        type: "counter_offer",
+        title: "Counter Offer Received! 🤝",
+        message: `Seller countered with ${decision.price.toLocaleString()} UGX for ${product.name}`,
+        actionType: "offer",
+        referenceId: offer._id,
+      });
+    } else {
+      return { action: null };
+    }
+
+    ChatService.offerUpdated(offer).catch((error) =>
+      console.error("Offer card update failed:", error)
+    );
+
+    return { ...decision, ruleId: rule._id };
+  }
+}
+
+module.exports = OfferRuleService;
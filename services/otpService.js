@@ -0,0 +1,138 @@
+/**
+ * OTP Service
+ * Issues and checks SMS one-time passcodes for phone login and verification
+ */
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const OtpCode = require("../models/OtpCode");
+const NotificationChannelService = require("./notificationChannels");
+const { formatPhone } = require("./smsProviders");
+
+const CODE_LENGTH = 6;
+const TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 10;
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+const MAX_PER_HOUR = parseInt(process.env.OTP_MAX_PER_HOUR) || 5;
+
+const PURPOSE_LABELS = {
+  login: "login",
+  verify_phone: "verification",
+};
+
+class OtpService {
+  /**
+   * Normalise a phone number, or null if it does not look like one
+   */
+  static normalizePhone(phone) {
+    if (!phone || typeof phone !== "string") return null;
+    const formatted = formatPhone(phone);
+    return /^\+\d{9,15}$/.test(formatted) ? formatted : null;
+  }
+
+  /**
+   * Generate a code and text it. Enforces the resend cooldown and an hourly cap.
+   */
+  static async send({ phone, role, purpose }) {
+    const now = Date.now();
+    const filter = { phone, role, purpose };
+
+    const latest = await OtpCode.findOne(filter).sort({ createdAt: -1 });
+    if (latest) {
+      const waitSeconds = Math.ceil(
+        (latest.createdAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000 - now) / 1000
+      );
+      if (waitSeconds > 0) {
+        return {
+          success: false,
+          retryAfter: waitSeconds,
+          message: `Please wait ${waitSeconds} seconds before requesting another code`,
+        };
+      }
+    }
+
+    const sentLastHour = await OtpCode.countDocuments({
+      ...filter,
+      createdAt: { $gte: new Date(now - 60 * 60 * 1000) },
+    });
+    if (sentLastHour >= MAX_PER_HOUR) {
+      return {
+        success: false,
+        retryAfter: 60 * 60,
+        message: "Too many codes requested. Please try again later.",
+      };
+    }
+
+    const code = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, "0");
+
+    // Only the newest code works
+    await OtpCode.updateMany({ ...filter, consumedAt: null }, { consumedAt: new Date() });
+    const otp = await OtpCode.create({
+      ...filter,
+      codeHash: await bcrypt.hash(code, 10),
+      expiresAt: new Date(now + TTL_MINUTES * 60 * 1000),
+    });
+
+    const sms = await NotificationChannelService.sendOtp(phone, code, {
+      minutes: TTL_MINUTES,
+      purpose: PURPOSE_LABELS[purpose],
+    });
+    if (!sms.success) {
+      await OtpCode.deleteOne({ _id: otp._id });
+      return { success: false, message: "Could not send the code. Please try again." };
+    }
+
+    return { success: true, expiresAt: otp.expiresAt, resendAfter: RESEND_COOLDOWN_SECONDS };
+  }
+
+  /**
+   * Check a code. Each wrong guess counts against the attempt limit and the
+   * code is consumed atomically, so it works exactly once.
+   */
+  static async verify({ phone, role, purpose, code }) {
+    const otp = await OtpCode.findOne({
+      phone,
+      role,
+      purpose,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+
+    if (!otp) {
+      return { success: false, message: "Code expired or not found. Request a new one." };
+    }
+
+    // Count the attempt before checking so parallel guesses cannot exceed the limit
+    const attempt = await OtpCode.findOneAndUpdate(
+      { _id: otp._id, consumedAt: null, attempts: { $lt: MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!attempt) {
+      return { success: false, message: "Too many wrong attempts. Request a new code." };
+    }
+
+    if (!(await bcrypt.compare(String(code || ""), otp.codeHash))) {
+      const remaining = MAX_ATTEMPTS - attempt.attempts;
+      return {
+        success: false,
+        message:
+          remaining > 0
+            ? `Incorrect code. ${remaining} attempt${remaining === 1 ? "" : "s"} left.`
+            : "Too many wrong attempts. Request a new code.",
+      };
+    }
+
+    const consumed = await OtpCode.findOneAndUpdate(
+      { _id: otp._id, consumedAt: null },
+      { consumedAt: new Date() }
+    );
+    if (!consumed) {
+      return { success: false, message: "Code already used. Request a new one." };
+    }
+
+    return { success: true };
+  }
+}
+
+module.exports = OtpService;
@@ -0,0 +1,157 @@
+/**
+ * Password Reset Service
+ * "Forgot password" for every account type: a one-time code is emailed or
+ * texted to the account holder and exchanged for a new password. Callers
+ * never learn whether an account exists - unknown accounts, cooldowns and
+ * wrong codes all look the same from the outside.
+ */
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const PasswordReset = require("../models/PasswordReset");
+const NotificationChannelService = require("./notificationChannels");
+const SessionService = require("./sessionService");
+const OtpService = require("./otpService");
+const { phoneVariants } = require("./smsProviders");
+
+const CODE_LENGTH = 6;
+const TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 15;
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+const MAX_PER_HOUR = parseInt(process.env.OTP_MAX_PER_HOUR) || 5;
+const MIN_PASSWORD_LENGTH = 6;
+
+const INVALID_CODE = "Invalid or expired code. Request a new one.";
+
+// How each account type can be found: by email, by verified phone, or both
+const ACCOUNTS = {
+  seller: { model: () => require("../models/User"), email: true, phone: false },
+  buyer: { model: () => require("../models/Buyer"), email: true, phone: true },
+  admin: { model: () => require("../models/Admin"), email: true, phone: false },
+  rider: { model: () => require("../models/Rider"), email: false, phone: true },
+};
+
+class PasswordResetService {
+  /**
+   * Find the account an email or phone number belongs to.
+   * Phone numbers only count once the owner has verified them.
+   */
+  static async findAccount(userType, { email, phone }) {
+    const config = ACCOUNTS[userType];
+    const Model = config.model();
+
+    if (config.email && typeof email === "string" && email.trim()) {
+      const account = await Model.findOne({ email: email.trim().toLowerCase() });
+      return account?.email ? { account, channel: "email", destination: account.email } : null;
+    }
+
+    const normalized = config.phone && OtpService.normalizePhone(phone);
+    if (normalized) {
+      const account = await Model.findOne({
+        phone: { $in: phoneVariants(normalized) },
+        phoneVerifiedAt: { $exists: true },
+      }).sort({ phoneVerifiedAt: -1 });
+      return account ? { account, channel: "sms", destination: normalized } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Send a reset code if the account exists and is not rate limited.
+   * Resolves the same way either way.
+   */
+  static async request(userType, identifiers) {
+    const found = await this.findAccount(userType, identifiers);
+    if (!found || found.account.isActive === false) return;
+
+    const { account, channel, destination } = found;
+    const now = Date.now();
+    const filter = { userType, userId: account._id };
+
+    const latest = await PasswordReset.findOne(filter).sort({ createdAt: -1 });
+    if (latest && now - latest.createdAt.getTime() < RESEND_COOLDOWN_SECONDS * 1000) return;
+
+    const sentLastHour = await PasswordReset.countDocuments({
+      ...filter,
+      createdAt: { $gte: new Date(now - 60 * 60 * 1000) },
+    });
+    if (sentLastHour >= MAX_PER_HOUR) return;
+
+    const code = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, "0");
+
+    // Only the newest code works
+    await PasswordReset.updateMany({ ...filter, consumedAt: null }, { consumedAt: new Date() });
+    const reset = await PasswordReset.create({
+      ...filter,
+      channel,
+      codeHash: await bcrypt.hash(code, 10),
+      expiresAt: new Date(now + TTL_MINUTES * 60 * 1000),
+    });
+
+    const data = { code, minutes: TTL_MINUTES, purpose: "password reset" };
+    const result =
+      channel === "email"
+        ? await NotificationChannelService.sendEmail(destination, "otp", data)
+        : await NotificationChannelService.sendSms(destination, "otp", data);
+
+    if (!result.success) {
+      await PasswordReset.deleteOne({ _id: reset._id });
+    }
+  }
+
+  /**
+   * Set a new password with a reset code, then sign the account out everywhere
+   */
+  static async confirm(userType, { email, phone, code, newPassword }) {
+    if (typeof newPassword !== "string" || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return {
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      };
+    }
+
+    const found = await this.findAccount(userType, { email, phone });
+    if (!found || found.account.isActive === false) {
+      return { success: false, message: INVALID_CODE };
+    }
+    const { account } = found;
+
+    const reset = await PasswordReset.findOne({
+      userType,
+      userId: account._id,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+    if (!reset) {
+      return { success: false, message: INVALID_CODE };
+    }
+
+    // Count the attempt before checking so parallel guesses cannot exceed the limit
+    const attempt = await PasswordReset.findOneAndUpdate(
+      { _id: reset._id, consumedAt: null, attempts: { $lt: MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!attempt || !(await bcrypt.compare(String(code || ""), reset.codeHash))) {
+      return { success: false, message: INVALID_CODE };
+    }
+
+    const consumed = await PasswordReset.findOneAndUpdate(
+      { _id: reset._id, consumedAt: null },
+      { consumedAt: new Date() }
+    );
+    if (!consumed) {
+      return { success: false, message: INVALID_CODE };
+    }
+
+    account.password = newPassword;
+    await account.save();
+
+    await SessionService.revokeAll(userType, account._id, { reason: "password_reset" });
+
+    return { success: true };
+  }
+}
+
+module.exports = PasswordResetService;
@@ -6,6 +6,7 @@
 
 const Payment = require("../models/Payment");
 const Order = require("../models/Order");
+const StockReservation = require("../models/StockReservation");
 const Notification = require("../models/Notification");
 const axios = require("axios");
 
@@ -57,7 +58,7 @@ class PaymentService {
   }) {
     try {
       // Calculate fees
-      const fees = Payment.calculateFees(amount.subtotal, amount.deliveryFee);
+      const fees = Payment.calculateFees(amount.subtotal, amount.deliveryFee, amount.discount);
 
       // Create payment record
       const payment = await Payment.create({
@@ -119,6 +120,125 @@ class PaymentService {
     }
   }
 
+  /**
+   * Initialize a single payment for a multi-seller checkout group
+   * Creates one Payment split per sub-order, then charges the buyer once
+   */
+  async initializeGroupPayment({
+    checkoutGroupId,
+    buyerId,
+    method,
+    splits,
+    currency = "UGX",
+    customerEmail,
+    customerPhone,
+    customerName,
+    useEscrow = false,
+    metadata = {},
+  }) {
+    try {
+      const methodCategory = this.getMethodCategory(method);
+      const payments = [];
+
+      for (const split of splits) {
+        const fees = Payment.calculateFees(
+          split.amount.subtotal,
+          split.amount.deliveryFee,
+          split.amount.discount
+        );
+        // Seller-funded promos come out of the seller's share, the rest out of the
+        // platform's (negative when the platform subsidises more than its fee)
+        const sellerDiscount = split.amount.sellerFundedDiscount || 0;
+
+        const payment = await Payment.create({
+          orderId: split.orderId,
+          buyerId,
+          sellerId: split.sellerId,
+          businessId: split.businessId,
+          checkoutGroupId,
+          method,
+          methodCategory,
+          amount: fees,
+          currency,
+          status: "pending",
+          escrow: {
+            enabled: useEscrow,
+            status: "none",
+            releaseCondition: useEscrow ? "delivery_confirmed" : "none",
+          },
+          splits: [
+            {
+              recipientType: "seller",
+              recipientId: split.sellerId,
+              amount: fees.subtotal + fees.deliveryFee - sellerDiscount,
+            },
+            {
+              recipientType: "platform",
+              amount: fees.serviceFee - (fees.discount - sellerDiscount),
+            },
+          ],
+          mobileMoneyDetails:
+            methodCategory === "mobile_money" ? { phoneNumber: customerPhone } : {},
+          metadata,
+        });
+
+        payments.push(payment);
+      }
+
+      let paymentResponse;
+
+      if (method === "cash_on_delivery") {
+        for (const payment of payments) {
+          await this.handleCOD(payment);
+        }
+        paymentResponse = {
+          requiresAction: false,
+          message: "Cash on Delivery selected. Pay each seller when you receive your order.",
+          paymentId: payments[0]._id,
+        };
+      } else if (methodCategory === "mobile_money") {
+        paymentResponse = await this.initiateMobileMoneyPayment(
+          payments,
+          customerPhone,
+          customerEmail,
+          customerName
+        );
+      } else if (methodCategory === "card") {
+        paymentResponse = await this.initiateCardPayment(payments, customerEmail, customerName);
+      } else {
+        paymentResponse = await this.initiateWalletPayment(payments, customerEmail, customerName);
+      }
+
+      return {
+        success: true,
+        payments,
+        paymentIds: payments.map((p) => p._id),
+        ...paymentResponse,
+      };
+    } catch (error) {
+      console.error("Group payment initialization error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build gateway reference - checkout groups share one reference across splits
+   */
+  buildTransactionRef(payments) {
+    const primary = payments[0];
+    if (payments.length > 1 && primary.checkoutGroupId) {
+      return `TX-GRP-${primary.checkoutGroupId}-${Date.now()}`;
+    }
+    return `TX-${primary._id}-${Date.now()}`;
+  }
+
+  /**
+   * Total amount to charge for one or more payment splits
+   */
+  sumTotals(payments) {
+    return payments.reduce((sum, p) => sum + p.amount.total, 0);
+  }
+
   /**
    * Handle Cash on Delivery
    */
@@ -127,6 +247,9 @@ class PaymentService {
     payment.gateway.provider = "manual";
     await payment.save();
 
+    // Nothing more to wait for - the held stock is sold
+    await StockReservation.commitForOrder(payment.orderId);
+
     return {
       requiresAction: false,
       message: "Cash on Delivery selected. Pay when you receive your order.",
@@ -138,6 +261,10 @@ class PaymentService {
    * Initialize Mobile Money Payment via Flutterwave
    */
   async initiateMobileMoneyPayment(payment, phone, email, name) {
+    // A checkout group passes all of its payment splits to be charged once
+    const payments = [].concat(payment);
+    const primary = payments[0];
+
     try {
       // Format phone number for Uganda (remove leading 0, add 256)
       let formattedPhone = phone.replace(/^0/, "256").replace(/\s/g, "");
@@ -149,17 +276,18 @@ class PaymentService {
       const network = this.detectMobileNetwork(phone);
 
       const payload = {
-        tx_ref: `TX-${payment._id}-${Date.now()}`,
-        amount: payment.amount.total,
-        currency: payment.currency,
+        tx_ref: this.buildTransactionRef(payments),
+        amount: this.sumTotals(payments),
+        currency: primary.currency,
         email: email || "customer@marketplace.ug",
         phone_number: formattedPhone,
         fullname: name,
         network: network, // MTN, AIRTEL
         redirect_url: `${process.env.APP_URL}/api/payments/callback`,
         meta: {
-          payment_id: payment._id.toString(),
-          order_id: payment.orderId.toString(),
+          payment_id: primary._id.toString(),
+          order_id: primary.orderId.toString(),
+          checkout_group_id: primary.checkoutGroupId?.toString() || "",
         },
       };
 
@@ -176,15 +304,17 @@ class PaymentService {
       );
 
       if (response.data.status === "success") {
-        payment.gateway.transactionRef = payload.tx_ref;
-        payment.gateway.flutterwaveRef = response.data.data?.flw_ref || "";
-        payment.gateway.provider = "flutterwave";
-        payment.status = "processing";
-        payment.mobileMoneyDetails = {
-          phoneNumber: formattedPhone,
-          network: network,
-        };
-        await payment.save();
+        for (const split of payments) {
+          split.gateway.transactionRef = payload.tx_ref;
+          split.gateway.flutterwaveRef = response.data.data?.flw_ref || "";
+          split.gateway.provider = "flutterwave";
+          split.status = "processing";
+          split.mobileMoneyDetails = {
+            phoneNumber: formattedPhone,
+            network: network,
+          };
+          await split.save();
+        }
 
         return {
           requiresAction: true,
@@ -192,7 +322,7 @@ class PaymentService {
           message:
             "Please approve the payment on your mobile phone. Check your phone for a prompt.",
           transactionRef: payload.tx_ref,
-          paymentId: payment._id,
+          paymentId: primary._id,
         };
       } else {
         throw new Error(response.data.message || "Payment initiation failed");
@@ -213,11 +343,14 @@ class PaymentService {
    * Initialize Card Payment via Flutterwave
    */
   async initiateCardPayment(payment, email, name) {
+    const payments = [].concat(payment);
+    const primary = payments[0];
+
     try {
       const payload = {
-        tx_ref: `TX-${payment._id}-${Date.now()}`,
-        amount: payment.amount.total,
-        currency: payment.currency,
+        tx_ref: this.buildTransactionRef(payments),
+        amount: this.sumTotals(payments),
+        currency: primary.currency,
         redirect_url: `${process.env.APP_URL}/api/payments/callback`,
         customer: {
           email: email,
@@ -229,8 +362,9 @@ class PaymentService {
           logo: `${process.env.APP_URL}/logo.png`,
         },
         meta: {
-          payment_id: payment._id.toString(),
-          order_id: payment.orderId.toString(),
+          payment_id: primary._id.toString(),
+          order_id: primary.orderId.toString(),
+          checkout_group_id: primary.checkoutGroupId?.toString() || "",
         },
       };
 
@@ -247,17 +381,19 @@ class PaymentService {
       );
 
       if (response.data.status === "success") {
-        payment.gateway.transactionRef = payload.tx_ref;
-        payment.gateway.provider = "flutterwave";
-        payment.status = "processing";
-        await payment.save();
+        for (const split of payments) {
+          split.gateway.transactionRef = payload.tx_ref;
+          split.gateway.provider = "flutterwave";
+          split.status = "processing";
+          await split.save();
+        }
 
         return {
           requiresAction: true,
           actionType: "redirect",
           redirectUrl: response.data.data.link,
           message: "Redirecting to payment page...",
-          paymentId: payment._id,
+          paymentId: primary._id,
         };
       } else {
         throw new Error(response.data.message || "Payment initiation failed");
@@ -310,19 +446,22 @@ class PaymentService {
       const { event, data } = payload;
 
       if (event === "charge.completed") {
-        const payment = await Payment.findOne({
+        // A checkout group has several payment splits on one charge
+        const payments = await Payment.find({
           "gateway.transactionRef": data.tx_ref,
         });
 
-        if (!payment) {
+        if (payments.length === 0) {
           console.error("Payment not found for tx_ref:", data.tx_ref);
           return { success: false, message: "Payment not found" };
         }
 
-        if (data.status === "successful") {
-          await this.markPaymentSuccessful(payment, data);
-        } else {
-          await this.markPaymentFailed(payment, data.processor_response);
+        for (const payment of payments) {
+          if (data.status === "successful") {
+            await this.markPaymentSuccessful(payment, data);
+          } else {
+            await this.markPaymentFailed(payment, data.processor_response);
+          }
         }
 
         return { success: true };
@@ -357,13 +496,8 @@ class PaymentService {
 
     // Handle escrow
     if (payment.escrow.enabled) {
-      payment.escrow.status = "held";
-      payment.escrow.heldAt = new Date();
-      payment.status = "held_in_escrow";
-      // Auto-release after 7 days if delivery not confirmed
-      payment.escrow.autoReleaseDate = new Date(
-        Date.now() + 7 * 24 * 60 * 60 * 1000
-      );
+      // Auto-released after ESCROW_RELEASE_DAYS if delivery is not confirmed
+      payment.holdInEscrow();
     }
 
     payment.statusHistory.push({
@@ -375,11 +509,24 @@ class PaymentService {
     await payment.save();
 
     // Update order payment status
-    await Order.findByIdAndUpdate(payment.orderId, {
-      "payment.status": "paid",
-      "payment.transactionId": payment.gateway.transactionId,
-      "payment.paidAt": new Date(),
-    });
+    const order = await Order.findByIdAndUpdate(
+      payment.orderId,
+      {
+        "payment.status": "paid",
+        "payment.transactionId": payment.gateway.transactionId,
+        "payment.paidAt": new Date(),
+      },
+      { new: true }
+    );
+
+    await StockReservation.commitForOrder(payment.orderId);
+    await this.refreshCheckoutGroup(payment);
+
+    // No rider is ever assigned to a pickup - the buyer brings the code to the seller
+    if (order?.delivery?.method === "pickup") {
+      const DeliveryProofService = require("./deliveryProof");
+      await DeliveryProofService.ensureCode(order);
+    }
 
     // Send notifications
     await this.sendPaymentNotifications(payment, "successful");
@@ -387,6 +534,31 @@ class PaymentService {
     return payment;
   }
 
+  /**
+   * Mark every payment split sharing a gateway charge as successful
+   */
+  async markChargeSuccessful(transactionRef, gatewayData = {}) {
+    const payments = await Payment.find({
+      "gateway.transactionRef": transactionRef,
+      status: { $in: ["pending", "processing"] },
+    });
+
+    for (const payment of payments) {
+      await this.markPaymentSuccessful(payment, gatewayData);
+    }
+
+    return payments;
+  }
+
+  /**
+   * Update the parent checkout group after a payment split changes
+   */
+  async refreshCheckoutGroup(payment) {
+    if (!payment.checkoutGroupId) return null;
+    const CheckoutGroup = require("../models/CheckoutGroup");
+    return CheckoutGroup.refreshStatus(payment.checkoutGroupId);
+  }
+
   /**
    * Mark payment as failed
    */
@@ -403,6 +575,16 @@ class PaymentService {
 
     await payment.save();
 
+    // Give the held stock back - a retry through /api/payments/initiate re-reserves it
+    await StockReservation.releaseWhere({ orderId: payment.orderId }, "payment_failed");
+    await this.refreshCheckoutGroup(payment);
+
+    // Promo uses too - the retry claims them again (PromoService.reclaim)
+    if (payment.checkoutGroupId) {
+      const PromoService = require("./promoService");
+      await PromoService.release(payment.checkoutGroupId);
+    }
+
     // Send failure notification
     await this.sendPaymentNotifications(payment, "failed");
 
@@ -419,7 +601,7 @@ class PaymentService {
 
       if (status === "successful") {
         // Notify buyer
-        await Notification.notify({
+        const notification = await Notification.notify({
           recipientId: payment.buyerId,
           recipientType: "Buyer",
           type: "payment_success",
@@ -443,8 +625,9 @@ class PaymentService {
         // Send push notification to buyer
         if (buyer?.deviceTokens?.length > 0) {
           const PushNotificationService = require("./pushNotifications");
-          for (const device of buyer.deviceTokens) {
-            await PushNotificationService.sendToDevice(device.token, {
+          await PushNotificationService.sendToDevices(
+            buyer.deviceTokens,
+            {
               title: "Payment Successful! ✅",
               body: `Your order is being processed. Receipt: ${payment.receipt.number}`,
               data: {
@@ -452,8 +635,27 @@ class PaymentService {
                 orderId: payment.orderId.toString(),
                 receiptNumber: payment.receipt.number,
               },
-            });
-          }
+            },
+            notification
+          );
+        }
+
+        // Email/SMS receipt
+        if (buyer) {
+          const NotificationChannelService = require("./notificationChannels");
+          const order = await Order.findById(payment.orderId).select("orderNumber");
+          await NotificationChannelService.notifyBuyer(
+            buyer,
+            "paymentReceipt",
+            {
+              receiptNumber: payment.receipt.number,
+              amount: payment.amount.total,
+              currency: payment.currency,
+              method: payment.method,
+              orderNumber: order?.orderNumber,
+            },
+            notification
+          );
         }
       } else if (status === "failed") {
         await Notification.notify({
@@ -580,35 +782,42 @@ class PaymentService {
    * Simulate payment success for development
    */
   async simulatePaymentSuccess(payment) {
-    payment.status = "successful";
-    payment.completedAt = new Date();
-    payment.gateway.transactionId = `SIM-${Date.now()}`;
-    payment.gateway.provider = "manual";
+    const payments = [].concat(payment);
+    const transactionId = `SIM-${Date.now()}`;
 
-    if (payment.escrow.enabled) {
-      payment.escrow.status = "held";
-      payment.status = "held_in_escrow";
-    }
+    for (const split of payments) {
+      split.status = "successful";
+      split.completedAt = new Date();
+      split.gateway.transactionId = transactionId;
+      split.gateway.provider = "manual";
 
-    payment.statusHistory.push({
-      status: "successful",
-      note: "Simulated payment (development mode)",
-      timestamp: new Date(),
-    });
+      if (split.escrow.enabled) {
+        split.holdInEscrow();
+      }
 
-    await payment.save();
+      split.statusHistory.push({
+        status: "successful",
+        note: "Simulated payment (development mode)",
+        timestamp: new Date(),
+      });
 
-    // Update order
-    await Order.findByIdAndUpdate(payment.orderId, {
-      "payment.status": "paid",
-      "payment.paidAt": new Date(),
-    });
+      await split.save();
+
+      // Update order
+      await Order.findByIdAndUpdate(split.orderId, {
+        "payment.status": "paid",
+        "payment.paidAt": new Date(),
+      });
+      await StockReservation.commitForOrder(split.orderId);
+    }
+
+    await this.refreshCheckoutGroup(payments[0]);
 
     return {
       requiresAction: false,
       message: "Payment processed successfully (dev mode)",
-      paymentId: payment._id,
-      receiptNumber: payment.receipt.number,
+      paymentId: payments[0]._id,
+      receiptNumber: payments[0].receipt.number,
     };
   }
 
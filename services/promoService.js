@@ -0,0 +1,324 @@
+/**
+ * Promo Code Service
+ * Validates codes against a cart and records redemptions atomically
+ */
+
+const Promo = require("../models/Promo");
+const PromoRedemption = require("../models/PromoRedemption");
+
+class PromoService {
+  /**
+   * Normalise `code` / `codes` from a request body into a list
+   */
+  static parseCodes({ code, codes } = {}) {
+    const list = [].concat(codes || [], code || []);
+    return list
+      .filter((c) => typeof c === "string" && c.trim())
+      .map((c) => c.trim().toUpperCase());
+  }
+
+  /**
+   * Validate promo codes against a cart grouped by business.
+   * Groups come from checkout's buildSellerGroups; `group.delivery.fee`
+   * is used for free delivery when the delivery method is already known.
+   *
+   * Returns per-code results and the discount allocated to each business,
+   * split into seller-funded and platform-funded parts.
+   */
+  static async validateCodes({ codes, buyerId, groups }) {
+    if (codes.length === 0) {
+      return { valid: true, applied: [], byBusiness: {}, totalDiscount: 0 };
+    }
+
+    if (new Set(codes).size !== codes.length) {
+      return { valid: false, message: "The same promo code can only be used once" };
+    }
+
+    const promos = await Promo.find({ code: { $in: codes } });
+
+    for (const code of codes) {
+      if (!promos.find((p) => p.code === code)) {
+        return { valid: false, message: `Invalid promo code: ${code}` };
+      }
+    }
+
+    // Stacking rules - several codes only combine when all of them allow it
+    if (codes.length > 1 && promos.some((p) => !p.stackable)) {
+      const blocker = promos.find((p) => !p.stackable);
+      return {
+        valid: false,
+        message: `${blocker.code} cannot be combined with other promo codes`,
+      };
+    }
+
+    // What is left to discount per business as codes are applied in order
+    const remaining = {};
+    for (const group of groups) {
+      remaining[group.businessId] = {
+        subtotal: group.subtotal,
+        deliveryFee: group.delivery ? group.delivery.fee : 0,
+      };
+    }
+
+    const byBusiness = {};
+    const applied = [];
+    let hasPriorOrders = null;
+
+    for (const code of codes) {
+      const promo = promos.find((p) => p.code === code);
+
+      if (!promo.isCurrentlyValid()) {
+        return { valid: false, message: `${code} has expired or is no longer available` };
+      }
+
+      if (promo.perBuyerLimit > 0) {
+        const used = await PromoRedemption.countDocuments({ promoId: promo._id, buyerId });
+        if (used >= promo.perBuyerLimit) {
+          return { valid: false, message: `You have already used ${code}` };
+        }
+      }
+
+      if (promo.firstOrderOnly) {
+        if (hasPriorOrders === null) {
+          const Order = require("../models/Order");
+          hasPriorOrders =
+            (await Order.countDocuments({ buyerId, status: { $ne: "cancelled" } })) > 0;
+        }
+        if (hasPriorOrders) {
+          return { valid: false, message: `${code} is only valid on your first order` };
+        }
+      }
+
+      // Eligible amount per business after earlier codes
+      const eligible = {};
+      let eligibleTotal = 0;
+      for (const group of groups) {
+        const itemsTotal = group.items
+          .filter((item) => promo.appliesToItem(item))
+          .reduce((sum, item) => sum + item.total, 0);
+        if (itemsTotal === 0) continue;
+
+        const amount = Math.min(itemsTotal, remaining[group.businessId].subtotal);
+        eligible[group.businessId] = amount;
+        eligibleTotal += amount;
+      }
+
+      if (Object.keys(eligible).length === 0) {
+        return { valid: false, message: `${code} does not apply to any item in your cart` };
+      }
+
+      if (eligibleTotal < promo.minSubtotal) {
+        return {
+          valid: false,
+          message: `${code} requires a minimum of ${promo.minSubtotal.toLocaleString()} UGX on eligible items`,
+        };
+      }
+
+      let discount = 0;
+      if (promo.type === "percentage") {
+        discount = Math.round(eligibleTotal * (promo.value / 100));
+        if (promo.maxDiscount > 0) discount = Math.min(discount, promo.maxDiscount);
+      } else if (promo.type === "fixed") {
+        discount = Math.min(promo.value, eligibleTotal);
+      }
+
+      const allocation = this.allocate(discount, eligible);
+      let deliveryDiscount = 0;
+
+      for (const businessId of Object.keys(eligible)) {
+        const itemDiscount = allocation[businessId] || 0;
+        const shippingDiscount =
+          promo.type === "free_delivery" ? remaining[businessId].deliveryFee : 0;
+
+        remaining[businessId].subtotal -= itemDiscount;
+        remaining[businessId].deliveryFee -= shippingDiscount;
+        deliveryDiscount += shippingDiscount;
+
+        if (!byBusiness[businessId]) {
+          byBusiness[businessId] = {
+            discount: 0,
+            deliveryDiscount: 0,
+            sellerFunded: 0,
+            platformFunded: 0,
+            codes: [],
+          };
+        }
+
+        const share = byBusiness[businessId];
+        share.discount += itemDiscount;
+        share.deliveryDiscount += shippingDiscount;
+        share[promo.fundedBy === "seller" ? "sellerFunded" : "platformFunded"] +=
+          itemDiscount + shippingDiscount;
+        share.codes.push(promo.code);
+      }
+
+      applied.push({
+        promo,
+        code: promo.code,
+        type: promo.type,
+        fundedBy: promo.fundedBy,
+        discount,
+        deliveryDiscount,
+        freeDelivery: promo.type === "free_delivery",
+      });
+    }
+
+    const totalDiscount = applied.reduce((sum, a) => sum + a.discount + a.deliveryDiscount, 0);
+
+    return { valid: true, applied, byBusiness, totalDiscount };
+  }
+
+  /**
+   * Split a discount across businesses in proportion to their eligible amount.
+   * Rounding remainder goes to the last business so the parts add up exactly.
+   */
+  static allocate(discount, eligible) {
+    const businessIds = Object.keys(eligible);
+    const eligibleTotal = businessIds.reduce((sum, id) => sum + eligible[id], 0);
+    const allocation = {};
+    let allocated = 0;
+
+    businessIds.forEach((id, index) => {
+      if (index === businessIds.length - 1) {
+        allocation[id] = discount - allocated;
+      } else {
+        allocation[id] = Math.round((discount * eligible[id]) / eligibleTotal);
+        allocated += allocation[id];
+      }
+    });
+
+    return allocation;
+  }
+
+  /**
+   * Record redemptions for validated codes.
+   * The global limit is enforced by a conditional increment and the
+   * per-buyer limit by the unique (promo, buyer, useNumber) index, so two
+   * concurrent checkouts cannot both take the last use. All-or-nothing.
+   */
+  static async redeem({ applied, buyerId, checkoutGroupId }) {
+    const redeemed = [];
+
+    const rollback = async () => {
+      for (const { promoId, redemptionId } of redeemed) {
+        await Promo.updateOne({ _id: promoId }, { $inc: { usedCount: -1 } });
+        if (redemptionId) await PromoRedemption.deleteOne({ _id: redemptionId });
+      }
+    };
+
+    for (const entry of applied) {
+      const { promo } = entry;
+
+      const claimed = await Promo.findOneAndUpdate(
+        {
+          _id: promo._id,
+          isActive: true,
+          $or: [{ usageLimit: 0 }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true }
+      );
+
+      if (!claimed) {
+        await rollback();
+        return { success: false, message: `${promo.code} has reached its usage limit` };
+      }
+
+      const record = { promoId: promo._id };
+      redeemed.push(record);
+
+      const previousUses = await PromoRedemption.countDocuments({
+        promoId: promo._id,
+        buyerId,
+      });
+
+      if (claimed.perBuyerLimit > 0 && previousUses >= claimed.perBuyerLimit) {
+        await rollback();
+        return { success: false, message: `You have already used ${promo.code}` };
+      }
+
+      // Released uses leave gaps, so number after the highest rather than the count
+      const last = await PromoRedemption.findOne({ promoId: promo._id, buyerId })
+        .sort({ useNumber: -1 })
+        .select("useNumber");
+
+      try {
+        const redemption = await PromoRedemption.create({
+          promoId: promo._id,
+          code: promo.code,
+          buyerId,
+          useNumber: (last?.useNumber || 0) + 1,
+          checkoutGroupId,
+          discount: entry.discount,
+          deliveryDiscount: entry.deliveryDiscount,
+        });
+        record.redemptionId = redemption._id;
+      } catch (error) {
+        await rollback();
+        if (error.code === 11000) {
+          return { success: false, message: `You have already used ${promo.code}` };
+        }
+        throw error;
+      }
+    }
+
+    return { success: true, redemptions: redeemed.map((r) => r.redemptionId) };
+  }
+
+  /**
+   * Release redemptions for a checkout that never went through (errored,
+   * payment failed or every order cancelled). Safe to call more than once.
+   */
+  static async release(checkoutGroupId) {
+    const redemptions = await PromoRedemption.find({ checkoutGroupId });
+
+    for (const redemption of redemptions) {
+      // Only whoever deletes the record gives the use back
+      const removed = await PromoRedemption.findOneAndDelete({ _id: redemption._id });
+      if (removed) {
+        await Promo.updateOne({ _id: removed.promoId }, { $inc: { usedCount: -1 } });
+      }
+    }
+  }
+
+  /**
+   * Release the codes once every order of the order's checkout is cancelled
+   */
+  static async releaseIfCancelled(order) {
+    const group = await order.refreshCheckoutGroup();
+    if (group?.status === "cancelled") {
+      await this.release(group._id);
+    }
+  }
+
+  /**
+   * Claim an order's codes again before retrying its payment, when a failed
+   * payment released them. The order keeps the discount it was priced with.
+   */
+  static async reclaim(order) {
+    if (!order.promoCodes?.length || !order.checkoutGroupId) return { success: true };
+
+    const filter = { checkoutGroupId: order.checkoutGroupId };
+    if (await PromoRedemption.exists(filter)) {
+      await PromoRedemption.updateMany(filter, { $addToSet: { orderIds: order._id } });
+      return { success: true };
+    }
+
+    const promos = await Promo.find({ code: { $in: order.promoCodes } });
+    const result = await this.redeem({
+      applied: promos.map((promo, index) => ({
+        promo,
+        discount: index === 0 ? order.discount : 0,
+        deliveryDiscount: 0,
+      })),
+      buyerId: order.buyerId,
+      checkoutGroupId: order.checkoutGroupId,
+    });
+    if (result.success) {
+      await PromoRedemption.updateMany(filter, { orderIds: [order._id] });
+    }
+    return result;
+  }
+}
+
+module.exports = PromoService;
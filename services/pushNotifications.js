@@ -1,54 +1,279 @@
 /**
  * Push Notification Service
  * Handles sending notifications to buyers when new products are posted
- * 
- * This is a base implementation. In production, integrate with:
- * - Firebase Cloud Messaging (FCM) for Android/iOS
- * - Expo Push Notifications for React Native/Expo apps
- * - Web Push for Progressive Web Apps
+ *
+ * Delivery goes through the provider selected by PUSH_PROVIDER
+ * (Expo, FCM or a local sink - see ./pushProviders). Messages are batched,
+ * retryable failures are retried with backoff, tokens the provider reports
+ * as unregistered are removed, and per-device outcomes are recorded on the
+ * Notification.
  */
 
 const Notification = require("../models/Notification");
 const Buyer = require("../models/Buyer");
 const RecommendationService = require("./recommendations");
+const { getPushProvider, stringifyData } = require("./pushProviders");
+
+const MAX_ATTEMPTS = parseInt(process.env.PUSH_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_MS = parseInt(process.env.PUSH_RETRY_BASE_MS) || 500;
+// Expo keeps receipts for a day and recommends checking after ~15 minutes
+const RECEIPT_DELAY_MINUTES = 15;
+const RECEIPT_MAX_AGE_HOURS = 24;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 class PushNotificationService {
   /**
    * Send push notification to a single device
-   * In production, replace with actual FCM/Expo implementation
    */
-  static async sendToDevice(deviceToken, payload) {
-    // TODO: Implement actual push notification service
-    // Example with Firebase Admin SDK:
-    // const admin = require('firebase-admin');
-    // await admin.messaging().send({
-    //   token: deviceToken,
-    //   notification: {
-    //     title: payload.title,
-    //     body: payload.body,
-    //   },
-    //   data: payload.data,
-    // });
-
-    console.log(`📱 Push notification to ${deviceToken}:`, payload.title);
-    return { success: true, token: deviceToken };
+  static async sendToDevice(deviceToken, payload, notification = null) {
+    const result = await this.sendToDevices([deviceToken], payload, notification);
+    return { success: result.sent > 0, token: deviceToken, ...result.results[0] };
   }
 
   /**
    * Send push notification to multiple devices
    */
-  static async sendToMultipleDevices(deviceTokens, payload) {
-    const results = await Promise.all(
-      deviceTokens.map((token) => this.sendToDevice(token, payload))
+  static async sendToMultipleDevices(deviceTokens, payload, notification = null) {
+    const result = await this.sendToDevices(deviceTokens, payload, notification);
+    return result.results;
+  }
+
+  /**
+   * Deliver a payload to a set of devices.
+   * `devices` are token strings or { token, platform } entries (e.g. buyer.deviceTokens).
+   * When a Notification is passed, each device's outcome is stored on it.
+   */
+  static async sendToDevices(devices, payload, notification = null) {
+    const provider = getPushProvider();
+
+    // One entry per token even if a device was registered twice
+    const byToken = new Map();
+    for (const device of devices || []) {
+      const entry = typeof device === "string" ? { token: device } : device;
+      if (entry?.token && !byToken.has(entry.token)) {
+        byToken.set(entry.token, {
+          token: entry.token,
+          platform: entry.platform || "",
+          attempts: 0,
+        });
+      }
+    }
+
+    const outcomes = [];
+    let pending = [...byToken.values()];
+    const data = stringifyData(payload.data);
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS && pending.length > 0; attempt++) {
+      if (attempt > 1) {
+        await sleep(RETRY_BASE_MS * 2 ** (attempt - 2));
+      }
+
+      const retry = [];
+      for (let i = 0; i < pending.length; i += provider.maxBatchSize) {
+        const batch = pending.slice(i, i + provider.maxBatchSize);
+
+        let results;
+        try {
+          results = await provider.sendBatch(
+            batch.map((device) => ({
+              token: device.token,
+              title: payload.title,
+              body: payload.body,
+              data,
+            }))
+          );
+        } catch (error) {
+          results = batch.map(() => ({ success: false, retryable: true, error: error.message }));
+        }
+
+        batch.forEach((device, index) => {
+          const result = results[index] || { success: false, error: "No result from provider" };
+          device.attempts += 1;
+
+          if (result.success) {
+            outcomes.push({ ...device, status: "sent", receiptId: result.receiptId || null });
+          } else if (result.invalidToken) {
+            outcomes.push({ ...device, status: "invalid", error: result.error });
+          } else if (result.retryable && attempt < MAX_ATTEMPTS) {
+            retry.push(device);
+          } else {
+            outcomes.push({ ...device, status: "failed", error: result.error });
+          }
+        });
+      }
+      pending = retry;
+    }
+
+    const invalid = outcomes.filter((o) => o.status === "invalid").map((o) => o.token);
+    if (invalid.length > 0) {
+      await this.pruneInvalidTokens(invalid);
+    }
+
+    const sent = outcomes.filter((o) => o.status === "sent").length;
+
+    if (notification && outcomes.length > 0) {
+      const update = {
+        $push: {
+          pushDeliveries: {
+            $each: outcomes.map((o) => ({
+              token: o.token,
+              platform: o.platform,
+              status: o.status,
+              receiptId: o.receiptId || null,
+              error: o.error || "",
+              attempts: o.attempts,
+              at: new Date(),
+            })),
+          },
+        },
+      };
+      if (sent > 0) update.$set = { pushSent: true, pushSentAt: new Date() };
+
+      await Notification.updateOne({ _id: notification._id }, update);
+    }
+
+    return {
+      sent,
+      failed: outcomes.filter((o) => o.status === "failed").length,
+      invalid: invalid.length,
+      results: outcomes,
+    };
+  }
+
+  /**
+   * Remove tokens the provider no longer accepts from every account
+   */
+  static async pruneInvalidTokens(tokens) {
+    const Rider = require("../models/Rider");
+    const update = { $pull: { deviceTokens: { token: { $in: tokens } } } };
+
+    await Promise.all([
+      Buyer.updateMany({ "deviceTokens.token": { $in: tokens } }, update),
+      Rider.updateMany({ "deviceTokens.token": { $in: tokens } }, update),
+    ]);
+
+    console.log(`🧹 Removed ${tokens.length} unregistered push token(s)`);
+  }
+
+  /**
+   * Move riders' single deviceToken (older versions) into deviceTokens so
+   * they keep getting job offers. Safe to run at every start.
+   * Returns how many riders were migrated.
+   */
+  static async migrateRiderTokens() {
+    const Rider = require("../models/Rider");
+
+    // Not in the schema any more, so go through the collection
+    const { modifiedCount } = await Rider.collection.updateMany(
+      { deviceToken: { $type: "string", $ne: "" } },
+      [
+        {
+          $set: {
+            deviceTokens: {
+              $cond: [
+                { $in: ["$deviceToken", { $ifNull: ["$deviceTokens.token", []] }] },
+                { $ifNull: ["$deviceTokens", []] },
+                {
+                  $concatArrays: [
+                    { $ifNull: ["$deviceTokens", []] },
+                    [{ token: "$deviceToken", platform: "android", addedAt: "$$NOW" }],
+                  ],
+                },
+              ],
+            },
+          },
+        },
+        { $unset: "deviceToken" },
+      ]
+    );
+    // Empty leftovers
+    await Rider.collection.updateMany(
+      { deviceToken: { $exists: true } },
+      { $unset: { deviceToken: "" } }
     );
-    return results;
+
+    return modifiedCount;
+  }
+
+  /**
+   * Ask the provider what happened to accepted messages and update
+   * the Notification records - run periodically
+   */
+  static async checkReceipts() {
+    const provider = getPushProvider();
+    if (!provider.fetchReceipts) return 0;
+
+    const now = Date.now();
+    const notifications = await Notification.find({
+      pushDeliveries: {
+        $elemMatch: {
+          status: "sent",
+          receiptId: { $ne: null },
+          at: {
+            $lte: new Date(now - RECEIPT_DELAY_MINUTES * 60 * 1000),
+            $gte: new Date(now - RECEIPT_MAX_AGE_HOURS * 60 * 60 * 1000),
+          },
+        },
+      },
+    })
+      .select("pushDeliveries")
+      .limit(500);
+
+    const pending = [];
+    for (const notification of notifications) {
+      for (const delivery of notification.pushDeliveries) {
+        if (delivery.status === "sent" && delivery.receiptId) {
+          pending.push({ notificationId: notification._id, delivery });
+        }
+      }
+    }
+
+    const invalid = [];
+    let checked = 0;
+
+    // Expo accepts up to 1000 receipt ids per request
+    for (let i = 0; i < pending.length; i += 1000) {
+      const chunk = pending.slice(i, i + 1000);
+      const receipts = await provider.fetchReceipts(chunk.map((p) => p.delivery.receiptId));
+
+      for (const { notificationId, delivery } of chunk) {
+        const receipt = receipts[delivery.receiptId];
+        // Not ready yet - try again on the next run
+        if (!receipt) continue;
+
+        const status = receipt.success ? "delivered" : receipt.invalidToken ? "invalid" : "failed";
+        if (status === "invalid") invalid.push(delivery.token);
+
+        await Notification.updateOne(
+          { _id: notificationId, "pushDeliveries.receiptId": delivery.receiptId },
+          {
+            $set: {
+              "pushDeliveries.$.status": status,
+              "pushDeliveries.$.error": receipt.error || "",
+              "pushDeliveries.$.at": new Date(),
+            },
+          }
+        );
+        checked += 1;
+      }
+    }
+
+    if (invalid.length > 0) {
+      await this.pruneInvalidTokens(invalid);
+    }
+
+    return checked;
   }
 
   /**
    * Notify interested buyers when a new product is posted
+   * (queued in the outbox - see ./notificationOutbox)
    */
   static async notifyNewProduct(product, business) {
     try {
+      const NotificationOutboxService = require("./notificationOutbox");
+
       // Find buyers interested in this category
       const interestedBuyers = await RecommendationService.findInterestedBuyers(
         product.category
@@ -58,50 +283,29 @@ class PushNotificationService {
         `🔔 Found ${interestedBuyers.length} buyers interested in ${product.category}`
       );
 
-      const notifications = [];
-      const pushPromises = [];
-
-      for (const buyer of interestedBuyers) {
-        // Create in-app notification
-        const notification = await Notification.notify({
-          recipientId: buyer._id,
-          recipientType: "Buyer",
-          type: "new_product",
+      const queued = await NotificationOutboxService.enqueue(
+        interestedBuyers.map((buyer) => buyer._id),
+        {
+          topic: "new_product",
           title: `New in ${product.category}! 🆕`,
           message: `${product.name} is now available for $${product.price}`,
+          digestLine: product.name,
           actionType: "product",
           referenceId: product._id,
-        });
-        notifications.push(notification);
-
-        // Send push notification to all buyer's devices
-        if (buyer.deviceTokens && buyer.deviceTokens.length > 0) {
-          const payload = {
-            title: `New in ${product.category}! 🆕`,
-            body: `${product.name} - $${product.price}`,
-            data: {
-              type: "new_product",
-              productId: product._id.toString(),
-              category: product.category,
-            },
-          };
-
-          buyer.deviceTokens.forEach((device) => {
-            pushPromises.push(this.sendToDevice(device.token, payload));
-          });
+          data: {
+            productId: product._id.toString(),
+            category: product.category,
+          },
         }
-      }
-
-      // Wait for all push notifications to be sent
-      await Promise.all(pushPromises);
+      );
 
       return {
         notifiedCount: interestedBuyers.length,
-        notifications,
+        queued: queued.length,
       };
     } catch (error) {
       console.error("Notify new product error:", error);
-      return { notifiedCount: 0, notifications: [] };
+      return { notifiedCount: 0, queued: 0 };
     }
   }
 
@@ -110,60 +314,41 @@ class PushNotificationService {
    */
   static async notifyPriceDrop(product, oldPrice, newPrice) {
     try {
+      const NotificationOutboxService = require("./notificationOutbox");
+
       // Find buyers who have this product in wishlist
       const buyersWithWishlist = await Buyer.find({
         wishlist: product._id,
-        "notifications.push": true,
         "notifications.priceDrops": true,
         isActive: true,
-      });
+      }).select("_id");
 
       const discount = Math.round(((oldPrice - newPrice) / oldPrice) * 100);
 
-      const notifications = [];
-      const pushPromises = [];
-
-      for (const buyer of buyersWithWishlist) {
-        // Create in-app notification
-        const notification = await Notification.notify({
-          recipientId: buyer._id,
-          recipientType: "Buyer",
-          type: "price_drop",
+      const queued = await NotificationOutboxService.enqueue(
+        buyersWithWishlist.map((buyer) => buyer._id),
+        {
+          topic: "price_drop",
           title: `Price Drop! 📉 ${discount}% off`,
           message: `${product.name} is now $${newPrice} (was $${oldPrice})`,
+          digestLine: `${product.name} now $${newPrice}`,
           actionType: "product",
           referenceId: product._id,
-        });
-        notifications.push(notification);
-
-        // Send push notification
-        if (buyer.deviceTokens && buyer.deviceTokens.length > 0) {
-          const payload = {
-            title: `Price Drop! 📉 ${discount}% off`,
-            body: `${product.name} is now $${newPrice}`,
-            data: {
-              type: "price_drop",
-              productId: product._id.toString(),
-              oldPrice: oldPrice.toString(),
-              newPrice: newPrice.toString(),
-            },
-          };
-
-          buyer.deviceTokens.forEach((device) => {
-            pushPromises.push(this.sendToDevice(device.token, payload));
-          });
+          data: {
+            productId: product._id.toString(),
+            oldPrice: oldPrice.toString(),
+            newPrice: newPrice.toString(),
+          },
         }
-      }
-
-      await Promise.all(pushPromises);
+      );
 
       return {
         notifiedCount: buyersWithWishlist.length,
-        notifications,
+        queued: queued.length,
       };
     } catch (error) {
       console.error("Notify price drop error:", error);
-      return { notifiedCount: 0, notifications: [] };
+      return { notifiedCount: 0, queued: 0 };
     }
   }
 
@@ -172,53 +357,37 @@ class PushNotificationService {
    */
   static async notifyBackInStock(product) {
     try {
+      const NotificationOutboxService = require("./notificationOutbox");
+
       // Find buyers who have this product in wishlist
       const buyersWithWishlist = await Buyer.find({
         wishlist: product._id,
-        "notifications.push": true,
+        "notifications.backInStock": { $ne: false },
         isActive: true,
-      });
-
-      const notifications = [];
-      const pushPromises = [];
+      }).select("_id");
 
-      for (const buyer of buyersWithWishlist) {
-        const notification = await Notification.notify({
-          recipientId: buyer._id,
-          recipientType: "Buyer",
-          type: "back_in_stock",
+      const queued = await NotificationOutboxService.enqueue(
+        buyersWithWishlist.map((buyer) => buyer._id),
+        {
+          topic: "back_in_stock",
           title: "Back in Stock! 🎉",
           message: `${product.name} is available again`,
+          digestLine: product.name,
           actionType: "product",
           referenceId: product._id,
-        });
-        notifications.push(notification);
-
-        if (buyer.deviceTokens && buyer.deviceTokens.length > 0) {
-          const payload = {
-            title: "Back in Stock! 🎉",
-            body: `${product.name} is available again`,
-            data: {
-              type: "back_in_stock",
-              productId: product._id.toString(),
-            },
-          };
-
-          buyer.deviceTokens.forEach((device) => {
-            pushPromises.push(this.sendToDevice(device.token, payload));
-          });
+          data: {
+            productId: product._id.toString(),
+          },
         }
-      }
-
-      await Promise.all(pushPromises);
+      );
 
       return {
         notifiedCount: buyersWithWishlist.length,
-        notifications,
+        queued: queued.length,
       };
     } catch (error) {
       console.error("Notify back in stock error:", error);
-      return { notifiedCount: 0, notifications: [] };
+      return { notifiedCount: 0, queued: 0 };
     }
   }
 
@@ -267,40 +436,29 @@ class PushNotificationService {
   }
 
   /**
-   * Send bulk notification to all buyers
+   * Send bulk notification to all buyers who accept promotions
    */
   static async sendBulkNotification(title, message, data = {}) {
     try {
+      const NotificationOutboxService = require("./notificationOutbox");
+
       const buyers = await Buyer.find({
-        "notifications.push": true,
         "notifications.promotions": true,
         isActive: true,
-        "deviceTokens.0": { $exists: true }, // Has at least one device token
-      });
+      }).select("_id");
 
-      const pushPromises = [];
-
-      for (const buyer of buyers) {
-        // Create in-app notification
-        await Notification.notify({
-          recipientId: buyer._id,
-          recipientType: "Buyer",
-          type: "promotion",
+      await NotificationOutboxService.enqueue(
+        buyers.map((buyer) => buyer._id),
+        {
+          topic: "promotion",
           title,
           message,
+          digestLine: title,
           actionType: data.actionType || "none",
           referenceId: data.referenceId,
-        });
-
-        // Send push notification
-        buyer.deviceTokens.forEach((device) => {
-          pushPromises.push(
-            this.sendToDevice(device.token, { title, body: message, data })
-          );
-        });
-      }
-
-      await Promise.all(pushPromises);
+          data,
+        }
+      );
 
       return { notifiedCount: buyers.length };
     } catch (error) {
@@ -354,7 +512,7 @@ class PushNotificationService {
       };
 
       // Create in-app notification
-      await Notification.notify({
+      const notification = await Notification.notify({
         recipientId: buyer._id,
         recipientType: "Buyer",
         type: "delivery_update",
@@ -377,12 +535,22 @@ class PushNotificationService {
           },
         };
 
-        const pushPromises = buyer.deviceTokens.map((device) =>
-          this.sendToDevice(device.token, payload)
-        );
-        await Promise.all(pushPromises);
+        await this.sendToDevices(buyer.deviceTokens, payload, notification);
       }
 
+      // Email/SMS copy
+      const NotificationChannelService = require("./notificationChannels");
+      await NotificationChannelService.notifyBuyer(
+        buyer,
+        "deliveryStatus",
+        {
+          orderNumber: order.orderNumber || order._id.toString().slice(-6),
+          title,
+          message,
+        },
+        notification
+      );
+
       return true;
     } catch (error) {
       console.error("Delivery notification error:", error);
@@ -395,9 +563,7 @@ class PushNotificationService {
    */
   static async notifyRiderAssignment(rider, order) {
     try {
-      const Rider = require("../models/Rider");
-      
-      if (!rider.deviceToken) return false;
+      if (!rider.deviceTokens || rider.deviceTokens.length === 0) return false;
 
       const payload = {
         title: "New Delivery Request! 🔔",
@@ -410,8 +576,8 @@ class PushNotificationService {
         },
       };
 
-      await this.sendToDevice(rider.deviceToken, payload);
-      return true;
+      const result = await this.sendToDevices(rider.deviceTokens, payload);
+      return result.sent > 0;
     } catch (error) {
       console.error("Rider notification error:", error);
       return false;
@@ -453,7 +619,7 @@ class PushNotificationService {
 
       const message = `Your rider: ${rider.name}\nPhone: ${rider.phone}\nVehicle: ${rider.vehicleType} ${rider.vehiclePlate || ""}`;
 
-      await Notification.notify({
+      const notification = await Notification.notify({
         recipientId: buyer._id,
         recipientType: "Buyer",
         type: "rider_info",
@@ -476,10 +642,7 @@ class PushNotificationService {
           },
         };
 
-        const pushPromises = buyer.deviceTokens.map((device) =>
-          this.sendToDevice(device.token, payload)
-        );
-        await Promise.all(pushPromises);
+        await this.sendToDevices(buyer.deviceTokens, payload, notification);
       }
 
       return true;
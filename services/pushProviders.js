@@ -0,0 +1,311 @@
+/**
+ * Push Notification Providers
+ * Transports used by PushNotificationService to reach devices.
+ *
+ * Every provider implements:
+ *   maxBatchSize                 - messages per sendBatch call
+ *   sendBatch(messages)          - [{ token, title, body, data }] → one result per message
+ *   fetchReceipts(receiptIds)    - optional, { [receiptId]: result } for providers
+ *                                  that confirm delivery after accepting a message
+ *
+ * A result is { success, receiptId, invalidToken, retryable, error }.
+ *
+ * Select with PUSH_PROVIDER=expo | fcm | local (default: local)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+
+// Data payloads must be flat string maps for FCM and are kept that way everywhere
+const stringifyData = (data = {}) => {
+  const result = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined || value === null) continue;
+    result[key] = typeof value === "string" ? value : JSON.stringify(value);
+  }
+  return result;
+};
+
+// Network errors, rate limits and server errors are worth another attempt
+const isRetryableStatus = (status) => !status || status === 429 || status >= 500;
+
+// ============================================
+// EXPO
+// ============================================
+
+/**
+ * Expo Push Service - works for Expo/React Native apps on both Android and iOS
+ * https://docs.expo.dev/push-notifications/sending-notifications/
+ */
+class ExpoPushProvider {
+  constructor({ accessToken } = {}) {
+    this.name = "expo";
+    this.maxBatchSize = 100;
+    this.baseUrl = "https://exp.host/--/api/v2/push";
+    this.accessToken = accessToken;
+  }
+
+  headers() {
+    const headers = {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+    };
+    if (this.accessToken) headers.Authorization = `Bearer ${this.accessToken}`;
+    return headers;
+  }
+
+  // Map an Expo ticket/receipt to a provider result
+  toResult(entry) {
+    if (entry?.status === "ok") {
+      return { success: true, receiptId: entry.id };
+    }
+    const code = entry?.details?.error;
+    return {
+      success: false,
+      invalidToken: code === "DeviceNotRegistered",
+      retryable: code === "MessageRateExceeded",
+      error: code || entry?.message || "Unknown Expo error",
+    };
+  }
+
+  async sendBatch(messages) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/send`,
+        messages.map((message) => ({
+          to: message.token,
+          title: message.title,
+          body: message.body,
+          data: message.data,
+          sound: "default",
+          priority: "high",
+        })),
+        { headers: this.headers(), timeout: 15000 }
+      );
+
+      return messages.map((_, index) => this.toResult(response.data.data?.[index]));
+    } catch (error) {
+      const status = error.response?.status;
+      return messages.map(() => ({
+        success: false,
+        retryable: isRetryableStatus(status),
+        error: error.response?.data?.errors?.[0]?.message || error.message,
+      }));
+    }
+  }
+
+  async fetchReceipts(receiptIds) {
+    const response = await axios.post(
+      `${this.baseUrl}/getReceipts`,
+      { ids: receiptIds },
+      { headers: this.headers(), timeout: 15000 }
+    );
+
+    const receipts = {};
+    for (const [id, entry] of Object.entries(response.data.data || {})) {
+      receipts[id] = this.toResult({ ...entry, id });
+    }
+    return receipts;
+  }
+}
+
+// ============================================
+// FIREBASE CLOUD MESSAGING (HTTP v1)
+// ============================================
+
+/**
+ * Firebase Cloud Messaging using a service account
+ * https://firebase.google.com/docs/cloud-messaging/send-message
+ */
+class FcmPushProvider {
+  constructor({ projectId, clientEmail, privateKey }) {
+    this.name = "fcm";
+    // v1 takes one message per request - a batch is sent concurrently
+    this.maxBatchSize = 50;
+    this.projectId = projectId;
+    this.clientEmail = clientEmail;
+    this.privateKey = (privateKey || "").replace(/\\n/g, "\n");
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  // Exchange a signed service-account JWT for an OAuth access token
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt - 60 * 1000) {
+      return this.accessToken;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign(
+      {
+        iss: this.clientEmail,
+        scope: "https://www.googleapis.com/auth/firebase.messaging",
+        aud: "https://oauth2.googleapis.com/token",
+        iat: now,
+        exp: now + 3600,
+      },
+      this.privateKey,
+      { algorithm: "RS256" }
+    );
+
+    const response = await axios.post(
+      "https://oauth2.googleapis.com/token",
+      new URLSearchParams({
+        grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+        assertion,
+      }).toString(),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" }, timeout: 15000 }
+    );
+
+    this.accessToken = response.data.access_token;
+    this.accessTokenExpiresAt = Date.now() + response.data.expires_in * 1000;
+    return this.accessToken;
+  }
+
+  async sendOne(message, accessToken) {
+    try {
+      const response = await axios.post(
+        `https://fcm.googleapis.com/v1/projects/${this.projectId}/messages:send`,
+        {
+          message: {
+            token: message.token,
+            notification: { title: message.title, body: message.body },
+            data: message.data,
+            android: { priority: "high" },
+          },
+        },
+        { headers: { Authorization: `Bearer ${accessToken}` }, timeout: 15000 }
+      );
+      return { success: true, receiptId: response.data.name };
+    } catch (error) {
+      const status = error.response?.status;
+      const details = error.response?.data?.error?.details || [];
+      const code =
+        details.find((d) => d.errorCode)?.errorCode || error.response?.data?.error?.status;
+
+      return {
+        success: false,
+        invalidToken:
+          code === "UNREGISTERED" ||
+          (code === "INVALID_ARGUMENT" && /token/i.test(error.response?.data?.error?.message)),
+        retryable: isRetryableStatus(status),
+        error: code || error.message,
+      };
+    }
+  }
+
+  async sendBatch(messages) {
+    let accessToken;
+    try {
+      accessToken = await this.getAccessToken();
+    } catch (error) {
+      return messages.map(() => ({
+        success: false,
+        retryable: isRetryableStatus(error.response?.status),
+        error: `FCM auth failed: ${error.message}`,
+      }));
+    }
+
+    return Promise.all(messages.map((message) => this.sendOne(message, accessToken)));
+  }
+}
+
+// ============================================
+// LOCAL SINK (development / testing)
+// ============================================
+
+/**
+ * Writes every push to a JSON-lines file and optionally POSTs it to a local
+ * HTTP endpoint. Tokens starting with "invalid" are reported as unregistered
+ * so token pruning can be exercised without a real provider.
+ */
+class LocalPushProvider {
+  constructor({ file, url } = {}) {
+    this.name = "local";
+    this.maxBatchSize = 100;
+    this.file = file;
+    this.url = url;
+  }
+
+  async sendBatch(messages) {
+    const sentAt = new Date().toISOString();
+    const results = messages.map((message, index) =>
+      message.token.startsWith("invalid")
+        ? { success: false, invalidToken: true, error: "DeviceNotRegistered" }
+        : { success: true, receiptId: `local-${Date.now()}-${index}` }
+    );
+
+    if (this.file) {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const lines = messages
+        .map((message, index) => JSON.stringify({ sentAt, ...message, result: results[index] }))
+        .join("\n");
+      await fs.promises.appendFile(this.file, `${lines}\n`);
+    }
+
+    if (this.url) {
+      try {
+        await axios.post(this.url, { sentAt, messages, results }, { timeout: 5000 });
+      } catch (error) {
+        return messages.map(() => ({ success: false, retryable: true, error: error.message }));
+      }
+    }
+
+    messages.forEach((message) =>
+      console.log(`📱 Push notification to ${message.token}:`, message.title)
+    );
+
+    return results;
+  }
+
+  async fetchReceipts(receiptIds) {
+    const receipts = {};
+    for (const id of receiptIds) receipts[id] = { success: true };
+    return receipts;
+  }
+}
+
+let provider = null;
+
+/**
+ * The configured provider (created once)
+ */
+const getPushProvider = () => {
+  if (provider) return provider;
+
+  switch ((process.env.PUSH_PROVIDER || "local").toLowerCase()) {
+    case "expo":
+      provider = new ExpoPushProvider({ accessToken: process.env.EXPO_ACCESS_TOKEN });
+      break;
+    case "fcm":
+      provider = new FcmPushProvider({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY,
+      });
+      break;
+    default:
+      provider = new LocalPushProvider({
+        file: process.env.PUSH_LOCAL_FILE || "logs/push-notifications.log",
+        url: process.env.PUSH_LOCAL_URL,
+      });
+  }
+
+  return provider;
+};
+
+// Swap the provider (tests or a custom transport)
+const setPushProvider = (custom) => {
+  provider = custom;
+};
+
+module.exports = {
+  ExpoPushProvider,
+  FcmPushProvider,
+  LocalPushProvider,
+  getPushProvider,
+  setPushProvider,
+  stringifyData,
+};
@@ -179,7 +179,6 @@ class RecommendationService {
     try {
       const query = {
         "interestedCategories.category": category.toLowerCase(),
-        "notifications.push": true,
         "notifications.newProducts": true,
         isActive: true,
       };
@@ -188,7 +187,7 @@ class RecommendationService {
         query._id = { $ne: excludeBuyerId };
       }
 
-      const buyers = await Buyer.find(query).select("_id name deviceTokens notifications");
+      const buyers = await Buyer.find(query).select("_id name interestedCategories");
 
       // Filter to buyers with high enough interest score
       return buyers.filter((buyer) => {
@@ -0,0 +1,221 @@
+/**
+ * Rider Dispatch Service
+ * Finds a rider for an order without the seller picking one. Riders who are
+ * available, verified, inside their working hours and have sent a fresh
+ * location are ranked by distance from the pickup point ($geoNear on
+ * Rider.geoLocation). The job is offered to one rider at a time; a decline
+ * or an unanswered offer (DISPATCH_ACCEPT_SECONDS) moves on to the next
+ * nearest rider. Every offer is recorded in order.delivery.dispatch.attempts.
+ */
+
+const Order = require("../models/Order");
+const Rider = require("../models/Rider");
+const DeliveryJob = require("../models/DeliveryJob");
+const Notification = require("../models/Notification");
+const RiderJobService = require("./riderJobs");
+
+const ACCEPT_SECONDS = parseInt(process.env.DISPATCH_ACCEPT_SECONDS) || 60;
+const RADIUS_KM = parseFloat(process.env.DISPATCH_RADIUS_KM) || 10;
+const MAX_ATTEMPTS = parseInt(process.env.DISPATCH_MAX_ATTEMPTS) || 5;
+const LOCATION_MAX_AGE_MINUTES = parseInt(process.env.DISPATCH_LOCATION_MAX_AGE_MINUTES) || 15;
+const CANDIDATE_LIMIT = 20;
+
+const ACTIVE = ["searching", "offered"];
+
+const fail = (status, message) => ({ success: false, status, message });
+
+const orderLabel = (order) => `#${order.orderNumber || order._id.toString().slice(-6)}`;
+
+class RiderDispatchService {
+  static ACCEPT_SECONDS = ACCEPT_SECONDS;
+
+  /**
+   * Pickup point as GeoJSON coordinates ([lng, lat]), or null if not set
+   */
+  static pickupPoint(order) {
+    const { lat, lng } = order.delivery?.pickupLocation?.coordinates || {};
+    return Number.isFinite(lat) && Number.isFinite(lng) ? [lng, lat] : null;
+  }
+
+  /**
+   * Start dispatching an order that has no rider yet
+   */
+  static async start(order) {
+    if (!this.pickupPoint(order)) {
+      return fail(400, "Set the pickup location (lat, lng) before dispatching");
+    }
+    if (ACTIVE.includes(order.delivery.dispatch?.status)) {
+      return fail(400, "A rider is already being found for this order");
+    }
+    if (order.delivery.riderId || order.delivery.status !== "pending") {
+      return fail(400, "This order already has a rider");
+    }
+
+    order.delivery.dispatch = { status: "searching", startedAt: new Date(), attempts: [] };
+    await order.save();
+
+    return this.offerNext(order._id);
+  }
+
+  /**
+   * Riders who could take the order now, nearest first, skipping `exclude`
+   */
+  static async findCandidates(order, exclude = []) {
+    const now = new Date();
+    const nearby = await Rider.aggregate([
+      {
+        $geoNear: {
+          near: { type: "Point", coordinates: this.pickupPoint(order) },
+          distanceField: "distance",
+          maxDistance: RADIUS_KM * 1000,
+          spherical: true,
+          query: {
+            _id: { $nin: exclude },
+            status: "available",
+            isActive: true,
+            isVerified: true,
+            currentOrder: null,
+            "currentLocation.updatedAt": {
+              $gte: new Date(now.getTime() - LOCATION_MAX_AGE_MINUTES * 60 * 1000),
+            },
+          },
+        },
+      },
+      { $limit: CANDIDATE_LIMIT },
+    ]);
+
+    // One open offer per rider - they may be weighing another order
+    const weighing = await DeliveryJob.distinct("riderId", {
+      riderId: { $in: nearby.map((rider) => rider._id) },
+      status: "offered",
+      expiresAt: { $gt: now },
+    });
+    const busy = new Set(weighing.map(String));
+
+    return nearby
+      .map(({ distance, ...fields }) => ({
+        rider: Rider.hydrate(fields),
+        distanceKm: Math.round(distance / 100) / 10,
+      }))
+      .filter(({ rider }) => !busy.has(String(rider._id)) && rider.isWorkingAt(now));
+  }
+
+  /**
+   * Offer the order to the nearest rider not tried yet, or give up
+   */
+  static async offerNext(orderId) {
+    const order = await Order.findById(orderId);
+    if (!order || !ACTIVE.includes(order.delivery.dispatch?.status)) {
+      return fail(400, "This order is not being dispatched");
+    }
+
+    const { attempts } = order.delivery.dispatch;
+    if (attempts.length >= MAX_ATTEMPTS) {
+      return this.giveUp(order, `No rider accepted after ${attempts.length} offers`);
+    }
+
+    const candidates = await this.findCandidates(order, attempts.map((a) => a.riderId));
+    const next = candidates[0];
+    if (!next) {
+      return this.giveUp(order, "No available rider nearby");
+    }
+
+    const result = await RiderJobService.offer(order, next.rider, {
+      offeredBy: "system",
+      expiresAt: new Date(Date.now() + ACCEPT_SECONDS * 1000),
+    });
+    // Another offer for this order got there first
+    if (!result.success) return result;
+
+    order.delivery.dispatch.attempts.push({
+      riderId: next.rider._id,
+      jobId: result.job._id,
+      distanceKm: next.distanceKm,
+      offeredAt: result.job.offeredAt,
+    });
+    order.delivery.dispatch.status = "offered";
+    await order.save();
+
+    return {
+      success: true,
+      job: result.job,
+      rider: { id: next.rider._id, name: next.rider.name, distanceKm: next.distanceKm },
+    };
+  }
+
+  /**
+   * A dispatched job was answered (accepted / declined) or timed out.
+   * Anything but an accept moves on to the next rider.
+   */
+  static async jobFinished(job, outcome) {
+    const now = new Date();
+    const order = await Order.findOneAndUpdate(
+      { _id: job.orderId, "delivery.dispatch.attempts.jobId": job._id },
+      {
+        "delivery.dispatch.attempts.$.outcome": outcome,
+        "delivery.dispatch.attempts.$.respondedAt": now,
+        ...(outcome === "accepted" && {
+          "delivery.dispatch.status": "assigned",
+          "delivery.dispatch.finishedAt": now,
+        }),
+      },
+      { new: true }
+    );
+    if (!order || outcome === "accepted") return;
+
+    await this.offerNext(order._id);
+  }
+
+  /**
+   * Stop dispatching and withdraw the open offer
+   */
+  static async cancel(order) {
+    if (!ACTIVE.includes(order.delivery.dispatch?.status)) {
+      return fail(400, "This order is not being dispatched");
+    }
+
+    const jobIds = order.delivery.dispatch.attempts
+      .filter((attempt) => attempt.outcome === "offered")
+      .map((attempt) => attempt.jobId);
+    await DeliveryJob.updateMany(
+      { _id: { $in: jobIds }, status: "offered" },
+      { status: "cancelled" }
+    );
+
+    for (const attempt of order.delivery.dispatch.attempts) {
+      if (attempt.outcome === "offered") {
+        attempt.outcome = "cancelled";
+        attempt.respondedAt = new Date();
+      }
+    }
+    order.delivery.dispatch.status = "cancelled";
+    order.delivery.dispatch.finishedAt = new Date();
+    await order.save();
+
+    return { success: true, dispatch: order.delivery.dispatch };
+  }
+
+  /**
+   * No rider found - the seller has to arrange delivery themselves
+   */
+  static async giveUp(order, reason) {
+    order.delivery.dispatch.status = "failed";
+    order.delivery.dispatch.finishedAt = new Date();
+    order.addDeliveryUpdate("pending", `Automatic dispatch stopped: ${reason}`);
+    await order.save();
+
+    await Notification.notify({
+      recipientId: order.businessId,
+      recipientType: "Business",
+      type: "order_update",
+      title: "No Rider Found",
+      message: `${reason} for order ${orderLabel(order)}. Assign a rider manually or try again later.`,
+      actionType: "order",
+      referenceId: order._id,
+    });
+
+    return fail(404, reason);
+  }
+}
+
+module.exports = RiderDispatchService;
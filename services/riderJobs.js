@@ -0,0 +1,371 @@
+/**
+ * Rider Job Service
+ * Platform riders work through delivery jobs:
+ *
+ *   offered -> accepted -> picked_up -> delivered
+ *          \-> declined / expired (the order can be offered to someone else)
+ *
+ * Each step moves the job with a conditional update, then mirrors it onto
+ * the order's delivery status and tells the buyer. A rider carries one
+ * order at a time (Rider.currentOrder). Accepting sends the buyer a
+ * delivery code, and drop-off needs it (see ./deliveryProof).
+ */
+
+const DeliveryJob = require("../models/DeliveryJob");
+const Order = require("../models/Order");
+const Rider = require("../models/Rider");
+const Notification = require("../models/Notification");
+const PushNotificationService = require("./pushNotifications");
+const DeliveryProofService = require("./deliveryProof");
+
+const OPEN_STATUSES = ["offered", "accepted", "picked_up"];
+const PAGE_SIZE = 20;
+
+// What a rider sees of an order they are offered or carrying
+const JOB_ORDER_FIELDS = [
+  "orderNumber",
+  "items.productName",
+  "items.quantity",
+  "customerName",
+  "customerPhone",
+  "shippingAddress",
+  "delivery.pickupLocation",
+  "delivery.instructions",
+  "delivery.status",
+].join(" ");
+
+const orderLabel = (order) => `#${order.orderNumber || order._id.toString().slice(-6)}`;
+
+// Rider details shown to the buyer on the order
+const riderSnapshot = (rider) => ({
+  name: rider.name,
+  phone: rider.phone,
+  vehicleType: rider.vehicle.type,
+  vehiclePlate: rider.vehicle.plateNumber,
+  photo: rider.avatar,
+  rating: rider.stats.averageRating,
+});
+
+const fail = (status, message) => ({ success: false, status, message });
+
+// Lazy: the dispatch service offers jobs through this one
+const dispatch = () => require("./riderDispatch");
+
+class RiderJobService {
+  static OPEN_STATUSES = OPEN_STATUSES;
+
+  /**
+   * Offer an order to a rider. Fails while the order already has an open job.
+   */
+  static async offer(order, rider, { offeredBy = "seller", expiresAt } = {}) {
+    if (!rider.isActive || !rider.isVerified) {
+      return fail(400, "Rider is not verified");
+    }
+
+    const open = await DeliveryJob.exists({ orderId: order._id, status: { $in: OPEN_STATUSES } });
+    if (open) {
+      return fail(400, "This order already has a rider job in progress");
+    }
+
+    const job = await DeliveryJob.create({
+      orderId: order._id,
+      riderId: rider._id,
+      businessId: order.businessId,
+      offeredBy,
+      earnings: order.delivery?.fee || 0,
+      ...(expiresAt && { expiresAt }),
+    });
+
+    await PushNotificationService.notifyRiderAssignment(rider, order);
+
+    return { success: true, job };
+  }
+
+  /**
+   * Lapse job offers riders did not answer in time and pass dispatched
+   * orders on to the next rider. Returns how many expired.
+   */
+  static async expireOffers() {
+    const due = await DeliveryJob.find({ status: "offered", expiresAt: { $lte: new Date() } })
+      .select("_id")
+      .limit(200);
+
+    let expired = 0;
+    for (const { _id } of due) {
+      // Conditional so a last-second accept wins cleanly
+      const job = await DeliveryJob.findOneAndUpdate(
+        { _id, status: "offered" },
+        { status: "expired", respondedAt: new Date() },
+        { new: true }
+      );
+      if (!job) continue;
+      expired += 1;
+
+      if (job.offeredBy === "system") {
+        await dispatch().jobFinished(job, "expired");
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * The rider's offered and in-progress jobs, with the order details needed
+   * to do them
+   */
+  static async activeJobs(riderId) {
+    return DeliveryJob.find({
+      riderId,
+      $or: [
+        { status: "offered", expiresAt: { $gt: new Date() } },
+        { status: { $in: ["accepted", "picked_up"] } },
+      ],
+    })
+      .populate("orderId", JOB_ORDER_FIELDS)
+      .populate("businessId", "name phone location")
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Accept an offered job. The rider must be free - one order at a time.
+   */
+  static async accept(rider, jobId) {
+    const job = await DeliveryJob.findOne({ _id: jobId, riderId: rider._id, status: "offered" });
+    if (!job) return fail(404, "Job not found");
+    if (job.expiresAt <= new Date()) return fail(400, "This job offer has expired");
+
+    // Claim the rider first so two jobs cannot be accepted at once
+    const claimed = await Rider.findOneAndUpdate(
+      { _id: rider._id, currentOrder: null, isActive: true },
+      { currentOrder: job.orderId, status: "busy" },
+      { new: true }
+    );
+    if (!claimed) return fail(400, "Finish your current delivery first");
+
+    const accepted = await DeliveryJob.findOneAndUpdate(
+      { _id: job._id, status: "offered", expiresAt: { $gt: new Date() } },
+      { status: "accepted", respondedAt: new Date() },
+      { new: true }
+    );
+    const order = accepted && (await Order.findById(job.orderId));
+    if (!order || order.status === "cancelled") {
+      await Rider.updateOne(
+        { _id: rider._id, currentOrder: job.orderId },
+        { currentOrder: null, status: "available" }
+      );
+      if (accepted) {
+        await DeliveryJob.updateOne({ _id: job._id }, { status: "cancelled" });
+      }
+      return fail(400, "This job is no longer available");
+    }
+
+    order.delivery.riderId = rider._id;
+    order.delivery.rider = riderSnapshot(claimed);
+    order.delivery.status = "assigned";
+    order.delivery.assignedAt = new Date();
+    order.addDeliveryUpdate("assigned", `${rider.name} accepted the delivery`);
+    await order.save();
+    if (accepted.offeredBy === "system") {
+      await dispatch().jobFinished(accepted, "accepted");
+    }
+
+    await PushNotificationService.notifyDeliveryUpdate(order, "assigned", {
+      riderName: rider.name,
+    });
+    await DeliveryProofService.issueCode(order);
+
+    return { success: true, job: accepted, order };
+  }
+
+  /**
+   * Turn down an offered job. A dispatched job moves on to the next rider;
+   * otherwise the seller is told so they can find another one.
+   */
+  static async decline(rider, jobId, reason = "") {
+    const job = await DeliveryJob.findOneAndUpdate(
+      { _id: jobId, riderId: rider._id, status: "offered" },
+      { status: "declined", respondedAt: new Date(), declineReason: reason || "" },
+      { new: true }
+    );
+    if (!job) return fail(404, "Job not found");
+
+    if (job.offeredBy === "system") {
+      await dispatch().jobFinished(job, "declined");
+      return { success: true, job };
+    }
+
+    const order = await Order.findById(job.orderId).select("orderNumber businessId");
+    if (order) {
+      await Notification.notify({
+        recipientId: order.businessId,
+        recipientType: "Business",
+        type: "order_update",
+        title: "Rider Declined Delivery",
+        message: `${rider.name} declined delivery of order ${orderLabel(order)}. Assign another rider.`,
+        actionType: "order",
+        referenceId: order._id,
+      });
+    }
+
+    return { success: true, job };
+  }
+
+  /**
+   * Rider has collected the parcel from the seller
+   */
+  static async pickup(rider, jobId) {
+    const job = await DeliveryJob.findOneAndUpdate(
+      { _id: jobId, riderId: rider._id, status: "accepted" },
+      { status: "picked_up", pickedUpAt: new Date() },
+      { new: true }
+    );
+    if (!job) return fail(404, "No accepted job to pick up");
+
+    const order = await Order.findById(job.orderId);
+    order.delivery.status = "picked_up";
+    order.delivery.pickedUpAt = job.pickedUpAt;
+    order.addDeliveryUpdate("picked_up", `Picked up by ${rider.name}`);
+    await order.save();
+
+    await PushNotificationService.notifyDeliveryUpdate(order, "picked_up");
+    await PushNotificationService.notifySellerPickup(order, rider.name);
+
+    return { success: true, job, order };
+  }
+
+  /**
+   * Rider has handed the parcel over - completes the order and pays the rider.
+   * Needs the buyer's delivery code; photo and signature are optional.
+   */
+  static async dropoff(rider, jobId, { note, code, photo, signature } = {}) {
+    const pending = await DeliveryJob.findOne({
+      _id: jobId,
+      riderId: rider._id,
+      status: "picked_up",
+    });
+    if (!pending) return fail(404, "No picked up job to drop off");
+
+    const order = await Order.findById(pending.orderId);
+    const proof = await DeliveryProofService.submit(order, {
+      code,
+      photo,
+      signature,
+      note,
+      submittedBy: "rider",
+      riderId: rider._id,
+      location: rider.currentLocation,
+    });
+    if (!proof.success) return proof;
+
+    const job = await DeliveryJob.findOneAndUpdate(
+      { _id: pending._id, status: "picked_up" },
+      { status: "delivered", deliveredAt: new Date() },
+      { new: true }
+    );
+    if (!job) return fail(404, "No picked up job to drop off");
+
+    order.delivery.status = "delivered";
+    order.delivery.deliveredAt = job.deliveredAt;
+    order.delivery.actualDeliveryTime = job.deliveredAt;
+    order.status = "delivered";
+    order.addDeliveryUpdate("delivered", note || `Delivered by ${rider.name}`);
+    await order.save();
+    await DeliveryProofService.proveEscrow(order);
+
+    const current = await Rider.findById(rider._id);
+    await current.completeDelivery(order._id, job.earnings);
+
+    await PushNotificationService.notifyDeliveryUpdate(order, "delivered");
+
+    return { success: true, job, order };
+  }
+
+  /**
+   * Finished jobs, newest first. status filters to one outcome.
+   */
+  static async history(riderId, { status, page = 1, limit = PAGE_SIZE } = {}) {
+    const finished = ["delivered", "declined", "expired", "cancelled"];
+    const query = {
+      riderId,
+      status: finished.includes(status) ? status : { $in: finished },
+    };
+    const size = Math.min(parseInt(limit) || PAGE_SIZE, 100);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const [jobs, total] = await Promise.all([
+      DeliveryJob.find(query)
+        .populate("orderId", "orderNumber shippingAddress.city delivery.distance")
+        .populate("businessId", "name")
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * size)
+        .limit(size),
+      DeliveryJob.countDocuments(query),
+    ]);
+
+    return {
+      jobs,
+      pagination: { page: pageNumber, limit: size, total, pages: Math.ceil(total / size) },
+    };
+  }
+
+  /**
+   * Earnings from delivered jobs: today, the last 7 and 30 days, all time,
+   * and a daily breakdown for the last `days` days
+   */
+  static async earnings(riderId, { days = 30 } = {}) {
+    const span = Math.min(Math.max(parseInt(days) || 30, 1), 365);
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    const since = (n) => new Date(startOfToday.getTime() - (n - 1) * 24 * 60 * 60 * 1000);
+
+    const sumSince = (from) => ({
+      $sum: { $cond: [{ $gte: ["$deliveredAt", from] }, "$earnings", 0] },
+    });
+    const countSince = (from) => ({
+      $sum: { $cond: [{ $gte: ["$deliveredAt", from] }, 1, 0] },
+    });
+
+    const [totals] = await DeliveryJob.aggregate([
+      { $match: { riderId, status: "delivered" } },
+      {
+        $group: {
+          _id: null,
+          today: sumSince(startOfToday),
+          week: sumSince(since(7)),
+          month: sumSince(since(30)),
+          allTime: { $sum: "$earnings" },
+          deliveriesToday: countSince(startOfToday),
+          deliveries: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const daily = await DeliveryJob.aggregate([
+      { $match: { riderId, status: "delivered", deliveredAt: { $gte: since(span) } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$deliveredAt" } },
+          earnings: { $sum: "$earnings" },
+          deliveries: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    return {
+      today: totals?.today || 0,
+      last7Days: totals?.week || 0,
+      last30Days: totals?.month || 0,
+      allTime: totals?.allTime || 0,
+      deliveriesToday: totals?.deliveriesToday || 0,
+      totalDeliveries: totals?.deliveries || 0,
+      daily: daily.map((day) => ({
+        date: day._id,
+        earnings: day.earnings,
+        deliveries: day.deliveries,
+      })),
+    };
+  }
+}
+
+module.exports = RiderJobService;
@@ -0,0 +1,163 @@
+/**
+ * Session Service
+ * Issues short-lived access tokens and rotating refresh tokens, one session
+ * per signed-in device, and revokes them on logout, password change or
+ * account deactivation.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+class SessionService {
+  /**
+   * Sign an access token for a session
+   */
+  static signAccessToken(session) {
+    return jwt.sign(
+      { id: session.userId, type: session.userType, sid: session._id },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Token pair returned to the client after login or refresh
+   */
+  static tokenResponse(session, refreshToken) {
+    const token = this.signAccessToken(session);
+    return {
+      token,
+      refreshToken,
+      expiresIn: jwt.decode(token).exp - Math.floor(Date.now() / 1000),
+      sessionId: session._id,
+    };
+  }
+
+  /**
+   * Open a session for a user who just logged in.
+   * Devices may send deviceName / platform in the request body.
+   */
+  static async start(userType, userId, req) {
+    const refreshToken = newRefreshToken();
+    const session = await Session.create({
+      userType,
+      userId,
+      refreshTokenHash: hashToken(refreshToken),
+      device: {
+        name: String(req.body?.deviceName || "").slice(0, 100),
+        platform: String(req.body?.platform || "").slice(0, 20),
+        userAgent: String(req.headers["user-agent"] || "").slice(0, 300),
+      },
+      ipAddress: req.ip || "",
+      expiresAt: refreshExpiry(),
+    });
+
+    return this.tokenResponse(session, refreshToken);
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. The old refresh token stops
+   * working; if it is ever presented again the whole session is revoked,
+   * since someone else must have a copy.
+   */
+  static async refresh(refreshToken, req) {
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return { success: false, message: "Refresh token is required" };
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const nextToken = newRefreshToken();
+
+    const session = await Session.findOneAndUpdate(
+      { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        ipAddress: req.ip || "",
+        expiresAt: refreshExpiry(),
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const reused = await Session.findOneAndUpdate(
+        { previousTokenHash: tokenHash, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "token_reuse" }
+      );
+      if (reused) {
+        console.warn(`Refresh token reused for ${reused.userType} ${reused.userId} - session revoked`);
+      }
+      return { success: false, message: "Session expired. Please log in again." };
+    }
+
+    return { success: true, ...this.tokenResponse(session, nextToken) };
+  }
+
+  /**
+   * Whether a decoded access token still belongs to a live session
+   */
+  static async isActive(decoded) {
+    if (!decoded?.sid) return false;
+    const session = await Session.exists({
+      _id: decoded.sid,
+      userId: decoded.id,
+      userType: decoded.type,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    return !!session;
+  }
+
+  /**
+   * Active sessions for a user, most recently used first
+   */
+  static list(userType, userId) {
+    return Session.find({
+      userType,
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("device ipAddress lastUsedAt createdAt expiresAt")
+      .sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Revoke one session. Returns false if it was not found or already revoked.
+   */
+  static async revoke(userType, userId, sessionId, reason = "logout") {
+    const result = await Session.updateOne(
+      { _id: sessionId, userType, userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every session of one or more users, optionally keeping one
+   * (e.g. the device that just changed the password). Returns the count.
+   */
+  static async revokeAll(userType, userIds, { except = null, reason = "user" } = {}) {
+    const filter = { userType, userId: { $in: [].concat(userIds) }, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const result = await Session.updateMany(filter, {
+      revokedAt: new Date(),
+      revokedReason: reason,
+    });
+    return result.modifiedCount;
+  }
+}
+
+module.exports = SessionService;
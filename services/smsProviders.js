@@ -0,0 +1,149 @@
+/**
+ * SMS Providers
+ * Transports used by NotificationChannelService to send text messages.
+ *
+ * Every provider implements:
+ *   send({ to, message }) → { success, messageId, error }
+ *
+ * Select with SMS_PROVIDER=http | local (default: local)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+// Africa's Talking status codes that mean the message was accepted
+const ACCEPTED_STATUS_CODES = [100, 101, 102];
+
+/**
+ * Convert local numbers to international format: 0772123456 → +256772123456
+ */
+const formatPhone = (phone, countryCode = process.env.SMS_DEFAULT_COUNTRY_CODE || "256") => {
+  const digits = String(phone).replace(/[\s()-]/g, "");
+  if (digits.startsWith("+")) return digits;
+  if (digits.startsWith("0")) return `+${countryCode}${digits.slice(1)}`;
+  if (digits.startsWith(countryCode)) return `+${digits}`;
+  return `+${countryCode}${digits}`;
+};
+
+/**
+ * Ways the same number may have been typed (for matching stored phone numbers)
+ */
+const phoneVariants = (phone, countryCode = process.env.SMS_DEFAULT_COUNTRY_CODE || "256") => {
+  const international = formatPhone(phone, countryCode);
+  const variants = [international, international.slice(1)];
+  if (international.startsWith(`+${countryCode}`)) {
+    const local = international.slice(countryCode.length + 1);
+    variants.push(`0${local}`, local);
+  }
+  return variants;
+};
+
+/**
+ * HTTP SMS gateway using the Africa's Talking messaging API shape
+ * https://developers.africastalking.com/docs/sms/sending/bulk
+ * Point SMS_API_URL at the sandbox or another compatible gateway.
+ */
+class HttpSmsProvider {
+  constructor({ url, apiKey, username, senderId }) {
+    this.name = "http";
+    this.url = url;
+    this.apiKey = apiKey;
+    this.username = username;
+    this.senderId = senderId;
+  }
+
+  async send({ to, message }) {
+    try {
+      const params = new URLSearchParams({
+        username: this.username,
+        to: formatPhone(to),
+        message,
+      });
+      if (this.senderId) params.append("from", this.senderId);
+
+      const response = await axios.post(this.url, params.toString(), {
+        headers: {
+          apiKey: this.apiKey,
+          Accept: "application/json",
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        timeout: 15000,
+      });
+
+      const recipient = response.data?.SMSMessageData?.Recipients?.[0];
+      if (!recipient || !ACCEPTED_STATUS_CODES.includes(recipient.statusCode)) {
+        return {
+          success: false,
+          error: recipient?.status || response.data?.SMSMessageData?.Message || "SMS rejected",
+        };
+      }
+
+      return { success: true, messageId: recipient.messageId };
+    } catch (error) {
+      const body = error.response?.data;
+      return { success: false, error: typeof body === "string" ? body : error.message };
+    }
+  }
+}
+
+/**
+ * Writes every SMS to a JSON-lines file instead of sending it
+ */
+class LocalSmsProvider {
+  constructor({ file }) {
+    this.name = "local";
+    this.file = file;
+  }
+
+  async send({ to, message }) {
+    const messageId = `local-${Date.now()}`;
+
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(
+      this.file,
+      `${JSON.stringify({ sentAt: new Date().toISOString(), messageId, to: formatPhone(to), message })}\n`
+    );
+
+    console.log(`💬 SMS to ${formatPhone(to)}: ${message}`);
+    return { success: true, messageId };
+  }
+}
+
+let provider = null;
+
+/**
+ * The configured provider (created once)
+ */
+const getSmsProvider = () => {
+  if (provider) return provider;
+
+  if ((process.env.SMS_PROVIDER || "local").toLowerCase() === "http") {
+    provider = new HttpSmsProvider({
+      url: process.env.SMS_API_URL || "https://api.africastalking.com/version1/messaging",
+      apiKey: process.env.AFRICAS_TALKING_API_KEY,
+      username: process.env.AFRICAS_TALKING_USERNAME,
+      senderId: process.env.AFRICAS_TALKING_SENDER_ID,
+    });
+  } else {
+    provider = new LocalSmsProvider({
+      file: process.env.SMS_LOCAL_FILE || "logs/sms.log",
+    });
+  }
+
+  return provider;
+};
+
+// Swap the provider (tests or a custom transport)
+const setSmsProvider = (custom) => {
+  provider = custom;
+};
+
+module.exports = {
+  HttpSmsProvider,
+  LocalSmsProvider,
+  getSmsProvider,
+  setSmsProvider,
+  formatPhone,
+  phoneVariants,
+};